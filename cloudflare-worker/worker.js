@@ -44,6 +44,8 @@ async function computeDataHash(race, sessions) {
       sessionType: s.sessionType,
       dateStart: s.dateStart,
       dateEnd: s.dateEnd,
+      // A session going live or finishing changes how the card narrates it
+      state: s.state,
     })),
   });
   const encoded = new TextEncoder().encode(snapshot);
@@ -302,14 +304,14 @@ async function getNextRace(currentYear, now) {
 }
 
 /**
- * Get all upcoming sessions for a meeting
+ * Get all sessions for a meeting, including ones already finished this weekend
  */
 async function getUpcomingSessions(meetingKey) {
   try {
-    const now = new Date().toISOString();
+    const now = new Date();
     
     const response = await fetch(
-      `${F1_API_BASE}/sessions?meeting_key=${meetingKey}&date_start>=${now.split('T')[0]}`,
+      `${F1_API_BASE}/sessions?meeting_key=${meetingKey}`,
       { signal: AbortSignal.timeout(5000) }
     );
 
@@ -334,6 +336,9 @@ async function getUpcomingSessions(meetingKey) {
         location: session.location,
         circuitName: session.circuit_short_name,
         sessionKey: session.session_key,
+        state: new Date(session.date_end) < now ? 'finished'
+          : new Date(session.date_start) <= now ? 'live'
+          : 'upcoming',
       }));
   } catch (error) {
     console.error('Error fetching sessions:', error);
@@ -390,6 +395,7 @@ function formatRaceData(meeting) {
     country: meeting.country_name || 'Unknown Country',
     circuit: meeting.circuit_short_name || 'Unknown Circuit',
     circuitType: meeting.circuit_type || 'Unknown',
+    circuitKey: meeting.circuit_key ?? null,
     countryFlag: meeting.country_flag || null,
     dateStart: meeting.date_start,
     dateEnd: meeting.date_end,
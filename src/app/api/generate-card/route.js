@@ -1,8 +1,14 @@
 // API Route to generate a Formula 1 card
-import { getNextRace, getUpcomingSessions, getDriverStandings, getTeamStandings, generateF1Script, getMeetingDetails, getSessionWeather } from "@/services/f1Service";
+import { getNextRace, getUpcomingSessions, addSessionHighlights, resolveStandingsSize, resolveStrategyCorner, getLastRaceSession, getDriverStandings, getTeamStandings, getLastRaceResults, getRaceStrategy, getQualifyingResults, getFavouriteStandings, getTitleFight, getSeasonCalendar, getPastWinners, generateF1Script, getMeetingDetails, getSessionWeather } from "@/services/f1Service";
+import { addSessionWeather } from "@/services/weatherService";
 import { createTextToSpeechPlaylist, buildF1Chapters, deployToAllDevices } from "@/services/yotoService";
 import { uploadCardIcon, uploadCountryFlagIcon, uploadTeamCarIcons } from "@/utils/imageUtils";
-import { getValidAccessToken, getStoredCardId, storeCardId, isAuthError, createAuthErrorResponse } from "@/utils/authUtils";
+import { resolveLocaleSettings } from "@/utils/localeUtils";
+import { applyLocalSchedule } from "@/utils/dateUtils";
+import { getValidAccessToken, getStoredCardId, storeCardId, getStoredFavourites, getStoredUnits, getStoredTemplates, isAuthError, createAuthErrorResponse } from "@/utils/authUtils";
+import { DEFAULT_UNIT_SYSTEM } from "@/utils/unitUtils";
+import { resolveLanguage, getDateLocale } from "@/utils/i18nUtils";
+import { resolveNarrationProfile } from "@/utils/narrationUtils";
 
 // Increase max listeners to handle multiple AbortSignal.timeout() calls
 // Each OpenF1 API call uses AbortSignal.timeout(5000) which adds event listeners
@@ -13,37 +19,6 @@ if (typeof process !== 'undefined' && process.setMaxListeners) {
 // Delay utility to respect OpenF1 API rate limit (3 requests/second)
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-/**
- * Get user's timezone from IP address
- */
-async function getUserTimezone(request) {
-  try {
-    // Get user's IP address from headers
-    const forwarded = request.headers.get("x-forwarded-for");
-    const ip = forwarded ? forwarded.split(',')[0] : request.headers.get("x-real-ip");
-    
-    // If no IP or localhost, return default timezone
-    if (!ip || ip === '127.0.0.1' || ip === '::1' || ip.startsWith('192.168.') || ip.startsWith('10.')) {
-      return Intl.DateTimeFormat().resolvedOptions().timeZone;
-    }
-    
-    // Use ipapi.co to get timezone from IP
-    const response = await fetch(`https://ipapi.co/${ip}/json/`, {
-      signal: AbortSignal.timeout(3000)
-    });
-    
-    if (response.ok) {
-      const data = await response.json();
-      return data.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
-    }
-  } catch (error) {
-    console.log("Could not determine timezone from IP:", error.message);
-  }
-  
-  // Default to server/UTC timezone
-  return Intl.DateTimeFormat().resolvedOptions().timeZone;
-}
-
 export async function POST(request) {
   try {
     // Step 1: Check if user is authenticated, refreshing the token first since
@@ -65,9 +40,19 @@ export async function POST(request) {
     // Parse request body to check for update preference
     const body = await request.json().catch(() => ({}));
     const shouldUpdate = body.updateExisting !== false; // Default to true
+    // Championship table depth: a number, or "all" for the full grid
+    const standingsSize = resolveStandingsSize(body.standingsSize);
+    const includeStrategy = resolveStrategyCorner(body.strategyCorner);
+    // Narration language for this card (default: NARRATION_LANGUAGE, then English)
+    const language = resolveLanguage(body.language);
+    // How much detail to narrate: "little-fan", "default" or "expert" (default: NARRATION_PROFILE)
+    const narrationProfile = resolveNarrationProfile(body.narrationProfile);
 
-    // Step 2: Get user's timezone
-    const userTimezone = await getUserTimezone(request);
+    // Step 2: Get the household's timezone and locale (IP lookup only until one is saved)
+    const localeSettings = await resolveLocaleSettings(request);
+    const userTimezone = localeSettings.timeZone;
+    // Written dates follow the card's language unless the household locale already matches it
+    const dateLocale = getDateLocale(language, localeSettings.locale);
     
     // Step 3: Fetch F1 data - either from Cloudflare Worker or OpenF1 API
     let raceData, sessions = [], weather = null;
@@ -116,7 +101,7 @@ export async function POST(request) {
         // Sessions will be converted to user timezone below
         sessions = rawSessions;
         
-        console.log(`Found ${sessions.length} upcoming sessions for this race weekend`);
+        console.log(`Found ${sessions.length} sessions for this race weekend`);
       }
       
       // Fetch weather data for first session if available
@@ -132,65 +117,69 @@ export async function POST(request) {
       }
     }
     
-    const driverStandings = await getDriverStandings();
+    // Live-weekend mode: finished sessions get their fastest lap highlights, the current one is flagged as live
+    sessions = await addSessionHighlights(sessions);
+    if (sessions.some(session => session.state === 'finished')) {
+      await delay(500);
+    }
+
+    // Weather for every session: a forecast while upcoming, the OpenF1 reading once live or finished
+    sessions = await addSessionWeather(sessions, raceData);
+    if (sessions.some(session => session.state !== 'upcoming')) {
+      await delay(500);
+    }
+
+    // The standings and last-race lookups share one lookup of the last Grand Prix
+    const lastRaceSession = await getLastRaceSession();
+    await delay(500);
+
+    // Fetch the full tables so favourites outside the narrated top N can still be found
+    const allDriverStandings = await getDriverStandings(null, lastRaceSession);
     await delay(500);
     
-    const teamStandings = await getTeamStandings();
+    const allTeamStandings = await getTeamStandings(null, lastRaceSession);
     await delay(500);
 
-    // Step 4: Convert race time to user's timezone
-    if (raceData.dateStart) {
-      const raceDate = new Date(raceData.dateStart);
-      if (process.env.NODE_ENV !== "production") {
-        console.log(`Converting race time from ${raceData.dateStart} to timezone: ${userTimezone}`);
-      }
-      
-      // Format both date and time in user's timezone
-      // This ensures the correct calendar day is shown (handles day rollover)
-      raceData.date = raceDate.toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric',
-        timeZone: userTimezone
-      });
-      raceData.time = raceDate.toLocaleTimeString('en-US', { 
-        hour: '2-digit', 
-        minute: '2-digit',
-        timeZoneName: 'short',
-        timeZone: userTimezone
-      });
-    } else {
-      // Fallback for data without dateStart
-      console.warn(`Race data missing dateStart field. Date: ${raceData.date}, Time: ${raceData.time}`);
-      console.warn('Cannot convert to user timezone without ISO timestamp');
+    const driverStandings = allDriverStandings.slice(0, standingsSize ?? undefined);
+    const teamStandings = allTeamStandings.slice(0, standingsSize ?? undefined);
+
+    const lastRace = await getLastRaceResults(lastRaceSession);
+    await delay(500);
+
+    // Optional Strategy Corner: pit stops and tyres from the last race
+    let strategy = null;
+    if (includeStrategy && lastRace) {
+      strategy = await getRaceStrategy(lastRace);
+      await delay(500);
     }
 
-    // Convert session times to user's timezone if we have sessions
-    if (sessions.length > 0 && sessions[0].dateStart) {
-      sessions = sessions.map(session => {
-        const sessionDate = new Date(session.dateStart);
-        return {
-          ...session,
-          date: sessionDate.toLocaleDateString('en-US', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric',
-            timeZone: userTimezone
-          }),
-          time: sessionDate.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            timeZoneName: 'short',
-            timeZone: userTimezone
-          })
-        };
-      });
+    // Once qualifying has finished, the card narrates the real starting grid
+    let qualifying = null;
+    if (raceData.meetingKey) {
+      qualifying = await getQualifyingResults(raceData.meetingKey);
+      await delay(500);
+    }
+
+    const favourites = getFavouriteStandings(getStoredFavourites(), allDriverStandings, allTeamStandings, lastRace);
+
+    // Late in the season: who can still mathematically win each title
+    const titleFight = await getTitleFight(allDriverStandings, allTeamStandings);
+    await delay(500);
+
+    const calendar = await getSeasonCalendar();
+    await delay(500);
+
+    // Past winners at this circuit are cached locally, so usually cost a single request
+    const pastWinners = await getPastWinners(raceData.circuitKey, raceData.meetingKey);
+
+    // Step 4: Convert race and session times to the household's timezone and locale
+    if (process.env.NODE_ENV !== "production") {
+      console.log(`Converting race times to timezone: ${userTimezone} (${localeSettings.source}), locale: ${dateLocale}`);
     }
+    ({ raceData, sessions } = applyLocalSchedule(raceData, sessions, { ...localeSettings, locale: dateLocale }));
 
     // Step 5: Generate script for text-to-speech
-    const script = generateF1Script(raceData, driverStandings, teamStandings);
+    const script = generateF1Script(raceData, driverStandings, teamStandings, standingsSize, language);
 
     // Step 6: Fetch additional race details (meeting info) if not already fetched from worker
     // Continue respecting OpenF1 rate limit
@@ -201,10 +190,11 @@ export async function POST(request) {
     
     if (raceData.meetingKey && shouldFetchMeetingDetails) {
       try {
+        // Rate limit protection after the past winners lookup
+        await delay(500);
         console.log(`Fetching meeting details for meetingKey: ${raceData.meetingKey}`);
         meetingDetails = await getMeetingDetails(raceData.meetingKey);
         console.log('Meeting details fetched:', meetingDetails);
-        await delay(500); // Increased to 500ms for extra safety
       } catch (error) {
         console.error('Failed to fetch meeting details:', error.message);
       }
@@ -219,9 +209,16 @@ export async function POST(request) {
       countryFlagIconId = await uploadCountryFlagIcon(raceData.countryFlag, accessToken, raceData.country);
     }
 
-    // Step 7b: Upload team-specific car icons for the driver/constructor standings chapters
+    // Step 7b: Upload team-specific car icons for the results and standings chapters
     const teamIconMap = await uploadTeamCarIcons(
-      [...driverStandings.map(d => d.team), ...teamStandings.map(t => t.team)],
+      [
+        ...driverStandings.map(d => d.team),
+        ...teamStandings.map(t => t.team),
+        ...(lastRace?.results || []).slice(0, 3).map(r => r.team),
+        ...(qualifying?.grid || []).slice(0, 2).map(g => g.team),
+        ...favourites.map(f => f.team),
+        ...(titleFight?.drivers.contenders || []).map(c => c.team),
+      ],
       accessToken
     );
 
@@ -229,7 +226,21 @@ export async function POST(request) {
     const chapters = buildF1Chapters(raceData, sessions, iconMediaId, weather, countryFlagIconId, {
       driverStandings,
       teamStandings,
+      standingsSize,
+      lastRace,
+      strategy,
+      qualifying,
+      favourites,
+      titleFight,
+      calendar,
+      pastWinners,
+      timeZone: userTimezone,
+      locale: dateLocale,
+      units: getStoredUnits() || DEFAULT_UNIT_SYSTEM,
       teamIconMap,
+      language,
+      profile: narrationProfile,
+      templates: getStoredTemplates(language),
     });
 
     // Step 9: Return success with generated data (not sent to Yoto yet)
@@ -238,6 +249,18 @@ export async function POST(request) {
       race: raceData,
       drivers: driverStandings,
       teams: teamStandings,
+      lastRace,
+      strategy,
+      qualifying,
+      favourites,
+      titleFight,
+      calendar,
+      pastWinners,
+      localeSettings,
+      language,
+      narrationProfile,
+      standingsSize: standingsSize ?? 'all',
+      strategyCorner: includeStrategy,
       script,
       chapters, // Include chapters data so UI can display and send to Yoto
       meetingDetails, // Include for debugging
@@ -2,10 +2,16 @@
 // This endpoint fetches fresh F1 data from the Cloudflare worker and creates
 // a new MYO playlist via the Yoto Labs TTS API when data has changed.
 
-import { getDriverStandings, getTeamStandings } from "@/services/f1Service";
+import { addSessionHighlights, resolveStandingsSize, resolveStrategyCorner, getLastRaceSession, getDriverStandings, getTeamStandings, getLastRaceResults, getRaceStrategy, getQualifyingResults, getFavouriteStandings, getTitleFight, getSeasonCalendar, getPastWinners } from "@/services/f1Service";
+import { addSessionWeather } from "@/services/weatherService";
 import { createTextToSpeechPlaylist, buildF1Chapters, deployToAllDevices } from "@/services/yotoService";
 import { uploadCardIcon, uploadCountryFlagIcon, uploadCardCoverImage, uploadTeamCarIcons } from "@/utils/imageUtils";
-import { getValidAccessToken, getStoredCardId, storeCardId, getStoredPlaylistTitle, storePlaylistTitle, isAuthError, createAuthErrorResponse, getStoredDataHash, storeDataHash } from "@/utils/authUtils";
+import { resolveLocaleSettings } from "@/utils/localeUtils";
+import { applyLocalSchedule } from "@/utils/dateUtils";
+import { getValidAccessToken, getStoredCardId, storeCardId, getStoredPlaylistTitle, storePlaylistTitle, getStoredFavourites, getStoredUnits, getStoredLanguage, getStoredNarrationProfile, getStoredStandingsSize, getStoredStrategyCorner, getStoredTemplates, getStoredPronunciations, getStoredVoiceCast, isAuthError, createAuthErrorResponse, getStoredDataHash, storeDataHash } from "@/utils/authUtils";
+import { DEFAULT_UNIT_SYSTEM } from "@/utils/unitUtils";
+import { resolveLanguage, getDateLocale } from "@/utils/i18nUtils";
+import { resolveNarrationProfile } from "@/utils/narrationUtils";
 
 /**
  * Refresh MYO playlist with latest data from Cloudflare Worker.
@@ -69,6 +75,7 @@ export async function POST(request) {
     // Step 3b: Skip expensive TTS generation if the F1 data hasn't changed
     // The worker embeds a SHA-256 hash of race+session fields in its payload.
     // We compare it against the hash from the last successful update we ran.
+    // Saving household settings clears the stored hash, so the next run applies them.
     const newDataHash = workerData.dataHash;
     if (newDataHash) {
       const storedHash = getStoredDataHash();
@@ -88,53 +95,26 @@ export async function POST(request) {
       }
     }
 
-    // Step 4: Extract race, sessions, and weather data
-    const raceData = workerData.race;
-    const sessions = workerData.sessions || [];
+    // Step 4: Extract weather data
     const weather = workerData.weather || null;
 
     // Step 5: Format dates and times (convert from ISO strings)
-    // The worker stores ISO timestamps, we need to format them for TTS
-    if (raceData.dateStart) {
-      const raceDate = new Date(raceData.dateStart);
-      raceData.date = raceDate.toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        timeZone: 'UTC'
-      });
-      raceData.time = raceDate.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        timeZoneName: 'short',
-        timeZone: 'UTC'
-      });
-    }
-
-    // Format session times
-    const formattedSessions = sessions.map(session => {
-      if (session.dateStart) {
-        const sessionDate = new Date(session.dateStart);
-        return {
-          ...session,
-          date: sessionDate.toLocaleDateString('en-US', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric',
-            timeZone: 'UTC'
-          }),
-          time: sessionDate.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            timeZoneName: 'short',
-            timeZone: 'UTC'
-          })
-        };
-      }
-      return session;
-    });
+    // The worker stores ISO timestamps; format them in the household's saved timezone and locale
+    const localeSettings = await resolveLocaleSettings();
+    // Keep the language and narration profile the card was sent in
+    const language = resolveLanguage(getStoredLanguage());
+    const narrationProfile = resolveNarrationProfile(getStoredNarrationProfile());
+    const dateLocale = getDateLocale(language, localeSettings.locale);
+    // Live-weekend mode: finished sessions get their fastest lap highlights, the current one is flagged as live
+    const sessionsWithHighlights = await addSessionHighlights(workerData.sessions || []);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    // Weather for every session: a forecast while upcoming, the OpenF1 reading once live or finished
+    const sessions = await addSessionWeather(sessionsWithHighlights, workerData.race);
+    const { raceData, sessions: formattedSessions } = applyLocalSchedule(
+      workerData.race,
+      sessions,
+      { ...localeSettings, locale: dateLocale }
+    );
 
     // Step 6: Upload custom icon if available
     const iconMediaId = await uploadCardIcon(accessToken);
@@ -148,14 +128,49 @@ export async function POST(request) {
     // Step 8: Upload cover image if available
     const coverImageUrl = await uploadCardCoverImage(accessToken);
 
-    // Step 8b: Fetch current driver & constructor standings for additional chapters
-    const driverStandings = await getDriverStandings();
+    // Step 8b: Fetch current driver & constructor standings the last race results and the qualifying grid for additional chapters
+    // Table depth the card was sent with, else the STANDINGS_SIZE environment variable (default: top 5)
+    const standingsSize = resolveStandingsSize(getStoredStandingsSize());
+    // The standings and last-race lookups share one lookup of the last Grand Prix
+    const lastRaceSession = await getLastRaceSession();
+    await new Promise(resolve => setTimeout(resolve, 500));
+    // Fetch the full tables so favourites outside the narrated top N can still be found
+    const allDriverStandings = await getDriverStandings(null, lastRaceSession);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const allTeamStandings = await getTeamStandings(null, lastRaceSession);
+    const driverStandings = allDriverStandings.slice(0, standingsSize ?? undefined);
+    const teamStandings = allTeamStandings.slice(0, standingsSize ?? undefined);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const lastRace = await getLastRaceResults(lastRaceSession);
+    // Strategy Corner as the card was sent, else the STRATEGY_CORNER environment variable
+    let strategy = null;
+    if (resolveStrategyCorner(getStoredStrategyCorner()) && lastRace) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      strategy = await getRaceStrategy(lastRace);
+    }
+    let qualifying = null;
+    if (raceData.meetingKey) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      qualifying = await getQualifyingResults(raceData.meetingKey);
+    }
+    const favourites = getFavouriteStandings(getStoredFavourites(), allDriverStandings, allTeamStandings, lastRace);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const titleFight = await getTitleFight(allDriverStandings, allTeamStandings);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const calendar = await getSeasonCalendar();
     await new Promise(resolve => setTimeout(resolve, 500));
-    const teamStandings = await getTeamStandings();
+    const pastWinners = await getPastWinners(raceData.circuitKey, raceData.meetingKey);
 
-    // Step 8c: Upload team-specific car icons for the standings chapters
+    // Step 8c: Upload team-specific car icons for the results and standings chapters
     const teamIconMap = await uploadTeamCarIcons(
-      [...driverStandings.map(d => d.team), ...teamStandings.map(t => t.team)],
+      [
+        ...driverStandings.map(d => d.team),
+        ...teamStandings.map(t => t.team),
+        ...(lastRace?.results || []).slice(0, 3).map(r => r.team),
+        ...(qualifying?.grid || []).slice(0, 2).map(g => g.team),
+        ...favourites.map(f => f.team),
+        ...(titleFight?.drivers.contenders || []).map(c => c.team),
+      ],
       accessToken
     );
 
@@ -163,7 +178,21 @@ export async function POST(request) {
     const chapters = buildF1Chapters(raceData, formattedSessions, iconMediaId, weather, countryFlagIconId, {
       driverStandings,
       teamStandings,
+      standingsSize,
+      lastRace,
+      strategy,
+      qualifying,
+      favourites,
+      titleFight,
+      calendar,
+      pastWinners,
+      timeZone: localeSettings.timeZone,
+      locale: dateLocale,
+      units: getStoredUnits() || DEFAULT_UNIT_SYSTEM,
       teamIconMap,
+      language,
+      profile: narrationProfile,
+      templates: getStoredTemplates(language),
     });
 
     // Step 10: Get stored card ID and playlist title (if exists)
@@ -184,6 +213,9 @@ export async function POST(request) {
       accessToken,
       cardId: existingCardId, // Accepted but not used by Labs API (always creates new)
       coverImageUrl,
+      language,
+      pronunciations: getStoredPronunciations(language),
+      voiceCast: getStoredVoiceCast(),
     });
 
     // Store the new card ID and title
@@ -1,7 +1,10 @@
 // API Route to send generated card data to Yoto
 import { createOrUpdateTTSPlaylist, deployToAllDevices } from "@/services/yotoService";
 import { uploadCardCoverImage } from "@/utils/imageUtils";
-import { getValidAccessToken, getStoredCardId, storeCardId, storePlaylistTitle, isAuthError, createAuthErrorResponse } from "@/utils/authUtils";
+import { resolveLanguage } from "@/utils/i18nUtils";
+import { resolveNarrationProfile } from "@/utils/narrationUtils";
+import { resolveStandingsSize, resolveStrategyCorner } from "@/services/f1Service";
+import { getValidAccessToken, getStoredCardId, storeCardId, storePlaylistTitle, storeLanguage, storeNarrationProfile, storeStandingsSize, storeStrategyCorner, getStoredPronunciations, getStoredVoiceCast, isAuthError, createAuthErrorResponse } from "@/utils/authUtils";
 
 export async function POST(request) {
   try {
@@ -24,6 +27,12 @@ export async function POST(request) {
     // Step 2: Parse request body to get the generated card data
     const body = await request.json();
     const { chapters, title = "F1: Next Race", updateExisting = true } = body;
+    // Remembered with the card so scheduled refreshes narrate in the same language and profile,
+    // with standings tables of the same size and the same Strategy Corner setting
+    const language = resolveLanguage(body.language);
+    const narrationProfile = resolveNarrationProfile(body.narrationProfile);
+    const standingsSize = resolveStandingsSize(body.standingsSize);
+    const strategyCorner = resolveStrategyCorner(body.strategyCorner);
 
     if (!chapters || !Array.isArray(chapters) || chapters.length === 0) {
       return Response.json(
@@ -38,7 +47,7 @@ export async function POST(request) {
     // Step 4: Retrieve stored card ID so we can update the existing card when present
     const existingCardId = updateExisting ? getStoredCardId() : null;
 
-    // Step 5: Create or update TTS playlist using ElevenLabs + Yoto audio upload.
+    // Step 5: Create or update TTS playlist using the TTS provider (ElevenLabs or a local engine) + Yoto audio upload.
     // When existingCardId is present the current card is updated in-place instead of
     // creating a new playlist (which was the limitation of the Yoto Labs TTS API).
     const yotoResult = await createOrUpdateTTSPlaylist({
@@ -47,13 +56,20 @@ export async function POST(request) {
       accessToken,
       cardId: existingCardId,
       coverImageUrl,
+      language,
+      pronunciations: getStoredPronunciations(language),
+      voiceCast: getStoredVoiceCast(),
     });
 
-    // Store card ID and title for future updates
+    // Store card ID, title, language, narration profile, standings size and Strategy Corner for future updates
     if (yotoResult.cardId) {
       storeCardId(yotoResult.cardId);
       storePlaylistTitle(title);
-      console.log(`Stored card ID: ${yotoResult.cardId} and title: "${title}"`);
+      storeLanguage(language);
+      storeNarrationProfile(narrationProfile);
+      storeStandingsSize(standingsSize ?? 'all');
+      storeStrategyCorner(strategyCorner);
+      console.log(`Stored card ID: ${yotoResult.cardId}, title: "${title}", language: ${language}, narration profile: ${narrationProfile}, standings size: ${standingsSize ?? 'all'} and Strategy Corner: ${strategyCorner}`);
     }
 
     // Step 6: Deploy the playlist to all devices
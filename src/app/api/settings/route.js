@@ -0,0 +1,296 @@
+// Household settings stored alongside the card ID (favourites, timezone, locale, units, narration templates, pronunciations and voice cast)
+import { getStoredFavourites, storeFavourites, getStoredLocaleSettings, storeLocaleSettings, getStoredUnits, storeUnits, getStoredTemplates, storeTemplates, getStoredPronunciations, storePronunciations, getStoredVoiceCast, storeVoiceCast, storeDataHash, getValidAccessToken, isAuthError, createAuthErrorResponse } from "@/utils/authUtils";
+import { isValidTimeZone, isValidLocale, suggestTimeZoneFromRequest } from "@/utils/localeUtils";
+import { DEFAULT_LOCALE } from "@/utils/dateUtils";
+import { DEFAULT_UNIT_SYSTEM, UNIT_SYSTEMS, isValidUnitSystem } from "@/utils/unitUtils";
+import { SUPPORTED_LANGUAGES, isValidLanguage, getMessage } from "@/utils/i18nUtils";
+import { validateTemplate } from "@/utils/templateUtils";
+import { validatePronunciation } from "@/utils/pronunciationUtils";
+import { VOICE_ROLES, isValidVoiceRole, isValidVoiceId } from "@/utils/voiceUtils";
+import { EDITABLE_TEMPLATES, MAX_TEMPLATE_LENGTH } from "@/data/templates";
+import { DEFAULT_PRONUNCIATIONS } from "@/data/pronunciations";
+
+/**
+ * Clean a list of names from the request body: trimmed, non-empty, de-duplicated
+ * @param {*} value - Expected to be an array of strings
+ * @returns {string[]|null} Cleaned names, or null if the value isn't a list of strings
+ */
+function cleanNameList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some(name => typeof name !== 'string')) {
+    return null;
+  }
+  return [...new Set(value.map(name => name.trim()).filter(Boolean))];
+}
+
+/**
+ * Describe the editable templates for the settings page, with the shipped wording in each language
+ * @returns {Array<{key: string, label: string, placeholders: string[], defaults: Object<string, string>}>}
+ */
+function describeEditableTemplates() {
+  return Object.entries(EDITABLE_TEMPLATES).map(([key, { label, placeholders }]) => ({
+    key,
+    label,
+    placeholders,
+    defaults: Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [language, getMessage(language, key)])),
+  }));
+}
+
+/**
+ * Check template overrides from the request body
+ * @param {*} value - Expected to be { [language]: { [templateKey]: string|null } }
+ * @returns {string|null} What's wrong, or null when every template is valid
+ */
+function findTemplateError(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'Templates must be grouped by language, e.g. { "en": { "overview.intro": "..." } }.';
+  }
+
+  for (const [language, templates] of Object.entries(value)) {
+    if (!isValidLanguage(language)) {
+      return `Unsupported narration language "${language}". Use one of: ${SUPPORTED_LANGUAGES.join(', ')}.`;
+    }
+    if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+      return `Templates for "${language}" must be keyed by template name.`;
+    }
+
+    for (const [key, template] of Object.entries(templates)) {
+      // Own keys only, so names like "constructor" aren't mistaken for templates
+      const editable = Object.hasOwn(EDITABLE_TEMPLATES, key) ? EDITABLE_TEMPLATES[key] : null;
+      if (!editable) {
+        return `Unknown template "${key}". Editable templates: ${Object.keys(EDITABLE_TEMPLATES).join(', ')}.`;
+      }
+      // null goes back to the shipped wording
+      if (template === null) {
+        continue;
+      }
+      if (typeof template === 'string' && template.length > MAX_TEMPLATE_LENGTH) {
+        return `The ${editable.label} template (${language}) is too long: keep it under ${MAX_TEMPLATE_LENGTH} characters.`;
+      }
+      const error = validateTemplate(template, editable.placeholders);
+      if (error) {
+        return `The ${editable.label} template (${language}) is invalid: ${error}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check pronunciation entries from the request body
+ * @param {*} value - Expected to be { [language]: { [name]: string|null } }
+ * @returns {string|null} What's wrong, or null when every entry is valid
+ */
+function findPronunciationError(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'Pronunciations must be grouped by language, e.g. { "en": { "Zandvoort": "Zand-fort" } }.';
+  }
+
+  for (const [language, pronunciations] of Object.entries(value)) {
+    if (!isValidLanguage(language)) {
+      return `Unsupported narration language "${language}". Use one of: ${SUPPORTED_LANGUAGES.join(', ')}.`;
+    }
+    if (!pronunciations || typeof pronunciations !== 'object' || Array.isArray(pronunciations)) {
+      return `Pronunciations for "${language}" must be keyed by name.`;
+    }
+
+    for (const [name, spoken] of Object.entries(pronunciations)) {
+      // null removes the household entry (a shipped one for the same name applies again)
+      if (spoken === null) {
+        continue;
+      }
+      const error = validatePronunciation(name, spoken);
+      if (error) {
+        return error;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a voice cast from the request body
+ * @param {*} value - Expected to be { [role]: voiceId|null }
+ * @returns {string|null} What's wrong, or null when the cast is valid
+ */
+function findVoiceCastError(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'The voice cast must be keyed by role, e.g. { "presenter": "JBFqnCBsd6RMkjVDRZzb" }.';
+  }
+
+  for (const [role, voiceId] of Object.entries(value)) {
+    if (!isValidVoiceRole(role)) {
+      return `Unknown voice role "${role}". Use one of: ${VOICE_ROLES.join(', ')}.`;
+    }
+    // null (or a blank box on the settings page) leaves the role to the presenter, or the card's voice
+    if (voiceId !== null && voiceId !== '' && !isValidVoiceId(voiceId)) {
+      return `"${voiceId}" doesn't look like an ElevenLabs voice ID (the ${role} voice).`;
+    }
+  }
+  return null;
+}
+
+export async function GET(request) {
+  try {
+    const localeSettings = getStoredLocaleSettings();
+
+    return Response.json({
+      favourites: getStoredFavourites(),
+      localeSettings,
+      // First run only: offer the IP-based timezone until the household saves one
+      suggestedTimeZone: localeSettings.timeZone ? null : await suggestTimeZoneFromRequest(request),
+      defaultLocale: DEFAULT_LOCALE,
+      units: getStoredUnits() || DEFAULT_UNIT_SYSTEM,
+      templates: getStoredTemplates(),
+      editableTemplates: describeEditableTemplates(),
+      pronunciations: getStoredPronunciations(),
+      defaultPronunciations: DEFAULT_PRONUNCIATIONS,
+      voiceCast: getStoredVoiceCast(),
+    });
+  } catch (error) {
+    console.error("Settings read error:", error);
+    return Response.json(
+      { error: "Failed to read settings" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    // Only the household connected to Yoto may change its settings
+    const { accessToken, reauthRequired } = await getValidAccessToken();
+    if (!accessToken) {
+      if (reauthRequired) {
+        return createAuthErrorResponse();
+      }
+      return Response.json(
+        {
+          error: "Not authenticated. Please connect with Yoto first.",
+          needsAuth: true,
+        },
+        { status: 401 }
+      );
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const updates = [];
+
+    // Validate everything before saving anything, so a bad field doesn't leave a half-saved form
+    if (body.favourites !== undefined) {
+      const drivers = cleanNameList(body.favourites?.drivers);
+      const teams = cleanNameList(body.favourites?.teams);
+
+      if (drivers === null || teams === null) {
+        return Response.json(
+          { error: "Favourites must be lists of driver and team names." },
+          { status: 400 }
+        );
+      }
+
+      updates.push(() => storeFavourites({ drivers, teams }));
+    }
+
+    if (body.localeSettings !== undefined) {
+      const { timeZone, locale = DEFAULT_LOCALE } = body.localeSettings || {};
+
+      if (!isValidTimeZone(timeZone)) {
+        return Response.json(
+          { error: `Unknown timezone "${timeZone}". Use an IANA name such as "Europe/London".` },
+          { status: 400 }
+        );
+      }
+      if (!isValidLocale(locale)) {
+        return Response.json(
+          { error: `Unsupported locale "${locale}". Use a language tag such as "en-GB".` },
+          { status: 400 }
+        );
+      }
+
+      updates.push(() => storeLocaleSettings({ timeZone, locale }));
+    }
+
+    if (body.units !== undefined) {
+      if (!isValidUnitSystem(body.units)) {
+        return Response.json(
+          { error: `Unknown unit system "${body.units}". Use one of: ${UNIT_SYSTEMS.join(', ')}.` },
+          { status: 400 }
+        );
+      }
+
+      updates.push(() => storeUnits(body.units));
+    }
+
+    // Only the templates sent are changed; the rest keep their current wording
+    if (body.templates !== undefined) {
+      const templateError = findTemplateError(body.templates);
+      if (templateError) {
+        return Response.json(
+          { error: templateError },
+          { status: 400 }
+        );
+      }
+
+      Object.entries(body.templates).forEach(([language, templates]) => {
+        updates.push(() => storeTemplates(language, templates));
+      });
+    }
+
+    // Likewise only the names sent are changed
+    if (body.pronunciations !== undefined) {
+      const pronunciationError = findPronunciationError(body.pronunciations);
+      if (pronunciationError) {
+        return Response.json(
+          { error: pronunciationError },
+          { status: 400 }
+        );
+      }
+
+      Object.entries(body.pronunciations).forEach(([language, pronunciations]) => {
+        updates.push(() => storePronunciations(language, pronunciations));
+      });
+    }
+
+    // The whole cast is replaced; a role left out goes back to the presenter's voice
+    if (body.voiceCast !== undefined) {
+      const voiceCastError = body.voiceCast === null ? null : findVoiceCastError(body.voiceCast);
+      if (voiceCastError) {
+        return Response.json(
+          { error: voiceCastError },
+          { status: 400 }
+        );
+      }
+
+      updates.push(() => storeVoiceCast(body.voiceCast));
+    }
+
+    updates.forEach(update => update());
+    // Automated refreshes skip unchanged OpenF1 data; forget it so the next one applies the new settings
+    if (updates.length > 0) {
+      storeDataHash(null);
+    }
+
+    return Response.json({
+      success: true,
+      favourites: getStoredFavourites(),
+      localeSettings: getStoredLocaleSettings(),
+      units: getStoredUnits() || DEFAULT_UNIT_SYSTEM,
+      templates: getStoredTemplates(),
+      pronunciations: getStoredPronunciations(),
+      voiceCast: getStoredVoiceCast(),
+    });
+  } catch (error) {
+    console.error("Settings update error:", error);
+
+    if (isAuthError(error)) {
+      return createAuthErrorResponse();
+    }
+
+    return Response.json(
+      { error: error.message || "Failed to save settings" },
+      { status: 500 }
+    );
+  }
+}
@@ -1,10 +1,60 @@
 "use client";
 import { useState, useEffect } from "react";
 import styles from "./page.module.css";
+import { formatTemperatureShort } from "@/utils/unitUtils";
 
 // Maximum file size for audio uploads (100MB)
 const MAX_FILE_SIZE_MB = 100;
 
+// Championship table depths offered in the UI ("all" = full grid)
+const STANDINGS_SIZE_OPTIONS = [
+  { value: "3", label: "Top 3" },
+  { value: "5", label: "Top 5" },
+  { value: "10", label: "Top 10" },
+  { value: "all", label: "Full grid" },
+];
+
+// Narration languages offered per card (English fills in anything untranslated)
+const LANGUAGE_OPTIONS = [
+  { value: "en", label: "English" },
+  { value: "es", label: "Español" },
+  { value: "fr", label: "Français" },
+  { value: "de", label: "Deutsch" },
+  { value: "it", label: "Italiano" },
+  { value: "nl", label: "Nederlands" },
+];
+
+// How much detail each card goes into, by age of the listeners
+const NARRATION_PROFILE_OPTIONS = [
+  { value: "little-fan", label: "Little fans - short and simple" },
+  { value: "default", label: "Older kids - standard" },
+  { value: "expert", label: "Grown-ups - extra stats" },
+];
+
+// Date formats offered for spoken dates on English cards (other languages use their own)
+const LOCALE_OPTIONS = [
+  { value: "en-US", label: "English (US) - Sunday, March 24, 2024" },
+  { value: "en-GB", label: "English (UK) - Sunday 24 March 2024" },
+  { value: "en-AU", label: "English (Australia)" },
+  { value: "en-CA", label: "English (Canada)" },
+  { value: "en-IE", label: "English (Ireland)" },
+  { value: "en-NZ", label: "English (New Zealand)" },
+];
+
+// Units for spoken temperatures, wind speeds and distances
+const UNIT_OPTIONS = [
+  { value: "metric", label: "Metric (°C, km/h, kilometres)" },
+  { value: "imperial", label: "Imperial (°F, mph, miles)" },
+];
+
+// Who reads which part of the card; each role can have its own ElevenLabs voice
+const VOICE_ROLE_OPTIONS = [
+  { value: "presenter", label: "Presenter (overview, results and standings)" },
+  { value: "reporter", label: "Pit-lane reporter (session previews)" },
+  { value: "weather", label: "Weather presenter (forecasts)" },
+];
+const EMPTY_VOICE_CAST = { presenter: "", reporter: "", weather: "" };
+
 export default function Home() {
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null);
@@ -19,6 +69,33 @@ export default function Home() {
   const [yotoResult, setYotoResult] = useState(null);
   const [refreshingPlaylist, setRefreshingPlaylist] = useState(false);
   const [refreshResult, setRefreshResult] = useState(null);
+  const [standingsSize, setStandingsSize] = useState("5");
+  const [strategyCorner, setStrategyCorner] = useState(false);
+  const [language, setLanguage] = useState("en");
+  const [narrationProfile, setNarrationProfile] = useState("default");
+  const [favouriteDrivers, setFavouriteDrivers] = useState("");
+  const [favouriteTeams, setFavouriteTeams] = useState("");
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [settingsSaved, setSettingsSaved] = useState(false);
+  const [timeZone, setTimeZone] = useState("");
+  const [timeZoneSuggested, setTimeZoneSuggested] = useState(false);
+  const [locale, setLocale] = useState("en-US");
+  const [units, setUnits] = useState("metric");
+  const [voiceCast, setVoiceCast] = useState(EMPTY_VOICE_CAST);
+  const [timeZoneOptions, setTimeZoneOptions] = useState([]);
+  const [editableTemplates, setEditableTemplates] = useState([]);
+  const [storedTemplates, setStoredTemplates] = useState({});
+  const [templateLanguage, setTemplateLanguage] = useState("en");
+  const [templateKey, setTemplateKey] = useState("overview.intro");
+  const [templateText, setTemplateText] = useState("");
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const [templateSaved, setTemplateSaved] = useState(false);
+  const [storedPronunciations, setStoredPronunciations] = useState({});
+  const [defaultPronunciations, setDefaultPronunciations] = useState({});
+  const [pronunciationLanguage, setPronunciationLanguage] = useState("en");
+  const [pronunciationText, setPronunciationText] = useState("");
+  const [savingPronunciations, setSavingPronunciations] = useState(false);
+  const [pronunciationsSaved, setPronunciationsSaved] = useState(false);
 
   // Check authentication status on mount
   useEffect(() => {
@@ -37,6 +114,54 @@ export default function Home() {
     checkAuth();
   }, []);
 
+  // Load household settings once authenticated
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const loadSettings = async () => {
+      try {
+        const response = await fetch("/api/settings");
+        const data = await response.json();
+        if (data.favourites) {
+          setFavouriteDrivers(data.favourites.drivers.join(", "));
+          setFavouriteTeams(data.favourites.teams.join(", "));
+        }
+        // Until a timezone is saved, pre-fill the one suggested from the IP address
+        setTimeZone(data.localeSettings?.timeZone || data.suggestedTimeZone || "UTC");
+        setTimeZoneSuggested(!data.localeSettings?.timeZone);
+        setLocale(data.localeSettings?.locale || data.defaultLocale || "en-US");
+        setUnits(data.units || "metric");
+        setVoiceCast({ ...EMPTY_VOICE_CAST, ...data.voiceCast });
+        setEditableTemplates(data.editableTemplates || []);
+        setStoredTemplates(data.templates || {});
+        setStoredPronunciations(data.pronunciations || {});
+        setDefaultPronunciations(data.defaultPronunciations || {});
+      } catch (err) {
+        console.error("Failed to load settings:", err);
+      }
+    };
+    loadSettings();
+  }, [isAuthenticated]);
+
+  // Show the household's version of the chosen template, or the shipped wording
+  useEffect(() => {
+    const template = editableTemplates.find(item => item.key === templateKey);
+    setTemplateText(storedTemplates[templateLanguage]?.[templateKey] ?? template?.defaults[templateLanguage] ?? "");
+  }, [editableTemplates, storedTemplates, templateLanguage, templateKey]);
+
+  // One "Name = how to say it" line per household entry
+  useEffect(() => {
+    const entries = Object.entries(storedPronunciations[pronunciationLanguage] || {});
+    setPronunciationText(entries.map(([name, spoken]) => `${name} = ${spoken}`).join("\n"));
+  }, [storedPronunciations, pronunciationLanguage]);
+
+  // Build the timezone list in the browser to avoid a server/client mismatch
+  useEffect(() => {
+    if (typeof Intl.supportedValuesOf === "function") {
+      setTimeZoneOptions(Intl.supportedValuesOf("timeZone"));
+    }
+  }, []);
+
   // Poll job status when a job is active
   useEffect(() => {
     if (!pollingJobId) return;
@@ -79,7 +204,7 @@ export default function Home() {
       const response = await fetch("/api/generate-card", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({}),
+        body: JSON.stringify({ standingsSize, strategyCorner, language, narrationProfile }),
       });
 
       const data = await response.json();
@@ -103,6 +228,130 @@ export default function Home() {
     }
   };
 
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    setSavingSettings(true);
+    setSettingsSaved(false);
+    setError(null);
+
+    // Favourites are entered as comma-separated names
+    const toList = (value) => value.split(",").map(name => name.trim()).filter(Boolean);
+
+    try {
+      const response = await fetch("/api/settings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          favourites: {
+            drivers: toList(favouriteDrivers),
+            teams: toList(favouriteTeams),
+          },
+          localeSettings: { timeZone, locale },
+          units,
+          // Blank boxes are sent as null, so those roles use the presenter's voice
+          voiceCast: Object.fromEntries(
+            Object.entries(voiceCast).map(([role, voiceId]) => [role, voiceId.trim() || null])
+          ),
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to save settings");
+      }
+
+      setFavouriteDrivers(data.favourites.drivers.join(", "));
+      setFavouriteTeams(data.favourites.teams.join(", "));
+      setTimeZone(data.localeSettings.timeZone);
+      setLocale(data.localeSettings.locale);
+      setUnits(data.units);
+      setVoiceCast({ ...EMPTY_VOICE_CAST, ...data.voiceCast });
+      setTimeZoneSuggested(false);
+      setSettingsSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  // Save a template override, or send null to go back to the shipped wording
+  const saveTemplate = async (text) => {
+    setSavingTemplate(true);
+    setError(null);
+
+    try {
+      const response = await fetch("/api/settings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          templates: { [templateLanguage]: { [templateKey]: text } },
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to save template");
+      }
+
+      setStoredTemplates(data.templates);
+      setTemplateSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
+  const handleSaveTemplate = (e) => {
+    e.preventDefault();
+    saveTemplate(templateText);
+  };
+
+  // Save the household's pronunciations for one language; names no longer listed are sent as null to remove them
+  const handleSavePronunciations = async (e) => {
+    e.preventDefault();
+    setSavingPronunciations(true);
+    setError(null);
+
+    try {
+      const pronunciations = {};
+      Object.keys(storedPronunciations[pronunciationLanguage] || {}).forEach(name => {
+        pronunciations[name] = null;
+      });
+      pronunciationText.split("\n").map(line => line.trim()).filter(Boolean).forEach(line => {
+        const separator = line.indexOf("=");
+        if (separator === -1) {
+          throw new Error(`Write each pronunciation as "Name = how to say it" (check "${line}").`);
+        }
+        pronunciations[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      });
+
+      const response = await fetch("/api/settings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          pronunciations: { [pronunciationLanguage]: pronunciations },
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to save pronunciations");
+      }
+
+      setStoredPronunciations(data.pronunciations);
+      setPronunciationsSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingPronunciations(false);
+    }
+  };
+
   const handleUploadToMyo = async (e) => {
     e.preventDefault();
     setUploadingMyo(true);
@@ -166,6 +415,10 @@ export default function Home() {
           chapters: result.chapters,
           title: 'F1: Next Race',
           updateExisting: true,
+          language: result.language,
+          narrationProfile: result.narrationProfile,
+          standingsSize: result.standingsSize,
+          strategyCorner: result.strategyCorner,
         }),
       });
 
@@ -273,7 +526,264 @@ export default function Home() {
           </div>
         ) : (
           <>
+            <form onSubmit={handleSaveSettings} className={styles.settingsSection}>
+              <h3 className={styles.settingsTitle}>⭐ Household Settings</h3>
+              <p className={styles.settingsHint}>
+                Separate names with commas. Each favourite gets its own track with their championship position, gaps and last race result.
+              </p>
+              <label className={styles.field}>
+                <span className={styles.fieldLabel}>Favourite drivers</span>
+                <input
+                  type="text"
+                  value={favouriteDrivers}
+                  onChange={(e) => { setFavouriteDrivers(e.target.value); setSettingsSaved(false); }}
+                  placeholder="e.g. Lando Norris, Hulkenberg"
+                  className={styles.input}
+                />
+              </label>
+              <label className={styles.field}>
+                <span className={styles.fieldLabel}>Favourite teams</span>
+                <input
+                  type="text"
+                  value={favouriteTeams}
+                  onChange={(e) => { setFavouriteTeams(e.target.value); setSettingsSaved(false); }}
+                  placeholder="e.g. Williams, Haas"
+                  className={styles.input}
+                />
+              </label>
+              <label className={styles.field}>
+                <span className={styles.fieldLabel}>Timezone for race times</span>
+                <select
+                  value={timeZone}
+                  onChange={(e) => { setTimeZone(e.target.value); setTimeZoneSuggested(false); setSettingsSaved(false); }}
+                  className={styles.input}
+                >
+                  {!timeZoneOptions.includes(timeZone) && timeZone && (
+                    <option value={timeZone}>{timeZone}</option>
+                  )}
+                  {timeZoneOptions.map(zone => (
+                    <option key={zone} value={zone}>{zone}</option>
+                  ))}
+                </select>
+              </label>
+              {timeZoneSuggested && (
+                <p className={styles.settingsHint}>
+                  📍 Suggested from your location. Save to use it for automated refreshes too (they use UTC until a timezone is saved).
+                </p>
+              )}
+              <label className={styles.field}>
+                <span className={styles.fieldLabel}>Date format</span>
+                <select
+                  value={locale}
+                  onChange={(e) => { setLocale(e.target.value); setSettingsSaved(false); }}
+                  className={styles.input}
+                >
+                  {LOCALE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className={styles.field}>
+                <span className={styles.fieldLabel}>Units</span>
+                <select
+                  value={units}
+                  onChange={(e) => { setUnits(e.target.value); setSettingsSaved(false); }}
+                  className={styles.input}
+                >
+                  {UNIT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <p className={styles.settingsHint}>
+                Voices are ElevenLabs voice IDs. Leave a role blank for the presenter to read it,
+                and the presenter blank for the default voice.
+              </p>
+              {VOICE_ROLE_OPTIONS.map(option => (
+                <label key={option.value} className={styles.field}>
+                  <span className={styles.fieldLabel}>{option.label}</span>
+                  <input
+                    type="text"
+                    value={voiceCast[option.value]}
+                    onChange={(e) => { setVoiceCast({ ...voiceCast, [option.value]: e.target.value }); setSettingsSaved(false); }}
+                    placeholder="e.g. JBFqnCBsd6RMkjVDRZzb"
+                    className={styles.input}
+                  />
+                </label>
+              ))}
+              <button
+                type="submit"
+                disabled={savingSettings}
+                className={styles.buttonSecondary}
+              >
+                {savingSettings ? "Saving..." : "Save Settings"}
+              </button>
+              {settingsSaved && (
+                <p className={styles.settingsSaved}>✅ Settings saved. They will be used for the next card and automated refreshes.</p>
+              )}
+            </form>
+
+            {editableTemplates.length > 0 && (
+              <form onSubmit={handleSaveTemplate} className={styles.settingsSection}>
+                <h3 className={styles.settingsTitle}>📝 Narration Templates</h3>
+                <p className={styles.settingsHint}>
+                  Rewrite the greeting, sign-off or session previews. Placeholders such as {"{raceName}"} are filled in for each race,
+                  and {"{#if sessionTime}...{else}...{/if}"} only reads the first part when the placeholder has a value.
+                </p>
+                <label className={styles.field}>
+                  <span className={styles.fieldLabel}>Language</span>
+                  <select
+                    value={templateLanguage}
+                    onChange={(e) => { setTemplateLanguage(e.target.value); setTemplateSaved(false); }}
+                    className={styles.input}
+                  >
+                    {LANGUAGE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className={styles.field}>
+                  <span className={styles.fieldLabel}>Template</span>
+                  <select
+                    value={templateKey}
+                    onChange={(e) => { setTemplateKey(e.target.value); setTemplateSaved(false); }}
+                    className={styles.input}
+                  >
+                    {editableTemplates.map(template => (
+                      <option key={template.key} value={template.key}>
+                        {template.label}{storedTemplates[templateLanguage]?.[template.key] !== undefined ? " (customised)" : ""}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className={styles.field}>
+                  <span className={styles.fieldLabel}>Wording</span>
+                  <textarea
+                    value={templateText}
+                    onChange={(e) => { setTemplateText(e.target.value); setTemplateSaved(false); }}
+                    className={`${styles.input} ${styles.templateInput}`}
+                  />
+                </label>
+                <p className={styles.settingsHint}>
+                  Placeholders: {editableTemplates.find(item => item.key === templateKey)?.placeholders.map(name => `{${name}}`).join(", ")}
+                </p>
+                <div className={styles.templateActions}>
+                  <button
+                    type="submit"
+                    disabled={savingTemplate}
+                    className={styles.buttonSecondary}
+                  >
+                    {savingTemplate ? "Saving..." : "Save Template"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => saveTemplate(null)}
+                    disabled={savingTemplate || storedTemplates[templateLanguage]?.[templateKey] === undefined}
+                    className={styles.buttonSecondary}
+                  >
+                    Reset to Default
+                  </button>
+                </div>
+                {templateSaved && (
+                  <p className={styles.settingsSaved}>✅ Template saved. It will be used for the next card and automated refreshes.</p>
+                )}
+              </form>
+            )}
+
+            <form onSubmit={handleSavePronunciations} className={styles.settingsSection}>
+              <h3 className={styles.settingsTitle}>🗣️ Pronunciations</h3>
+              <p className={styles.settingsHint}>
+                Teach the voice how to say tricky names, one per line, e.g. &quot;Zandvoort = Zand-fort&quot;.
+                Only the audio changes: track titles and the script on this page keep the real spelling.
+              </p>
+              <label className={styles.field}>
+                <span className={styles.fieldLabel}>Language</span>
+                <select
+                  value={pronunciationLanguage}
+                  onChange={(e) => { setPronunciationLanguage(e.target.value); setPronunciationsSaved(false); }}
+                  className={styles.input}
+                >
+                  {LANGUAGE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className={styles.field}>
+                <span className={styles.fieldLabel}>Your pronunciations</span>
+                <textarea
+                  value={pronunciationText}
+                  onChange={(e) => { setPronunciationText(e.target.value); setPronunciationsSaved(false); }}
+                  placeholder="Hülkenberg = Hool-ken-bairg"
+                  className={`${styles.input} ${styles.templateInput}`}
+                />
+              </label>
+              {Object.keys(defaultPronunciations[pronunciationLanguage] || {}).length > 0 && (
+                <p className={styles.settingsHint}>
+                  Already built in (add a line to change one, or &quot;Name = Name&quot; to read it as written):{" "}
+                  {Object.entries(defaultPronunciations[pronunciationLanguage]).map(([name, spoken]) => `${name} = ${spoken}`).join(", ")}
+                </p>
+              )}
+              <button
+                type="submit"
+                disabled={savingPronunciations}
+                className={styles.buttonSecondary}
+              >
+                {savingPronunciations ? "Saving..." : "Save Pronunciations"}
+              </button>
+              {pronunciationsSaved && (
+                <p className={styles.settingsSaved}>✅ Pronunciations saved. They will be used for the next card and automated refreshes.</p>
+              )}
+            </form>
+
             <form onSubmit={handleGenerateCard} className={styles.form}>
+              <label className={styles.field}>
+                <span className={styles.fieldLabel}>Narration language</span>
+                <select
+                  value={language}
+                  onChange={(e) => setLanguage(e.target.value)}
+                  disabled={loading}
+                  className={styles.input}
+                >
+                  {LANGUAGE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className={styles.field}>
+                <span className={styles.fieldLabel}>Narration style</span>
+                <select
+                  value={narrationProfile}
+                  onChange={(e) => setNarrationProfile(e.target.value)}
+                  disabled={loading}
+                  className={styles.input}
+                >
+                  {NARRATION_PROFILE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className={styles.field}>
+                <span className={styles.fieldLabel}>Championship standings</span>
+                <select
+                  value={standingsSize}
+                  onChange={(e) => setStandingsSize(e.target.value)}
+                  disabled={loading}
+                  className={styles.input}
+                >
+                  {STANDINGS_SIZE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className={styles.checkboxField}>
+                <input
+                  type="checkbox"
+                  checked={strategyCorner}
+                  onChange={(e) => setStrategyCorner(e.target.checked)}
+                  disabled={loading}
+                />
+                <span>Add Strategy Corner (pit stops and tyres, for older fans)</span>
+              </label>
               <button
                 type="submit"
                 disabled={loading}
@@ -337,10 +847,10 @@ export default function Home() {
                     <div className={styles.weather}>
                       <h4>🌤️ Weather Conditions</h4>
                       {refreshResult.weather.airTemperature && (
-                        <p><strong>Air Temp:</strong> {Math.round(refreshResult.weather.airTemperature)}°C</p>
+                        <p><strong>Air Temp:</strong> {formatTemperatureShort(refreshResult.weather.airTemperature, units)}</p>
                       )}
                       {refreshResult.weather.trackTemperature && (
-                        <p><strong>Track Temp:</strong> {Math.round(refreshResult.weather.trackTemperature)}°C</p>
+                        <p><strong>Track Temp:</strong> {formatTemperatureShort(refreshResult.weather.trackTemperature, units)}</p>
                       )}
                       {refreshResult.weather.humidity && (
                         <p><strong>Humidity:</strong> {Math.round(refreshResult.weather.humidity)}%</p>
@@ -0,0 +1,370 @@
+// Bundled facts about each Formula 1 circuit, keyed by OpenF1's `circuit_key`
+// (the same key returned by /meetings and getMeetingDetails()).
+// lengthKm and laps are for the Grand Prix distance; lapRecord is the fastest
+// lap ever set in a race (not qualifying), with the time in seconds.
+// latitude/longitude locate the circuit for weather forecasts. Measurements in
+// facts are written as {distance:km}, {speed:km/h} or {length:metres} so they
+// can be spoken in the household's units (see fillMeasurements()).
+// Circuits missing from this list fall back to the generic circuit type description.
+
+export const CIRCUITS = {
+  2: {
+    name: "Silverstone Circuit",
+    latitude: 52.0786,
+    longitude: -1.0169,
+    lengthKm: 5.891,
+    laps: 52,
+    corners: 18,
+    drsZones: 2,
+    lapRecord: { time: 87.097, driver: "Max Verstappen", year: 2020 },
+    facts: [
+      "Silverstone hosted the very first Formula 1 World Championship race, way back in 1950.",
+      "The track was built on an old airfield, and some of the straights follow the old runways.",
+      "Maggots, Becketts and Chapel are a super-fast run of corners where the cars wiggle left and right like a snake.",
+    ],
+  },
+  4: {
+    name: "Hungaroring",
+    latitude: 47.5789,
+    longitude: 19.2486,
+    lengthKm: 4.381,
+    laps: 70,
+    corners: 14,
+    drsZones: 1,
+    lapRecord: { time: 76.627, driver: "Lewis Hamilton", year: 2020 },
+    facts: [
+      "The Hungaroring is twisty and narrow, a bit like a go-kart track for Formula 1 cars.",
+      "Overtaking here is tricky, so a good qualifying lap is extra important.",
+      "The track sits in a valley, so fans on the hillsides can see lots of the circuit at once.",
+    ],
+  },
+  6: {
+    name: "Imola",
+    latitude: 44.3439,
+    longitude: 11.7167,
+    lengthKm: 4.909,
+    laps: 63,
+    corners: 19,
+    drsZones: 1,
+    lapRecord: { time: 75.484, driver: "Lewis Hamilton", year: 2020 },
+    facts: [
+      "Imola is named after the town it's in, and its full name honours Enzo Ferrari and his son Dino.",
+      "The circuit runs anticlockwise, which is unusual in Formula 1.",
+      "Ferrari's factory in Maranello is only about an hour's drive away, so the crowd is a sea of red.",
+    ],
+  },
+  7: {
+    name: "Circuit de Spa-Francorchamps",
+    latitude: 50.4372,
+    longitude: 5.9714,
+    lengthKm: 7.004,
+    laps: 44,
+    corners: 19,
+    drsZones: 2,
+    lapRecord: { time: 104.701, driver: "Sergio Perez", year: 2024 },
+    facts: [
+      "Spa is the longest track on the calendar, at over {distance:7}!",
+      "Eau Rouge and Raidillon is a famous corner where the cars swoop downhill and then climb steeply up a hill.",
+      "The weather in the Ardennes forest is so changeable that it can be raining on one part of the track and sunny on another.",
+    ],
+  },
+  9: {
+    name: "Circuit of the Americas",
+    latitude: 30.1328,
+    longitude: -97.6411,
+    lengthKm: 5.513,
+    laps: 56,
+    corners: 20,
+    drsZones: 2,
+    lapRecord: { time: 96.169, driver: "Charles Leclerc", year: 2019 },
+    facts: [
+      "The first corner is at the top of a steep hill, so the drivers brake while climbing into it.",
+      "Some corners were inspired by famous bends at other tracks, like Silverstone and Istanbul.",
+      "A tall red observation tower lets fans look down over the whole circuit.",
+    ],
+  },
+  10: {
+    name: "Albert Park Circuit",
+    latitude: -37.8497,
+    longitude: 144.968,
+    lengthKm: 5.278,
+    laps: 58,
+    corners: 14,
+    drsZones: 4,
+    lapRecord: { time: 79.813, driver: "Charles Leclerc", year: 2024 },
+    facts: [
+      "Albert Park runs around a lake in a park in the middle of Melbourne.",
+      "For most of the year the track is made of normal roads that people drive and cycle on.",
+      "Melbourne has often hosted the first race of the season.",
+    ],
+  },
+  14: {
+    name: "Interlagos",
+    latitude: -23.7036,
+    longitude: -46.6997,
+    lengthKm: 4.309,
+    laps: 71,
+    corners: 15,
+    drsZones: 2,
+    lapRecord: { time: 70.540, driver: "Valtteri Bottas", year: 2018 },
+    facts: [
+      "The circuit's official name is Autódromo José Carlos Pace, after a Brazilian racing driver.",
+      "Like Imola, Interlagos runs anticlockwise.",
+      "Brazilian fans are some of the loudest in the world, especially when it rains and the race gets wild.",
+    ],
+  },
+  15: {
+    name: "Circuit de Barcelona-Catalunya",
+    latitude: 41.57,
+    longitude: 2.2611,
+    lengthKm: 4.657,
+    laps: 66,
+    corners: 14,
+    drsZones: 2,
+    lapRecord: { time: 75.743, driver: "Oscar Piastri", year: 2025 },
+    facts: [
+      "Teams have tested here so often that the drivers know every bump in the track.",
+      "The long main straight is over {distance:1} long, perfect for overtaking into turn one.",
+      "Max Verstappen won his very first Grand Prix here in 2016, when he was just 18 years old.",
+    ],
+  },
+  19: {
+    name: "Red Bull Ring",
+    latitude: 47.2197,
+    longitude: 14.7647,
+    lengthKm: 4.318,
+    laps: 71,
+    corners: 10,
+    drsZones: 3,
+    lapRecord: { time: 65.619, driver: "Carlos Sainz", year: 2020 },
+    facts: [
+      "The Red Bull Ring is one of the shortest laps of the year, taking only just over a minute.",
+      "It's built on the side of a mountain in Austria, so the cars climb and dive all the way round.",
+      "With only 10 corners, it has fewer turns than almost any other track.",
+    ],
+  },
+  22: {
+    name: "Circuit de Monaco",
+    latitude: 43.7347,
+    longitude: 7.4206,
+    lengthKm: 3.337,
+    laps: 78,
+    corners: 19,
+    drsZones: 1,
+    lapRecord: { time: 72.909, driver: "Lewis Hamilton", year: 2021 },
+    facts: [
+      "Monaco is the shortest and slowest track of the year, squeezed through the streets of a tiny country.",
+      "The cars race through a tunnel, and then past yachts in the harbour.",
+      "The hairpin here is so tight that the cars have to slow right down, to about the speed of a bicycle, to get round it.",
+    ],
+  },
+  23: {
+    name: "Circuit Gilles Villeneuve",
+    latitude: 45.5,
+    longitude: -73.5228,
+    lengthKm: 4.361,
+    laps: 70,
+    corners: 14,
+    drsZones: 3,
+    lapRecord: { time: 73.078, driver: "Valtteri Bottas", year: 2019 },
+    facts: [
+      "The track is on an island in the middle of a river in Montreal.",
+      "The wall at the last chicane is nicknamed the Wall of Champions, because so many world champions have crashed into it.",
+      "Groundhogs live around the circuit and sometimes pop out to watch the cars!",
+    ],
+  },
+  39: {
+    name: "Monza",
+    latitude: 45.6156,
+    longitude: 9.2811,
+    lengthKm: 5.793,
+    laps: 53,
+    corners: 11,
+    drsZones: 2,
+    lapRecord: { time: 80.901, driver: "Lando Norris", year: 2025 },
+    facts: [
+      "Monza is called the Temple of Speed, because the cars go faster here than anywhere else.",
+      "Drivers spend most of the lap with their foot flat on the accelerator.",
+      "It's Ferrari's home race, and fans flood onto the track to see the podium after the race.",
+    ],
+  },
+  46: {
+    name: "Suzuka Circuit",
+    latitude: 34.8431,
+    longitude: 136.5411,
+    lengthKm: 5.807,
+    laps: 53,
+    corners: 18,
+    drsZones: 1,
+    lapRecord: { time: 90.965, driver: "Kimi Antonelli", year: 2025 },
+    facts: [
+      "Suzuka is shaped like a figure of eight, with a bridge where the track crosses over itself.",
+      "There's a big Ferris wheel in the funfair next to the circuit.",
+      "Japanese fans are famous for their amazing homemade hats and costumes.",
+    ],
+  },
+  49: {
+    name: "Shanghai International Circuit",
+    latitude: 31.3389,
+    longitude: 121.22,
+    lengthKm: 5.451,
+    laps: 56,
+    corners: 16,
+    drsZones: 2,
+    lapRecord: { time: 92.238, driver: "Michael Schumacher", year: 2004 },
+    facts: [
+      "From above, the track is shaped like the Chinese character shang, which means high or above.",
+      "The first corner keeps turning and turning, like a snail's shell.",
+      "The back straight is more than {distance:1} long, one of the longest in Formula 1.",
+    ],
+  },
+  55: {
+    name: "Circuit Zandvoort",
+    latitude: 52.3888,
+    longitude: 4.5409,
+    lengthKm: 4.259,
+    laps: 72,
+    corners: 14,
+    drsZones: 2,
+    lapRecord: { time: 71.097, driver: "Lewis Hamilton", year: 2021 },
+    facts: [
+      "Zandvoort is built among the sand dunes next to the beach in the Netherlands.",
+      "Some corners are banked, tilted like a bowl, so the cars can go round them faster.",
+      "The grandstands turn orange because so many fans come to cheer for Max Verstappen.",
+    ],
+  },
+  61: {
+    name: "Marina Bay Street Circuit",
+    latitude: 1.2914,
+    longitude: 103.864,
+    lengthKm: 4.940,
+    laps: 62,
+    corners: 19,
+    drsZones: 3,
+    lapRecord: { time: 94.486, driver: "Daniel Ricciardo", year: 2024 },
+    facts: [
+      "Singapore was the first Formula 1 night race, lit up by thousands of bright lights.",
+      "It's so hot and sticky that drivers can lose a few kilograms in sweat during the race.",
+      "The safety car has come out in almost every race ever held here.",
+    ],
+  },
+  63: {
+    name: "Bahrain International Circuit",
+    latitude: 26.0325,
+    longitude: 50.5106,
+    lengthKm: 5.412,
+    laps: 57,
+    corners: 15,
+    drsZones: 3,
+    lapRecord: { time: 91.447, driver: "Pedro de la Rosa", year: 2005 },
+    facts: [
+      "The circuit is in the middle of the desert, so sand sometimes blows onto the track.",
+      "The race starts in the evening and finishes under floodlights.",
+      "Bahrain was the first Formula 1 race ever held in the Middle East, in 2004.",
+    ],
+  },
+  65: {
+    name: "Autódromo Hermanos Rodríguez",
+    latitude: 19.4042,
+    longitude: -99.0907,
+    lengthKm: 4.304,
+    laps: 71,
+    corners: 17,
+    drsZones: 3,
+    lapRecord: { time: 77.774, driver: "Valtteri Bottas", year: 2021 },
+    facts: [
+      "Mexico City is more than {distance:2} above sea level, so the air is thin and the cars have less grip.",
+      "The track goes right through an old baseball stadium, packed with cheering fans.",
+      "It's named after two Mexican racing brothers, Ricardo and Pedro Rodríguez.",
+    ],
+  },
+  70: {
+    name: "Yas Marina Circuit",
+    latitude: 24.4672,
+    longitude: 54.6031,
+    lengthKm: 5.281,
+    laps: 58,
+    corners: 16,
+    drsZones: 2,
+    lapRecord: { time: 85.637, driver: "Kevin Magnussen", year: 2024 },
+    facts: [
+      "The race starts in daylight and ends in the dark, as the sun sets over Abu Dhabi.",
+      "The pit lane exit goes through a tunnel underneath the track.",
+      "A hotel sits right over the circuit, and its roof lights up in different colours.",
+    ],
+  },
+  144: {
+    name: "Baku City Circuit",
+    latitude: 40.3725,
+    longitude: 49.8533,
+    lengthKm: 6.003,
+    laps: 51,
+    corners: 20,
+    drsZones: 2,
+    lapRecord: { time: 103.009, driver: "Charles Leclerc", year: 2019 },
+    facts: [
+      "Baku mixes a super-long straight with a narrow twisty section past the old castle walls.",
+      "At one point the track is only about {length:7} wide, barely wider than two cars.",
+      "Races here are often full of surprises, with safety cars and crashes.",
+    ],
+  },
+  149: {
+    name: "Jeddah Corniche Circuit",
+    latitude: 21.6319,
+    longitude: 39.1044,
+    lengthKm: 6.174,
+    laps: 50,
+    corners: 27,
+    drsZones: 3,
+    lapRecord: { time: 90.734, driver: "Lewis Hamilton", year: 2021 },
+    facts: [
+      "Jeddah is the fastest street circuit in the world, with the cars averaging over {speed:250}.",
+      "It has 27 corners, more than any other track on the calendar.",
+      "The circuit runs along the coast of the Red Sea.",
+    ],
+  },
+  150: {
+    name: "Lusail International Circuit",
+    latitude: 25.49,
+    longitude: 51.4542,
+    lengthKm: 5.419,
+    laps: 57,
+    corners: 16,
+    drsZones: 2,
+    lapRecord: { time: 82.384, driver: "Lando Norris", year: 2024 },
+    facts: [
+      "Lusail was built for motorbike racing before Formula 1 came to Qatar.",
+      "The race is held at night under bright floodlights.",
+      "There are lots of fast, flowing corners, which are very tough on the tyres.",
+    ],
+  },
+  151: {
+    name: "Miami International Autodrome",
+    latitude: 25.9581,
+    longitude: -80.2389,
+    lengthKm: 5.412,
+    laps: 57,
+    corners: 19,
+    drsZones: 3,
+    lapRecord: { time: 89.708, driver: "Max Verstappen", year: 2023 },
+    facts: [
+      "The track winds around the stadium where the Miami Dolphins play American football.",
+      "There's a pretend marina next to the track, with boats sitting on painted water!",
+    ],
+  },
+  152: {
+    name: "Las Vegas Strip Circuit",
+    latitude: 36.1147,
+    longitude: -115.173,
+    lengthKm: 6.201,
+    laps: 50,
+    corners: 17,
+    drsZones: 2,
+    lapRecord: { time: 94.876, driver: "Lando Norris", year: 2024 },
+    facts: [
+      "The cars race right down the famous Las Vegas Strip, past giant hotels and casinos.",
+      "The race is held late on a Saturday night, when the city lights are at their brightest.",
+      "It's so cold at night in November that keeping the tyres warm is a big challenge.",
+    ],
+  },
+};
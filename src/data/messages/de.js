@@ -0,0 +1,398 @@
+// German narration. Keys match the English catalog (en.js); anything missing
+// here is read in English.
+
+export const messages = {
+  'list.and': 'und',
+
+  'unit.celsius': '{value} Grad Celsius',
+  'unit.fahrenheit': '{value} Grad Fahrenheit',
+  'unit.kmh': '{value} Kilometer pro Stunde',
+  'unit.mph': '{value} Meilen pro Stunde',
+  'unit.kilometre_one': '{value} Kilometer',
+  'unit.kilometre_other': '{value} Kilometer',
+  'unit.mile_one': '{value} Meile',
+  'unit.mile_other': '{value} Meilen',
+  'unit.metre_one': '{value} Meter',
+  'unit.metre_other': '{value} Meter',
+  'unit.foot_one': '{value} Fuß',
+  'unit.foot_other': '{value} Fuß',
+  'lapTime.seconds': '{seconds} Sekunden',
+  'lapTime.minutes_one': '{count} Minute {seconds} Sekunden',
+  'lapTime.minutes_other': '{count} Minuten {seconds} Sekunden',
+
+  'countdown.already': 'schon vorbei',
+  'countdown.today': 'heute',
+  'countdown.tomorrow': 'morgen',
+  'countdown.days': 'in {count} Tagen',
+  'countdown.weeks_one': 'in {count} Woche',
+  'countdown.weeks_other': 'in {count} Wochen',
+  'countdown.months': 'in etwa {count} Monaten',
+  'time.today.morning': 'heute Morgen',
+  'time.today.afternoon': 'heute Nachmittag',
+  'time.today.evening': 'heute Abend',
+  'time.today.night': 'heute Nacht',
+  'time.tomorrow.morning': 'morgen früh',
+  'time.tomorrow.afternoon': 'morgen Nachmittag',
+  'time.tomorrow.evening': 'morgen Abend',
+  'time.tomorrow.night': 'morgen Nacht',
+  'time.onDay.morning': 'am {weekday}morgen',
+  'time.onDay.afternoon': 'am {weekday}nachmittag',
+  'time.onDay.evening': 'am {weekday}abend',
+  'time.onDay.night': 'in der {weekday}nacht',
+  'time.inDays': 'in {count} Tagen, {onDay}',
+  'time.nextWeekend': 'nächstes Wochenende, {onDay}',
+  'time.later': '{countdown}, {onDay}',
+
+  'sessionName.Practice 1': '1. Training',
+  'sessionName.Practice 2': '2. Training',
+  'sessionName.Practice 3': '3. Training',
+  'sessionName.Qualifying': 'Qualifying',
+  'sessionName.Sprint Qualifying': 'Sprint-Qualifying',
+  'sessionName.Sprint Shootout': 'Sprint-Qualifying',
+  'sessionName.Sprint': 'Sprint',
+  'sessionName.Race': 'Rennen',
+
+  'circuitType.permanent': 'eine permanente Rennstrecke',
+  'circuitType.street': 'ein temporärer Stadtkurs',
+  'circuitType.road': 'ein temporärer Straßenkurs',
+  'circuitType.other': 'eine Rennstrecke',
+
+  'chapter.overview': 'Das Rennwochenende',
+  'chapter.nextRace': 'Das nächste F1-Rennen',
+  'chapter.circuit': 'Die Strecke kennenlernen',
+  'chapter.qualifying': 'Ergebnis des Qualifyings',
+  'chapter.sessionResults': 'Ergebnis: {sessionName}',
+  'chapter.sessionLive': '{sessionName} - Live',
+  'chapter.lastRace': 'Ergebnis des letzten Rennens',
+  'chapter.strategy': 'Die Strategie-Ecke',
+  'chapter.favourites': 'Deine Favoriten',
+  'chapter.titleFight': 'Der Titelkampf',
+  'chapter.driversStandings': 'Fahrerwertung',
+  'chapter.teamsStandings': 'Konstrukteurswertung',
+  'chapter.topDrivers': 'Die besten {count} Fahrer',
+  'chapter.topTeams': 'Die besten {count} Teams',
+  'chapter.calendar': 'Der Rennkalender',
+  'track.pastWinners': 'Wer hier schon gewonnen hat',
+  'track.circuit': 'Die Strecke',
+  'track.lapRecord': 'Der Rundenrekord',
+  'track.funFacts': 'Schon gewusst?',
+  'track.pole': 'Pole: {driver}',
+  'track.frontRow': 'Die erste Startreihe',
+  'track.topGrid': 'Die ersten {count} der Startaufstellung',
+  'track.raceControl': 'Was im Rennen passiert ist',
+  'track.sprintWinner': 'Der Sieger des Sprints',
+  'track.retirements': 'Die Ausfälle',
+  'track.fastestPitStop': 'Der schnellste Boxenstopp',
+  'track.podiumStrategy': 'Strategie P{position}: {driver}',
+  'track.tyres': 'Die Reifen',
+  'track.titleFight': 'Der Titelkampf',
+  'track.teamsTitleFight': 'Der Titelkampf der Konstrukteure',
+
+  'overview.intro': 'Hallo, Formel-1-Fans! Ich erzähle euch vom nächsten Rennen der Saison {year}, dem {raceName}.',
+  'overview.intro.v2': 'Hallo, liebe Rennfans! Jetzt erfahrt ihr alles über den {raceName} aus der Saison {year}.',
+  'overview.intro.v3': 'Willkommen zurück, Formel-1-Fans! Als Nächstes steht in der Saison {year} der {raceName} an, und hier ist alles, was ihr wissen müsst.',
+  'overview.location': 'Dieses Rennwochenende findet in {location} statt.',
+  'overview.unknownLocation': 'einem spannenden Ort',
+  'overview.circuit': 'Die Fahrer treten auf der Strecke {circuit} an.',
+  'overview.circuitWithType': 'Die Fahrer treten auf der Strecke {circuit} an, und das ist {circuitType}.',
+  'overview.officialName': 'Der offizielle Name der Veranstaltung lautet {officialName}.',
+  'overview.weekendStarts': 'Das Rennwochenende beginnt {when}!',
+  'overview.weekendUnderway': 'Das Rennwochenende ist schon in vollem Gange!',
+  'overview.grandPrixStarts': 'Der Grand Prix selbst startet {when}.',
+  'overview.raceScheduled': 'Das Rennen ist am {date} um {time} geplant.',
+  'overview.weatherIntro': 'Schauen wir uns das Wetter an der Strecke an.',
+  'overview.weatherIntro.v2': 'Und wie ist das Wetter an der Strecke?',
+  'overview.weatherIntro.v3': 'Zeit für einen kurzen Wettercheck am Circuit.',
+  'overview.airTemperature': 'Die Lufttemperatur beträgt {temperature}.',
+  'overview.trackTemperature': 'Die Streckentemperatur beträgt {temperature}.',
+  'overview.humidity': 'Die Luftfeuchtigkeit liegt bei {humidity} Prozent.',
+  'overview.lightWind': 'Es weht ein leichter Wind mit {speed}.',
+  'overview.moderateWind': 'Es weht ein mäßiger Wind mit {speed}.',
+  'overview.strongWind': 'Es weht ein starker Wind mit {speed}.',
+  'overview.rain': 'Die Fahrer müssen auf nasser Strecke fahren, denn an der Strecke regnet es.',
+  'overview.dry': 'Die Strecke ist trocken und es regnet nicht, perfekt zum Rennen fahren!',
+  'overview.windDirection': 'Der Wind kommt aus {direction}.',
+  'overview.pressure': 'Der Luftdruck beträgt {pressure} Hektopascal.',
+  'overview.liveNow': '{sessionName} läuft gerade!',
+  'overview.finishedCount_one': '{count} von {total} Sessions an diesem Wochenende ist schon vorbei.',
+  'overview.finishedCount_other': '{count} von {total} Sessions an diesem Wochenende sind schon vorbei.',
+  'overview.listenLiveAndEarlier': 'Hör dir die nächsten Kapitel an, um zu erfahren, was gerade live passiert, was als Nächstes kommt und was vorher passiert ist.',
+  'overview.listenLiveAndEarlier.v2': 'Hör weiter zu, dann erfährst du, was gerade live läuft, was als Nächstes kommt und was schon passiert ist.',
+  'overview.listenLive': 'Hör dir die nächsten Kapitel an, um zu erfahren, was gerade live passiert und was als Nächstes kommt.',
+  'overview.listenLive.v2': 'Hör weiter zu, dann erfährst du, was gerade passiert und was als Nächstes kommt.',
+  'overview.listenEarlier': 'Hör dir die nächsten Kapitel an, um zu erfahren, was als Nächstes kommt und was vorher passiert ist!',
+  'overview.listenEarlier.v2': 'Hör weiter zu, dann erfährst du, was als Nächstes kommt und wie die bisherigen Sessions gelaufen sind!',
+  'overview.sessionCount_one': 'An diesem Wochenende steht {count} Session auf dem Plan. Hör dir das nächste Kapitel an, um mehr zu erfahren!',
+  'overview.sessionCount_other': 'An diesem Wochenende stehen {count} Sessions auf dem Plan. Hör dir die nächsten Kapitel an, um mehr über jede Session zu erfahren!',
+  'overview.fallbackIntro': 'Hallo, Formel-1-Fans! Ich erzähle euch vom nächsten Rennen der Saison {year}.',
+  'overview.fallbackNextRace': 'Das nächste Rennen ist der {raceName} in {location}.',
+  'overview.fallbackSchedule': 'Das Rennen findet am {date} um {time} statt.',
+  'overview.fallbackOutro': 'Macht euch bereit für ein spannendes Rennen in {circuit}!',
+
+  'compass.north': 'Norden',
+  'compass.northEast': 'Nordosten',
+  'compass.east': 'Osten',
+  'compass.southEast': 'Südosten',
+  'compass.south': 'Süden',
+  'compass.southWest': 'Südwesten',
+  'compass.west': 'Westen',
+  'compass.northWest': 'Nordwesten',
+
+  'pastWinners.intro_one': 'Wer hat hier schon gewonnen? Schauen wir auf das letzte Rennen in {circuit} zurück.',
+  'pastWinners.intro_other': 'Wer hat hier schon gewonnen? Schauen wir auf die letzten {count} Rennen in {circuit} zurück.',
+  'pastWinners.winner': '{year} hat {driver} gewonnen.',
+  'pastWinners.winnerWithTeam': '{year} hat {driver} für {team} gewonnen.',
+  'pastWinners.wonTwice': '{driver} hat hier zweimal gewonnen!',
+  'pastWinners.wonMany': '{driver} hat hier {count} Mal gewonnen!',
+  'pastWinners.allDifferent': 'Jedes Mal ein anderer Sieger. Wer wird es dieses Jahr?',
+
+  'circuit.welcome': 'Lernen wir {circuitName} kennen, die Strecke des {raceName}!',
+  'circuit.distance': 'Eine Runde ist {lapLength} lang, und die Fahrer fahren {laps} Runden. Das sind insgesamt ungefähr {raceDistance}!',
+  'circuit.corners': 'Jede Runde hat {corners} Kurven.',
+  'circuit.cornersAndDrs_one': 'Jede Runde hat {corners} Kurven und {count} DRS-Zone. Dort darf ein Fahrer, der ganz dicht hinter einem anderen Auto ist, eine Klappe im Heckflügel öffnen, um schneller zu werden und zu überholen.',
+  'circuit.cornersAndDrs_other': 'Jede Runde hat {corners} Kurven und {count} DRS-Zonen. Dort darf ein Fahrer, der ganz dicht hinter einem anderen Auto ist, eine Klappe im Heckflügel öffnen, um schneller zu werden und zu überholen.',
+  'circuit.lapRecord': 'Die schnellste Rennrunde, die hier je gefahren wurde, war {lapTime}, von {driver} im Jahr {year}. Ist an diesem Wochenende jemand noch schneller?',
+  'circuit.funFacts': 'Hier ein paar spannende Fakten über diese Strecke. {facts}',
+
+  'schedule.scheduled': 'Geplant für {date} um {time}.',
+  'schedule.toBeConfirmed': 'Die Startzeit steht noch nicht fest.',
+  'schedule.finishedOn': 'Diese Session fand am {date} statt und ist schon vorbei.',
+  'schedule.finished': 'Diese Session ist schon vorbei.',
+  'schedule.live': 'Gerade live!',
+  'schedule.liveSince': 'Gerade live! Los ging es um {time}.',
+  'schedule.startsIn': 'Los geht es {when}! {schedule}',
+  'session.practice': `Hier kommt das {sessionName} beim {raceName}.
+
+{schedule}
+
+Im Freien Training stimmen die Teams ihre Autos ab und die Fahrer lernen die Strecke kennen. Die Teams testen verschiedene Reifen und Aerodynamik-Einstellungen, um die beste Mischung aus Tempo und Zuverlässigkeit zu finden.
+
+Achte auf die Rundenzeiten und hör beim Boxenfunk zu, während die Ingenieure wichtige Daten für den Rest des Wochenendes sammeln!`,
+  'session.qualifying': `Hier kommt das {sessionName} beim {raceName}.
+
+{schedule}
+
+Im Qualifying wird die Startaufstellung für das Rennen festgelegt! Es gibt drei K.-o.-Runden: Q1, Q2 und Q3. Die langsamsten Fahrer scheiden nach Q1 und Q2 aus, und die schnellsten zehn kämpfen in Q3 um die Pole-Position.
+
+Die Pole-Position ist sehr wichtig, denn sie gibt dem Fahrer die beste Chance, als Erster in die erste Kurve zu kommen. Jede Hundertstelsekunde zählt!`,
+  'session.sprint': `Hier kommt der {sessionName} beim {raceName}.
+
+{schedule}
+
+Der Sprint ist ein kürzeres Rennen, das einen Teil der Startaufstellung für den Grand Prix festlegt. Es ist ein rasantes Rennen mit wenigen Runden, also zählt jede Position!
+
+Die Fahrer geben vom Start weg Vollgas, und weil es weniger Strategie-Möglichkeiten gibt als im Hauptrennen, sind Überholmanöver auf der Strecke noch wichtiger. Für die besten Plätze gibt es Punkte!`,
+  'session.race': `Hier kommt das Haupt-{sessionName} beim {raceName}!
+
+{schedule}
+
+Das ist der große Moment! Im Grand Prix kämpfen die Fahrer über die volle Renndistanz um die meisten Punkte. Strategie, Reifenmanagement und fahrerisches Können sind entscheidend.
+{grid}
+Achte auf Boxenstopps, Überholmanöver und darauf, wie die Fahrer im Laufe des Rennens mit ihren Reifen umgehen. Auf den Sieger warten fünfundzwanzig Punkte, und im Kampf um die Meisterschaft zählt jede Position!
+
+Die Ampeln gehen aus, und los geht's!`,
+  'session.other': `Hier kommt die Session {sessionName} beim {raceName}.
+
+{schedule}
+
+Diese Session ist ein wichtiger Teil des Wochenendes beim {raceName} auf {circuit}. Teams und Fahrer arbeiten hart, um sich auf das Hauptrennen vorzubereiten!`,
+  'session.practice.littleFan': `Hier kommt das {sessionName} beim {raceName}.
+
+{schedule}
+
+Im Training flitzen die Fahrer über die Strecke, lernen jede Kurve kennen und machen ihre Autos so schnell wie möglich!`,
+  'session.qualifying.littleFan': `Hier kommt das {sessionName} beim {raceName}.
+
+{schedule}
+
+Im Qualifying fahren alle gegen die Uhr! Wer die schnellste Runde schafft, darf im Rennen ganz vorne starten.`,
+  'session.sprint.littleFan': `Hier kommt der {sessionName} beim {raceName}.
+
+{schedule}
+
+Der Sprint ist ein kurzes, superschnelles Rennen, und die Fahrer ganz vorne bekommen Punkte!`,
+  'session.race.littleFan': `Hier kommt das große {sessionName} beim {raceName}!
+
+{schedule}
+
+Das ist der spannendste Teil des Wochenendes! Die Fahrer fahren Runde um Runde, und wer zuerst über die Ziellinie fährt, gewinnt.
+{grid}
+Die Ampeln gehen aus, und los geht's!`,
+  'session.other.littleFan': `Hier kommt die Session {sessionName} beim {raceName}.
+
+{schedule}
+
+Die Teams machen sich bereit für das große Rennen in {circuit}!`,
+  'session.gridPole': '{driver} startet von der Pole-Position.',
+  'session.gridFrontRow': '{driver} startet von der Pole-Position, daneben in der ersten Reihe steht {second}.',
+  'session.gridSecondRow': 'Direkt dahinter bilden {drivers} die zweite Reihe.',
+
+  'weather.lightWind': 'einer leichten Brise',
+  'weather.moderateWind': 'mäßigem Wind',
+  'weather.strongWind': 'starkem Wind',
+  'weather.forecast': 'Die Wettervorhersage für den Beginn der Session: {temperature}.',
+  'weather.forecastWithWind': 'Die Wettervorhersage für den Beginn der Session: {temperature} mit {wind}.',
+  'weather.forecastWithRain': 'Die Wettervorhersage für den Beginn der Session: {temperature}, mit einer Regenwahrscheinlichkeit von {rainChance} Prozent.',
+  'weather.forecastWithRainAndWind': 'Die Wettervorhersage für den Beginn der Session: {temperature}, mit einer Regenwahrscheinlichkeit von {rainChance} Prozent und {wind}.',
+  'weather.liveReading': 'Gerade hat es an der Strecke {temperature}',
+  'weather.finishedReading': 'Während der Session hatte es {temperature}',
+  'weather.trackSurface': ', bei einer Streckentemperatur von {temperature}',
+  'weather.liveWet': ', und es regnet',
+  'weather.liveDry': ', und es ist trocken',
+  'weather.finishedWet': ', und es hat geregnet',
+  'weather.finishedDry': ', und es blieb trocken',
+
+  'highlights.race': 'Zielflagge beim {raceName}! Im {sessionName} fuhr {driver} von {team} die schnellste Runde, mit einer Zeit von {lapTime}.',
+  'highlights.raceOnLap': 'Zielflagge beim {raceName}! Im {sessionName} fuhr {driver} von {team} in Runde {lap} die schnellste Runde, mit einer Zeit von {lapTime}.',
+  'highlights.session': 'Die Bestzeit im {sessionName} beim {raceName} fuhr {driver} von {team}, mit einer schnellsten Runde von {lapTime}.',
+  'highlights.second': 'Das waren {gap} Sekunden weniger als {driver} von {team}.',
+  'highlights.secondAndThird': 'Das waren {gap} Sekunden weniger als {driver} von {team}, und {thirdDriver} war Dritter, {thirdGap} Sekunden dahinter.',
+  'highlights.close': 'Das ist knapper als ein Wimpernschlag!',
+
+  'qualifying.pole': 'Das Qualifying für den {raceName} ist vorbei, und {driver} hat für {team} die Pole-Position geholt!',
+  'qualifying.poleLap': 'Die schnellste Runde dauerte {lapTime}.',
+  'qualifying.poleStart': 'Das heißt, {driver} startet ganz vorne in der Startaufstellung.',
+  'qualifying.frontRow': 'Neben {pole} in der ersten Reihe steht {driver} von {team}. Achtet auf das Duell bis zur ersten Kurve!',
+  'qualifying.gridIntro': 'So stellen sich die ersten {count} in der Startaufstellung auf.',
+  'qualifying.gridEntry': 'Auf Position {position}, {driver} von {team}.',
+  'qualifying.gridEntryGap': 'Auf Position {position}, {driver} von {team}, {gap} Sekunden langsamer als die Pole.',
+
+  'lastRace.first': '{driver} hat den {raceName} für {team} gewonnen und {points} Punkte geholt! Was für ein Rennen!',
+  'lastRace.second': 'Platz zwei ging an {driver} von {team}, mit {points} Punkten.',
+  'lastRace.third': 'Auf Platz drei machte {driver} für {team} das Podium komplett, mit {points} Punkten.',
+  'lastRace.winnerLaps': 'Gefahren wurden {laps} Runden.',
+  'lastRace.gapToWinner': 'Der Rückstand auf den Sieger betrug {gap} Sekunden.',
+  'lastRace.sprintWinner': 'Früher am Wochenende hat {driver} den Sprint für {team} gewonnen.',
+  'lastRace.sprintPodium': 'Mit auf dem Sprint-Podium standen {drivers}.',
+  'lastRace.noRetirements': 'Alle Fahrer, die beim {raceName} gestartet sind, haben die Zielflagge gesehen!',
+  'lastRace.retirements_one': 'Nicht alle sind ins Ziel gekommen. {count} Fahrer hat die Zielflagge nicht gesehen.',
+  'lastRace.retirements_other': 'Nicht alle sind ins Ziel gekommen. {count} Fahrer haben die Zielflagge nicht gesehen.',
+  'lastRace.disqualified': '{driver} von {team} wurde disqualifiziert.',
+  'lastRace.didNotStart': '{driver} von {team} ist nicht gestartet.',
+  'lastRace.didNotFinish': '{driver} von {team} ist ausgefallen.',
+
+  'raceControl.intro': 'Schauen wir, was beim {raceName} passiert ist.',
+  'raceControl.clean': 'Es war ein sauberes Rennen, ohne Safety-Car, ohne rote Flagge und ohne Strafen.',
+  'raceControl.safetyCarDeployed': 'In Runde {lap} kam das Safety-Car auf die Strecke, also mussten alle langsamer fahren und sich dahinter einreihen.',
+  'raceControl.safetyCarDeployed.noLap': 'Dann kam das Safety-Car auf die Strecke, also mussten alle langsamer fahren und sich dahinter einreihen.',
+  'raceControl.safetyCarEnding': 'In Runde {lap} fuhr das Safety-Car zurück an die Box, und das Rennen ging weiter.',
+  'raceControl.safetyCarEnding.noLap': 'Dann fuhr das Safety-Car zurück an die Box, und das Rennen ging weiter.',
+  'raceControl.vscDeployed': 'In Runde {lap} gab es ein virtuelles Safety-Car. Das heißt, alle Fahrer mussten langsamer fahren, während die Streckenposten die Strecke räumten.',
+  'raceControl.vscDeployed.noLap': 'Dann gab es ein virtuelles Safety-Car. Das heißt, alle Fahrer mussten langsamer fahren, während die Streckenposten die Strecke räumten.',
+  'raceControl.vscEnding': 'In Runde {lap} endete das virtuelle Safety-Car, und die Fahrer durften wieder Vollgas geben.',
+  'raceControl.vscEnding.noLap': 'Dann endete das virtuelle Safety-Car, und die Fahrer durften wieder Vollgas geben.',
+  'raceControl.redFlag': 'In Runde {lap} wurde das Rennen mit der roten Flagge unterbrochen! Alle Autos mussten zurück in die Boxengasse und warten.',
+  'raceControl.redFlag.noLap': 'Dann wurde das Rennen mit der roten Flagge unterbrochen! Alle Autos mussten zurück in die Boxengasse und warten.',
+  'raceControl.penalty': 'In Runde {lap} gaben die Rennkommissare {driver} {penalty}.',
+  'raceControl.penalty.noLap': 'Dann gaben die Rennkommissare {driver} {penalty}.',
+  'raceControl.chequeredFlag': 'Am Ende von Runde {lap} wurde die Zielflagge geschwenkt, und der {raceName} war vorbei!',
+  'raceControl.chequeredFlag.noLap': 'Zum Schluss wurde die Zielflagge geschwenkt, und der {raceName} war vorbei!',
+  'penalty.time': 'eine {seconds}-Sekunden-Strafe',
+  'penalty.driveThrough': 'eine Durchfahrtsstrafe',
+  'penalty.stopAndGo': 'eine Stop-and-Go-Strafe',
+
+  'tyre.SOFT': 'Soft-Reifen',
+  'tyre.MEDIUM': 'Medium-Reifen',
+  'tyre.HARD': 'Hard-Reifen',
+  'tyre.INTERMEDIATE': 'Intermediates',
+  'tyre.WET': 'Regenreifen',
+  'strategy.fastestStop': 'Den schnellsten Boxenstopp beim {raceName} hatte {driver}. {crew} wechselte alle vier Reifen in nur {seconds} Sekunden!',
+  'strategy.fastestStopOnLap': 'Den schnellsten Boxenstopp beim {raceName} hatte {driver} in Runde {lap}. {crew} wechselte alle vier Reifen in nur {seconds} Sekunden!',
+  'strategy.teamCrew': 'Die Boxencrew von {team}',
+  'strategy.pitCrew': 'Die Boxencrew',
+  'strategy.quickestPitLane': 'Den schnellsten Boxenstopp beim {raceName} machte {driver}: hinein in die Boxengasse, Reifen wechseln und wieder hinaus in {seconds} Sekunden.',
+  'strategy.quickestPitLaneOnLap': 'Den schnellsten Boxenstopp beim {raceName} machte {driver} in Runde {lap}: hinein in die Boxengasse, Reifen wechseln und wieder hinaus in {seconds} Sekunden.',
+  'strategy.noStops': '{driver} kam auf Position {position} ins Ziel, ganz ohne Boxenstopp.',
+  'strategy.stops_one': '{driver} kam auf Position {position} ins Ziel, mit einer Ein-Stopp-Strategie.',
+  'strategy.stops_other': '{driver} kam auf Position {position} ins Ziel, mit einer {count}-Stopp-Strategie.',
+  'strategy.startedOn': 'Gestartet wurde auf {compound}.',
+  'strategy.startedOnThenSwitched': 'Gestartet wurde auf {compound}, danach ging es auf {later}.',
+  'strategy.thenSeparator': ', dann auf ',
+  'strategy.compoundsUsed_one': 'In diesem Rennen haben die Teams nur einen Reifentyp benutzt: {compounds}.',
+  'strategy.compoundsUsed_other': 'In diesem Rennen haben die Teams diese Reifen benutzt: {compounds}.',
+  'strategy.tyresExplained': 'Weichere Reifen haben mehr Grip und sind schneller, nutzen sich aber früher ab. Härtere Reifen sind langsamer, halten aber viel länger. Den richtigen Moment zum Wechseln zu finden, ist ein großer Teil eines Grand-Prix-Sieges!',
+  'strategy.rainTyres': 'Einige Fahrer brauchten auch Regenreifen, die Rillen haben, um das Wasser von der Strecke zu verdrängen.',
+
+  'favourites.driverIntro': 'Schauen wir, wie es {name} geht, der für {team} fährt.',
+  'favourites.teamIntro': 'Schauen wir, wie es {name} geht.',
+  'favourites.driverLeading': '{name} führt die Fahrerwertung mit {points} Punkten an!',
+  'favourites.teamLeading': '{name} führt die Konstrukteurswertung mit {points} Punkten an!',
+  'favourites.driverPosition': '{name} liegt in der Fahrerwertung auf Position {position}, mit {points} Punkten.',
+  'favourites.teamPosition': '{name} liegt in der Konstrukteurswertung auf Position {position}, mit {points} Punkten.',
+  'favourites.levelWithAhead': 'Punktgleich mit {name}, direkt davor.',
+  'favourites.behindAhead_one': '{count} Punkt hinter {name}, eine Position weiter vorne.',
+  'favourites.behindAhead_other': '{count} Punkte hinter {name}, eine Position weiter vorne.',
+  'favourites.levelWithBehind': '{name} folgt direkt dahinter mit genauso vielen Punkten.',
+  'favourites.aheadOfBehind_one': '{name} liegt {count} Punkt dahinter.',
+  'favourites.aheadOfBehind_other': '{name} liegt {count} Punkte dahinter.',
+  'favourites.disqualified': 'Beim {raceName} wurde {name} disqualifiziert.',
+  'favourites.didNotStart': '{name} ist beim {raceName} nicht gestartet.',
+  'favourites.didNotFinish': 'Leider ist {name} beim {raceName} nicht ins Ziel gekommen.',
+  'favourites.finished': 'Beim {raceName} kam {name} auf Position {position} ins Ziel.',
+  'favourites.finishedWithPoints_one': 'Beim {raceName} kam {name} auf Position {position} ins Ziel und holte {count} Punkt.',
+  'favourites.finishedWithPoints_other': 'Beim {raceName} kam {name} auf Position {position} ins Ziel und holte {count} Punkte.',
+  'favourites.teamScored_one': 'Beim {raceName} holte {name} {count} Punkt.',
+  'favourites.teamScored_other': 'Beim {raceName} holte {name} {count} Punkte.',
+  'favourites.teamScoredBestCar_one': 'Beim {raceName} holte {name} {count} Punkt, und das beste Auto kam auf Position {bestPosition} ins Ziel.',
+  'favourites.teamScoredBestCar_other': 'Beim {raceName} holte {name} {count} Punkte, und das beste Auto kam auf Position {bestPosition} ins Ziel.',
+  'favourites.teamNoPoints': '{name} hat beim {raceName} keine Punkte geholt.',
+  'favourites.teamNoPointsBestCar': '{name} hat beim {raceName} keine Punkte geholt, und das beste Auto kam auf Position {bestPosition} ins Ziel.',
+
+  'titleFight.grandsPrix_one': '{count} Grand Prix',
+  'titleFight.grandsPrix_other': '{count} Grands Prix',
+  'titleFight.sprints_one': '{count} Sprint',
+  'titleFight.sprints_other': '{count} Sprints',
+  'titleFight.almostOver': 'Die Saison ist fast vorbei, und die Meisterschaft ist immer noch nicht entschieden!',
+  'titleFight.eventsLeft_one': 'Diese Saison steht nur noch {events} an, also wird der Kampf um die Meisterschaft richtig spannend!',
+  'titleFight.eventsLeft_other': 'Diese Saison stehen nur noch {events} an, also wird der Kampf um die Meisterschaft richtig spannend!',
+  'titleFight.driversOpen': 'Jeder Fahrer kann noch höchstens {maxPoints} Punkte holen, und {count} Fahrer können noch Weltmeister werden.',
+  'titleFight.driverChampion': '{driver} hat die Fahrerwertung schon gewonnen. Herzlichen Glückwunsch!',
+  'titleFight.teamChampion': '{team} hat die Konstrukteurswertung schon gewonnen.',
+  'titleFight.leader': '{driver} führt die Meisterschaft mit {points} Punkten an. Sobald der Vorsprung größer ist als die Punkte, die noch zu holen sind, ist der Titel sicher!',
+  'titleFight.mustWinEverything': '{driver} liegt {gap} Punkte hinter dem Spitzenreiter. Den Titel gibt es nur, wenn ab jetzt alles gewonnen wird und der Spitzenreiter keinen einzigen Punkt mehr holt.',
+  'titleFight.contender': '{driver} liegt auf Position {position}, {gap} Punkte hinter dem Spitzenreiter. Es sind noch {maxPoints} Punkte zu holen, also ist der Titel noch möglich!',
+  'titleFight.teamsLeader': 'In der Konstrukteurswertung führt {team} mit {points} Punkten.',
+  'titleFight.teamChaser': '{team}, {gap} Punkte dahinter',
+  'titleFight.teamChasers_one': 'Noch im Rennen um den Titel: {chasers}.',
+  'titleFight.teamChasers_other': 'Noch im Rennen um den Titel: {chasers}.',
+  'titleFight.teamsMaxPoints': 'Jedes Team kann noch bis zu {maxPoints} Punkte holen.',
+
+  'standings.driver': 'Auf Position {position}, {driver}, der für {team} fährt, mit {points} Punkten.',
+  'standings.team': 'Auf Position {position}, {team}, mit {points} Punkten.',
+  'standings.levelWithLeader': 'Das ist punktgleich mit dem Spitzenreiter!',
+  'standings.behindLeader_one': 'Das ist {count} Punkt hinter dem Spitzenreiter.',
+  'standings.behindLeader_other': 'Das sind {count} Punkte hinter dem Spitzenreiter.',
+  'standings.behindAhead_one': 'Und {count} Punkt hinter {name}, einen Platz weiter vorne.',
+  'standings.behindAhead_other': 'Und {count} Punkte hinter {name}, einen Platz weiter vorne.',
+  'standings.levelWithAhead': 'Und punktgleich mit {name}, einen Platz weiter vorne.',
+  'standings.allDrivers': 'alle {count} Fahrer',
+  'standings.topDrivers': 'die besten {count} Fahrer',
+  'standings.allTeams': 'alle {count} Teams',
+  'standings.topTeams': 'die besten {count} Teams',
+
+  'calendar.month_one': 'Im {month} gibt es {count} Rennen.',
+  'calendar.month_other': 'Im {month} gibt es {count} Rennen.',
+  'calendar.race': 'Der {raceName} in {location} findet am {date} auf der Strecke {circuit} statt.',
+  'calendar.countdown': 'Das ist {countdown}.',
+  'calendar.countdownSoon': 'Das ist {countdown}!',
+  'calendar.sprintWeekend': 'Es ist ein Sprint-Wochenende, also gibt es noch ein zusätzliches kurzes Rennen!',
+
+  'outro.signOff': 'Das war es für heute, liebe Formel-1-Fans! Viel Spaß beim {raceName}, und bis zum nächsten Rennen!',
+  'outro.signOff.v2': 'Und das war das Ende der Karte. Viel Spaß beim Zuschauen beim {raceName}!',
+  'outro.signOff.v3': 'Das war alles für diese Woche. Drückt euren Favoriten beim {raceName} die Daumen, und bis zum nächsten Mal!',
+
+  'script.chapter': 'Kapitel {number}: {title}',
+  'script.nextRaceTitle': 'Das nächste Rennen',
+  'script.weekendBegins': 'Das Rennwochenende beginnt am {date}, und das Hauptrennen startet um {time}.',
+  'script.outro': 'Macht euch bereit für ein spannendes Rennwochenende!',
+  'script.driversIntro': 'Schauen wir uns jetzt die aktuelle Fahrerwertung an.',
+  'script.driversTable': 'Hier sind {table} der Meisterschaft.',
+  'script.driverEntry': 'Auf Position {position}, {driver} von {team}, mit {points} Punkten.',
+  'script.driverEntryGap': 'Auf Position {position}, {driver} von {team}, mit {points} Punkten, {gap} Punkte hinter dem Spitzenreiter.',
+  'script.driversOutro': 'Was für eine spannende Saison!',
+  'script.teamsIntro': 'Zum Schluss schauen wir uns die Konstrukteurswertung an.',
+  'script.teamsTable': 'Hier sind {table}, die um den Ruhm kämpfen.',
+  'script.teamEntry': 'Auf Position {position}, {team}, mit {points} Punkten.',
+  'script.teamEntryGap': 'Auf Position {position}, {team}, mit {points} Punkten, {gap} Punkte hinter dem Spitzenreiter.',
+  'script.thanks': 'Danke fürs Zuhören! Viel Spaß beim Rennen!',
+};
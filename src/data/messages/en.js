@@ -0,0 +1,432 @@
+// English narration - the reference catalog. Every key used by the card must
+// exist here; other languages fall back to these strings for anything they
+// don't translate.
+//
+// {name} placeholders are filled in by the translator (see createTranslator()).
+// Keys ending in _one / _other are plural forms picked by the {count} parameter.
+// Keys ending in .v2, .v3 are other ways of saying the same thing; each card
+// picks one per race, so greetings, transitions and sign-offs vary week to week.
+
+export const messages = {
+  // Words used between items of a spoken list: "A, B and C"
+  'list.and': 'and',
+
+  // Units and numbers
+  'unit.celsius': '{value} degrees Celsius',
+  'unit.fahrenheit': '{value} degrees Fahrenheit',
+  'unit.kmh': '{value} kilometres per hour',
+  'unit.mph': '{value} miles per hour',
+  'unit.kilometre_one': '{value} kilometre',
+  'unit.kilometre_other': '{value} kilometres',
+  'unit.mile_one': '{value} mile',
+  'unit.mile_other': '{value} miles',
+  'unit.metre_one': '{value} metre',
+  'unit.metre_other': '{value} metres',
+  'unit.foot_one': '{value} foot',
+  'unit.foot_other': '{value} feet',
+  'lapTime.seconds': '{seconds} seconds',
+  'lapTime.minutes_one': '{count} minute {seconds} seconds',
+  'lapTime.minutes_other': '{count} minutes {seconds} seconds',
+
+  // Countdowns and relative times (see dateUtils)
+  'countdown.already': 'already',
+  'countdown.today': 'today',
+  'countdown.tomorrow': 'tomorrow',
+  'countdown.days': 'in {count} days',
+  'countdown.weeks_one': 'in 1 week',
+  'countdown.weeks_other': 'in {count} weeks',
+  'countdown.months': 'in about {count} months',
+  'time.today.morning': 'this morning',
+  'time.today.afternoon': 'this afternoon',
+  'time.today.evening': 'this evening',
+  'time.today.night': 'tonight',
+  'time.tomorrow.morning': 'tomorrow morning',
+  'time.tomorrow.afternoon': 'tomorrow afternoon',
+  'time.tomorrow.evening': 'tomorrow evening',
+  'time.tomorrow.night': 'tomorrow night',
+  'time.onDay.morning': 'on {weekday} morning',
+  'time.onDay.afternoon': 'on {weekday} afternoon',
+  'time.onDay.evening': 'on {weekday} evening',
+  'time.onDay.night': 'on {weekday} night',
+  'time.inDays': 'in {count} days, {onDay}',
+  'time.nextWeekend': 'next weekend, {onDay}',
+  'time.later': '{countdown}, {onDay}',
+
+  // Session names as OpenF1 gives them
+  'sessionName.Practice 1': 'Practice 1',
+  'sessionName.Practice 2': 'Practice 2',
+  'sessionName.Practice 3': 'Practice 3',
+  'sessionName.Qualifying': 'Qualifying',
+  'sessionName.Sprint Qualifying': 'Sprint Qualifying',
+  'sessionName.Sprint Shootout': 'Sprint Shootout',
+  'sessionName.Sprint': 'Sprint',
+  'sessionName.Race': 'Race',
+
+  // Circuit types (see getCircuitTypeDescription())
+  'circuitType.permanent': 'a permanent racing circuit',
+  'circuitType.street': 'a temporary street circuit',
+  'circuitType.road': 'a temporary road circuit',
+  'circuitType.other': 'a racing circuit',
+
+  // Chapter and track titles
+  'chapter.overview': 'Race Weekend Overview',
+  'chapter.nextRace': 'Next F1 Race',
+  'chapter.circuit': 'Meet the Circuit',
+  'chapter.qualifying': 'Qualifying Results',
+  'chapter.sessionResults': '{sessionName} Results',
+  'chapter.sessionLive': '{sessionName} - Live Now',
+  'chapter.lastRace': 'Last Race Results',
+  'chapter.strategy': 'Strategy Corner',
+  'chapter.favourites': 'Your Favourites',
+  'chapter.titleFight': 'Title Fight',
+  'chapter.driversStandings': "Drivers' Championship",
+  'chapter.teamsStandings': "Constructors' Championship",
+  'chapter.topDrivers': 'Top {count} Drivers',
+  'chapter.topTeams': 'Top {count} Constructors',
+  'chapter.calendar': 'Season Calendar',
+  'track.pastWinners': 'Who won here before',
+  'track.circuit': 'The Track',
+  'track.lapRecord': 'Lap Record',
+  'track.funFacts': 'Fun Facts',
+  'track.pole': 'Pole: {driver}',
+  'track.frontRow': 'Front Row',
+  'track.topGrid': 'Top {count} on the Grid',
+  'track.raceControl': 'What happened in the race',
+  'track.sprintWinner': 'Sprint Winner',
+  'track.retirements': 'Retirements',
+  'track.fastestPitStop': 'Fastest Pit Stop',
+  'track.podiumStrategy': 'P{position} Strategy: {driver}',
+  'track.tyres': 'Tyres',
+  'track.titleFight': 'The Title Fight',
+  'track.teamsTitleFight': "Constructors' Title Fight",
+
+  // Race Weekend Overview
+  'overview.intro': 'Hello Formula 1 fans! Let me tell you about the upcoming {raceName} in the {year} season.',
+  'overview.intro.v2': "Hi there, racing fans! It's time to find out all about the {raceName}, part of the {year} season.",
+  'overview.intro.v3': "Welcome back, Formula 1 fans! Next up in the {year} season is the {raceName}, and here's everything you need to know.",
+  'overview.location': 'This race weekend takes place in {location}.',
+  'overview.unknownLocation': 'an exciting location',
+  'overview.circuit': 'The drivers will be racing at the {circuit} circuit.',
+  'overview.circuitWithType': 'The drivers will be racing at the {circuit} circuit, which is {circuitType}.',
+  'overview.officialName': 'The official name of this event is the {officialName}.',
+  'overview.weekendStarts': 'The race weekend starts {when}!',
+  'overview.weekendUnderway': 'The race weekend is already underway!',
+  'overview.grandPrixStarts': 'The Grand Prix itself is {when}.',
+  'overview.raceScheduled': 'The race is scheduled for {date} at {time}.',
+  'overview.weatherIntro': 'Let me tell you about the weather conditions at the track.',
+  'overview.weatherIntro.v2': "Now, what's the weather doing at the track?",
+  'overview.weatherIntro.v3': 'Time for a quick weather check at the circuit.',
+  'overview.airTemperature': 'The air temperature is {temperature}.',
+  'overview.trackTemperature': 'The track temperature is {temperature}.',
+  'overview.humidity': 'The humidity level is at {humidity} percent.',
+  'overview.lightWind': 'There are light winds of {speed}.',
+  'overview.moderateWind': 'There are moderate winds of {speed}.',
+  'overview.strongWind': 'There are strong winds of {speed}.',
+  'overview.rain': 'Drivers will need to navigate wet conditions as there is rainfall at the circuit.',
+  'overview.dry': 'The track is dry with no rainfall, perfect for racing!',
+  'overview.windDirection': 'The wind is blowing from the {direction}.',
+  'overview.pressure': 'The air pressure is {pressure} millibars.',
+  'overview.liveNow': '{sessionName} is happening right now!',
+  'overview.finishedCount_one': "{count} of this weekend's {total} sessions has already finished.",
+  'overview.finishedCount_other': "{count} of this weekend's {total} sessions have already finished.",
+  'overview.listenLiveAndEarlier': "Listen to the following chapters to find out what's live, what's still to come, and what happened earlier.",
+  'overview.listenLiveAndEarlier.v2': "Keep listening for what's live right now, what's coming up next, and what already happened.",
+  'overview.listenLive': "Listen to the following chapters to find out what's live and what's still to come.",
+  'overview.listenLive.v2': "Keep listening to hear what's happening right now and what's coming up next.",
+  'overview.listenEarlier': "Listen to the following chapters to find out what's still to come and what happened earlier!",
+  'overview.listenEarlier.v2': "Keep listening to hear what's coming up next, and how the earlier sessions went!",
+  'overview.sessionCount_one': 'There is {count} session scheduled for this race weekend. Listen to the following chapter to learn about it!',
+  'overview.sessionCount_other': 'There are {count} sessions scheduled for this race weekend. Listen to the following chapters to learn about each session!',
+  'overview.fallbackIntro': 'Hello Formula 1 fans! Let me tell you about the next race in the {year} season.',
+  'overview.fallbackNextRace': 'The next race is the {raceName}, taking place in {location}.',
+  'overview.fallbackSchedule': 'The race will be held on {date}, at {time}.',
+  'overview.fallbackOutro': 'Get ready for an exciting race at {circuit}!',
+
+  // Wind directions (expert cards)
+  'compass.north': 'north',
+  'compass.northEast': 'north-east',
+  'compass.east': 'east',
+  'compass.southEast': 'south-east',
+  'compass.south': 'south',
+  'compass.southWest': 'south-west',
+  'compass.west': 'west',
+  'compass.northWest': 'north-west',
+
+  // Who won here before
+  'pastWinners.intro_one': "Who won here before? Let's look back at the last race at {circuit}.",
+  'pastWinners.intro_other': "Who won here before? Let's look back at the last {count} races at {circuit}.",
+  'pastWinners.winner': 'In {year}, the winner was {driver}.',
+  'pastWinners.winnerWithTeam': 'In {year}, the winner was {driver} for {team}.',
+  'pastWinners.wonTwice': '{driver} has won here twice!',
+  'pastWinners.wonMany': '{driver} has won here {count} times!',
+  'pastWinners.allDifferent': 'A different driver every time. Who will it be this year?',
+
+  // Meet the Circuit
+  'circuit.welcome': "Let's meet the {circuitName}, home of the {raceName}!",
+  'circuit.distance': "One lap is {lapLength} long, and the drivers will race {laps} laps. That's about {raceDistance} in total!",
+  'circuit.corners': 'Every lap has {corners} corners to tackle.',
+  'circuit.cornersAndDrs_one': 'Every lap has {corners} corners to tackle, and one DRS zone, where a driver close behind another car can open a flap in their rear wing to go faster and try to overtake.',
+  'circuit.cornersAndDrs_other': 'Every lap has {corners} corners to tackle, and {count} DRS zones, where a driver close behind another car can open a flap in their rear wing to go faster and try to overtake.',
+  'circuit.lapRecord': 'The fastest lap ever driven in a race here is {lapTime}, set by {driver} in {year}. Will anyone go even faster this weekend?',
+  'circuit.funFacts': 'Here are some fun facts about this circuit. {facts}',
+
+  // Session chapters
+  'schedule.scheduled': 'Scheduled for {date} at {time}.',
+  'schedule.toBeConfirmed': 'Schedule to be confirmed.',
+  'schedule.finishedOn': 'This session took place on {date}, and it has already finished.',
+  'schedule.finished': 'This session has already finished.',
+  'schedule.live': "It's happening right now!",
+  'schedule.liveSince': "It's happening right now! It started at {time}.",
+  'schedule.startsIn': 'It starts {when}! {schedule}',
+  'session.practice': `This is {sessionName} for the {raceName}.
+
+{schedule}
+
+Practice sessions give teams the opportunity to fine-tune their car setups and drivers to learn the track. Teams will test different tire compounds and aerodynamic configurations to find the optimal balance between speed and reliability.
+
+Watch for lap times and listen to team radio communications as engineers gather crucial data for the rest of the weekend!`,
+  'session.qualifying': `This is {sessionName} for the {raceName}.
+
+{schedule}
+
+Qualifying determines the starting grid for the race! The session is divided into three knockout rounds: Q1, Q2, and Q3. The slowest drivers are eliminated after Q1 and Q2, while the top 10 battle it out in Q3 for pole position.
+
+Pole position is crucial as it gives the driver the best chance of leading into the first corner. Every hundredth of a second counts!`,
+  'session.sprint': `This is {sessionName} for the {raceName}.
+
+{schedule}
+
+The Sprint is a shorter race format that determines part of the starting grid for the main Grand Prix. It's high-intensity racing with limited laps, so every position matters!
+
+Drivers will be pushing flat out from the start, and with reduced strategic options compared to the main race, overtaking on track becomes even more critical. Points are awarded to the top finishers!`,
+  'session.race': `This is the main {sessionName} of the {raceName}!
+
+{schedule}
+
+This is what it's all about! The Grand Prix will see drivers battle for maximum points over the full race distance. Strategy, tire management, and racecraft will all play crucial roles.
+{grid}
+Watch for pit stop strategies, overtaking moves, and how drivers manage their tires over the race distance. Twenty-five points await the winner, and every position counts in the championship battle!
+
+Lights out and away we go!`,
+  'session.other': `This is {sessionName} for the {raceName}.
+
+{schedule}
+
+This session is an important part of the {raceName} weekend at {circuit}. Teams and drivers will be working hard to prepare for the main race!`,
+
+  // Shorter, simpler session chapters for little fans
+  'session.practice.littleFan': `This is {sessionName} for the {raceName}.
+
+{schedule}
+
+In practice, the drivers zoom around the track to get to know every corner and make their cars as fast as they can!`,
+  'session.qualifying.littleFan': `This is {sessionName} for the {raceName}.
+
+{schedule}
+
+Qualifying is a race against the clock! The driver with the fastest lap gets to start the race right at the front.`,
+  'session.sprint.littleFan': `This is {sessionName} for the {raceName}.
+
+{schedule}
+
+The Sprint is a short, speedy race, and the drivers who finish near the front win points!`,
+  'session.race.littleFan': `This is the big {sessionName} of the {raceName}!
+
+{schedule}
+
+This is the most exciting part of the weekend! The drivers race lap after lap, and whoever crosses the finish line first is the winner.
+{grid}
+Lights out and away we go!`,
+  'session.other.littleFan': `This is {sessionName} for the {raceName}.
+
+{schedule}
+
+The teams are getting ready for the big race at {circuit}!`,
+
+  'session.gridPole': '{driver} starts from pole position.',
+  'session.gridFrontRow': '{driver} starts from pole position, with {second} alongside on the front row.',
+  'session.gridSecondRow': 'Behind them, {drivers} make up the second row.',
+
+  // Session weather
+  'weather.lightWind': 'a light breeze',
+  'weather.moderateWind': 'moderate winds',
+  'weather.strongWind': 'strong winds',
+  'weather.forecast': 'The weather forecast for the start of the session is {temperature}.',
+  'weather.forecastWithWind': 'The weather forecast for the start of the session is {temperature} and {wind}.',
+  'weather.forecastWithRain': 'The weather forecast for the start of the session is {temperature}, with a {rainChance} percent chance of rain.',
+  'weather.forecastWithRainAndWind': 'The weather forecast for the start of the session is {temperature}, with a {rainChance} percent chance of rain and {wind}.',
+  'weather.liveReading': "Right now at the track it's {temperature}",
+  'weather.finishedReading': 'During the session it was {temperature}',
+  'weather.trackSurface': ', with the track surface at {temperature}',
+  'weather.liveWet': ", and it's raining",
+  'weather.liveDry': ", and it's dry",
+  'weather.finishedWet': ', and it rained',
+  'weather.finishedDry': ', and it stayed dry',
+
+  // Fastest lap highlights of a finished session
+  'highlights.race': 'The {sessionName} at the {raceName} is over! {driver} from {team} set the fastest lap, with a time of {lapTime}.',
+  'highlights.raceOnLap': 'The {sessionName} at the {raceName} is over! {driver} from {team} set the fastest lap on lap {lap}, with a time of {lapTime}.',
+  'highlights.session': '{sessionName} at the {raceName} was topped by {driver} from {team}, with a fastest lap of {lapTime}.',
+  'highlights.second': 'That was {gap} seconds quicker than {driver} from {team}.',
+  'highlights.secondAndThird': 'That was {gap} seconds quicker than {driver} from {team}, and {thirdDriver} was third fastest, {thirdGap} seconds behind.',
+  'highlights.close': "That's closer than the blink of an eye!",
+
+  // Qualifying Results
+  'qualifying.pole': 'Qualifying for the {raceName} is over, and {driver} has taken pole position for {team}!',
+  'qualifying.poleLap': 'Their fastest lap was {lapTime}.',
+  'qualifying.poleStart': 'That means {driver} will start the race from the very front of the grid.',
+  'qualifying.frontRow': 'Lining up alongside {pole} on the front row will be {driver} from {team}. Watch out for the battle into the first corner!',
+  'qualifying.gridIntro': 'Here is how the top {count} will line up on the grid.',
+  'qualifying.gridEntry': 'Starting in position {position}, {driver} from {team}.',
+  'qualifying.gridEntryGap': 'Starting in position {position}, {driver} from {team}, {gap} seconds slower than pole.',
+
+  // Last Race Results
+  'lastRace.first': '{driver} won the {raceName} for {team}, taking {points} points! What a drive!',
+  'lastRace.second': 'Second place went to {driver} from {team}, who scored {points} points.',
+  'lastRace.third': 'Completing the podium in third place was {driver} for {team}, with {points} points.',
+  'lastRace.winnerLaps': 'That was {laps} laps of racing.',
+  'lastRace.gapToWinner': 'They crossed the line {gap} seconds behind the winner.',
+  'lastRace.sprintWinner': 'Earlier in the weekend, {driver} won the Sprint for {team}.',
+  'lastRace.sprintPodium': '{drivers} joined them on the Sprint podium.',
+  'lastRace.noRetirements': 'Every driver who started the {raceName} made it to the chequered flag!',
+  'lastRace.retirements_one': 'Not everyone made it to the end. One driver did not see the chequered flag.',
+  'lastRace.retirements_other': 'Not everyone made it to the end. {count} drivers did not see the chequered flag.',
+  'lastRace.disqualified': '{driver} from {team} was disqualified.',
+  'lastRace.didNotStart': '{driver} from {team} did not start.',
+  'lastRace.didNotFinish': '{driver} from {team} did not finish.',
+
+  // What happened in the race
+  'raceControl.intro': "Let's find out what happened during the {raceName}.",
+  'raceControl.clean': 'It was a clean race, with no safety cars, red flags or penalties.',
+  'raceControl.safetyCarDeployed': 'On lap {lap}, the safety car came out, so everyone had to slow down and line up behind it.',
+  'raceControl.safetyCarDeployed.noLap': 'Then the safety car came out, so everyone had to slow down and line up behind it.',
+  'raceControl.safetyCarEnding': 'On lap {lap}, the safety car went back into the pit lane, and the racing started again.',
+  'raceControl.safetyCarEnding.noLap': 'Then the safety car went back into the pit lane, and the racing started again.',
+  'raceControl.vscDeployed': 'On lap {lap}, there was a virtual safety car. That means every driver had to slow down to a safe speed while the marshals cleared the track.',
+  'raceControl.vscDeployed.noLap': 'Then there was a virtual safety car. That means every driver had to slow down to a safe speed while the marshals cleared the track.',
+  'raceControl.vscEnding': 'On lap {lap}, the virtual safety car ended and the drivers could race flat out again.',
+  'raceControl.vscEnding.noLap': 'Then the virtual safety car ended and the drivers could race flat out again.',
+  'raceControl.redFlag': 'On lap {lap}, a red flag stopped the race! All the cars had to drive back to the pit lane and wait.',
+  'raceControl.redFlag.noLap': 'Then a red flag stopped the race! All the cars had to drive back to the pit lane and wait.',
+  'raceControl.penalty': 'On lap {lap}, the stewards gave {driver} a {penalty}.',
+  'raceControl.penalty.noLap': 'Then the stewards gave {driver} a {penalty}.',
+  'raceControl.penaltyWithReason': 'On lap {lap}, the stewards gave {driver} a {penalty} for {reason}.',
+  'raceControl.penaltyWithReason.noLap': 'Then the stewards gave {driver} a {penalty} for {reason}.',
+  'raceControl.chequeredFlag': 'At the end of lap {lap}, the chequered flag waved and the {raceName} was over!',
+  'raceControl.chequeredFlag.noLap': 'Finally, the chequered flag waved and the {raceName} was over!',
+  'penalty.time': '{seconds} second time penalty',
+  'penalty.driveThrough': 'drive through penalty',
+  'penalty.stopAndGo': 'stop and go penalty',
+
+  // Strategy Corner
+  'tyre.SOFT': 'soft',
+  'tyre.MEDIUM': 'medium',
+  'tyre.HARD': 'hard',
+  'tyre.INTERMEDIATE': 'intermediate',
+  'tyre.WET': 'full wet',
+  'strategy.fastestStop': 'The fastest pit stop of the {raceName} was for {driver}. {crew} changed all four tyres in just {seconds} seconds!',
+  'strategy.fastestStopOnLap': 'The fastest pit stop of the {raceName} was for {driver} on lap {lap}. {crew} changed all four tyres in just {seconds} seconds!',
+  'strategy.teamCrew': 'The {team} crew',
+  'strategy.pitCrew': 'The pit crew',
+  'strategy.quickestPitLane': 'The quickest pit stop of the {raceName} was made by {driver}, who drove in, changed tyres and drove out of the pit lane in {seconds} seconds.',
+  'strategy.quickestPitLaneOnLap': 'The quickest pit stop of the {raceName} was made by {driver} on lap {lap}, who drove in, changed tyres and drove out of the pit lane in {seconds} seconds.',
+  'strategy.noStops': '{driver} finished in position {position} without stopping at all.',
+  'strategy.stops_one': '{driver} finished in position {position} with a one-stop strategy.',
+  'strategy.stops_other': '{driver} finished in position {position} with a {count}-stop strategy.',
+  'strategy.startedOn': 'They started on the {compound} tyres.',
+  'strategy.startedOnThenSwitched': 'They started on the {compound} tyres, then switched to {later}.',
+  'strategy.thenSeparator': ', then ',
+  'strategy.compoundsUsed_one': 'In this race, the teams used the {compounds} tyre.',
+  'strategy.compoundsUsed_other': 'In this race, the teams used the {compounds} tyres.',
+  'strategy.tyresExplained': 'Softer tyres grip the track better and are faster, but wear out sooner. Harder tyres are slower, but last much longer. Choosing when to swap is a big part of winning a Grand Prix!',
+  'strategy.rainTyres': 'Some drivers needed rain tyres too, which have grooves to clear the water from the track.',
+
+  // Your Favourites
+  'favourites.driverIntro': "Let's catch up with {name}, who drives for {team}.",
+  'favourites.teamIntro': "Let's catch up with {name}.",
+  'favourites.driverLeading': "{name} is leading the drivers' championship with {points} points!",
+  'favourites.teamLeading': "{name} is leading the constructors' championship with {points} points!",
+  'favourites.driverPosition': "{name} is in position {position} in the drivers' championship with {points} points.",
+  'favourites.teamPosition': "{name} is in position {position} in the constructors' championship with {points} points.",
+  'favourites.levelWithAhead': 'They are level on points with {name}, just ahead of them.',
+  'favourites.behindAhead_one': 'They are {count} point behind {name}, who is one place ahead.',
+  'favourites.behindAhead_other': 'They are {count} points behind {name}, who is one place ahead.',
+  'favourites.levelWithBehind': '{name} is right behind on the same number of points.',
+  'favourites.aheadOfBehind_one': '{name} is {count} point behind them.',
+  'favourites.aheadOfBehind_other': '{name} is {count} points behind them.',
+  'favourites.disqualified': 'At the {raceName}, {name} was disqualified.',
+  'favourites.didNotStart': '{name} did not start the {raceName}.',
+  'favourites.didNotFinish': 'Sadly, {name} did not finish the {raceName}.',
+  'favourites.finished': 'At the {raceName}, {name} finished in position {position}.',
+  'favourites.finishedWithPoints_one': 'At the {raceName}, {name} finished in position {position}, scoring {count} point.',
+  'favourites.finishedWithPoints_other': 'At the {raceName}, {name} finished in position {position}, scoring {count} points.',
+  'favourites.teamScored_one': 'At the {raceName}, {name} scored {count} point.',
+  'favourites.teamScored_other': 'At the {raceName}, {name} scored {count} points.',
+  'favourites.teamScoredBestCar_one': 'At the {raceName}, {name} scored {count} point, with their best car finishing in position {bestPosition}.',
+  'favourites.teamScoredBestCar_other': 'At the {raceName}, {name} scored {count} points, with their best car finishing in position {bestPosition}.',
+  'favourites.teamNoPoints': '{name} did not score any points at the {raceName}.',
+  'favourites.teamNoPointsBestCar': '{name} did not score any points at the {raceName}, with their best car finishing in position {bestPosition}.',
+
+  // Title Fight
+  'titleFight.grandsPrix_one': '{count} Grand Prix',
+  'titleFight.grandsPrix_other': '{count} Grands Prix',
+  'titleFight.sprints_one': '{count} Sprint',
+  'titleFight.sprints_other': '{count} Sprints',
+  'titleFight.almostOver': 'The season is almost over, and the championship is still not settled!',
+  'titleFight.eventsLeft_one': 'There is only {events} left this season, so the championship battle is really heating up!',
+  'titleFight.eventsLeft_other': 'There are only {events} left this season, so the championship battle is really heating up!',
+  'titleFight.driversOpen': 'Each driver can score at most {maxPoints} more points, and {count} drivers can still become world champion.',
+  'titleFight.driverChampion': "{driver} has already won the drivers' championship. Congratulations!",
+  'titleFight.teamChampion': "{team} have already won the constructors' championship.",
+  'titleFight.leader': '{driver} leads the championship with {points} points. As soon as their lead is bigger than the points left to win, the title is theirs!',
+  'titleFight.mustWinEverything': '{driver} is {gap} points behind the leader. They can only win the title by winning everything that is left, and hoping the leader scores no more points at all.',
+  'titleFight.contender': '{driver} is in position {position}, {gap} points behind the leader. With {maxPoints} points still up for grabs, they can still win the title!',
+  'titleFight.teamsLeader': "In the constructors' championship, {team} lead with {points} points.",
+  'titleFight.teamChaser': '{team}, who are {gap} points behind',
+  'titleFight.teamChasers_one': 'Still in with a chance is {chasers}.',
+  'titleFight.teamChasers_other': 'Still in with a chance are {chasers}.',
+  'titleFight.teamsMaxPoints': 'Each team can score up to {maxPoints} more points.',
+
+  // Championship standings
+  'standings.driver': 'In position {position}, {driver} driving for {team}, with {points} points.',
+  'standings.team': 'In position {position}, {team}, with {points} points.',
+  'standings.levelWithLeader': 'That is level on points with the leader!',
+  'standings.behindLeader_one': 'That is {count} point behind the leader.',
+  'standings.behindLeader_other': 'That is {count} points behind the leader.',
+  'standings.behindAhead_one': 'And {count} point behind {name}, one place ahead.',
+  'standings.behindAhead_other': 'And {count} points behind {name}, one place ahead.',
+  'standings.levelWithAhead': 'And level on points with {name}, one place ahead.',
+  'standings.allDrivers': 'all {count} drivers',
+  'standings.topDrivers': 'the top {count} drivers',
+  'standings.allTeams': 'all {count} teams',
+  'standings.topTeams': 'the top {count} teams',
+
+  // Season Calendar
+  'calendar.month_one': 'In {month} there is one race.',
+  'calendar.month_other': 'In {month} there are {count} races.',
+  'calendar.race': 'The {raceName} in {location} races on {date}, at the {circuit} circuit.',
+  'calendar.countdown': "That's {countdown}.",
+  'calendar.countdownSoon': "That's {countdown}!",
+  'calendar.sprintWeekend': "It's a sprint weekend, so there's an extra short race too!",
+
+  // Sign-off at the end of the card
+  'outro.signOff': "That's all for now, Formula 1 fans! Enjoy the {raceName}, and see you next race!",
+  'outro.signOff.v2': "And that's the end of the card. Have fun watching the {raceName}!",
+  'outro.signOff.v3': "That's everything for this week. Cheer on your favourites at the {raceName}, and see you next time!",
+
+  // Plain text script (see generateF1Script())
+  'script.chapter': 'Chapter {number}: {title}',
+  'script.nextRaceTitle': 'Next Race',
+  'script.weekendBegins': 'The race weekend begins on {date}, with the main race at {time}.',
+  'script.outro': 'Get ready for an exciting race weekend!',
+  'script.driversIntro': "Now let's look at the current driver standings.",
+  'script.driversTable': 'Here are {table} in the championship.',
+  'script.driverEntry': 'In position {position}, {driver} from {team}, with {points} points.',
+  'script.driverEntryGap': 'In position {position}, {driver} from {team}, with {points} points, {gap} behind the leader.',
+  'script.driversOutro': "What an exciting season it's been!",
+  'script.teamsIntro': "Finally, let's check out the constructor's championship.",
+  'script.teamsTable': 'Here are {table} competing for glory.',
+  'script.teamEntry': 'In position {position}, {team}, with {points} points.',
+  'script.teamEntryGap': 'In position {position}, {team}, with {points} points, {gap} behind the leader.',
+  'script.thanks': 'Thank you for listening! Enjoy the racing!',
+};
@@ -0,0 +1,398 @@
+// Spanish narration. Keys match the English catalog (en.js); anything missing
+// here is read in English.
+
+export const messages = {
+  'list.and': 'y',
+
+  'unit.celsius': '{value} grados Celsius',
+  'unit.fahrenheit': '{value} grados Fahrenheit',
+  'unit.kmh': '{value} kilómetros por hora',
+  'unit.mph': '{value} millas por hora',
+  'unit.kilometre_one': '{value} kilómetro',
+  'unit.kilometre_other': '{value} kilómetros',
+  'unit.mile_one': '{value} milla',
+  'unit.mile_other': '{value} millas',
+  'unit.metre_one': '{value} metro',
+  'unit.metre_other': '{value} metros',
+  'unit.foot_one': '{value} pie',
+  'unit.foot_other': '{value} pies',
+  'lapTime.seconds': '{seconds} segundos',
+  'lapTime.minutes_one': '{count} minuto y {seconds} segundos',
+  'lapTime.minutes_other': '{count} minutos y {seconds} segundos',
+
+  'countdown.already': 'ya',
+  'countdown.today': 'hoy',
+  'countdown.tomorrow': 'mañana',
+  'countdown.days': 'dentro de {count} días',
+  'countdown.weeks_one': 'dentro de {count} semana',
+  'countdown.weeks_other': 'dentro de {count} semanas',
+  'countdown.months': 'dentro de unos {count} meses',
+  'time.today.morning': 'esta mañana',
+  'time.today.afternoon': 'esta tarde',
+  'time.today.evening': 'esta tarde-noche',
+  'time.today.night': 'esta noche',
+  'time.tomorrow.morning': 'mañana por la mañana',
+  'time.tomorrow.afternoon': 'mañana por la tarde',
+  'time.tomorrow.evening': 'mañana al caer la tarde',
+  'time.tomorrow.night': 'mañana por la noche',
+  'time.onDay.morning': 'el {weekday} por la mañana',
+  'time.onDay.afternoon': 'el {weekday} por la tarde',
+  'time.onDay.evening': 'el {weekday} al caer la tarde',
+  'time.onDay.night': 'el {weekday} por la noche',
+  'time.inDays': 'dentro de {count} días, {onDay}',
+  'time.nextWeekend': 'el próximo fin de semana, {onDay}',
+  'time.later': '{countdown}, {onDay}',
+
+  'sessionName.Practice 1': 'Entrenamientos Libres 1',
+  'sessionName.Practice 2': 'Entrenamientos Libres 2',
+  'sessionName.Practice 3': 'Entrenamientos Libres 3',
+  'sessionName.Qualifying': 'Clasificación',
+  'sessionName.Sprint Qualifying': 'Clasificación Sprint',
+  'sessionName.Sprint Shootout': 'Clasificación Sprint',
+  'sessionName.Sprint': 'Sprint',
+  'sessionName.Race': 'Carrera',
+
+  'circuitType.permanent': 'un circuito permanente',
+  'circuitType.street': 'un circuito urbano temporal',
+  'circuitType.road': 'un circuito temporal en carreteras',
+  'circuitType.other': 'un circuito de carreras',
+
+  'chapter.overview': 'El fin de semana de carreras',
+  'chapter.nextRace': 'La próxima carrera de F1',
+  'chapter.circuit': 'Conoce el circuito',
+  'chapter.qualifying': 'Resultados de la clasificación',
+  'chapter.sessionResults': 'Resultados: {sessionName}',
+  'chapter.sessionLive': '{sessionName} - En directo',
+  'chapter.lastRace': 'Resultados de la última carrera',
+  'chapter.strategy': 'El rincón de la estrategia',
+  'chapter.favourites': 'Tus favoritos',
+  'chapter.titleFight': 'La lucha por el título',
+  'chapter.driversStandings': 'Campeonato de pilotos',
+  'chapter.teamsStandings': 'Campeonato de constructores',
+  'chapter.topDrivers': 'Los {count} mejores pilotos',
+  'chapter.topTeams': 'Los {count} mejores constructores',
+  'chapter.calendar': 'Calendario de la temporada',
+  'track.pastWinners': 'Quién ganó aquí antes',
+  'track.circuit': 'La pista',
+  'track.lapRecord': 'Récord de vuelta',
+  'track.funFacts': 'Curiosidades',
+  'track.pole': 'Pole: {driver}',
+  'track.frontRow': 'Primera fila',
+  'track.topGrid': 'Los {count} primeros de la parrilla',
+  'track.raceControl': 'Qué pasó en la carrera',
+  'track.sprintWinner': 'Ganador del Sprint',
+  'track.retirements': 'Abandonos',
+  'track.fastestPitStop': 'La parada más rápida',
+  'track.podiumStrategy': 'Estrategia P{position}: {driver}',
+  'track.tyres': 'Neumáticos',
+  'track.titleFight': 'La lucha por el título',
+  'track.teamsTitleFight': 'La lucha por el título de constructores',
+
+  'overview.intro': '¡Hola, fans de la Fórmula 1! Os voy a contar todo sobre el próximo {raceName} de la temporada {year}.',
+  'overview.intro.v2': '¡Hola, amantes de las carreras! Es hora de descubrirlo todo sobre el {raceName} de la temporada {year}.',
+  'overview.intro.v3': '¡Bienvenidos otra vez, fans de la Fórmula 1! Lo próximo en la temporada {year} es el {raceName}, y aquí tenéis todo lo que hay que saber.',
+  'overview.location': 'Este fin de semana de carreras se celebra en {location}.',
+  'overview.unknownLocation': 'un lugar emocionante',
+  'overview.circuit': 'Los pilotos correrán en el circuito de {circuit}.',
+  'overview.circuitWithType': 'Los pilotos correrán en el circuito de {circuit}, que es {circuitType}.',
+  'overview.officialName': 'El nombre oficial de este evento es {officialName}.',
+  'overview.weekendStarts': '¡El fin de semana de carreras empieza {when}!',
+  'overview.weekendUnderway': '¡El fin de semana de carreras ya ha empezado!',
+  'overview.grandPrixStarts': 'El Gran Premio en sí es {when}.',
+  'overview.raceScheduled': 'La carrera está prevista para el {date} a las {time}.',
+  'overview.weatherIntro': 'Vamos a ver qué tiempo hace en el circuito.',
+  'overview.weatherIntro.v2': 'Y ahora, ¿qué tiempo hace en el circuito?',
+  'overview.weatherIntro.v3': 'Toca echar un vistazo rápido al tiempo en la pista.',
+  'overview.airTemperature': 'La temperatura del aire es de {temperature}.',
+  'overview.trackTemperature': 'La temperatura de la pista es de {temperature}.',
+  'overview.humidity': 'La humedad está al {humidity} por ciento.',
+  'overview.lightWind': 'Hay vientos suaves de {speed}.',
+  'overview.moderateWind': 'Hay vientos moderados de {speed}.',
+  'overview.strongWind': 'Hay vientos fuertes de {speed}.',
+  'overview.rain': 'Los pilotos tendrán que correr con la pista mojada, porque está lloviendo en el circuito.',
+  'overview.dry': 'La pista está seca y no llueve. ¡Perfecto para correr!',
+  'overview.windDirection': 'El viento sopla del {direction}.',
+  'overview.pressure': 'La presión atmosférica es de {pressure} milibares.',
+  'overview.liveNow': '¡{sessionName} se está disputando ahora mismo!',
+  'overview.finishedCount_one': 'Ya ha terminado {count} de las {total} sesiones de este fin de semana.',
+  'overview.finishedCount_other': 'Ya han terminado {count} de las {total} sesiones de este fin de semana.',
+  'overview.listenLiveAndEarlier': 'Escucha los siguientes capítulos para saber qué está pasando ahora, qué falta por llegar y qué pasó antes.',
+  'overview.listenLiveAndEarlier.v2': 'Sigue escuchando para saber qué está en directo, qué viene después y qué ha pasado ya.',
+  'overview.listenLive': 'Escucha los siguientes capítulos para saber qué está pasando ahora y qué falta por llegar.',
+  'overview.listenLive.v2': 'Sigue escuchando para saber qué está pasando ahora mismo y qué viene después.',
+  'overview.listenEarlier': '¡Escucha los siguientes capítulos para saber qué falta por llegar y qué pasó antes!',
+  'overview.listenEarlier.v2': '¡Sigue escuchando para saber qué viene después y cómo fueron las sesiones anteriores!',
+  'overview.sessionCount_one': 'Hay {count} sesión prevista para este fin de semana. ¡Escucha el siguiente capítulo para saber más!',
+  'overview.sessionCount_other': 'Hay {count} sesiones previstas para este fin de semana. ¡Escucha los siguientes capítulos para conocer cada sesión!',
+  'overview.fallbackIntro': '¡Hola, fans de la Fórmula 1! Os voy a contar todo sobre la próxima carrera de la temporada {year}.',
+  'overview.fallbackNextRace': 'La próxima carrera es el {raceName}, que se celebra en {location}.',
+  'overview.fallbackSchedule': 'La carrera será el {date}, a las {time}.',
+  'overview.fallbackOutro': '¡Preparaos para una carrera emocionante en {circuit}!',
+
+  'compass.north': 'norte',
+  'compass.northEast': 'noreste',
+  'compass.east': 'este',
+  'compass.southEast': 'sureste',
+  'compass.south': 'sur',
+  'compass.southWest': 'suroeste',
+  'compass.west': 'oeste',
+  'compass.northWest': 'noroeste',
+
+  'pastWinners.intro_one': '¿Quién ganó aquí antes? Recordemos la última carrera en {circuit}.',
+  'pastWinners.intro_other': '¿Quién ganó aquí antes? Recordemos las últimas {count} carreras en {circuit}.',
+  'pastWinners.winner': 'En {year}, el ganador fue {driver}.',
+  'pastWinners.winnerWithTeam': 'En {year}, el ganador fue {driver} con {team}.',
+  'pastWinners.wonTwice': '¡{driver} ha ganado aquí dos veces!',
+  'pastWinners.wonMany': '¡{driver} ha ganado aquí {count} veces!',
+  'pastWinners.allDifferent': 'Cada vez ganó un piloto distinto. ¿Quién será este año?',
+
+  'circuit.welcome': '¡Vamos a conocer el {circuitName}, donde se corre el {raceName}!',
+  'circuit.distance': 'Una vuelta mide {lapLength}, y los pilotos darán {laps} vueltas. ¡Eso son unos {raceDistance} en total!',
+  'circuit.corners': 'Cada vuelta tiene {corners} curvas.',
+  'circuit.cornersAndDrs_one': 'Cada vuelta tiene {corners} curvas y {count} zona de DRS, donde un piloto que va muy cerca de otro coche puede abrir una aleta de su alerón trasero para ir más rápido e intentar adelantar.',
+  'circuit.cornersAndDrs_other': 'Cada vuelta tiene {corners} curvas y {count} zonas de DRS, donde un piloto que va muy cerca de otro coche puede abrir una aleta de su alerón trasero para ir más rápido e intentar adelantar.',
+  'circuit.lapRecord': 'La vuelta más rápida de la historia en carrera aquí es de {lapTime}, y la hizo {driver} en {year}. ¿Irá alguien todavía más rápido este fin de semana?',
+  'circuit.funFacts': 'Aquí tienes algunas curiosidades sobre este circuito. {facts}',
+
+  'schedule.scheduled': 'Prevista para el {date} a las {time}.',
+  'schedule.toBeConfirmed': 'El horario está por confirmar.',
+  'schedule.finishedOn': 'Esta sesión se disputó el {date} y ya ha terminado.',
+  'schedule.finished': 'Esta sesión ya ha terminado.',
+  'schedule.live': '¡Se está disputando ahora mismo!',
+  'schedule.liveSince': '¡Se está disputando ahora mismo! Empezó a las {time}.',
+  'schedule.startsIn': '¡Empieza {when}! {schedule}',
+  'session.practice': `Estos son los {sessionName} del {raceName}.
+
+{schedule}
+
+Los entrenamientos libres permiten a los equipos ajustar la puesta a punto de sus coches y a los pilotos aprenderse la pista. Los equipos probarán distintos neumáticos y configuraciones aerodinámicas para encontrar el equilibrio perfecto entre velocidad y fiabilidad.
+
+¡Atentos a los tiempos por vuelta y a las radios de los equipos, mientras los ingenieros recogen datos clave para el resto del fin de semana!`,
+  'session.qualifying': `Esta es la {sessionName} del {raceName}.
+
+{schedule}
+
+¡La clasificación decide la parrilla de salida de la carrera! La sesión tiene tres rondas eliminatorias: Q1, Q2 y Q3. Los pilotos más lentos quedan eliminados en la Q1 y la Q2, y los diez mejores luchan por la pole position en la Q3.
+
+La pole position es muy importante, porque da al piloto la mejor oportunidad de llegar primero a la primera curva. ¡Cada centésima de segundo cuenta!`,
+  'session.sprint': `Este es el {sessionName} del {raceName}.
+
+{schedule}
+
+El Sprint es una carrera más corta que decide parte de la parrilla de salida del Gran Premio principal. Son pocas vueltas a tope, ¡así que cada posición importa!
+
+Los pilotos irán al máximo desde la salida y, con menos opciones de estrategia que en la carrera principal, adelantar en la pista es todavía más importante. ¡Los primeros clasificados se llevan puntos!`,
+  'session.race': `¡Esta es la {sessionName} principal del {raceName}!
+
+{schedule}
+
+¡Esto es lo más importante! En el Gran Premio, los pilotos lucharán por el máximo de puntos durante toda la distancia de la carrera. La estrategia, el cuidado de los neumáticos y el pilotaje serán claves.
+{grid}
+Atentos a las paradas en boxes, a los adelantamientos y a cómo cuidan los pilotos sus neumáticos durante la carrera. ¡El ganador se lleva veinticinco puntos, y cada posición cuenta en la lucha por el campeonato!
+
+¡Se apagan los semáforos y arrancamos!`,
+  'session.other': `Esta es la sesión {sessionName} del {raceName}.
+
+{schedule}
+
+Esta sesión es una parte importante del fin de semana del {raceName} en {circuit}. ¡Los equipos y los pilotos trabajarán duro para prepararse para la carrera principal!`,
+  'session.practice.littleFan': `Estos son los {sessionName} del {raceName}.
+
+{schedule}
+
+En los entrenamientos, los pilotos dan vueltas rapidísimas para conocer cada curva y hacer que sus coches vayan lo más rápido posible.`,
+  'session.qualifying.littleFan': `Esta es la {sessionName} del {raceName}.
+
+{schedule}
+
+¡La clasificación es una carrera contra el reloj! El piloto con la vuelta más rápida sale el primero de todos en la carrera.`,
+  'session.sprint.littleFan': `Este es el {sessionName} del {raceName}.
+
+{schedule}
+
+¡El Sprint es una carrera corta y muy rápida, y los pilotos que terminan delante ganan puntos!`,
+  'session.race.littleFan': `¡Esta es la gran {sessionName} del {raceName}!
+
+{schedule}
+
+¡Es el momento más emocionante del fin de semana! Los pilotos corren vuelta tras vuelta, y el primero en cruzar la meta gana.
+{grid}
+¡Se apagan los semáforos y arrancamos!`,
+  'session.other.littleFan': `Esta es la sesión {sessionName} del {raceName}.
+
+{schedule}
+
+¡Los equipos se preparan para la gran carrera en {circuit}!`,
+  'session.gridPole': '{driver} sale desde la pole position.',
+  'session.gridFrontRow': '{driver} sale desde la pole position, con {second} a su lado en la primera fila.',
+  'session.gridSecondRow': 'Detrás de ellos, {drivers} forman la segunda fila.',
+
+  'weather.lightWind': 'una brisa suave',
+  'weather.moderateWind': 'vientos moderados',
+  'weather.strongWind': 'vientos fuertes',
+  'weather.forecast': 'La previsión del tiempo para el inicio de la sesión es de {temperature}.',
+  'weather.forecastWithWind': 'La previsión del tiempo para el inicio de la sesión es de {temperature} y {wind}.',
+  'weather.forecastWithRain': 'La previsión del tiempo para el inicio de la sesión es de {temperature}, con un {rainChance} por ciento de probabilidad de lluvia.',
+  'weather.forecastWithRainAndWind': 'La previsión del tiempo para el inicio de la sesión es de {temperature}, con un {rainChance} por ciento de probabilidad de lluvia y {wind}.',
+  'weather.liveReading': 'Ahora mismo en el circuito hace {temperature}',
+  'weather.finishedReading': 'Durante la sesión hizo {temperature}',
+  'weather.trackSurface': ', con el asfalto a {temperature}',
+  'weather.liveWet': ', y está lloviendo',
+  'weather.liveDry': ', y está seco',
+  'weather.finishedWet': ', y llovió',
+  'weather.finishedDry': ', y no llovió',
+
+  'highlights.race': '¡La {sessionName} del {raceName} ha terminado! {driver}, de {team}, hizo la vuelta rápida, con un tiempo de {lapTime}.',
+  'highlights.raceOnLap': '¡La {sessionName} del {raceName} ha terminado! {driver}, de {team}, hizo la vuelta rápida en la vuelta {lap}, con un tiempo de {lapTime}.',
+  'highlights.session': 'El más rápido en {sessionName} del {raceName} fue {driver}, de {team}, con una vuelta de {lapTime}.',
+  'highlights.second': 'Fue {gap} segundos más rápido que {driver}, de {team}.',
+  'highlights.secondAndThird': 'Fue {gap} segundos más rápido que {driver}, de {team}, y {thirdDriver} fue el tercero más rápido, a {thirdGap} segundos.',
+  'highlights.close': '¡Eso es menos que un parpadeo!',
+
+  'qualifying.pole': '¡La clasificación del {raceName} ha terminado, y {driver} ha conseguido la pole position para {team}!',
+  'qualifying.poleLap': 'Su vuelta más rápida fue de {lapTime}.',
+  'qualifying.poleStart': 'Eso significa que {driver} saldrá en la carrera desde el primer puesto de la parrilla.',
+  'qualifying.frontRow': 'Junto a {pole} en la primera fila saldrá {driver}, de {team}. ¡Atentos a la lucha hasta la primera curva!',
+  'qualifying.gridIntro': 'Así se colocarán los {count} primeros en la parrilla.',
+  'qualifying.gridEntry': 'En la posición {position}, {driver}, de {team}.',
+  'qualifying.gridEntryGap': 'En la posición {position}, {driver}, de {team}, a {gap} segundos de la pole.',
+
+  'lastRace.first': '¡{driver} ganó el {raceName} con {team} y se llevó {points} puntos! ¡Qué carrera!',
+  'lastRace.second': 'El segundo puesto fue para {driver}, de {team}, que sumó {points} puntos.',
+  'lastRace.third': 'Completó el podio en tercer lugar {driver}, con {team}, y {points} puntos.',
+  'lastRace.winnerLaps': 'Fueron {laps} vueltas de carrera.',
+  'lastRace.gapToWinner': 'Cruzó la meta {gap} segundos por detrás del ganador.',
+  'lastRace.sprintWinner': 'Antes, durante el fin de semana, {driver} ganó el Sprint con {team}.',
+  'lastRace.sprintPodium': '{drivers} le acompañaron en el podio del Sprint.',
+  'lastRace.noRetirements': '¡Todos los pilotos que tomaron la salida en el {raceName} llegaron a la bandera a cuadros!',
+  'lastRace.retirements_one': 'No todos llegaron al final. {count} piloto no vio la bandera a cuadros.',
+  'lastRace.retirements_other': 'No todos llegaron al final. {count} pilotos no vieron la bandera a cuadros.',
+  'lastRace.disqualified': '{driver}, de {team}, fue descalificado.',
+  'lastRace.didNotStart': '{driver}, de {team}, no tomó la salida.',
+  'lastRace.didNotFinish': '{driver}, de {team}, no terminó la carrera.',
+
+  'raceControl.intro': 'Vamos a ver qué pasó durante el {raceName}.',
+  'raceControl.clean': 'Fue una carrera limpia, sin coches de seguridad, banderas rojas ni sanciones.',
+  'raceControl.safetyCarDeployed': 'En la vuelta {lap} salió el coche de seguridad, así que todos tuvieron que ir más despacio y ponerse en fila detrás de él.',
+  'raceControl.safetyCarDeployed.noLap': 'Después salió el coche de seguridad, así que todos tuvieron que ir más despacio y ponerse en fila detrás de él.',
+  'raceControl.safetyCarEnding': 'En la vuelta {lap}, el coche de seguridad volvió al pit lane y la carrera se reanudó.',
+  'raceControl.safetyCarEnding.noLap': 'Después, el coche de seguridad volvió al pit lane y la carrera se reanudó.',
+  'raceControl.vscDeployed': 'En la vuelta {lap} hubo un coche de seguridad virtual. Eso significa que todos los pilotos tuvieron que reducir la velocidad mientras los comisarios despejaban la pista.',
+  'raceControl.vscDeployed.noLap': 'Después hubo un coche de seguridad virtual. Eso significa que todos los pilotos tuvieron que reducir la velocidad mientras los comisarios despejaban la pista.',
+  'raceControl.vscEnding': 'En la vuelta {lap} terminó el coche de seguridad virtual y los pilotos pudieron volver a ir a tope.',
+  'raceControl.vscEnding.noLap': 'Después terminó el coche de seguridad virtual y los pilotos pudieron volver a ir a tope.',
+  'raceControl.redFlag': '¡En la vuelta {lap}, una bandera roja detuvo la carrera! Todos los coches tuvieron que volver al pit lane y esperar.',
+  'raceControl.redFlag.noLap': '¡Después, una bandera roja detuvo la carrera! Todos los coches tuvieron que volver al pit lane y esperar.',
+  'raceControl.penalty': 'En la vuelta {lap}, los comisarios dieron a {driver} {penalty}.',
+  'raceControl.penalty.noLap': 'Después, los comisarios dieron a {driver} {penalty}.',
+  'raceControl.chequeredFlag': '¡Al final de la vuelta {lap} ondeó la bandera a cuadros y el {raceName} terminó!',
+  'raceControl.chequeredFlag.noLap': '¡Por fin ondeó la bandera a cuadros y el {raceName} terminó!',
+  'penalty.time': 'una sanción de {seconds} segundos',
+  'penalty.driveThrough': 'un drive through',
+  'penalty.stopAndGo': 'un stop and go',
+
+  'tyre.SOFT': 'blandos',
+  'tyre.MEDIUM': 'medios',
+  'tyre.HARD': 'duros',
+  'tyre.INTERMEDIATE': 'intermedios',
+  'tyre.WET': 'de lluvia extrema',
+  'strategy.fastestStop': 'La parada más rápida del {raceName} fue la de {driver}. ¡{crew} cambió los cuatro neumáticos en solo {seconds} segundos!',
+  'strategy.fastestStopOnLap': 'La parada más rápida del {raceName} fue la de {driver} en la vuelta {lap}. ¡{crew} cambió los cuatro neumáticos en solo {seconds} segundos!',
+  'strategy.teamCrew': 'El equipo de mecánicos de {team}',
+  'strategy.pitCrew': 'El equipo de mecánicos',
+  'strategy.quickestPitLane': 'La parada más rápida del {raceName} la hizo {driver}, que entró, cambió los neumáticos y salió del pit lane en {seconds} segundos.',
+  'strategy.quickestPitLaneOnLap': 'La parada más rápida del {raceName} la hizo {driver} en la vuelta {lap}: entró, cambió los neumáticos y salió del pit lane en {seconds} segundos.',
+  'strategy.noStops': '{driver} terminó en la posición {position} sin parar ni una sola vez.',
+  'strategy.stops_one': '{driver} terminó en la posición {position} con una estrategia de {count} parada.',
+  'strategy.stops_other': '{driver} terminó en la posición {position} con una estrategia de {count} paradas.',
+  'strategy.startedOn': 'Empezó con los neumáticos {compound}.',
+  'strategy.startedOnThenSwitched': 'Empezó con los neumáticos {compound}, y luego cambió a los {later}.',
+  'strategy.thenSeparator': ' y luego a los ',
+  'strategy.compoundsUsed_one': 'En esta carrera, los equipos usaron los neumáticos {compounds}.',
+  'strategy.compoundsUsed_other': 'En esta carrera, los equipos usaron los neumáticos {compounds}.',
+  'strategy.tyresExplained': 'Los neumáticos más blandos se agarran mejor a la pista y son más rápidos, pero se gastan antes. Los más duros son más lentos, pero duran mucho más. ¡Elegir cuándo cambiarlos es una parte muy importante para ganar un Gran Premio!',
+  'strategy.rainTyres': 'Algunos pilotos también necesitaron neumáticos de lluvia, que tienen surcos para quitar el agua de la pista.',
+
+  'favourites.driverIntro': 'Vamos a ver cómo le va a {name}, que corre con {team}.',
+  'favourites.teamIntro': 'Vamos a ver cómo le va a {name}.',
+  'favourites.driverLeading': '¡{name} lidera el campeonato de pilotos con {points} puntos!',
+  'favourites.teamLeading': '¡{name} lidera el campeonato de constructores con {points} puntos!',
+  'favourites.driverPosition': '{name} está en la posición {position} del campeonato de pilotos con {points} puntos.',
+  'favourites.teamPosition': '{name} está en la posición {position} del campeonato de constructores con {points} puntos.',
+  'favourites.levelWithAhead': 'Está empatado a puntos con {name}, que va justo por delante.',
+  'favourites.behindAhead_one': 'Está a {count} punto de {name}, que va un puesto por delante.',
+  'favourites.behindAhead_other': 'Está a {count} puntos de {name}, que va un puesto por delante.',
+  'favourites.levelWithBehind': '{name} va justo detrás con los mismos puntos.',
+  'favourites.aheadOfBehind_one': '{name} está {count} punto por detrás.',
+  'favourites.aheadOfBehind_other': '{name} está {count} puntos por detrás.',
+  'favourites.disqualified': 'En el {raceName}, {name} fue descalificado.',
+  'favourites.didNotStart': '{name} no tomó la salida en el {raceName}.',
+  'favourites.didNotFinish': 'Por desgracia, {name} no terminó el {raceName}.',
+  'favourites.finished': 'En el {raceName}, {name} terminó en la posición {position}.',
+  'favourites.finishedWithPoints_one': 'En el {raceName}, {name} terminó en la posición {position} y sumó {count} punto.',
+  'favourites.finishedWithPoints_other': 'En el {raceName}, {name} terminó en la posición {position} y sumó {count} puntos.',
+  'favourites.teamScored_one': 'En el {raceName}, {name} sumó {count} punto.',
+  'favourites.teamScored_other': 'En el {raceName}, {name} sumó {count} puntos.',
+  'favourites.teamScoredBestCar_one': 'En el {raceName}, {name} sumó {count} punto, y su mejor coche terminó en la posición {bestPosition}.',
+  'favourites.teamScoredBestCar_other': 'En el {raceName}, {name} sumó {count} puntos, y su mejor coche terminó en la posición {bestPosition}.',
+  'favourites.teamNoPoints': '{name} no sumó ningún punto en el {raceName}.',
+  'favourites.teamNoPointsBestCar': '{name} no sumó ningún punto en el {raceName}, y su mejor coche terminó en la posición {bestPosition}.',
+
+  'titleFight.grandsPrix_one': '{count} Gran Premio',
+  'titleFight.grandsPrix_other': '{count} Grandes Premios',
+  'titleFight.sprints_one': '{count} Sprint',
+  'titleFight.sprints_other': '{count} Sprints',
+  'titleFight.almostOver': '¡La temporada casi ha terminado y el campeonato todavía no está decidido!',
+  'titleFight.eventsLeft_one': 'Solo queda {events} esta temporada, ¡así que la lucha por el campeonato está que arde!',
+  'titleFight.eventsLeft_other': 'Solo quedan {events} esta temporada, ¡así que la lucha por el campeonato está que arde!',
+  'titleFight.driversOpen': 'Cada piloto puede sumar como mucho {maxPoints} puntos más, y {count} pilotos todavía pueden ser campeones del mundo.',
+  'titleFight.driverChampion': '{driver} ya ha ganado el campeonato de pilotos. ¡Enhorabuena!',
+  'titleFight.teamChampion': '{team} ya ha ganado el campeonato de constructores.',
+  'titleFight.leader': '{driver} lidera el campeonato con {points} puntos. ¡En cuanto su ventaja sea mayor que los puntos que quedan en juego, el título será suyo!',
+  'titleFight.mustWinEverything': '{driver} está a {gap} puntos del líder. Solo puede ganar el título si gana todo lo que queda y el líder no suma ni un punto más.',
+  'titleFight.contender': '{driver} está en la posición {position}, a {gap} puntos del líder. Con {maxPoints} puntos todavía en juego, ¡aún puede ganar el título!',
+  'titleFight.teamsLeader': 'En el campeonato de constructores, {team} lidera con {points} puntos.',
+  'titleFight.teamChaser': '{team}, a {gap} puntos',
+  'titleFight.teamChasers_one': 'Todavía tiene opciones {chasers}.',
+  'titleFight.teamChasers_other': 'Todavía tienen opciones {chasers}.',
+  'titleFight.teamsMaxPoints': 'Cada equipo puede sumar hasta {maxPoints} puntos más.',
+
+  'standings.driver': 'En la posición {position}, {driver}, que corre con {team}, con {points} puntos.',
+  'standings.team': 'En la posición {position}, {team}, con {points} puntos.',
+  'standings.levelWithLeader': '¡Está empatado a puntos con el líder!',
+  'standings.behindLeader_one': 'Está a {count} punto del líder.',
+  'standings.behindLeader_other': 'Está a {count} puntos del líder.',
+  'standings.behindAhead_one': 'Y a {count} punto de {name}, que va un puesto por delante.',
+  'standings.behindAhead_other': 'Y a {count} puntos de {name}, que va un puesto por delante.',
+  'standings.levelWithAhead': 'Y empatado a puntos con {name}, que va un puesto por delante.',
+  'standings.allDrivers': 'los {count} pilotos',
+  'standings.topDrivers': 'los {count} mejores pilotos',
+  'standings.allTeams': 'los {count} equipos',
+  'standings.topTeams': 'los {count} mejores equipos',
+
+  'calendar.month_one': 'En {month} hay {count} carrera.',
+  'calendar.month_other': 'En {month} hay {count} carreras.',
+  'calendar.race': 'El {raceName}, en {location}, se corre el {date}, en el circuito de {circuit}.',
+  'calendar.countdown': 'Eso es {countdown}.',
+  'calendar.countdownSoon': '¡Eso es {countdown}!',
+  'calendar.sprintWeekend': '¡Es un fin de semana con Sprint, así que hay una carrera corta extra!',
+
+  'outro.signOff': '¡Eso es todo por ahora, fans de la Fórmula 1! Disfrutad del {raceName}, ¡y hasta la próxima carrera!',
+  'outro.signOff.v2': '¡Y aquí termina la tarjeta! ¡Que os divirtáis viendo el {raceName}!',
+  'outro.signOff.v3': '¡Eso es todo esta semana! Animad a vuestros favoritos en el {raceName}, ¡y hasta la próxima!',
+
+  'script.chapter': 'Capítulo {number}: {title}',
+  'script.nextRaceTitle': 'La próxima carrera',
+  'script.weekendBegins': 'El fin de semana de carreras empieza el {date}, y la carrera principal es a las {time}.',
+  'script.outro': '¡Preparaos para un fin de semana de carreras emocionante!',
+  'script.driversIntro': 'Ahora vamos a ver la clasificación de pilotos.',
+  'script.driversTable': 'Estos son {table} del campeonato.',
+  'script.driverEntry': 'En la posición {position}, {driver}, de {team}, con {points} puntos.',
+  'script.driverEntryGap': 'En la posición {position}, {driver}, de {team}, con {points} puntos, a {gap} del líder.',
+  'script.driversOutro': '¡Qué temporada tan emocionante!',
+  'script.teamsIntro': 'Por último, vamos a ver el campeonato de constructores.',
+  'script.teamsTable': 'Estos son {table} que luchan por la gloria.',
+  'script.teamEntry': 'En la posición {position}, {team}, con {points} puntos.',
+  'script.teamEntryGap': 'En la posición {position}, {team}, con {points} puntos, a {gap} del líder.',
+  'script.thanks': '¡Gracias por escuchar! ¡Disfrutad de las carreras!',
+};
@@ -0,0 +1,398 @@
+// French narration. Keys match the English catalog (en.js); anything missing
+// here is read in English.
+
+export const messages = {
+  'list.and': "et",
+
+  'unit.celsius': "{value} degrés Celsius",
+  'unit.fahrenheit': "{value} degrés Fahrenheit",
+  'unit.kmh': "{value} kilomètres à l'heure",
+  'unit.mph': "{value} miles à l'heure",
+  'unit.kilometre_one': "{value} kilomètre",
+  'unit.kilometre_other': "{value} kilomètres",
+  'unit.mile_one': "{value} mile",
+  'unit.mile_other': "{value} miles",
+  'unit.metre_one': "{value} mètre",
+  'unit.metre_other': "{value} mètres",
+  'unit.foot_one': "{value} pied",
+  'unit.foot_other': "{value} pieds",
+  'lapTime.seconds': "{seconds} secondes",
+  'lapTime.minutes_one': "{count} minute {seconds} secondes",
+  'lapTime.minutes_other': "{count} minutes {seconds} secondes",
+
+  'countdown.already': "déjà",
+  'countdown.today': "aujourd'hui",
+  'countdown.tomorrow': "demain",
+  'countdown.days': "dans {count} jours",
+  'countdown.weeks_one': "dans {count} semaine",
+  'countdown.weeks_other': "dans {count} semaines",
+  'countdown.months': "dans environ {count} mois",
+  'time.today.morning': "ce matin",
+  'time.today.afternoon': "cet après-midi",
+  'time.today.evening': "ce soir",
+  'time.today.night': "cette nuit",
+  'time.tomorrow.morning': "demain matin",
+  'time.tomorrow.afternoon': "demain après-midi",
+  'time.tomorrow.evening': "demain soir",
+  'time.tomorrow.night': "demain dans la nuit",
+  'time.onDay.morning': "{weekday} matin",
+  'time.onDay.afternoon': "{weekday} après-midi",
+  'time.onDay.evening': "{weekday} soir",
+  'time.onDay.night': "{weekday} dans la nuit",
+  'time.inDays': "dans {count} jours, {onDay}",
+  'time.nextWeekend': "le week-end prochain, {onDay}",
+  'time.later': "{countdown}, {onDay}",
+
+  'sessionName.Practice 1': "Essais Libres 1",
+  'sessionName.Practice 2': "Essais Libres 2",
+  'sessionName.Practice 3': "Essais Libres 3",
+  'sessionName.Qualifying': "Qualifications",
+  'sessionName.Sprint Qualifying': "Qualifications Sprint",
+  'sessionName.Sprint Shootout': "Qualifications Sprint",
+  'sessionName.Sprint': "Sprint",
+  'sessionName.Race': "Course",
+
+  'circuitType.permanent': "un circuit permanent",
+  'circuitType.street': "un circuit urbain temporaire",
+  'circuitType.road': "un circuit routier temporaire",
+  'circuitType.other': "un circuit de course",
+
+  'chapter.overview': "Le week-end de course",
+  'chapter.nextRace': "La prochaine course de F1",
+  'chapter.circuit': "Découvre le circuit",
+  'chapter.qualifying': "Résultats des qualifications",
+  'chapter.sessionResults': "Résultats : {sessionName}",
+  'chapter.sessionLive': "{sessionName} - En direct",
+  'chapter.lastRace': "Résultats de la dernière course",
+  'chapter.strategy': "Le coin stratégie",
+  'chapter.favourites': "Tes favoris",
+  'chapter.titleFight': "La bataille pour le titre",
+  'chapter.driversStandings': "Championnat des pilotes",
+  'chapter.teamsStandings': "Championnat des constructeurs",
+  'chapter.topDrivers': "Les {count} meilleurs pilotes",
+  'chapter.topTeams': "Les {count} meilleurs constructeurs",
+  'chapter.calendar': "Le calendrier de la saison",
+  'track.pastWinners': "Qui a gagné ici avant",
+  'track.circuit': "La piste",
+  'track.lapRecord': "Le record du tour",
+  'track.funFacts': "Le savais-tu ?",
+  'track.pole': "Pole : {driver}",
+  'track.frontRow': "La première ligne",
+  'track.topGrid': "Les {count} premiers sur la grille",
+  'track.raceControl': "Ce qui s'est passé pendant la course",
+  'track.sprintWinner': "Le vainqueur du Sprint",
+  'track.retirements': "Les abandons",
+  'track.fastestPitStop': "L'arrêt au stand le plus rapide",
+  'track.podiumStrategy': "Stratégie P{position} : {driver}",
+  'track.tyres': "Les pneus",
+  'track.titleFight': "La bataille pour le titre",
+  'track.teamsTitleFight': "La bataille pour le titre des constructeurs",
+
+  'overview.intro': "Bonjour les fans de Formule 1 ! Je vais vous parler du prochain {raceName} de la saison {year}.",
+  'overview.intro.v2': "Salut les fans de course ! C'est le moment de tout découvrir sur le {raceName}, au programme de la saison {year}.",
+  'overview.intro.v3': "Re-bonjour les fans de Formule 1 ! Le prochain rendez-vous de la saison {year}, c'est le {raceName}, et voici tout ce qu'il faut savoir.",
+  'overview.location': "Ce week-end de course a lieu à {location}.",
+  'overview.unknownLocation': "un endroit passionnant",
+  'overview.circuit': "Les pilotes vont courir sur le circuit de {circuit}.",
+  'overview.circuitWithType': "Les pilotes vont courir sur le circuit de {circuit}, qui est {circuitType}.",
+  'overview.officialName': "Le nom officiel de cet événement est {officialName}.",
+  'overview.weekendStarts': "Le week-end de course commence {when} !",
+  'overview.weekendUnderway': "Le week-end de course a déjà commencé !",
+  'overview.grandPrixStarts': "Le Grand Prix lui-même aura lieu {when}.",
+  'overview.raceScheduled': "La course est prévue le {date} à {time}.",
+  'overview.weatherIntro': "Voyons un peu la météo sur le circuit.",
+  'overview.weatherIntro.v2': "Et maintenant, quel temps fait-il sur le circuit ?",
+  'overview.weatherIntro.v3': "Petit point météo sur la piste.",
+  'overview.airTemperature': "La température de l'air est de {temperature}.",
+  'overview.trackTemperature': "La température de la piste est de {temperature}.",
+  'overview.humidity': "Le taux d'humidité est de {humidity} pour cent.",
+  'overview.lightWind': "Il y a un vent léger de {speed}.",
+  'overview.moderateWind': "Il y a un vent modéré de {speed}.",
+  'overview.strongWind': "Il y a un vent fort de {speed}.",
+  'overview.rain': "Les pilotes vont devoir rouler sur une piste mouillée, car il pleut sur le circuit.",
+  'overview.dry': "La piste est sèche et il ne pleut pas, parfait pour la course !",
+  'overview.windDirection': "Le vent souffle {direction}.",
+  'overview.pressure': "La pression atmosphérique est de {pressure} hectopascals.",
+  'overview.liveNow': "{sessionName}, c'est en ce moment même !",
+  'overview.finishedCount_one': "{count} des {total} séances de ce week-end est déjà terminée.",
+  'overview.finishedCount_other': "{count} des {total} séances de ce week-end sont déjà terminées.",
+  'overview.listenLiveAndEarlier': "Écoute les chapitres suivants pour savoir ce qui se passe en direct, ce qui arrive bientôt et ce qui s'est passé plus tôt.",
+  'overview.listenLiveAndEarlier.v2': "Continue d'écouter pour savoir ce qui se passe en direct, ce qui arrive ensuite et ce qui s'est déjà passé.",
+  'overview.listenLive': "Écoute les chapitres suivants pour savoir ce qui se passe en direct et ce qui arrive bientôt.",
+  'overview.listenLive.v2': "Continue d'écouter pour savoir ce qui se passe en ce moment et ce qui arrive ensuite.",
+  'overview.listenEarlier': "Écoute les chapitres suivants pour savoir ce qui arrive bientôt et ce qui s'est passé plus tôt !",
+  'overview.listenEarlier.v2': "Continue d'écouter pour savoir ce qui arrive ensuite, et comment se sont passées les séances précédentes !",
+  'overview.sessionCount_one': "Il y a {count} séance prévue ce week-end. Écoute le chapitre suivant pour tout savoir !",
+  'overview.sessionCount_other': "Il y a {count} séances prévues ce week-end. Écoute les chapitres suivants pour découvrir chaque séance !",
+  'overview.fallbackIntro': "Bonjour les fans de Formule 1 ! Je vais vous parler de la prochaine course de la saison {year}.",
+  'overview.fallbackNextRace': "La prochaine course est le {raceName}, qui a lieu à {location}.",
+  'overview.fallbackSchedule': "La course aura lieu le {date}, à {time}.",
+  'overview.fallbackOutro': "Préparez-vous pour une course passionnante à {circuit} !",
+
+  'compass.north': "du nord",
+  'compass.northEast': "du nord-est",
+  'compass.east': "de l'est",
+  'compass.southEast': "du sud-est",
+  'compass.south': "du sud",
+  'compass.southWest': "du sud-ouest",
+  'compass.west': "de l'ouest",
+  'compass.northWest': "du nord-ouest",
+
+  'pastWinners.intro_one': "Qui a gagné ici avant ? Revenons sur la dernière course à {circuit}.",
+  'pastWinners.intro_other': "Qui a gagné ici avant ? Revenons sur les {count} dernières courses à {circuit}.",
+  'pastWinners.winner': "En {year}, le vainqueur était {driver}.",
+  'pastWinners.winnerWithTeam': "En {year}, le vainqueur était {driver}, avec {team}.",
+  'pastWinners.wonTwice': "{driver} a gagné ici deux fois !",
+  'pastWinners.wonMany': "{driver} a gagné ici {count} fois !",
+  'pastWinners.allDifferent': "Un vainqueur différent à chaque fois. Qui sera-ce cette année ?",
+
+  'circuit.welcome': "Découvrons le {circuitName}, où se court le {raceName} !",
+  'circuit.distance': "Un tour mesure {lapLength}, et les pilotes vont faire {laps} tours. Cela fait environ {raceDistance} en tout !",
+  'circuit.corners': "Chaque tour compte {corners} virages.",
+  'circuit.cornersAndDrs_one': "Chaque tour compte {corners} virages et {count} zone DRS, où un pilote tout proche d'une autre voiture peut ouvrir un volet de son aileron arrière pour aller plus vite et tenter de dépasser.",
+  'circuit.cornersAndDrs_other': "Chaque tour compte {corners} virages et {count} zones DRS, où un pilote tout proche d'une autre voiture peut ouvrir un volet de son aileron arrière pour aller plus vite et tenter de dépasser.",
+  'circuit.lapRecord': "Le tour le plus rapide jamais réalisé ici en course est de {lapTime}, par {driver} en {year}. Quelqu'un ira-t-il encore plus vite ce week-end ?",
+  'circuit.funFacts': "Voici quelques anecdotes sur ce circuit. {facts}",
+
+  'schedule.scheduled': "Prévue le {date} à {time}.",
+  'schedule.toBeConfirmed': "L'horaire reste à confirmer.",
+  'schedule.finishedOn': "Cette séance a eu lieu le {date}, et elle est déjà terminée.",
+  'schedule.finished': "Cette séance est déjà terminée.",
+  'schedule.live': "C'est en ce moment même !",
+  'schedule.liveSince': "C'est en ce moment même ! La séance a commencé à {time}.",
+  'schedule.startsIn': "La séance commence {when} ! {schedule}",
+  'session.practice': `Voici les {sessionName} du {raceName}.
+
+{schedule}
+
+Les essais libres permettent aux équipes de peaufiner les réglages de leurs voitures, et aux pilotes d'apprendre la piste. Les équipes vont tester différents pneus et réglages aérodynamiques pour trouver le meilleur équilibre entre vitesse et fiabilité.
+
+Surveille les temps au tour et écoute les radios des équipes pendant que les ingénieurs récoltent des données précieuses pour la suite du week-end !`,
+  'session.qualifying': `Voici les {sessionName} du {raceName}.
+
+{schedule}
+
+Les qualifications décident de la grille de départ de la course ! La séance se déroule en trois manches à élimination : Q1, Q2 et Q3. Les pilotes les plus lents sont éliminés après la Q1 et la Q2, et les dix meilleurs se battent pour la pole position en Q3.
+
+La pole position est très importante, car elle donne au pilote la meilleure chance d'arriver en tête au premier virage. Chaque centième de seconde compte !`,
+  'session.sprint': `Voici le {sessionName} du {raceName}.
+
+{schedule}
+
+Le Sprint est une course plus courte qui décide d'une partie de la grille de départ du Grand Prix. C'est une course intense avec peu de tours, alors chaque position compte !
+
+Les pilotes vont attaquer à fond dès le départ et, avec moins de choix de stratégie que dans la course principale, les dépassements en piste sont encore plus importants. Des points sont attribués aux premiers !`,
+  'session.race': `Voici la {sessionName} principale du {raceName} !
+
+{schedule}
+
+C'est le grand moment ! Pendant le Grand Prix, les pilotes vont se battre pour un maximum de points sur toute la distance de la course. La stratégie, la gestion des pneus et le talent de pilotage seront essentiels.
+{grid}
+Surveille les arrêts aux stands, les dépassements et la façon dont les pilotes gèrent leurs pneus pendant la course. Vingt-cinq points attendent le vainqueur, et chaque position compte dans la bataille pour le championnat !
+
+Les feux s'éteignent, et c'est parti !`,
+  'session.other': `Voici la séance {sessionName} du {raceName}.
+
+{schedule}
+
+Cette séance est une étape importante du week-end du {raceName} à {circuit}. Les équipes et les pilotes vont travailler dur pour préparer la course principale !`,
+  'session.practice.littleFan': `Voici les {sessionName} du {raceName}.
+
+{schedule}
+
+Pendant les essais, les pilotes foncent autour du circuit pour apprendre chaque virage et rendre leur voiture la plus rapide possible !`,
+  'session.qualifying.littleFan': `Voici les {sessionName} du {raceName}.
+
+{schedule}
+
+Les qualifications, c'est une course contre la montre ! Le pilote qui fait le tour le plus rapide part tout devant pendant la course.`,
+  'session.sprint.littleFan': `Voici le {sessionName} du {raceName}.
+
+{schedule}
+
+Le Sprint est une course courte et très rapide, et les pilotes qui finissent devant gagnent des points !`,
+  'session.race.littleFan': `Voici la grande {sessionName} du {raceName} !
+
+{schedule}
+
+C'est le moment le plus excitant du week-end ! Les pilotes font tour après tour, et le premier à passer la ligne d'arrivée gagne.
+{grid}
+Les feux s'éteignent, et c'est parti !`,
+  'session.other.littleFan': `Voici la séance {sessionName} du {raceName}.
+
+{schedule}
+
+Les équipes se préparent pour la grande course à {circuit} !`,
+  'session.gridPole': "{driver} part en pole position.",
+  'session.gridFrontRow': "{driver} part en pole position, avec {second} à côté sur la première ligne.",
+  'session.gridSecondRow': "Juste derrière, {drivers} forment la deuxième ligne.",
+
+  'weather.lightWind': "une légère brise",
+  'weather.moderateWind': "un vent modéré",
+  'weather.strongWind': "un vent fort",
+  'weather.forecast': "La météo prévue pour le début de la séance est de {temperature}.",
+  'weather.forecastWithWind': "La météo prévue pour le début de la séance est de {temperature}, avec {wind}.",
+  'weather.forecastWithRain': "La météo prévue pour le début de la séance est de {temperature}, avec {rainChance} pour cent de risque de pluie.",
+  'weather.forecastWithRainAndWind': "La météo prévue pour le début de la séance est de {temperature}, avec {rainChance} pour cent de risque de pluie et {wind}.",
+  'weather.liveReading': "En ce moment sur le circuit, il fait {temperature}",
+  'weather.finishedReading': "Pendant la séance, il faisait {temperature}",
+  'weather.trackSurface': ", avec une piste à {temperature}",
+  'weather.liveWet': ", et il pleut",
+  'weather.liveDry': ", et c'est sec",
+  'weather.finishedWet': ", et il a plu",
+  'weather.finishedDry': ", et c'est resté sec",
+
+  'highlights.race': "La {sessionName} du {raceName} est terminée ! {driver}, de chez {team}, a signé le meilleur tour, en {lapTime}.",
+  'highlights.raceOnLap': "La {sessionName} du {raceName} est terminée ! {driver}, de chez {team}, a signé le meilleur tour au tour {lap}, en {lapTime}.",
+  'highlights.session': "Le plus rapide des {sessionName} du {raceName} était {driver}, de chez {team}, avec un meilleur tour en {lapTime}.",
+  'highlights.second': "C'est {gap} secondes de mieux que {driver}, de chez {team}.",
+  'highlights.secondAndThird': "C'est {gap} secondes de mieux que {driver}, de chez {team}, et {thirdDriver} était troisième, à {thirdGap} secondes.",
+  'highlights.close': "C'est plus rapide qu'un clin d'œil !",
+
+  'qualifying.pole': "Les qualifications du {raceName} sont terminées, et {driver} a décroché la pole position pour {team} !",
+  'qualifying.poleLap': "Son meilleur tour était de {lapTime}.",
+  'qualifying.poleStart': "Cela veut dire que {driver} partira tout devant sur la grille.",
+  'qualifying.frontRow': "À côté de {pole} sur la première ligne, on trouvera {driver}, de chez {team}. Attention à la bataille jusqu'au premier virage !",
+  'qualifying.gridIntro': "Voici comment les {count} premiers vont s'aligner sur la grille.",
+  'qualifying.gridEntry': "En position {position}, {driver}, de chez {team}.",
+  'qualifying.gridEntryGap': "En position {position}, {driver}, de chez {team}, à {gap} secondes de la pole.",
+
+  'lastRace.first': "{driver} a gagné le {raceName} pour {team}, et marque {points} points ! Quelle course !",
+  'lastRace.second': "La deuxième place est pour {driver}, de chez {team}, qui marque {points} points.",
+  'lastRace.third': "Pour compléter le podium, {driver} termine troisième avec {team}, et {points} points.",
+  'lastRace.winnerLaps': "La course a duré {laps} tours.",
+  'lastRace.gapToWinner': "Ce pilote a passé la ligne {gap} secondes après le vainqueur.",
+  'lastRace.sprintWinner': "Plus tôt dans le week-end, {driver} a gagné le Sprint pour {team}.",
+  'lastRace.sprintPodium': "{drivers} l'ont rejoint sur le podium du Sprint.",
+  'lastRace.noRetirements': "Tous les pilotes qui ont pris le départ du {raceName} ont vu le drapeau à damier !",
+  'lastRace.retirements_one': "Tout le monde n'est pas allé au bout. {count} pilote n'a pas vu le drapeau à damier.",
+  'lastRace.retirements_other': "Tout le monde n'est pas allé au bout. {count} pilotes n'ont pas vu le drapeau à damier.",
+  'lastRace.disqualified': "{driver}, de chez {team}, a été disqualifié.",
+  'lastRace.didNotStart': "{driver}, de chez {team}, n'a pas pris le départ.",
+  'lastRace.didNotFinish': "{driver}, de chez {team}, n'a pas terminé la course.",
+
+  'raceControl.intro': "Voyons ce qui s'est passé pendant le {raceName}.",
+  'raceControl.clean': "C'était une course propre, sans voiture de sécurité, sans drapeau rouge et sans pénalité.",
+  'raceControl.safetyCarDeployed': "Au tour {lap}, la voiture de sécurité est entrée en piste : tout le monde a dû ralentir et se mettre en file derrière elle.",
+  'raceControl.safetyCarDeployed.noLap': "Ensuite, la voiture de sécurité est entrée en piste : tout le monde a dû ralentir et se mettre en file derrière elle.",
+  'raceControl.safetyCarEnding': "Au tour {lap}, la voiture de sécurité est rentrée aux stands, et la course a repris.",
+  'raceControl.safetyCarEnding.noLap': "Ensuite, la voiture de sécurité est rentrée aux stands, et la course a repris.",
+  'raceControl.vscDeployed': "Au tour {lap}, il y a eu une voiture de sécurité virtuelle. Cela veut dire que tous les pilotes ont dû ralentir pendant que les commissaires dégageaient la piste.",
+  'raceControl.vscDeployed.noLap': "Ensuite, il y a eu une voiture de sécurité virtuelle. Cela veut dire que tous les pilotes ont dû ralentir pendant que les commissaires dégageaient la piste.",
+  'raceControl.vscEnding': "Au tour {lap}, la voiture de sécurité virtuelle a pris fin et les pilotes ont pu de nouveau attaquer à fond.",
+  'raceControl.vscEnding.noLap': "Ensuite, la voiture de sécurité virtuelle a pris fin et les pilotes ont pu de nouveau attaquer à fond.",
+  'raceControl.redFlag': "Au tour {lap}, un drapeau rouge a arrêté la course ! Toutes les voitures ont dû rentrer aux stands et attendre.",
+  'raceControl.redFlag.noLap': "Ensuite, un drapeau rouge a arrêté la course ! Toutes les voitures ont dû rentrer aux stands et attendre.",
+  'raceControl.penalty': "Au tour {lap}, les commissaires ont donné à {driver} {penalty}.",
+  'raceControl.penalty.noLap': "Ensuite, les commissaires ont donné à {driver} {penalty}.",
+  'raceControl.chequeredFlag': "À la fin du tour {lap}, le drapeau à damier s'est abaissé et le {raceName} était terminé !",
+  'raceControl.chequeredFlag.noLap': "Enfin, le drapeau à damier s'est abaissé et le {raceName} était terminé !",
+  'penalty.time': "une pénalité de {seconds} secondes",
+  'penalty.driveThrough': "un drive-through",
+  'penalty.stopAndGo': "un stop-and-go",
+
+  'tyre.SOFT': "pneus tendres",
+  'tyre.MEDIUM': "pneus mediums",
+  'tyre.HARD': "pneus durs",
+  'tyre.INTERMEDIATE': "pneus intermédiaires",
+  'tyre.WET': "pneus pluie",
+  'strategy.fastestStop': "L'arrêt au stand le plus rapide du {raceName} était celui de {driver}. {crew} a changé les quatre pneus en seulement {seconds} secondes !",
+  'strategy.fastestStopOnLap': "L'arrêt au stand le plus rapide du {raceName} était celui de {driver}, au tour {lap}. {crew} a changé les quatre pneus en seulement {seconds} secondes !",
+  'strategy.teamCrew': "L'équipe de mécaniciens de {team}",
+  'strategy.pitCrew': "L'équipe de mécaniciens",
+  'strategy.quickestPitLane': "L'arrêt au stand le plus rapide du {raceName} était celui de {driver}, qui est entré, a changé de pneus et est ressorti de la voie des stands en {seconds} secondes.",
+  'strategy.quickestPitLaneOnLap': "L'arrêt au stand le plus rapide du {raceName} était celui de {driver}, au tour {lap} : il est entré, a changé de pneus et est ressorti de la voie des stands en {seconds} secondes.",
+  'strategy.noStops': "{driver} a terminé en position {position} sans s'arrêter une seule fois.",
+  'strategy.stops_one': "{driver} a terminé en position {position} avec une stratégie à {count} arrêt.",
+  'strategy.stops_other': "{driver} a terminé en position {position} avec une stratégie à {count} arrêts.",
+  'strategy.startedOn': "Il a pris le départ en {compound}.",
+  'strategy.startedOnThenSwitched': "Il a pris le départ en {compound}, puis est passé en {later}.",
+  'strategy.thenSeparator': ", puis en ",
+  'strategy.compoundsUsed_one': "Pendant cette course, les équipes n'ont utilisé qu'un seul type de pneus : les {compounds}.",
+  'strategy.compoundsUsed_other': "Pendant cette course, les équipes ont utilisé ces pneus : {compounds}.",
+  'strategy.tyresExplained': "Les pneus plus tendres accrochent mieux la piste et sont plus rapides, mais ils s'usent plus vite. Les pneus plus durs sont plus lents, mais durent beaucoup plus longtemps. Choisir le bon moment pour en changer, c'est une grande partie de la victoire en Grand Prix !",
+  'strategy.rainTyres': "Certains pilotes ont aussi eu besoin de pneus pluie, qui ont des rainures pour évacuer l'eau de la piste.",
+
+  'favourites.driverIntro': "Prenons des nouvelles de {name}, qui court pour {team}.",
+  'favourites.teamIntro': "Prenons des nouvelles de {name}.",
+  'favourites.driverLeading': "{name} est en tête du championnat des pilotes avec {points} points !",
+  'favourites.teamLeading': "{name} est en tête du championnat des constructeurs avec {points} points !",
+  'favourites.driverPosition': "{name} est en position {position} au championnat des pilotes, avec {points} points.",
+  'favourites.teamPosition': "{name} est en position {position} au championnat des constructeurs, avec {points} points.",
+  'favourites.levelWithAhead': "À égalité de points avec {name}, juste devant.",
+  'favourites.behindAhead_one': "{count} point derrière {name}, qui est une place devant.",
+  'favourites.behindAhead_other': "{count} points derrière {name}, qui est une place devant.",
+  'favourites.levelWithBehind': "{name} est juste derrière, avec le même nombre de points.",
+  'favourites.aheadOfBehind_one': "{name} est {count} point derrière.",
+  'favourites.aheadOfBehind_other': "{name} est {count} points derrière.",
+  'favourites.disqualified': "Au {raceName}, {name} a été disqualifié.",
+  'favourites.didNotStart': "{name} n'a pas pris le départ du {raceName}.",
+  'favourites.didNotFinish': "Malheureusement, {name} n'a pas terminé le {raceName}.",
+  'favourites.finished': "Au {raceName}, {name} a terminé en position {position}.",
+  'favourites.finishedWithPoints_one': "Au {raceName}, {name} a terminé en position {position} et marqué {count} point.",
+  'favourites.finishedWithPoints_other': "Au {raceName}, {name} a terminé en position {position} et marqué {count} points.",
+  'favourites.teamScored_one': "Au {raceName}, {name} a marqué {count} point.",
+  'favourites.teamScored_other': "Au {raceName}, {name} a marqué {count} points.",
+  'favourites.teamScoredBestCar_one': "Au {raceName}, {name} a marqué {count} point, et sa meilleure voiture a terminé en position {bestPosition}.",
+  'favourites.teamScoredBestCar_other': "Au {raceName}, {name} a marqué {count} points, et sa meilleure voiture a terminé en position {bestPosition}.",
+  'favourites.teamNoPoints': "{name} n'a marqué aucun point au {raceName}.",
+  'favourites.teamNoPointsBestCar': "{name} n'a marqué aucun point au {raceName}, et sa meilleure voiture a terminé en position {bestPosition}.",
+
+  'titleFight.grandsPrix_one': "{count} Grand Prix",
+  'titleFight.grandsPrix_other': "{count} Grands Prix",
+  'titleFight.sprints_one': "{count} Sprint",
+  'titleFight.sprints_other': "{count} Sprints",
+  'titleFight.almostOver': "La saison est presque finie, et le championnat n'est toujours pas joué !",
+  'titleFight.eventsLeft_one': "Il ne reste plus que {events} cette saison, alors la bataille pour le championnat s'enflamme !",
+  'titleFight.eventsLeft_other': "Il ne reste plus que {events} cette saison, alors la bataille pour le championnat s'enflamme !",
+  'titleFight.driversOpen': "Chaque pilote peut encore marquer au maximum {maxPoints} points, et {count} pilotes peuvent encore devenir champion du monde.",
+  'titleFight.driverChampion': "{driver} a déjà gagné le championnat des pilotes. Félicitations !",
+  'titleFight.teamChampion': "{team} a déjà gagné le championnat des constructeurs.",
+  'titleFight.leader': "{driver} mène le championnat avec {points} points. Dès que son avance sera plus grande que les points qui restent à gagner, le titre sera à lui !",
+  'titleFight.mustWinEverything': "{driver} est à {gap} points du leader. Pour gagner le titre, il faudra tout gagner d'ici la fin, et que le leader ne marque plus aucun point.",
+  'titleFight.contender': "{driver} est en position {position}, à {gap} points du leader. Avec encore {maxPoints} points à prendre, le titre est toujours possible !",
+  'titleFight.teamsLeader': "Au championnat des constructeurs, {team} mène avec {points} points.",
+  'titleFight.teamChaser': "{team}, à {gap} points",
+  'titleFight.teamChasers_one': "Toujours dans la course : {chasers}.",
+  'titleFight.teamChasers_other': "Toujours dans la course : {chasers}.",
+  'titleFight.teamsMaxPoints': "Chaque équipe peut encore marquer jusqu'à {maxPoints} points.",
+
+  'standings.driver': "En position {position}, {driver}, qui court pour {team}, avec {points} points.",
+  'standings.team': "En position {position}, {team}, avec {points} points.",
+  'standings.levelWithLeader': "C'est à égalité de points avec le leader !",
+  'standings.behindLeader_one': "C'est {count} point derrière le leader.",
+  'standings.behindLeader_other': "C'est {count} points derrière le leader.",
+  'standings.behindAhead_one': "Et {count} point derrière {name}, juste une place devant.",
+  'standings.behindAhead_other': "Et {count} points derrière {name}, juste une place devant.",
+  'standings.levelWithAhead': "Et à égalité de points avec {name}, juste une place devant.",
+  'standings.allDrivers': "les {count} pilotes",
+  'standings.topDrivers': "les {count} meilleurs pilotes",
+  'standings.allTeams': "les {count} équipes",
+  'standings.topTeams': "les {count} meilleures équipes",
+
+  'calendar.month_one': "En {month}, il y a {count} course.",
+  'calendar.month_other': "En {month}, il y a {count} courses.",
+  'calendar.race': "Le {raceName}, à {location}, se court le {date}, sur le circuit de {circuit}.",
+  'calendar.countdown': "C'est {countdown}.",
+  'calendar.countdownSoon': "C'est {countdown} !",
+  'calendar.sprintWeekend': "C'est un week-end Sprint, alors il y a une petite course en plus !",
+
+  'outro.signOff': "C'est tout pour le moment, fans de Formule 1 ! Profitez bien du {raceName}, et à la prochaine course !",
+  'outro.signOff.v2': "Et voilà, c'est la fin de la carte. Amusez-vous bien devant le {raceName} !",
+  'outro.signOff.v3': "C'est tout pour cette semaine. Encouragez vos favoris pendant le {raceName}, et à bientôt !",
+
+  'script.chapter': "Chapitre {number} : {title}",
+  'script.nextRaceTitle': "La prochaine course",
+  'script.weekendBegins': "Le week-end de course commence le {date}, et la course principale est à {time}.",
+  'script.outro': "Préparez-vous pour un week-end de course passionnant !",
+  'script.driversIntro': "Regardons maintenant le classement des pilotes.",
+  'script.driversTable': "Voici {table} du championnat.",
+  'script.driverEntry': "En position {position}, {driver}, de chez {team}, avec {points} points.",
+  'script.driverEntryGap': "En position {position}, {driver}, de chez {team}, avec {points} points, à {gap} points du leader.",
+  'script.driversOutro': "Quelle saison passionnante !",
+  'script.teamsIntro': "Pour finir, regardons le championnat des constructeurs.",
+  'script.teamsTable': "Voici {table} qui se battent pour la gloire.",
+  'script.teamEntry': "En position {position}, {team}, avec {points} points.",
+  'script.teamEntryGap': "En position {position}, {team}, avec {points} points, à {gap} points du leader.",
+  'script.thanks': "Merci de nous avoir écoutés ! Bonnes courses !",
+};
@@ -0,0 +1,398 @@
+// Italian narration. Keys match the English catalog (en.js); anything missing
+// here is read in English.
+
+export const messages = {
+  'list.and': "e",
+
+  'unit.celsius': "{value} gradi Celsius",
+  'unit.fahrenheit': "{value} gradi Fahrenheit",
+  'unit.kmh': "{value} chilometri orari",
+  'unit.mph': "{value} miglia orarie",
+  'unit.kilometre_one': "{value} chilometro",
+  'unit.kilometre_other': "{value} chilometri",
+  'unit.mile_one': "{value} miglio",
+  'unit.mile_other': "{value} miglia",
+  'unit.metre_one': "{value} metro",
+  'unit.metre_other': "{value} metri",
+  'unit.foot_one': "{value} piede",
+  'unit.foot_other': "{value} piedi",
+  'lapTime.seconds': "{seconds} secondi",
+  'lapTime.minutes_one': "{count} minuto e {seconds} secondi",
+  'lapTime.minutes_other': "{count} minuti e {seconds} secondi",
+
+  'countdown.already': "già",
+  'countdown.today': "oggi",
+  'countdown.tomorrow': "domani",
+  'countdown.days': "tra {count} giorni",
+  'countdown.weeks_one': "tra {count} settimana",
+  'countdown.weeks_other': "tra {count} settimane",
+  'countdown.months': "tra circa {count} mesi",
+  'time.today.morning': "stamattina",
+  'time.today.afternoon': "oggi pomeriggio",
+  'time.today.evening': "stasera",
+  'time.today.night': "stanotte",
+  'time.tomorrow.morning': "domani mattina",
+  'time.tomorrow.afternoon': "domani pomeriggio",
+  'time.tomorrow.evening': "domani sera",
+  'time.tomorrow.night': "domani notte",
+  'time.onDay.morning': "{weekday} mattina",
+  'time.onDay.afternoon': "{weekday} pomeriggio",
+  'time.onDay.evening': "{weekday} sera",
+  'time.onDay.night': "{weekday} notte",
+  'time.inDays': "tra {count} giorni, {onDay}",
+  'time.nextWeekend': "il prossimo fine settimana, {onDay}",
+  'time.later': "{countdown}, {onDay}",
+
+  'sessionName.Practice 1': "Prove Libere 1",
+  'sessionName.Practice 2': "Prove Libere 2",
+  'sessionName.Practice 3': "Prove Libere 3",
+  'sessionName.Qualifying': "Qualifiche",
+  'sessionName.Sprint Qualifying': "Qualifiche Sprint",
+  'sessionName.Sprint Shootout': "Qualifiche Sprint",
+  'sessionName.Sprint': "Sprint",
+  'sessionName.Race': "Gara",
+
+  'circuitType.permanent': "un circuito permanente",
+  'circuitType.street': "un circuito cittadino temporaneo",
+  'circuitType.road': "un circuito stradale temporaneo",
+  'circuitType.other': "un circuito",
+
+  'chapter.overview': "Il weekend di gara",
+  'chapter.nextRace': "La prossima gara di F1",
+  'chapter.circuit': "Conosciamo il circuito",
+  'chapter.qualifying': "Risultati delle qualifiche",
+  'chapter.sessionResults': "Risultati: {sessionName}",
+  'chapter.sessionLive': "{sessionName} - In diretta",
+  'chapter.lastRace': "Risultati dell'ultima gara",
+  'chapter.strategy': "L'angolo della strategia",
+  'chapter.favourites': "I tuoi preferiti",
+  'chapter.titleFight': "La lotta per il titolo",
+  'chapter.driversStandings': "Classifica piloti",
+  'chapter.teamsStandings': "Classifica costruttori",
+  'chapter.topDrivers': "I primi {count} piloti",
+  'chapter.topTeams': "I primi {count} costruttori",
+  'chapter.calendar': "Il calendario della stagione",
+  'track.pastWinners': "Chi ha vinto qui in passato",
+  'track.circuit': "La pista",
+  'track.lapRecord': "Il record sul giro",
+  'track.funFacts': "Lo sapevi?",
+  'track.pole': "Pole: {driver}",
+  'track.frontRow': "La prima fila",
+  'track.topGrid': "I primi {count} in griglia",
+  'track.raceControl': "Cosa è successo in gara",
+  'track.sprintWinner': "Il vincitore della Sprint",
+  'track.retirements': "I ritiri",
+  'track.fastestPitStop': "Il pit stop più veloce",
+  'track.podiumStrategy': "Strategia P{position}: {driver}",
+  'track.tyres': "Le gomme",
+  'track.titleFight': "La lotta per il titolo",
+  'track.teamsTitleFight': "La lotta per il titolo costruttori",
+
+  'overview.intro': "Ciao, fan della Formula 1! Vi racconto la prossima gara della stagione {year}, il {raceName}.",
+  'overview.intro.v2': "Ciao, appassionati di corse! È il momento di scoprire tutto sul {raceName} della stagione {year}.",
+  'overview.intro.v3': "Bentornati, fan della Formula 1! Il prossimo appuntamento della stagione {year} è il {raceName}, ed ecco tutto quello che c'è da sapere.",
+  'overview.location': "Questo weekend di gara si svolge a {location}.",
+  'overview.unknownLocation': "un posto emozionante",
+  'overview.circuit': "I piloti correranno sul circuito di {circuit}.",
+  'overview.circuitWithType': "I piloti correranno sul circuito di {circuit}, che è {circuitType}.",
+  'overview.officialName': "Il nome ufficiale di questo evento è {officialName}.",
+  'overview.weekendStarts': "Il weekend di gara inizia {when}!",
+  'overview.weekendUnderway': "Il weekend di gara è già cominciato!",
+  'overview.grandPrixStarts': "Il Gran Premio vero e proprio parte {when}.",
+  'overview.raceScheduled': "La gara è in programma il {date} alle {time}.",
+  'overview.weatherIntro': "Diamo un'occhiata al meteo in pista.",
+  'overview.weatherIntro.v2': "E adesso, che tempo fa in pista?",
+  'overview.weatherIntro.v3': "È il momento di un rapido controllo del meteo sul circuito.",
+  'overview.airTemperature': "La temperatura dell'aria è di {temperature}.",
+  'overview.trackTemperature': "La temperatura della pista è di {temperature}.",
+  'overview.humidity': "L'umidità è al {humidity} per cento.",
+  'overview.lightWind': "C'è un vento leggero a {speed}.",
+  'overview.moderateWind': "C'è un vento moderato a {speed}.",
+  'overview.strongWind': "C'è un vento forte a {speed}.",
+  'overview.rain': "I piloti dovranno correre sul bagnato, perché sta piovendo in pista.",
+  'overview.dry': "La pista è asciutta e non piove: perfetto per correre!",
+  'overview.windDirection': "Il vento soffia da {direction}.",
+  'overview.pressure': "La pressione atmosferica è di {pressure} millibar.",
+  'overview.liveNow': "{sessionName}: si corre proprio adesso!",
+  'overview.finishedCount_one': "{count} delle {total} sessioni di questo weekend è già finita.",
+  'overview.finishedCount_other': "{count} delle {total} sessioni di questo weekend sono già finite.",
+  'overview.listenLiveAndEarlier': "Ascolta i prossimi capitoli per sapere cosa succede in diretta, cosa arriva dopo e cosa è successo prima.",
+  'overview.listenLiveAndEarlier.v2': "Continua ad ascoltare per sapere cosa c'è in diretta, cosa arriva dopo e cosa è già successo.",
+  'overview.listenLive': "Ascolta i prossimi capitoli per sapere cosa succede in diretta e cosa arriva dopo.",
+  'overview.listenLive.v2': "Continua ad ascoltare per sapere cosa succede in questo momento e cosa arriva dopo.",
+  'overview.listenEarlier': "Ascolta i prossimi capitoli per sapere cosa arriva dopo e cosa è successo prima!",
+  'overview.listenEarlier.v2': "Continua ad ascoltare per sapere cosa arriva dopo e come sono andate le sessioni precedenti!",
+  'overview.sessionCount_one': "Questo weekend è in programma {count} sessione. Ascolta il prossimo capitolo per saperne di più!",
+  'overview.sessionCount_other': "Questo weekend sono in programma {count} sessioni. Ascolta i prossimi capitoli per scoprire ogni sessione!",
+  'overview.fallbackIntro': "Ciao, fan della Formula 1! Vi racconto la prossima gara della stagione {year}.",
+  'overview.fallbackNextRace': "La prossima gara è il {raceName}, che si corre a {location}.",
+  'overview.fallbackSchedule': "La gara si svolgerà il {date}, alle {time}.",
+  'overview.fallbackOutro': "Preparatevi per una gara emozionante a {circuit}!",
+
+  'compass.north': "nord",
+  'compass.northEast': "nord-est",
+  'compass.east': "est",
+  'compass.southEast': "sud-est",
+  'compass.south': "sud",
+  'compass.southWest': "sud-ovest",
+  'compass.west': "ovest",
+  'compass.northWest': "nord-ovest",
+
+  'pastWinners.intro_one': "Chi ha vinto qui in passato? Ripensiamo all'ultima gara a {circuit}.",
+  'pastWinners.intro_other': "Chi ha vinto qui in passato? Ripensiamo alle ultime {count} gare a {circuit}.",
+  'pastWinners.winner': "Nel {year} ha vinto {driver}.",
+  'pastWinners.winnerWithTeam': "Nel {year} ha vinto {driver}, con la {team}.",
+  'pastWinners.wonTwice': "{driver} ha vinto qui due volte!",
+  'pastWinners.wonMany': "{driver} ha vinto qui {count} volte!",
+  'pastWinners.allDifferent': "Ogni volta un vincitore diverso. Chi sarà quest'anno?",
+
+  'circuit.welcome': "Conosciamo il {circuitName}, la pista del {raceName}!",
+  'circuit.distance': "Un giro è lungo {lapLength} e i piloti faranno {laps} giri. In tutto sono circa {raceDistance}!",
+  'circuit.corners': "Ogni giro ha {corners} curve.",
+  'circuit.cornersAndDrs_one': "Ogni giro ha {corners} curve e {count} zona DRS, dove un pilota molto vicino a un'altra macchina può aprire un flap nell'alettone posteriore per andare più veloce e provare a sorpassare.",
+  'circuit.cornersAndDrs_other': "Ogni giro ha {corners} curve e {count} zone DRS, dove un pilota molto vicino a un'altra macchina può aprire un flap nell'alettone posteriore per andare più veloce e provare a sorpassare.",
+  'circuit.lapRecord': "Il giro più veloce mai fatto qui in gara è di {lapTime}, di {driver} nel {year}. Qualcuno andrà ancora più forte questo weekend?",
+  'circuit.funFacts': "Ecco qualche curiosità su questo circuito. {facts}",
+
+  'schedule.scheduled': "In programma il {date} alle {time}.",
+  'schedule.toBeConfirmed': "L'orario deve ancora essere confermato.",
+  'schedule.finishedOn': "Questa sessione si è svolta il {date} ed è già finita.",
+  'schedule.finished': "Questa sessione è già finita.",
+  'schedule.live': "Si corre proprio adesso!",
+  'schedule.liveSince': "Si corre proprio adesso! È iniziata alle {time}.",
+  'schedule.startsIn': "Inizia {when}! {schedule}",
+  'session.practice': `Ecco le {sessionName} del {raceName}.
+
+{schedule}
+
+Durante le prove libere le squadre mettono a punto le macchine e i piloti imparano a conoscere la pista. Le squadre proveranno gomme e assetti aerodinamici diversi per trovare il giusto equilibrio tra velocità e affidabilità.
+
+Tieni d'occhio i tempi sul giro e ascolta i team radio, mentre gli ingegneri raccolgono dati preziosi per il resto del weekend!`,
+  'session.qualifying': `Ecco le {sessionName} del {raceName}.
+
+{schedule}
+
+Le qualifiche decidono la griglia di partenza della gara! Ci sono tre manche a eliminazione: Q1, Q2 e Q3. I piloti più lenti vengono eliminati dopo la Q1 e la Q2, e i dieci più veloci si giocano la pole position nella Q3.
+
+La pole position è molto importante, perché dà al pilota la migliore occasione di arrivare primo alla prima curva. Ogni centesimo di secondo conta!`,
+  'session.sprint': `Ecco la {sessionName} del {raceName}.
+
+{schedule}
+
+La Sprint è una gara più corta che decide una parte della griglia di partenza del Gran Premio. È una gara velocissima con pochi giri, quindi ogni posizione conta!
+
+I piloti spingeranno al massimo fin dal via e, con meno scelte di strategia rispetto alla gara principale, i sorpassi in pista sono ancora più importanti. I primi classificati conquistano punti!`,
+  'session.race': `Ecco la {sessionName} principale del {raceName}!
+
+{schedule}
+
+Questo è il grande momento! Nel Gran Premio i piloti lotteranno per il massimo dei punti su tutta la distanza di gara. Strategia, gestione delle gomme e talento alla guida saranno fondamentali.
+{grid}
+Tieni d'occhio i pit stop, i sorpassi e come i piloti gestiscono le gomme durante la gara. Al vincitore vanno venticinque punti, e nella lotta per il campionato ogni posizione conta!
+
+Si spengono i semafori, e via!`,
+  'session.other': `Ecco la sessione {sessionName} del {raceName}.
+
+{schedule}
+
+Questa sessione è una parte importante del weekend del {raceName} a {circuit}. Squadre e piloti lavoreranno sodo per prepararsi alla gara principale!`,
+  'session.practice.littleFan': `Ecco le {sessionName} del {raceName}.
+
+{schedule}
+
+Durante le prove, i piloti sfrecciano sulla pista per conoscere ogni curva e rendere la loro macchina più veloce possibile!`,
+  'session.qualifying.littleFan': `Ecco le {sessionName} del {raceName}.
+
+{schedule}
+
+Le qualifiche sono una gara contro il tempo! Chi fa il giro più veloce parte davanti a tutti nella gara.`,
+  'session.sprint.littleFan': `Ecco la {sessionName} del {raceName}.
+
+{schedule}
+
+La Sprint è una gara corta e velocissima, e i piloti che arrivano davanti vincono punti!`,
+  'session.race.littleFan': `Ecco la grande {sessionName} del {raceName}!
+
+{schedule}
+
+È il momento più emozionante del weekend! I piloti corrono giro dopo giro, e chi taglia per primo il traguardo vince.
+{grid}
+Si spengono i semafori, e via!`,
+  'session.other.littleFan': `Ecco la sessione {sessionName} del {raceName}.
+
+{schedule}
+
+Le squadre si preparano per la grande gara a {circuit}!`,
+  'session.gridPole': "{driver} parte dalla pole position.",
+  'session.gridFrontRow': "{driver} parte dalla pole position, con {second} accanto in prima fila.",
+  'session.gridSecondRow': "Subito dietro, {drivers} formano la seconda fila.",
+
+  'weather.lightWind': "una brezza leggera",
+  'weather.moderateWind': "vento moderato",
+  'weather.strongWind': "vento forte",
+  'weather.forecast': "Le previsioni meteo per l'inizio della sessione sono di {temperature}.",
+  'weather.forecastWithWind': "Le previsioni meteo per l'inizio della sessione sono di {temperature}, con {wind}.",
+  'weather.forecastWithRain': "Le previsioni meteo per l'inizio della sessione sono di {temperature}, con il {rainChance} per cento di probabilità di pioggia.",
+  'weather.forecastWithRainAndWind': "Le previsioni meteo per l'inizio della sessione sono di {temperature}, con il {rainChance} per cento di probabilità di pioggia e {wind}.",
+  'weather.liveReading': "In questo momento in pista ci sono {temperature}",
+  'weather.finishedReading': "Durante la sessione c'erano {temperature}",
+  'weather.trackSurface': ", con l'asfalto a {temperature}",
+  'weather.liveWet': ", e sta piovendo",
+  'weather.liveDry': ", e la pista è asciutta",
+  'weather.finishedWet': ", ed è piovuto",
+  'weather.finishedDry': ", e non è piovuto",
+
+  'highlights.race': "La {sessionName} del {raceName} è finita! {driver} della {team} ha fatto il giro più veloce, con un tempo di {lapTime}.",
+  'highlights.raceOnLap': "La {sessionName} del {raceName} è finita! {driver} della {team} ha fatto il giro più veloce al giro {lap}, con un tempo di {lapTime}.",
+  'highlights.session': "Il più veloce nelle {sessionName} del {raceName} è stato {driver} della {team}, con un giro migliore di {lapTime}.",
+  'highlights.second': "Sono {gap} secondi in meno di {driver} della {team}.",
+  'highlights.secondAndThird': "Sono {gap} secondi in meno di {driver} della {team}, e {thirdDriver} è stato terzo, a {thirdGap} secondi.",
+  'highlights.close': "È meno di un battito di ciglia!",
+
+  'qualifying.pole': "Le qualifiche del {raceName} sono finite, e {driver} ha conquistato la pole position per la {team}!",
+  'qualifying.poleLap': "Il suo giro migliore è stato di {lapTime}.",
+  'qualifying.poleStart': "Questo vuol dire che {driver} partirà davanti a tutti in griglia.",
+  'qualifying.frontRow': "Accanto a {pole} in prima fila ci sarà {driver} della {team}. Occhio alla lotta fino alla prima curva!",
+  'qualifying.gridIntro': "Ecco come si schiereranno in griglia i primi {count}.",
+  'qualifying.gridEntry': "In posizione {position}, {driver} della {team}.",
+  'qualifying.gridEntryGap': "In posizione {position}, {driver} della {team}, a {gap} secondi dalla pole.",
+
+  'lastRace.first': "{driver} ha vinto il {raceName} per la {team}, conquistando {points} punti! Che gara!",
+  'lastRace.second': "Il secondo posto è andato a {driver} della {team}, che ha conquistato {points} punti.",
+  'lastRace.third': "A completare il podio, al terzo posto, {driver} della {team}, con {points} punti.",
+  'lastRace.winnerLaps': "La gara è durata {laps} giri.",
+  'lastRace.gapToWinner': "Ha tagliato il traguardo {gap} secondi dopo il vincitore.",
+  'lastRace.sprintWinner': "Prima, nel weekend, {driver} aveva vinto la Sprint per la {team}.",
+  'lastRace.sprintPodium': "Sul podio della Sprint sono saliti anche {drivers}.",
+  'lastRace.noRetirements': "Tutti i piloti partiti nel {raceName} sono arrivati alla bandiera a scacchi!",
+  'lastRace.retirements_one': "Non tutti sono arrivati alla fine. {count} pilota non ha visto la bandiera a scacchi.",
+  'lastRace.retirements_other': "Non tutti sono arrivati alla fine. {count} piloti non hanno visto la bandiera a scacchi.",
+  'lastRace.disqualified': "{driver} della {team} è stato squalificato.",
+  'lastRace.didNotStart': "{driver} della {team} non è partito.",
+  'lastRace.didNotFinish': "{driver} della {team} non ha finito la gara.",
+
+  'raceControl.intro': "Vediamo cosa è successo durante il {raceName}.",
+  'raceControl.clean': "È stata una gara pulita, senza safety car, senza bandiere rosse e senza penalità.",
+  'raceControl.safetyCarDeployed': "Al giro {lap} è entrata in pista la safety car, quindi tutti hanno dovuto rallentare e mettersi in fila dietro di lei.",
+  'raceControl.safetyCarDeployed.noLap': "Poi è entrata in pista la safety car, quindi tutti hanno dovuto rallentare e mettersi in fila dietro di lei.",
+  'raceControl.safetyCarEnding': "Al giro {lap} la safety car è rientrata ai box e la gara è ripartita.",
+  'raceControl.safetyCarEnding.noLap': "Poi la safety car è rientrata ai box e la gara è ripartita.",
+  'raceControl.vscDeployed': "Al giro {lap} c'è stata una virtual safety car. Vuol dire che tutti i piloti hanno dovuto rallentare mentre i commissari liberavano la pista.",
+  'raceControl.vscDeployed.noLap': "Poi c'è stata una virtual safety car. Vuol dire che tutti i piloti hanno dovuto rallentare mentre i commissari liberavano la pista.",
+  'raceControl.vscEnding': "Al giro {lap} la virtual safety car è finita e i piloti hanno potuto tornare a spingere al massimo.",
+  'raceControl.vscEnding.noLap': "Poi la virtual safety car è finita e i piloti hanno potuto tornare a spingere al massimo.",
+  'raceControl.redFlag': "Al giro {lap} una bandiera rossa ha fermato la gara! Tutte le macchine sono dovute rientrare in corsia box ad aspettare.",
+  'raceControl.redFlag.noLap': "Poi una bandiera rossa ha fermato la gara! Tutte le macchine sono dovute rientrare in corsia box ad aspettare.",
+  'raceControl.penalty': "Al giro {lap} i commissari hanno dato a {driver} {penalty}.",
+  'raceControl.penalty.noLap': "Poi i commissari hanno dato a {driver} {penalty}.",
+  'raceControl.chequeredFlag': "Alla fine del giro {lap} è stata sventolata la bandiera a scacchi, e il {raceName} era finito!",
+  'raceControl.chequeredFlag.noLap': "Alla fine è stata sventolata la bandiera a scacchi, e il {raceName} era finito!",
+  'penalty.time': "una penalità di {seconds} secondi",
+  'penalty.driveThrough': "un drive-through",
+  'penalty.stopAndGo': "uno stop-and-go",
+
+  'tyre.SOFT': "gomme morbide",
+  'tyre.MEDIUM': "gomme medie",
+  'tyre.HARD': "gomme dure",
+  'tyre.INTERMEDIATE': "gomme intermedie",
+  'tyre.WET': "gomme da bagnato",
+  'strategy.fastestStop': "Il pit stop più veloce del {raceName} è stato quello di {driver}. {crew} ha cambiato tutte e quattro le gomme in soli {seconds} secondi!",
+  'strategy.fastestStopOnLap': "Il pit stop più veloce del {raceName} è stato quello di {driver}, al giro {lap}. {crew} ha cambiato tutte e quattro le gomme in soli {seconds} secondi!",
+  'strategy.teamCrew': "La squadra dei meccanici della {team}",
+  'strategy.pitCrew': "La squadra dei meccanici",
+  'strategy.quickestPitLane': "Il pit stop più rapido del {raceName} l'ha fatto {driver}, che è entrato, ha cambiato le gomme ed è uscito dalla corsia box in {seconds} secondi.",
+  'strategy.quickestPitLaneOnLap': "Il pit stop più rapido del {raceName} l'ha fatto {driver} al giro {lap}: è entrato, ha cambiato le gomme ed è uscito dalla corsia box in {seconds} secondi.",
+  'strategy.noStops': "{driver} è arrivato in posizione {position} senza mai fermarsi.",
+  'strategy.stops_one': "{driver} è arrivato in posizione {position} con una strategia a {count} sosta.",
+  'strategy.stops_other': "{driver} è arrivato in posizione {position} con una strategia a {count} soste.",
+  'strategy.startedOn': "È partito con le {compound}.",
+  'strategy.startedOnThenSwitched': "È partito con le {compound}, poi è passato alle {later}.",
+  'strategy.thenSeparator': ", poi alle ",
+  'strategy.compoundsUsed_one': "In questa gara le squadre hanno usato solo un tipo di gomme: le {compounds}.",
+  'strategy.compoundsUsed_other': "In questa gara le squadre hanno usato queste gomme: {compounds}.",
+  'strategy.tyresExplained': "Le gomme più morbide fanno più presa sulla pista e sono più veloci, ma si consumano prima. Quelle più dure sono più lente, ma durano molto di più. Scegliere quando cambiarle è una parte importante per vincere un Gran Premio!",
+  'strategy.rainTyres': "Alcuni piloti hanno avuto bisogno anche delle gomme da pioggia, che hanno delle scanalature per togliere l'acqua dalla pista.",
+
+  'favourites.driverIntro': "Vediamo come sta andando {name}, che corre per la {team}.",
+  'favourites.teamIntro': "Vediamo come sta andando la {name}.",
+  'favourites.driverLeading': "{name} è in testa alla classifica piloti con {points} punti!",
+  'favourites.teamLeading': "La {name} è in testa alla classifica costruttori con {points} punti!",
+  'favourites.driverPosition': "{name} è in posizione {position} nella classifica piloti, con {points} punti.",
+  'favourites.teamPosition': "La {name} è in posizione {position} nella classifica costruttori, con {points} punti.",
+  'favourites.levelWithAhead': "È a pari punti con {name}, appena davanti.",
+  'favourites.behindAhead_one': "È a {count} punto da {name}, una posizione più avanti.",
+  'favourites.behindAhead_other': "È a {count} punti da {name}, una posizione più avanti.",
+  'favourites.levelWithBehind': "{name} è subito dietro con gli stessi punti.",
+  'favourites.aheadOfBehind_one': "{name} è {count} punto più indietro.",
+  'favourites.aheadOfBehind_other': "{name} è {count} punti più indietro.",
+  'favourites.disqualified': "Al {raceName}, {name} è stato squalificato.",
+  'favourites.didNotStart': "{name} non è partito al {raceName}.",
+  'favourites.didNotFinish': "Purtroppo {name} non ha finito il {raceName}.",
+  'favourites.finished': "Al {raceName}, {name} è arrivato in posizione {position}.",
+  'favourites.finishedWithPoints_one': "Al {raceName}, {name} è arrivato in posizione {position} e ha conquistato {count} punto.",
+  'favourites.finishedWithPoints_other': "Al {raceName}, {name} è arrivato in posizione {position} e ha conquistato {count} punti.",
+  'favourites.teamScored_one': "Al {raceName}, la {name} ha conquistato {count} punto.",
+  'favourites.teamScored_other': "Al {raceName}, la {name} ha conquistato {count} punti.",
+  'favourites.teamScoredBestCar_one': "Al {raceName}, la {name} ha conquistato {count} punto, e la sua macchina migliore è arrivata in posizione {bestPosition}.",
+  'favourites.teamScoredBestCar_other': "Al {raceName}, la {name} ha conquistato {count} punti, e la sua macchina migliore è arrivata in posizione {bestPosition}.",
+  'favourites.teamNoPoints': "La {name} non ha conquistato punti al {raceName}.",
+  'favourites.teamNoPointsBestCar': "La {name} non ha conquistato punti al {raceName}, e la sua macchina migliore è arrivata in posizione {bestPosition}.",
+
+  'titleFight.grandsPrix_one': "{count} Gran Premio",
+  'titleFight.grandsPrix_other': "{count} Gran Premi",
+  'titleFight.sprints_one': "{count} Sprint",
+  'titleFight.sprints_other': "{count} Sprint",
+  'titleFight.almostOver': "La stagione è quasi finita, e il campionato non è ancora deciso!",
+  'titleFight.eventsLeft_one': "In questa stagione manca solo {events}, quindi la lotta per il campionato si fa davvero accesa!",
+  'titleFight.eventsLeft_other': "In questa stagione mancano solo {events}, quindi la lotta per il campionato si fa davvero accesa!",
+  'titleFight.driversOpen': "Ogni pilota può conquistare al massimo altri {maxPoints} punti, e {count} piloti possono ancora diventare campioni del mondo.",
+  'titleFight.driverChampion': "{driver} ha già vinto il campionato piloti. Congratulazioni!",
+  'titleFight.teamChampion': "La {team} ha già vinto il campionato costruttori.",
+  'titleFight.leader': "{driver} guida il campionato con {points} punti. Appena il vantaggio sarà più grande dei punti ancora in palio, il titolo sarà suo!",
+  'titleFight.mustWinEverything': "{driver} è a {gap} punti dal primo. Per vincere il titolo dovrà vincere tutto quello che resta e sperare che il primo non faccia più nemmeno un punto.",
+  'titleFight.contender': "{driver} è in posizione {position}, a {gap} punti dal primo. Con ancora {maxPoints} punti in palio, il titolo è ancora possibile!",
+  'titleFight.teamsLeader': "Nel campionato costruttori è in testa la {team} con {points} punti.",
+  'titleFight.teamChaser': "la {team}, a {gap} punti",
+  'titleFight.teamChasers_one': "Ancora in corsa c'è {chasers}.",
+  'titleFight.teamChasers_other': "Ancora in corsa ci sono {chasers}.",
+  'titleFight.teamsMaxPoints': "Ogni squadra può conquistare ancora fino a {maxPoints} punti.",
+
+  'standings.driver': "In posizione {position}, {driver}, che corre per la {team}, con {points} punti.",
+  'standings.team': "In posizione {position}, la {team}, con {points} punti.",
+  'standings.levelWithLeader': "È a pari punti con il primo!",
+  'standings.behindLeader_one': "È a {count} punto dal primo.",
+  'standings.behindLeader_other': "È a {count} punti dal primo.",
+  'standings.behindAhead_one': "E a {count} punto da {name}, una posizione più avanti.",
+  'standings.behindAhead_other': "E a {count} punti da {name}, una posizione più avanti.",
+  'standings.levelWithAhead': "E a pari punti con {name}, una posizione più avanti.",
+  'standings.allDrivers': "tutti i {count} piloti",
+  'standings.topDrivers': "i primi {count} piloti",
+  'standings.allTeams': "tutte le {count} squadre",
+  'standings.topTeams': "le prime {count} squadre",
+
+  'calendar.month_one': "A {month} c'è {count} gara.",
+  'calendar.month_other': "A {month} ci sono {count} gare.",
+  'calendar.race': "Il {raceName}, a {location}, si corre il {date} sul circuito di {circuit}.",
+  'calendar.countdown': "Cioè {countdown}.",
+  'calendar.countdownSoon': "Cioè {countdown}!",
+  'calendar.sprintWeekend': "È un weekend Sprint, quindi c'è anche una gara corta in più!",
+
+  'outro.signOff': "Per ora è tutto, fan della Formula 1! Godetevi il {raceName}, e alla prossima gara!",
+  'outro.signOff.v2': "Ed ecco la fine della scheda. Buon divertimento con il {raceName}!",
+  'outro.signOff.v3': "Per questa settimana è tutto. Fate il tifo per i vostri preferiti al {raceName}, e alla prossima!",
+
+  'script.chapter': "Capitolo {number}: {title}",
+  'script.nextRaceTitle': "La prossima gara",
+  'script.weekendBegins': "Il weekend di gara inizia il {date}, e la gara principale è alle {time}.",
+  'script.outro': "Preparatevi per un weekend di gara emozionante!",
+  'script.driversIntro': "Ora diamo un'occhiata alla classifica piloti.",
+  'script.driversTable': "Ecco {table} del campionato.",
+  'script.driverEntry': "In posizione {position}, {driver} della {team}, con {points} punti.",
+  'script.driverEntryGap': "In posizione {position}, {driver} della {team}, con {points} punti, a {gap} punti dal primo.",
+  'script.driversOutro': "Che stagione emozionante!",
+  'script.teamsIntro': "Per finire, vediamo il campionato costruttori.",
+  'script.teamsTable': "Ecco {table} che lottano per la gloria.",
+  'script.teamEntry': "In posizione {position}, la {team}, con {points} punti.",
+  'script.teamEntryGap': "In posizione {position}, la {team}, con {points} punti, a {gap} punti dal primo.",
+  'script.thanks': "Grazie per l'ascolto! Buone gare!",
+};
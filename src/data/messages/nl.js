@@ -0,0 +1,398 @@
+// Dutch narration. Keys match the English catalog (en.js); anything missing
+// here is read in English.
+
+export const messages = {
+  'list.and': 'en',
+
+  'unit.celsius': '{value} graden Celsius',
+  'unit.fahrenheit': '{value} graden Fahrenheit',
+  'unit.kmh': '{value} kilometer per uur',
+  'unit.mph': '{value} mijl per uur',
+  'unit.kilometre_one': '{value} kilometer',
+  'unit.kilometre_other': '{value} kilometer',
+  'unit.mile_one': '{value} mijl',
+  'unit.mile_other': '{value} mijl',
+  'unit.metre_one': '{value} meter',
+  'unit.metre_other': '{value} meter',
+  'unit.foot_one': '{value} voet',
+  'unit.foot_other': '{value} voet',
+  'lapTime.seconds': '{seconds} seconden',
+  'lapTime.minutes_one': '{count} minuut {seconds} seconden',
+  'lapTime.minutes_other': '{count} minuten {seconds} seconden',
+
+  'countdown.already': 'al voorbij',
+  'countdown.today': 'vandaag',
+  'countdown.tomorrow': 'morgen',
+  'countdown.days': 'over {count} dagen',
+  'countdown.weeks_one': 'over {count} week',
+  'countdown.weeks_other': 'over {count} weken',
+  'countdown.months': 'over ongeveer {count} maanden',
+  'time.today.morning': 'vanochtend',
+  'time.today.afternoon': 'vanmiddag',
+  'time.today.evening': 'vanavond',
+  'time.today.night': 'vannacht',
+  'time.tomorrow.morning': 'morgenochtend',
+  'time.tomorrow.afternoon': 'morgenmiddag',
+  'time.tomorrow.evening': 'morgenavond',
+  'time.tomorrow.night': 'morgennacht',
+  'time.onDay.morning': 'op {weekday}ochtend',
+  'time.onDay.afternoon': 'op {weekday}middag',
+  'time.onDay.evening': 'op {weekday}avond',
+  'time.onDay.night': 'in de nacht van {weekday}',
+  'time.inDays': 'over {count} dagen, {onDay}',
+  'time.nextWeekend': 'volgend weekend, {onDay}',
+  'time.later': '{countdown}, {onDay}',
+
+  'sessionName.Practice 1': 'Vrije Training 1',
+  'sessionName.Practice 2': 'Vrije Training 2',
+  'sessionName.Practice 3': 'Vrije Training 3',
+  'sessionName.Qualifying': 'Kwalificatie',
+  'sessionName.Sprint Qualifying': 'Sprintkwalificatie',
+  'sessionName.Sprint Shootout': 'Sprintkwalificatie',
+  'sessionName.Sprint': 'Sprint',
+  'sessionName.Race': 'Race',
+
+  'circuitType.permanent': 'een permanent circuit',
+  'circuitType.street': 'een tijdelijk stratencircuit',
+  'circuitType.road': 'een tijdelijk wegcircuit',
+  'circuitType.other': 'een racecircuit',
+
+  'chapter.overview': 'Het raceweekend',
+  'chapter.nextRace': 'De volgende F1-race',
+  'chapter.circuit': 'Maak kennis met het circuit',
+  'chapter.qualifying': 'Uitslag van de kwalificatie',
+  'chapter.sessionResults': 'Uitslag: {sessionName}',
+  'chapter.sessionLive': '{sessionName} - Live',
+  'chapter.lastRace': 'Uitslag van de vorige race',
+  'chapter.strategy': 'De strategiehoek',
+  'chapter.favourites': 'Jouw favorieten',
+  'chapter.titleFight': 'De titelstrijd',
+  'chapter.driversStandings': 'Coureursklassement',
+  'chapter.teamsStandings': 'Constructeursklassement',
+  'chapter.topDrivers': 'De beste {count} coureurs',
+  'chapter.topTeams': 'De beste {count} teams',
+  'chapter.calendar': 'De racekalender',
+  'track.pastWinners': 'Wie hier eerder won',
+  'track.circuit': 'De baan',
+  'track.lapRecord': 'Het ronderecord',
+  'track.funFacts': 'Wist je dat?',
+  'track.pole': 'Pole: {driver}',
+  'track.frontRow': 'De eerste startrij',
+  'track.topGrid': 'De eerste {count} op de grid',
+  'track.raceControl': 'Wat er in de race gebeurde',
+  'track.sprintWinner': 'De winnaar van de Sprint',
+  'track.retirements': 'De uitvallers',
+  'track.fastestPitStop': 'De snelste pitstop',
+  'track.podiumStrategy': 'Strategie P{position}: {driver}',
+  'track.tyres': 'De banden',
+  'track.titleFight': 'De titelstrijd',
+  'track.teamsTitleFight': 'De titelstrijd bij de constructeurs',
+
+  'overview.intro': 'Hallo, Formule 1-fans! Ik ga jullie vertellen over de volgende race van het seizoen {year}, de {raceName}.',
+  'overview.intro.v2': 'Hoi, racefans! Tijd om alles te ontdekken over de {raceName} van het seizoen {year}.',
+  'overview.intro.v3': 'Welkom terug, Formule 1-fans! De volgende race van het seizoen {year} is de {raceName}, en hier is alles wat je moet weten.',
+  'overview.location': 'Dit raceweekend vindt plaats in {location}.',
+  'overview.unknownLocation': 'een spannende plek',
+  'overview.circuit': 'De coureurs racen op het circuit van {circuit}.',
+  'overview.circuitWithType': 'De coureurs racen op het circuit van {circuit}, en dat is {circuitType}.',
+  'overview.officialName': 'De officiële naam van dit evenement is {officialName}.',
+  'overview.weekendStarts': 'Het raceweekend begint {when}!',
+  'overview.weekendUnderway': 'Het raceweekend is al begonnen!',
+  'overview.grandPrixStarts': 'De Grand Prix zelf begint {when}.',
+  'overview.raceScheduled': 'De race staat gepland op {date} om {time}.',
+  'overview.weatherIntro': 'Laten we eens kijken naar het weer op het circuit.',
+  'overview.weatherIntro.v2': 'En hoe is het weer op de baan?',
+  'overview.weatherIntro.v3': 'Tijd voor een snelle weercheck op het circuit.',
+  'overview.airTemperature': 'De luchttemperatuur is {temperature}.',
+  'overview.trackTemperature': 'De baantemperatuur is {temperature}.',
+  'overview.humidity': 'De luchtvochtigheid is {humidity} procent.',
+  'overview.lightWind': 'Er staat een lichte wind van {speed}.',
+  'overview.moderateWind': 'Er staat een matige wind van {speed}.',
+  'overview.strongWind': 'Er staat een harde wind van {speed}.',
+  'overview.rain': 'De coureurs moeten op een natte baan rijden, want het regent op het circuit.',
+  'overview.dry': 'De baan is droog en het regent niet, perfect om te racen!',
+  'overview.windDirection': 'De wind komt uit het {direction}.',
+  'overview.pressure': 'De luchtdruk is {pressure} millibar.',
+  'overview.liveNow': '{sessionName} is nu bezig!',
+  'overview.finishedCount_one': '{count} van de {total} sessies dit weekend is al voorbij.',
+  'overview.finishedCount_other': '{count} van de {total} sessies dit weekend zijn al voorbij.',
+  'overview.listenLiveAndEarlier': 'Luister naar de volgende hoofdstukken om te horen wat er nu live gebeurt, wat er nog komt en wat er eerder gebeurde.',
+  'overview.listenLiveAndEarlier.v2': 'Blijf luisteren om te horen wat er nu live is, wat er hierna komt en wat er al gebeurd is.',
+  'overview.listenLive': 'Luister naar de volgende hoofdstukken om te horen wat er nu live gebeurt en wat er nog komt.',
+  'overview.listenLive.v2': 'Blijf luisteren om te horen wat er nu gebeurt en wat er hierna komt.',
+  'overview.listenEarlier': 'Luister naar de volgende hoofdstukken om te horen wat er nog komt en wat er eerder gebeurde!',
+  'overview.listenEarlier.v2': 'Blijf luisteren om te horen wat er hierna komt en hoe de eerdere sessies gingen!',
+  'overview.sessionCount_one': 'Er staat dit weekend {count} sessie op het programma. Luister naar het volgende hoofdstuk om er meer over te horen!',
+  'overview.sessionCount_other': 'Er staan dit weekend {count} sessies op het programma. Luister naar de volgende hoofdstukken om over elke sessie te horen!',
+  'overview.fallbackIntro': 'Hallo, Formule 1-fans! Ik ga jullie vertellen over de volgende race van het seizoen {year}.',
+  'overview.fallbackNextRace': 'De volgende race is de {raceName}, in {location}.',
+  'overview.fallbackSchedule': 'De race wordt gehouden op {date}, om {time}.',
+  'overview.fallbackOutro': 'Maak je klaar voor een spannende race op {circuit}!',
+
+  'compass.north': 'noorden',
+  'compass.northEast': 'noordoosten',
+  'compass.east': 'oosten',
+  'compass.southEast': 'zuidoosten',
+  'compass.south': 'zuiden',
+  'compass.southWest': 'zuidwesten',
+  'compass.west': 'westen',
+  'compass.northWest': 'noordwesten',
+
+  'pastWinners.intro_one': 'Wie won hier eerder? Laten we terugkijken naar de vorige race op {circuit}.',
+  'pastWinners.intro_other': 'Wie won hier eerder? Laten we terugkijken naar de laatste {count} races op {circuit}.',
+  'pastWinners.winner': 'In {year} won {driver}.',
+  'pastWinners.winnerWithTeam': 'In {year} won {driver}, voor {team}.',
+  'pastWinners.wonTwice': '{driver} heeft hier twee keer gewonnen!',
+  'pastWinners.wonMany': '{driver} heeft hier {count} keer gewonnen!',
+  'pastWinners.allDifferent': 'Elke keer een andere winnaar. Wie wordt het dit jaar?',
+
+  'circuit.welcome': 'Laten we kennismaken met {circuitName}, waar de {raceName} wordt verreden!',
+  'circuit.distance': 'Eén ronde is {lapLength} lang, en de coureurs rijden {laps} ronden. Dat is in totaal ongeveer {raceDistance}!',
+  'circuit.corners': 'Elke ronde heeft {corners} bochten.',
+  'circuit.cornersAndDrs_one': 'Elke ronde heeft {corners} bochten en {count} DRS-zone, waar een coureur die vlak achter een andere auto rijdt een klep in zijn achtervleugel mag openen om sneller te gaan en te proberen in te halen.',
+  'circuit.cornersAndDrs_other': 'Elke ronde heeft {corners} bochten en {count} DRS-zones, waar een coureur die vlak achter een andere auto rijdt een klep in zijn achtervleugel mag openen om sneller te gaan en te proberen in te halen.',
+  'circuit.lapRecord': 'De snelste raceronde ooit gereden hier is {lapTime}, door {driver} in {year}. Gaat iemand dit weekend nog sneller?',
+  'circuit.funFacts': 'Hier zijn een paar leuke weetjes over dit circuit. {facts}',
+
+  'schedule.scheduled': 'Gepland op {date} om {time}.',
+  'schedule.toBeConfirmed': 'De tijd moet nog worden bevestigd.',
+  'schedule.finishedOn': 'Deze sessie vond plaats op {date} en is al voorbij.',
+  'schedule.finished': 'Deze sessie is al voorbij.',
+  'schedule.live': 'Het is nu bezig!',
+  'schedule.liveSince': 'Het is nu bezig! De sessie begon om {time}.',
+  'schedule.startsIn': 'Het begint {when}! {schedule}',
+  'session.practice': `Hier is {sessionName} van de {raceName}.
+
+{schedule}
+
+In de vrije trainingen stellen de teams hun auto's af en leren de coureurs de baan kennen. De teams proberen verschillende banden en aerodynamische instellingen uit om de beste balans te vinden tussen snelheid en betrouwbaarheid.
+
+Let op de rondetijden en luister naar de teamradio, terwijl de engineers belangrijke gegevens verzamelen voor de rest van het weekend!`,
+  'session.qualifying': `Hier is de {sessionName} van de {raceName}.
+
+{schedule}
+
+De kwalificatie bepaalt de startopstelling voor de race! Er zijn drie afvalrondes: Q1, Q2 en Q3. De langzaamste coureurs vallen af na Q1 en Q2, en de snelste tien strijden in Q3 om de poleposition.
+
+De poleposition is heel belangrijk, want daarmee heeft een coureur de beste kans om als eerste de eerste bocht in te gaan. Elke honderdste van een seconde telt!`,
+  'session.sprint': `Hier is de {sessionName} van de {raceName}.
+
+{schedule}
+
+De Sprint is een kortere race die een deel van de startopstelling voor de Grand Prix bepaalt. Het is een snelle race met weinig ronden, dus elke positie telt!
+
+De coureurs gaan vanaf de start vol gas, en omdat er minder strategiekeuzes zijn dan in de hoofdrace, is inhalen op de baan nog belangrijker. De beste coureurs krijgen punten!`,
+  'session.race': `Hier is de belangrijkste {sessionName} van de {raceName}!
+
+{schedule}
+
+Dit is het grote moment! In de Grand Prix strijden de coureurs over de volledige raceafstand om zo veel mogelijk punten. Strategie, bandenmanagement en rijkunst zijn allemaal heel belangrijk.
+{grid}
+Let op de pitstops, de inhaalacties en hoe de coureurs hun banden sparen tijdens de race. Voor de winnaar liggen vijfentwintig punten klaar, en in de strijd om het kampioenschap telt elke positie!
+
+De lichten gaan uit, en daar gaan ze!`,
+  'session.other': `Hier is de {sessionName}-sessie van de {raceName}.
+
+{schedule}
+
+Deze sessie is een belangrijk onderdeel van het weekend van de {raceName} op {circuit}. Teams en coureurs werken hard om zich voor te bereiden op de hoofdrace!`,
+  'session.practice.littleFan': `Hier is {sessionName} van de {raceName}.
+
+{schedule}
+
+Tijdens de training scheuren de coureurs over de baan om elke bocht te leren kennen en hun auto zo snel mogelijk te maken!`,
+  'session.qualifying.littleFan': `Hier is de {sessionName} van de {raceName}.
+
+{schedule}
+
+De kwalificatie is een race tegen de klok! Wie de snelste ronde rijdt, mag in de race helemaal vooraan starten.`,
+  'session.sprint.littleFan': `Hier is de {sessionName} van de {raceName}.
+
+{schedule}
+
+De Sprint is een korte, supersnelle race, en de coureurs die vooraan eindigen winnen punten!`,
+  'session.race.littleFan': `Hier is de grote {sessionName} van de {raceName}!
+
+{schedule}
+
+Dit is het spannendste moment van het weekend! De coureurs racen ronde na ronde, en wie als eerste over de finish komt, wint.
+{grid}
+De lichten gaan uit, en daar gaan ze!`,
+  'session.other.littleFan': `Hier is de {sessionName}-sessie van de {raceName}.
+
+{schedule}
+
+De teams maken zich klaar voor de grote race op {circuit}!`,
+  'session.gridPole': '{driver} start vanaf poleposition.',
+  'session.gridFrontRow': '{driver} start vanaf poleposition, met {second} ernaast op de eerste startrij.',
+  'session.gridSecondRow': 'Direct daarachter vormen {drivers} de tweede startrij.',
+
+  'weather.lightWind': 'een licht briesje',
+  'weather.moderateWind': 'een matige wind',
+  'weather.strongWind': 'harde wind',
+  'weather.forecast': 'De weersverwachting voor het begin van de sessie is {temperature}.',
+  'weather.forecastWithWind': 'De weersverwachting voor het begin van de sessie is {temperature}, met {wind}.',
+  'weather.forecastWithRain': 'De weersverwachting voor het begin van de sessie is {temperature}, met {rainChance} procent kans op regen.',
+  'weather.forecastWithRainAndWind': 'De weersverwachting voor het begin van de sessie is {temperature}, met {rainChance} procent kans op regen en {wind}.',
+  'weather.liveReading': 'Op dit moment is het op het circuit {temperature}',
+  'weather.finishedReading': 'Tijdens de sessie was het {temperature}',
+  'weather.trackSurface': ', met een baantemperatuur van {temperature}',
+  'weather.liveWet': ', en het regent',
+  'weather.liveDry': ', en het is droog',
+  'weather.finishedWet': ', en het regende',
+  'weather.finishedDry': ', en het bleef droog',
+
+  'highlights.race': 'De {sessionName} van de {raceName} is voorbij! {driver} van {team} reed de snelste ronde, met een tijd van {lapTime}.',
+  'highlights.raceOnLap': 'De {sessionName} van de {raceName} is voorbij! {driver} van {team} reed in ronde {lap} de snelste ronde, met een tijd van {lapTime}.',
+  'highlights.session': 'De snelste in {sessionName} van de {raceName} was {driver} van {team}, met een snelste ronde van {lapTime}.',
+  'highlights.second': 'Dat was {gap} seconden sneller dan {driver} van {team}.',
+  'highlights.secondAndThird': 'Dat was {gap} seconden sneller dan {driver} van {team}, en {thirdDriver} was derde, op {thirdGap} seconden.',
+  'highlights.close': 'Dat is korter dan een knipoog!',
+
+  'qualifying.pole': 'De kwalificatie voor de {raceName} is voorbij, en {driver} heeft de poleposition gepakt voor {team}!',
+  'qualifying.poleLap': 'De snelste ronde was {lapTime}.',
+  'qualifying.poleStart': 'Dat betekent dat {driver} helemaal vooraan op de grid start.',
+  'qualifying.frontRow': 'Naast {pole} op de eerste startrij staat {driver} van {team}. Let op het gevecht tot de eerste bocht!',
+  'qualifying.gridIntro': 'Zo staan de eerste {count} op de grid.',
+  'qualifying.gridEntry': 'Op positie {position}, {driver} van {team}.',
+  'qualifying.gridEntryGap': 'Op positie {position}, {driver} van {team}, {gap} seconden langzamer dan de pole.',
+
+  'lastRace.first': '{driver} heeft de {raceName} gewonnen voor {team}, goed voor {points} punten! Wat een race!',
+  'lastRace.second': 'De tweede plaats was voor {driver} van {team}, die {points} punten pakte.',
+  'lastRace.third': 'Op de derde plaats maakte {driver} van {team} het podium compleet, met {points} punten.',
+  'lastRace.winnerLaps': 'Er werden {laps} ronden gereden.',
+  'lastRace.gapToWinner': 'Deze coureur kwam {gap} seconden na de winnaar over de streep.',
+  'lastRace.sprintWinner': 'Eerder in het weekend won {driver} de Sprint voor {team}.',
+  'lastRace.sprintPodium': 'Op het podium van de Sprint stonden ook {drivers}.',
+  'lastRace.noRetirements': 'Alle coureurs die aan de {raceName} begonnen, haalden de finishvlag!',
+  'lastRace.retirements_one': 'Niet iedereen haalde de finish. {count} coureur zag de finishvlag niet.',
+  'lastRace.retirements_other': 'Niet iedereen haalde de finish. {count} coureurs zagen de finishvlag niet.',
+  'lastRace.disqualified': '{driver} van {team} werd gediskwalificeerd.',
+  'lastRace.didNotStart': '{driver} van {team} is niet gestart.',
+  'lastRace.didNotFinish': '{driver} van {team} is uitgevallen.',
+
+  'raceControl.intro': 'Laten we kijken wat er gebeurde tijdens de {raceName}.',
+  'raceControl.clean': 'Het was een schone race, zonder safetycar, zonder rode vlag en zonder straffen.',
+  'raceControl.safetyCarDeployed': 'In ronde {lap} kwam de safetycar de baan op, dus iedereen moest langzamer rijden en erachter in de rij gaan.',
+  'raceControl.safetyCarDeployed.noLap': 'Daarna kwam de safetycar de baan op, dus iedereen moest langzamer rijden en erachter in de rij gaan.',
+  'raceControl.safetyCarEnding': 'In ronde {lap} ging de safetycar weer naar binnen, en de race ging verder.',
+  'raceControl.safetyCarEnding.noLap': 'Daarna ging de safetycar weer naar binnen, en de race ging verder.',
+  'raceControl.vscDeployed': 'In ronde {lap} was er een virtuele safetycar. Dat betekent dat alle coureurs langzamer moesten rijden terwijl de marshals de baan vrijmaakten.',
+  'raceControl.vscDeployed.noLap': 'Daarna was er een virtuele safetycar. Dat betekent dat alle coureurs langzamer moesten rijden terwijl de marshals de baan vrijmaakten.',
+  'raceControl.vscEnding': 'In ronde {lap} was de virtuele safetycar voorbij, en mochten de coureurs weer vol gas geven.',
+  'raceControl.vscEnding.noLap': 'Daarna was de virtuele safetycar voorbij, en mochten de coureurs weer vol gas geven.',
+  'raceControl.redFlag': 'In ronde {lap} werd de race stilgelegd met een rode vlag! Alle auto\'s moesten terug naar de pitstraat om te wachten.',
+  'raceControl.redFlag.noLap': 'Daarna werd de race stilgelegd met een rode vlag! Alle auto\'s moesten terug naar de pitstraat om te wachten.',
+  'raceControl.penalty': 'In ronde {lap} gaven de stewards {driver} {penalty}.',
+  'raceControl.penalty.noLap': 'Daarna gaven de stewards {driver} {penalty}.',
+  'raceControl.chequeredFlag': 'Aan het eind van ronde {lap} ging de finishvlag omlaag, en de {raceName} was voorbij!',
+  'raceControl.chequeredFlag.noLap': 'Tot slot ging de finishvlag omlaag, en de {raceName} was voorbij!',
+  'penalty.time': 'een tijdstraf van {seconds} seconden',
+  'penalty.driveThrough': 'een drive-throughstraf',
+  'penalty.stopAndGo': 'een stop-and-gostraf',
+
+  'tyre.SOFT': 'zachte banden',
+  'tyre.MEDIUM': 'mediumbanden',
+  'tyre.HARD': 'harde banden',
+  'tyre.INTERMEDIATE': 'intermediates',
+  'tyre.WET': 'regenbanden',
+  'strategy.fastestStop': 'De snelste pitstop van de {raceName} was voor {driver}. {crew} wisselde alle vier de banden in maar {seconds} seconden!',
+  'strategy.fastestStopOnLap': 'De snelste pitstop van de {raceName} was voor {driver}, in ronde {lap}. {crew} wisselde alle vier de banden in maar {seconds} seconden!',
+  'strategy.teamCrew': 'De pitcrew van {team}',
+  'strategy.pitCrew': 'De pitcrew',
+  'strategy.quickestPitLane': 'De snelste pitstop van de {raceName} was van {driver}, die de pitstraat in reed, banden wisselde en weer naar buiten reed in {seconds} seconden.',
+  'strategy.quickestPitLaneOnLap': 'De snelste pitstop van de {raceName} was van {driver}, in ronde {lap}: de pitstraat in, banden wisselen en weer naar buiten in {seconds} seconden.',
+  'strategy.noStops': '{driver} eindigde op positie {position} zonder ook maar één keer te stoppen.',
+  'strategy.stops_one': '{driver} eindigde op positie {position} met een strategie van {count} stop.',
+  'strategy.stops_other': '{driver} eindigde op positie {position} met een strategie van {count} stops.',
+  'strategy.startedOn': 'De start was op de {compound}.',
+  'strategy.startedOnThenSwitched': 'De start was op de {compound}, daarna ging het naar de {later}.',
+  'strategy.thenSeparator': ', daarna de ',
+  'strategy.compoundsUsed_one': 'In deze race gebruikten de teams maar één soort banden: de {compounds}.',
+  'strategy.compoundsUsed_other': 'In deze race gebruikten de teams deze banden: {compounds}.',
+  'strategy.tyresExplained': 'Zachtere banden hebben meer grip en zijn sneller, maar slijten eerder. Hardere banden zijn langzamer, maar gaan veel langer mee. Kiezen wanneer je wisselt, is een groot deel van het winnen van een Grand Prix!',
+  'strategy.rainTyres': 'Sommige coureurs hadden ook regenbanden nodig, met groeven om het water van de baan weg te voeren.',
+
+  'favourites.driverIntro': 'Laten we kijken hoe het gaat met {name}, die voor {team} rijdt.',
+  'favourites.teamIntro': 'Laten we kijken hoe het gaat met {name}.',
+  'favourites.driverLeading': '{name} leidt het coureursklassement met {points} punten!',
+  'favourites.teamLeading': '{name} leidt het constructeursklassement met {points} punten!',
+  'favourites.driverPosition': '{name} staat op positie {position} in het coureursklassement, met {points} punten.',
+  'favourites.teamPosition': '{name} staat op positie {position} in het constructeursklassement, met {points} punten.',
+  'favourites.levelWithAhead': 'Evenveel punten als {name}, die net ervoor staat.',
+  'favourites.behindAhead_one': '{count} punt achter {name}, die één plek hoger staat.',
+  'favourites.behindAhead_other': '{count} punten achter {name}, die één plek hoger staat.',
+  'favourites.levelWithBehind': '{name} staat er vlak achter met evenveel punten.',
+  'favourites.aheadOfBehind_one': '{name} staat {count} punt daarachter.',
+  'favourites.aheadOfBehind_other': '{name} staat {count} punten daarachter.',
+  'favourites.disqualified': 'Bij de {raceName} werd {name} gediskwalificeerd.',
+  'favourites.didNotStart': '{name} is niet gestart bij de {raceName}.',
+  'favourites.didNotFinish': 'Helaas haalde {name} de finish niet bij de {raceName}.',
+  'favourites.finished': 'Bij de {raceName} eindigde {name} op positie {position}.',
+  'favourites.finishedWithPoints_one': 'Bij de {raceName} eindigde {name} op positie {position} en pakte {count} punt.',
+  'favourites.finishedWithPoints_other': 'Bij de {raceName} eindigde {name} op positie {position} en pakte {count} punten.',
+  'favourites.teamScored_one': 'Bij de {raceName} pakte {name} {count} punt.',
+  'favourites.teamScored_other': 'Bij de {raceName} pakte {name} {count} punten.',
+  'favourites.teamScoredBestCar_one': 'Bij de {raceName} pakte {name} {count} punt, en de beste auto eindigde op positie {bestPosition}.',
+  'favourites.teamScoredBestCar_other': 'Bij de {raceName} pakte {name} {count} punten, en de beste auto eindigde op positie {bestPosition}.',
+  'favourites.teamNoPoints': '{name} pakte geen punten bij de {raceName}.',
+  'favourites.teamNoPointsBestCar': '{name} pakte geen punten bij de {raceName}, en de beste auto eindigde op positie {bestPosition}.',
+
+  'titleFight.grandsPrix_one': '{count} Grand Prix',
+  'titleFight.grandsPrix_other': '{count} Grands Prix',
+  'titleFight.sprints_one': '{count} Sprint',
+  'titleFight.sprints_other': '{count} Sprints',
+  'titleFight.almostOver': 'Het seizoen is bijna voorbij, en het kampioenschap is nog steeds niet beslist!',
+  'titleFight.eventsLeft_one': 'Er staat nog maar {events} op het programma dit seizoen, dus de strijd om het kampioenschap wordt echt spannend!',
+  'titleFight.eventsLeft_other': 'Er staan nog maar {events} op het programma dit seizoen, dus de strijd om het kampioenschap wordt echt spannend!',
+  'titleFight.driversOpen': 'Elke coureur kan nog hooguit {maxPoints} punten halen, en {count} coureurs kunnen nog wereldkampioen worden.',
+  'titleFight.driverChampion': '{driver} heeft het coureurskampioenschap al gewonnen. Gefeliciteerd!',
+  'titleFight.teamChampion': '{team} heeft het constructeurskampioenschap al gewonnen.',
+  'titleFight.leader': '{driver} leidt het kampioenschap met {points} punten. Zodra de voorsprong groter is dan het aantal punten dat nog te verdienen is, is de titel binnen!',
+  'titleFight.mustWinEverything': '{driver} staat {gap} punten achter de leider. De titel kan alleen nog als alles wat overblijft gewonnen wordt, en de leider geen enkel punt meer haalt.',
+  'titleFight.contender': '{driver} staat op positie {position}, {gap} punten achter de leider. Met nog {maxPoints} punten te verdienen, is de titel nog altijd mogelijk!',
+  'titleFight.teamsLeader': 'In het constructeurskampioenschap leidt {team} met {points} punten.',
+  'titleFight.teamChaser': '{team}, op {gap} punten',
+  'titleFight.teamChasers_one': 'Nog in de race voor de titel: {chasers}.',
+  'titleFight.teamChasers_other': 'Nog in de race voor de titel: {chasers}.',
+  'titleFight.teamsMaxPoints': 'Elk team kan nog tot {maxPoints} punten halen.',
+
+  'standings.driver': 'Op positie {position}, {driver}, die voor {team} rijdt, met {points} punten.',
+  'standings.team': 'Op positie {position}, {team}, met {points} punten.',
+  'standings.levelWithLeader': 'Dat zijn evenveel punten als de leider!',
+  'standings.behindLeader_one': 'Dat is {count} punt achter de leider.',
+  'standings.behindLeader_other': 'Dat is {count} punten achter de leider.',
+  'standings.behindAhead_one': 'En {count} punt achter {name}, één plek hoger.',
+  'standings.behindAhead_other': 'En {count} punten achter {name}, één plek hoger.',
+  'standings.levelWithAhead': 'En evenveel punten als {name}, één plek hoger.',
+  'standings.allDrivers': 'alle {count} coureurs',
+  'standings.topDrivers': 'de beste {count} coureurs',
+  'standings.allTeams': 'alle {count} teams',
+  'standings.topTeams': 'de beste {count} teams',
+
+  'calendar.month_one': 'In {month} is er {count} race.',
+  'calendar.month_other': 'In {month} zijn er {count} races.',
+  'calendar.race': 'De {raceName} in {location} wordt verreden op {date}, op het circuit van {circuit}.',
+  'calendar.countdown': 'Dat is {countdown}.',
+  'calendar.countdownSoon': 'Dat is {countdown}!',
+  'calendar.sprintWeekend': 'Het is een sprintweekend, dus er is ook nog een extra korte race!',
+
+  'outro.signOff': 'Dat was het voor nu, Formule 1-fans! Veel plezier met de {raceName}, en tot de volgende race!',
+  'outro.signOff.v2': 'En dat was het einde van de kaart. Veel plezier met kijken naar de {raceName}!',
+  'outro.signOff.v3': 'Dat was alles voor deze week. Moedig je favorieten aan tijdens de {raceName}, en tot de volgende keer!',
+
+  'script.chapter': 'Hoofdstuk {number}: {title}',
+  'script.nextRaceTitle': 'De volgende race',
+  'script.weekendBegins': 'Het raceweekend begint op {date}, en de hoofdrace is om {time}.',
+  'script.outro': 'Maak je klaar voor een spannend raceweekend!',
+  'script.driversIntro': 'Laten we nu kijken naar het huidige coureursklassement.',
+  'script.driversTable': 'Hier zijn {table} in het kampioenschap.',
+  'script.driverEntry': 'Op positie {position}, {driver} van {team}, met {points} punten.',
+  'script.driverEntryGap': 'Op positie {position}, {driver} van {team}, met {points} punten, {gap} punten achter de leider.',
+  'script.driversOutro': 'Wat een spannend seizoen!',
+  'script.teamsIntro': 'Tot slot kijken we naar het constructeurskampioenschap.',
+  'script.teamsTable': 'Hier zijn {table} die strijden om de eer.',
+  'script.teamEntry': 'Op positie {position}, {team}, met {points} punten.',
+  'script.teamEntryGap': 'Op positie {position}, {team}, met {points} punten, {gap} punten achter de leider.',
+  'script.thanks': 'Bedankt voor het luisteren! Veel plezier met de races!',
+};
@@ -0,0 +1,63 @@
+// Spoken respellings for driver, team and place names that text-to-speech voices
+// get wrong, keyed by narration language then by the name as it's written on the
+// card. Names are matched as whole words, ignoring case, so OpenF1's capitalised
+// surnames ("Nico HULKENBERG") are caught too; list accented names both with and
+// without their accents, since OpenF1 usually drops them.
+// Only the audio is respelled (see createPronouncer()): track titles and the
+// script shown on the page keep the real spelling. The other narration
+// languages start empty because their voices read these names natively, and
+// households can add their own entries from the settings page.
+
+export const DEFAULT_PRONUNCIATIONS = {
+  en: {
+    // Drivers on the current grid, plus recent faces who still turn up in results
+    "Antonelli": "Anto-nelly",
+    "Bortoleto": "Bortoh-letto",
+    "Colapinto": "Cola-peento",
+    "Gasly": "Gas-lee",
+    "Hadjar": "Ad-jar",
+    "Hülkenberg": "Hool-ken-bairg",
+    "Hulkenberg": "Hool-ken-bairg",
+    "Leclerc": "Luh-clair",
+    "Magnussen": "Mag-noo-sen",
+    "Ocon": "Oh-con",
+    "Pérez": "Peh-rez",
+    "Perez": "Peh-rez",
+    "Piastri": "Pee-ass-tree",
+    "Sainz": "Sines",
+    "Tsunoda": "Tsoo-noh-da",
+    "Verstappen": "Ver-stah-pen",
+    "Zhou": "Joe",
+
+    // Teams
+    "Alpine": "Al-peen",
+    "Haas": "Hass",
+    "Sauber": "Sow-ber",
+
+    // Circuits and places on the calendar
+    "Baku": "Bah-koo",
+    "Catalunya": "Cata-loon-ya",
+    "Francorchamps": "Fron-kor-shom",
+    "Gilles Villeneuve": "Zheel Veel-nerv",
+    "Hermanos Rodríguez": "Er-mah-nos Rod-ree-gez",
+    "Hermanos Rodriguez": "Er-mah-nos Rod-ree-gez",
+    "Hungaroring": "Hungaro-ring",
+    "Imola": "Ee-mola",
+    "Interlagos": "Inter-lah-goss",
+    "Lusail": "Loo-sail",
+    "Sakhir": "Sa-keer",
+    "São Paulo": "Sow Pow-loo",
+    "Sao Paulo": "Sow Pow-loo",
+    "Spielberg": "Shpeel-bairg",
+    "Suzuka": "Soo-zoo-ka",
+    "Zandvoort": "Zand-fort",
+  },
+  es: {},
+  fr: {},
+  de: {},
+  it: {},
+  nl: {},
+};
+
+// Names and respellings are a word or two, so this is plenty
+export const MAX_PRONUNCIATION_LENGTH = 100;
@@ -0,0 +1,30 @@
+// Narration templates a household can rewrite from the settings page, keyed by
+// their message catalog key. The default wording is the catalog entry in the
+// card's language (src/data/messages); a saved override replaces it, and any
+// alternative phrasings of it, for cards in that language only. placeholders
+// lists what each template is given, for {name} tags and {#if name} blocks
+// (see renderTemplate()).
+
+const GREETING_PLACEHOLDERS = ['raceName', 'year', 'circuit', 'location', 'country'];
+
+// schedule is the spoken countdown or date line; live is only set while the session is running
+const SESSION_PLACEHOLDERS = ['sessionName', 'raceName', 'circuit', 'schedule', 'sessionDate', 'sessionTime', 'startsIn', 'live'];
+
+export const EDITABLE_TEMPLATES = {
+  'overview.intro': { label: 'Greeting', placeholders: GREETING_PLACEHOLDERS },
+  'outro.signOff': { label: 'Sign-off', placeholders: GREETING_PLACEHOLDERS },
+  'session.practice': { label: 'Practice preview', placeholders: SESSION_PLACEHOLDERS },
+  'session.qualifying': { label: 'Qualifying preview', placeholders: SESSION_PLACEHOLDERS },
+  'session.sprint': { label: 'Sprint preview', placeholders: SESSION_PLACEHOLDERS },
+  // grid is the starting grid once qualifying is over, with a blank line either side
+  'session.race': { label: 'Grand Prix preview', placeholders: [...SESSION_PLACEHOLDERS, 'grid'] },
+  'session.other': { label: 'Other session preview', placeholders: SESSION_PLACEHOLDERS },
+  'session.practice.littleFan': { label: 'Practice preview (little fans)', placeholders: SESSION_PLACEHOLDERS },
+  'session.qualifying.littleFan': { label: 'Qualifying preview (little fans)', placeholders: SESSION_PLACEHOLDERS },
+  'session.sprint.littleFan': { label: 'Sprint preview (little fans)', placeholders: SESSION_PLACEHOLDERS },
+  'session.race.littleFan': { label: 'Grand Prix preview (little fans)', placeholders: [...SESSION_PLACEHOLDERS, 'grid'] },
+  'session.other.littleFan': { label: 'Other session preview (little fans)', placeholders: SESSION_PLACEHOLDERS },
+};
+
+// Long enough for a chatty session preview, well under ElevenLabs' 5000 characters per track
+export const MAX_TEMPLATE_LENGTH = 2000;
@@ -7,9 +7,21 @@
 // Callers must also add 500ms delays between function calls to stay under the limit.
 
 import { getCircuitTypeDescription } from "@/utils/circuitUtils";
+import { DEFAULT_LANGUAGE, createTranslator } from "@/utils/i18nUtils";
+import { getStoredPastWinners, storePastWinner } from "@/utils/authUtils";
 
 const F1_API_BASE = "https://api.openf1.org/v1";
 
+// Number of championship positions narrated when no size is configured
+export const DEFAULT_STANDINGS_SIZE = 5;
+
+// Maximum points one driver can score per event (no fastest-lap bonus since 2025)
+const MAX_DRIVER_POINTS = { race: 25, sprint: 8 };
+// Maximum points one team can score per event (its two cars finishing first and second)
+const MAX_TEAM_POINTS = { race: 25 + 18, sprint: 8 + 7 };
+// The Title Fight chapter only appears once the season is down to this many Grands Prix
+const TITLE_FIGHT_RACES_REMAINING = 6;
+
 // Mock data for when API is unavailable
 const MOCK_DATA = {
   nextRace: {
@@ -89,17 +101,84 @@ export async function getNextRace() {
 }
 
 /**
- * Get all upcoming sessions for a meeting (Practice, Qualifying, Sprint, Race, etc.)
+ * Get every remaining meeting of the current season (pre-season testing excluded)
+ * @returns {Promise<Array>} Meetings in date order, each flagged as a sprint weekend or not
+ */
+export async function getSeasonCalendar() {
+  try {
+    const now = new Date();
+    const currentYear = now.getFullYear();
+
+    const response = await fetch(
+      `${F1_API_BASE}/meetings?year=${currentYear}`,
+      { signal: AbortSignal.timeout(5000) }
+    );
+
+    if (!response.ok) {
+      throw new Error("Failed to fetch season calendar");
+    }
+
+    const meetings = (await response.json() || [])
+      .filter(m => !/testing/i.test(m.meeting_name || ''))
+      // Keep the meeting in progress until its race is over
+      .filter(m => new Date(m.date_end || m.date_start) >= now)
+      .sort((a, b) => new Date(a.date_start) - new Date(b.date_start));
+
+    if (meetings.length === 0) {
+      return [];
+    }
+
+    // Rate limit protection before next API call
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    // One request for all of this year's Sprints tells us which weekends have one
+    const sprintResponse = await fetch(
+      `${F1_API_BASE}/sessions?year=${currentYear}&session_name=Sprint`,
+      { signal: AbortSignal.timeout(5000) }
+    );
+    const sprintMeetingKeys = new Set(
+      sprintResponse.ok ? (await sprintResponse.json() || []).map(s => s.meeting_key) : []
+    );
+
+    return meetings.map(meeting => ({
+      ...formatRaceData(meeting),
+      isSprintWeekend: sprintMeetingKeys.has(meeting.meeting_key),
+    }));
+  } catch (error) {
+    console.log("Could not fetch season calendar:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Classify a session relative to now
+ * @param {{dateStart: string, dateEnd: string}} session - Session with ISO start and end times
+ * @param {Date} [now] - Reference time (default: current time)
+ * @returns {'finished'|'live'|'upcoming'} Session state
+ */
+export function getSessionState(session, now = new Date()) {
+  if (session.dateEnd && new Date(session.dateEnd) < now) {
+    return 'finished';
+  }
+  if (session.dateStart && new Date(session.dateStart) <= now) {
+    return 'live';
+  }
+  return 'upcoming';
+}
+
+/**
+ * Get all sessions of a meeting (Practice, Qualifying, Sprint, Race, etc.),
+ * including the ones that have already finished this weekend so their
+ * results can be narrated.
  * @param {number} meetingKey - The meeting key from the race session
- * @returns {Promise<Array>} Array of session objects
+ * @returns {Promise<Array>} Array of session objects with their state ('finished', 'live' or 'upcoming')
  */
 export async function getUpcomingSessions(meetingKey) {
   try {
-    const now = new Date().toISOString();
+    const now = new Date();
     
-    // Fetch all sessions for this meeting that haven't ended yet
     const response = await fetch(
-      `${F1_API_BASE}/sessions?meeting_key=${meetingKey}&date_start>=${now.split('T')[0]}`,
+      `${F1_API_BASE}/sessions?meeting_key=${meetingKey}`,
       { signal: AbortSignal.timeout(5000) }
     );
 
@@ -125,6 +204,7 @@ export async function getUpcomingSessions(meetingKey) {
         location: session.location,
         circuitName: session.circuit_short_name,
         sessionKey: session.session_key,
+        state: getSessionState({ dateStart: session.date_start, dateEnd: session.date_end }, now),
       }));
   } catch (error) {
     console.log("Error fetching sessions:", error.message);
@@ -132,30 +212,122 @@ export async function getUpcomingSessions(meetingKey) {
   }
 }
 
+/**
+ * Get the fastest lap highlights of a completed session from OpenF1 lap data.
+ * Each driver's best timed lap is used; out-laps from the pit lane are ignored.
+ * https://openf1.org/#laps
+ * @param {number} sessionKey - The session key
+ * @returns {Promise<Object|null>} { fastest: [{ driver, team, lapTime, lapNumber, gapToFastest }] } (top 3) or null
+ */
+export async function getSessionLapHighlights(sessionKey) {
+  try {
+    const response = await fetch(
+      `${F1_API_BASE}/laps?session_key=${sessionKey}`,
+      { signal: AbortSignal.timeout(10000) }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch laps: ${response.status}`);
+    }
+
+    const laps = await response.json();
+
+    const bestLaps = new Map();
+    laps
+      .filter(lap => typeof lap.lap_duration === 'number' && lap.lap_duration > 0 && !lap.is_pit_out_lap)
+      .forEach(lap => {
+        const best = bestLaps.get(lap.driver_number);
+        if (!best || lap.lap_duration < best.lap_duration) {
+          bestLaps.set(lap.driver_number, lap);
+        }
+      });
+
+    if (bestLaps.size === 0) {
+      return null;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const driverMap = await getSessionDrivers(sessionKey);
+    const ranked = [...bestLaps.values()].sort((a, b) => a.lap_duration - b.lap_duration);
+    const fastestTime = ranked[0].lap_duration;
+
+    return {
+      fastest: ranked.slice(0, 3).map(lap => {
+        const driver = driverMap.get(lap.driver_number);
+        return {
+          driver: formatDriverName(driver, lap.driver_number),
+          team: driver?.team_name || "Unknown Team",
+          lapTime: lap.lap_duration,
+          lapNumber: lap.lap_number ?? null,
+          gapToFastest: Math.round((lap.lap_duration - fastestTime) * 1000) / 1000,
+        };
+      }),
+    };
+  } catch (error) {
+    console.log(`Could not fetch lap highlights for session ${sessionKey}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Classify every session of the weekend as finished, live or upcoming, and add
+ * fastest lap highlights to the finished ones.
+ * Makes two OpenF1 requests per finished session, 500ms apart.
+ * @param {Array} sessions - Sessions from getUpcomingSessions() or the worker
+ * @returns {Promise<Array>} Copies of the sessions with state, finished ones with highlights (or null if unavailable)
+ */
+export async function addSessionHighlights(sessions) {
+  const now = new Date();
+  const withHighlights = [];
+  let requested = false;
+
+  for (const session of sessions) {
+    // Classify again here: worker data can be hours old, and a session may have started or ended since
+    const state = getSessionState(session, now);
+
+    if (state === 'finished' && session.sessionKey) {
+      if (requested) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      requested = true;
+      withHighlights.push({ ...session, state, highlights: await getSessionLapHighlights(session.sessionKey) });
+    } else {
+      withHighlights.push({ ...session, state });
+    }
+  }
+
+  return withHighlights;
+}
+
 /**
  * Find the most recently completed Race session. Championship standings
  * (points_current/position_current) are calculated as of a specific session,
  * so we need a session that has actually happened to have any data.
+ * @param {string} [sessionName="Race"] - OpenF1 session name ("Race" or "Sprint")
  */
-async function getLatestCompletedRaceSession() {
+async function getLatestCompletedRaceSession(sessionName = "Race") {
   const now = new Date();
 
   const fetchRaceSessions = async (year) => {
     const response = await fetch(
-      `${F1_API_BASE}/sessions?session_name=Race&year=${year}`,
+      `${F1_API_BASE}/sessions?session_name=${sessionName}&year=${year}`,
       { signal: AbortSignal.timeout(5000) }
     );
 
     if (!response.ok) {
-      throw new Error(`Failed to fetch race sessions for ${year}`);
+      throw new Error(`Failed to fetch ${sessionName.toLowerCase()} sessions for ${year}`);
     }
 
     return response.json();
   };
 
+  // A session that has started may still be running (its classification is partial),
+  // so it only counts once it has ended; date_start stands in when there's no date_end
+  const endOf = (session) => new Date(session.date_end || session.date_start);
   const completedSessions = (sessions) => (sessions || [])
-    .filter(s => new Date(s.date_start) <= now)
-    .sort((a, b) => new Date(a.date_start) - new Date(b.date_start));
+    .filter(s => endOf(s) <= now)
+    .sort((a, b) => endOf(a) - endOf(b));
 
   let completed = completedSessions(await fetchRaceSessions(now.getFullYear()));
 
@@ -167,24 +339,548 @@ async function getLatestCompletedRaceSession() {
   }
 
   if (completed.length === 0) {
-    throw new Error("No completed race sessions found");
+    throw new Error(`No completed ${sessionName.toLowerCase()} sessions found`);
   }
 
   return completed[completed.length - 1];
 }
 
 /**
- * Get current driver standings (top 5)
- * Uses the OpenF1 Drivers Championship (beta) endpoint.
- * https://openf1.org/#drivers-championship-beta
+ * Find the most recently completed Grand Prix once per card, so the standings
+ * and last-race lookups can share it instead of each asking OpenF1 again.
+ * @returns {Promise<Object|null>} OpenF1 Race session, or null on error
+ */
+export async function getLastRaceSession() {
+  try {
+    return await getLatestCompletedRaceSession();
+  } catch (error) {
+    console.log("Could not find the last race session:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Use the race session a caller already has, or look it up
+ * @param {Object|null} [raceSession] - Session from getLastRaceSession()
+ * @returns {Promise<Object>} OpenF1 Race session
+ */
+async function resolveRaceSession(raceSession) {
+  if (raceSession) {
+    return raceSession;
+  }
+
+  const session = await getLatestCompletedRaceSession();
+
+  // Rate limit protection before the caller's next API call
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  return session;
+}
+
+/**
+ * Fetch the drivers who took part in a session, keyed by car number.
+ * @param {number} sessionKey - The session key
+ * @returns {Promise<Map<number, Object>>} Map of driver_number -> OpenF1 driver object
+ */
+async function getSessionDrivers(sessionKey) {
+  const driversResponse = await fetch(
+    `${F1_API_BASE}/drivers?session_key=${sessionKey}`,
+    { signal: AbortSignal.timeout(5000) }
+  );
+
+  if (!driversResponse.ok) {
+    throw new Error("Failed to fetch driver data");
+  }
+
+  const drivers = await driversResponse.json();
+  return new Map(drivers.map(d => [d.driver_number, d]));
+}
+
+/**
+ * Spoken name for a driver, falling back to the car number when OpenF1
+ * has no driver record for the session.
+ */
+function formatDriverName(driver, driverNumber) {
+  return driver ? (driver.full_name || `${driver.first_name} ${driver.last_name}`) : `Driver ${driverNumber}`;
+}
+
+/**
+ * Get the classified finishing order for a completed session.
+ * Uses the OpenF1 Session Result endpoint.
+ * https://openf1.org/#session-result
+ * @param {number} sessionKey - The session key
+ * @param {Map<number, Object>} driverMap - Drivers for the session (from getSessionDrivers)
+ * @returns {Promise<Array>} Results sorted by finishing position, unclassified cars last
+ */
+async function getSessionResults(sessionKey, driverMap) {
+  const response = await fetch(
+    `${F1_API_BASE}/session_result?session_key=${sessionKey}`,
+    { signal: AbortSignal.timeout(5000) }
+  );
+
+  if (!response.ok) {
+    throw new Error("Failed to fetch session results");
+  }
+
+  const results = await response.json();
+
+  if (!results || results.length === 0) {
+    throw new Error(`No results found for session ${sessionKey}`);
+  }
+
+  return results
+    .sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity))
+    .map(entry => {
+      const driver = driverMap.get(entry.driver_number);
+      return {
+        position: entry.position ?? null,
+        driverNumber: entry.driver_number,
+        driver: formatDriverName(driver, entry.driver_number),
+        team: driver?.team_name || "Unknown Team",
+        points: entry.points ?? 0,
+        laps: entry.number_of_laps ?? null,
+        dnf: !!entry.dnf,
+        dns: !!entry.dns,
+        dsq: !!entry.dsq,
+        // Races report a single duration/gap; qualifying reports one per part [Q1, Q2, Q3]
+        duration: entry.duration ?? null,
+        gapToLeader: entry.gap_to_leader ?? null,
+      };
+    });
+}
+
+/**
+ * Turn one race control penalty message into an event, e.g.
+ * "FIA STEWARDS: 5 SECOND TIME PENALTY FOR CAR 1 (VER) - CAUSING A COLLISION"
+ * @returns {Object|null} Penalty event, or null for investigations, served penalties and other notes
+ */
+function parsePenaltyMessage(message, driverMap) {
+  if (!message.startsWith('FIA STEWARDS') || !message.includes('PENALTY') || /SERVED|NO FURTHER|UNDER INVESTIGATION|NOTED/.test(message)) {
+    return null;
+  }
+
+  const timePenalty = message.match(/(\d+) SECOND TIME PENALTY/);
+  const kind = timePenalty ? 'time'
+    : message.includes('DRIVE THROUGH') ? 'driveThrough'
+    : message.includes('STOP AND GO') ? 'stopAndGo'
+    : null;
+  const carNumber = message.match(/CAR (\d+)/);
+
+  if (!kind || !carNumber) {
+    return null;
+  }
+
+  const driverNumber = parseInt(carNumber[1], 10);
+  const reason = message.split(' - ')[1];
+  const seconds = timePenalty ? parseInt(timePenalty[1], 10) : null;
+
+  return {
+    type: 'penalty',
+    driver: formatDriverName(driverMap.get(driverNumber), driverNumber),
+    penalty: kind === 'time' ? `${seconds} second time penalty`
+      : kind === 'driveThrough' ? 'drive through penalty'
+      : 'stop and go penalty',
+    penaltyKind: kind, // "time", "driveThrough" or "stopAndGo", for narration in other languages
+    seconds,
+    reason: reason ? reason.trim().toLowerCase() : null,
+  };
+}
+
+/**
+ * Summarise the race control feed of a completed session: safety car and
+ * virtual safety car periods, red flags, penalties and the chequered flag.
+ * Uses the OpenF1 Race Control endpoint.
+ * https://openf1.org/#race-control
+ * @param {number} sessionKey - The session key
+ * @param {Map<number, Object>} driverMap - Drivers for the session (from getSessionDrivers)
+ * @returns {Promise<Array>} Events in order: [{ type, lap, date, ... }], or [] on error
+ */
+export async function getRaceControlSummary(sessionKey, driverMap = new Map()) {
+  try {
+    const response = await fetch(
+      `${F1_API_BASE}/race_control?session_key=${sessionKey}`,
+      { signal: AbortSignal.timeout(5000) }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch race control messages: ${response.status}`);
+    }
+
+    const messages = (await response.json())
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const events = [];
+    messages.forEach(entry => {
+      const message = (entry.message || '').toUpperCase();
+      const at = { lap: entry.lap_number ?? null, date: entry.date };
+      let event = null;
+
+      if (entry.category === 'SafetyCar') {
+        if (message.includes('VIRTUAL SAFETY CAR DEPLOYED')) event = { type: 'vscDeployed' };
+        else if (message.includes('VIRTUAL SAFETY CAR ENDING')) event = { type: 'vscEnding' };
+        else if (message.includes('SAFETY CAR DEPLOYED')) event = { type: 'safetyCarDeployed' };
+        else if (message.includes('SAFETY CAR IN THIS LAP')) event = { type: 'safetyCarEnding' };
+      } else if (entry.flag === 'RED') {
+        event = { type: 'redFlag' };
+      } else if (entry.flag === 'CHEQUERED') {
+        // Only the first chequered flag ends the race; later ones are repeats for the track marshals
+        if (!events.some(e => e.type === 'chequeredFlag')) event = { type: 'chequeredFlag' };
+      } else {
+        event = parsePenaltyMessage(message, driverMap);
+      }
+
+      if (event) {
+        events.push({ ...event, ...at });
+      }
+    });
+
+    console.log(`Race control summary for session ${sessionKey}: ${events.length} events`);
+    return events;
+  } catch (error) {
+    console.log("Could not fetch race control messages:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the results of the most recent Grand Prix, plus the Sprint from the
+ * same weekend when there was one.
+ * @param {Object|null} [lastRaceSession] - Session from getLastRaceSession() (looked up when not given)
+ * @returns {Promise<Object|null>} { raceName, location, country, dateStart, year, results, sprintResults, raceControl } or null
+ */
+export async function getLastRaceResults(lastRaceSession = null) {
+  try {
+    const raceSession = await resolveRaceSession(lastRaceSession);
+    const driverMap = await getSessionDrivers(raceSession.session_key);
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const results = await getSessionResults(raceSession.session_key, driverMap);
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const meeting = await getMeetingDetails(raceSession.meeting_key);
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const raceControl = await getRaceControlSummary(raceSession.session_key, driverMap);
+
+    // Only narrate the Sprint if it belonged to the same race weekend
+    let sprintResults = null;
+    try {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const sprintSession = await getLatestCompletedRaceSession("Sprint");
+
+      if (sprintSession.meeting_key === raceSession.meeting_key) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        sprintResults = await getSessionResults(sprintSession.session_key, driverMap);
+      }
+    } catch (error) {
+      console.log("No sprint results for the last race weekend:", error.message);
+    }
+
+    return {
+      raceName: meeting?.meetingName || `${raceSession.country_name} Grand Prix`,
+      location: raceSession.location,
+      country: raceSession.country_name,
+      circuit: raceSession.circuit_short_name,
+      dateStart: raceSession.date_start,
+      year: raceSession.year,
+      meetingKey: raceSession.meeting_key,
+      sessionKey: raceSession.session_key,
+      results,
+      sprintResults,
+      raceControl,
+    };
+  } catch (error) {
+    console.log("Could not fetch last race results:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Get who won the Grand Prix at a circuit in previous seasons available in OpenF1.
+ * Winners are cached locally by session key, so only races not seen before cost
+ * OpenF1 requests (two each, 500ms apart). Finished races with no result are
+ * cached too; only a race whose lookup failed for a passing reason (rate limit,
+ * server error or timeout) is asked about again next time.
+ * @param {number} circuitKey - OpenF1 circuit_key of the upcoming race
+ * @param {number} [currentMeetingKey] - Meeting to leave out (the upcoming race itself)
+ * @returns {Promise<Array>} [{ year, driver, team }] newest first, or [] on error
+ */
+export async function getPastWinners(circuitKey, currentMeetingKey = null) {
+  if (!circuitKey) {
+    return [];
+  }
+
+  try {
+    const response = await fetch(
+      `${F1_API_BASE}/sessions?circuit_key=${circuitKey}&session_name=Race`,
+      { signal: AbortSignal.timeout(5000) }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch past races at circuit ${circuitKey}`);
+    }
+
+    const now = new Date();
+    const pastRaces = (await response.json())
+      .filter(s => s.meeting_key !== currentMeetingKey && new Date(s.date_end) < now)
+      .sort((a, b) => new Date(b.date_start) - new Date(a.date_start));
+
+    const cache = getStoredPastWinners();
+    const winners = [];
+
+    for (const race of pastRaces) {
+      // null is a race already known to have no result
+      let winner = cache[race.session_key];
+
+      if (winner === undefined) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        const resultResponse = await fetch(
+          `${F1_API_BASE}/session_result?session_key=${race.session_key}&position=1`,
+          { signal: AbortSignal.timeout(5000) }
+        ).catch(error => {
+          console.warn(`Could not fetch the winner of session ${race.session_key}: ${error.message}`);
+          return null;
+        });
+
+        if (!resultResponse || resultResponse.status === 429 || resultResponse.status >= 500) {
+          if (resultResponse) {
+            console.warn(`Could not fetch the winner of session ${race.session_key}: ${resultResponse.status}`);
+          }
+          continue;
+        }
+
+        // OpenF1 answers 404 when a session has no results
+        const [result] = resultResponse.ok ? await resultResponse.json() : [];
+        if (!result) {
+          storePastWinner(race.session_key, null);
+          continue;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 500));
+        const driverMap = await getSessionDrivers(race.session_key);
+        const driver = driverMap.get(result.driver_number);
+
+        winner = {
+          year: race.year,
+          driver: formatDriverName(driver, result.driver_number),
+          team: driver?.team_name || null,
+        };
+        storePastWinner(race.session_key, winner);
+      }
+
+      if (winner) {
+        winners.push(winner);
+      }
+    }
+
+    console.log(`Found ${winners.length} past winners at circuit ${circuitKey}`);
+    return winners;
+  } catch (error) {
+    console.log("Could not fetch past winners:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Get the pit stop and tyre strategy of a finished Grand Prix from OpenF1's
+ * pit and stint data: the fastest pit stop, and how many stops each podium
+ * finisher made on which tyre compounds.
+ * https://openf1.org/#pit and https://openf1.org/#stints
+ * @param {Object} lastRace - Last race from getLastRaceResults()
+ * @returns {Promise<Object|null>} { fastestPitStop, podium, compoundsUsed } or null
+ */
+export async function getRaceStrategy(lastRace) {
+  if (!lastRace?.sessionKey) {
+    return null;
+  }
+
+  try {
+    const pitResponse = await fetch(
+      `${F1_API_BASE}/pit?session_key=${lastRace.sessionKey}`,
+      { signal: AbortSignal.timeout(5000) }
+    );
+
+    if (!pitResponse.ok) {
+      throw new Error(`Failed to fetch pit stops: ${pitResponse.status}`);
+    }
+
+    const pitStops = await pitResponse.json();
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const stintResponse = await fetch(
+      `${F1_API_BASE}/stints?session_key=${lastRace.sessionKey}`,
+      { signal: AbortSignal.timeout(5000) }
+    );
+
+    if (!stintResponse.ok) {
+      throw new Error(`Failed to fetch stints: ${stintResponse.status}`);
+    }
+
+    const stints = await stintResponse.json();
+    const resultFor = (driverNumber) => lastRace.results.find(r => r.driverNumber === driverNumber);
+
+    // Newer seasons report the time stationary in the box; older ones only the time in the pit lane
+    const timedStops = pitStops
+      .map(stop => ({
+        ...stop,
+        stationary: typeof stop.stop_duration === 'number',
+        seconds: stop.stop_duration ?? stop.pit_duration,
+      }))
+      .filter(stop => typeof stop.seconds === 'number' && stop.seconds > 0);
+    const fastest = timedStops.sort((a, b) => a.seconds - b.seconds)[0];
+
+    const compoundsFor = (driverNumber) => stints
+      .filter(stint => stint.driver_number === driverNumber && stint.compound)
+      .sort((a, b) => a.stint_number - b.stint_number)
+      .map(stint => stint.compound);
+
+    const podium = lastRace.results
+      .filter(r => r.position >= 1 && r.position <= 3)
+      .map(r => ({
+        position: r.position,
+        driver: r.driver,
+        team: r.team,
+        stops: pitStops.filter(stop => stop.driver_number === r.driverNumber).length,
+        compounds: compoundsFor(r.driverNumber),
+      }));
+
+    return {
+      fastestPitStop: fastest ? {
+        driver: resultFor(fastest.driver_number)?.driver || `Driver ${fastest.driver_number}`,
+        team: resultFor(fastest.driver_number)?.team || null,
+        lap: fastest.lap_number ?? null,
+        seconds: fastest.seconds,
+        stationary: fastest.stationary,
+      } : null,
+      podium,
+      compoundsUsed: [...new Set(stints.map(stint => stint.compound).filter(Boolean))],
+    };
+  } catch (error) {
+    console.log("Could not fetch race strategy:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the qualifying outcome for a meeting once its Qualifying session has finished.
+ * The classified order is used as the starting grid for the Grand Prix (grid
+ * penalties applied after qualifying are not reflected).
+ * @param {number} meetingKey - The meeting key of the upcoming race
+ * @returns {Promise<Object|null>} { sessionKey, dateEnd, grid } or null if qualifying hasn't finished
  */
-export async function getDriverStandings() {
+export async function getQualifyingResults(meetingKey) {
   try {
-    const lastSession = await getLatestCompletedRaceSession();
+    const response = await fetch(
+      `${F1_API_BASE}/sessions?meeting_key=${meetingKey}&session_name=Qualifying`,
+      { signal: AbortSignal.timeout(5000) }
+    );
+
+    if (!response.ok) {
+      throw new Error("Failed to fetch qualifying session");
+    }
+
+    const sessions = await response.json();
+    const qualifying = (sessions || []).find(s => new Date(s.date_end) <= new Date());
+
+    if (!qualifying) {
+      console.log(`Qualifying has not finished yet for meeting ${meetingKey}`);
+      return null;
+    }
 
     // Rate limit protection before next API call
     await new Promise(resolve => setTimeout(resolve, 500));
 
+    const driverMap = await getSessionDrivers(qualifying.session_key);
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const results = await getSessionResults(qualifying.session_key, driverMap);
+
+    return {
+      sessionKey: qualifying.session_key,
+      dateEnd: qualifying.date_end,
+      grid: results
+        .filter(r => r.position !== null)
+        .map(r => ({
+          position: r.position,
+          driver: r.driver,
+          team: r.team,
+          // Best time is from the furthest part of qualifying the driver reached
+          bestLapTime: Array.isArray(r.duration)
+            ? [...r.duration].reverse().find(t => typeof t === 'number') ?? null
+            : r.duration,
+        })),
+    };
+  } catch (error) {
+    console.log("Could not fetch qualifying results:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Resolve how many championship positions to narrate.
+ * Accepts a positive number, a numeric string, or "all" for the full grid.
+ * Falls back to the STANDINGS_SIZE environment variable, then DEFAULT_STANDINGS_SIZE.
+ * @param {number|string|null} [value] - Requested standings size
+ * @returns {number|null} Number of positions, or null for the full table
+ */
+export function resolveStandingsSize(value) {
+  const parse = (raw) => {
+    if (raw === undefined || raw === null || raw === '') return undefined;
+    if (String(raw).toLowerCase() === 'all') return null;
+    const size = parseInt(raw, 10);
+    return Number.isInteger(size) && size > 0 ? size : undefined;
+  };
+
+  const requested = parse(value);
+  if (requested !== undefined) return requested;
+
+  const configured = parse(process.env.STANDINGS_SIZE);
+  if (configured !== undefined) return configured;
+
+  return DEFAULT_STANDINGS_SIZE;
+}
+
+/**
+ * Resolve whether to add the Strategy Corner chapter (pit stops and tyres).
+ * Falls back to the STRATEGY_CORNER environment variable; off by default.
+ * @param {boolean|string} [value] - Requested setting
+ * @returns {boolean}
+ */
+export function resolveStrategyCorner(value) {
+  if (typeof value === 'boolean') return value;
+  const raw = value ?? process.env.STRATEGY_CORNER;
+  return String(raw).toLowerCase() === 'true';
+}
+
+/**
+ * Describe a standings table for narration, e.g. "the top 5 drivers" or "all 20 drivers"
+ * @param {number} count - Number of entries actually in the table
+ * @param {number|null} standingsSize - Requested size from resolveStandingsSize() (null = full grid)
+ * @param {string} noun - "drivers" or "teams"
+ * @param {string} [language] - Narration language code (default: English)
+ * @returns {string} Lower-case description
+ */
+export function describeStandingsTable(count, standingsSize, noun, language = DEFAULT_LANGUAGE) {
+  const t = createTranslator(language);
+  const table = noun === 'teams' ? 'Teams' : 'Drivers';
+  return t(standingsSize === null ? `standings.all${table}` : `standings.top${table}`, { count });
+}
+
+/**
+ * Get current driver standings
+ * Uses the OpenF1 Drivers Championship (beta) endpoint.
+ * https://openf1.org/#drivers-championship-beta
+ * @param {number|null} [limit] - Number of positions to return, or null for the full grid
+ * @param {Object|null} [raceSession] - Session from getLastRaceSession() (looked up when not given)
+ */
+export async function getDriverStandings(limit = DEFAULT_STANDINGS_SIZE, raceSession = null) {
+  try {
+    const lastSession = await resolveRaceSession(raceSession);
     const championshipResponse = await fetch(
       `${F1_API_BASE}/championship_drivers?session_key=${lastSession.session_key}`,
       { signal: AbortSignal.timeout(5000) }
@@ -204,48 +900,36 @@ export async function getDriverStandings() {
     await new Promise(resolve => setTimeout(resolve, 500));
 
     // Fetch driver details to get names and teams
-    const driversResponse = await fetch(
-      `${F1_API_BASE}/drivers?session_key=${lastSession.session_key}`,
-      { signal: AbortSignal.timeout(5000) }
-    );
+    const driverMap = await getSessionDrivers(lastSession.session_key);
 
-    if (!driversResponse.ok) {
-      throw new Error("Failed to fetch driver data");
-    }
-
-    const drivers = await driversResponse.json();
-    const driverMap = new Map(drivers.map(d => [d.driver_number, d]));
-
-    return championship
+    return withGapToLeader(championship
       .sort((a, b) => a.position_current - b.position_current)
-      .slice(0, 5)
+      .slice(0, limit ?? undefined)
       .map(entry => {
         const driver = driverMap.get(entry.driver_number);
         return {
           position: entry.position_current,
-          driver: driver ? (driver.full_name || `${driver.first_name} ${driver.last_name}`) : `Driver ${entry.driver_number}`,
+          driver: formatDriverName(driver, entry.driver_number),
           team: driver?.team_name || "Unknown Team",
           points: entry.points_current,
         };
-      });
+      }));
   } catch (error) {
     console.log("Using mock driver standings due to API error:", error.message);
-    return MOCK_DATA.drivers;
+    return withGapToLeader(MOCK_DATA.drivers.slice(0, limit ?? undefined));
   }
 }
 
 /**
- * Get current constructor/team standings (top 5)
+ * Get current constructor/team standings
  * Uses the OpenF1 Teams Championship (beta) endpoint.
  * https://openf1.org/#teams-championship-beta
+ * @param {number|null} [limit] - Number of positions to return, or null for every team
+ * @param {Object|null} [raceSession] - Session from getLastRaceSession() (looked up when not given)
  */
-export async function getTeamStandings() {
+export async function getTeamStandings(limit = DEFAULT_STANDINGS_SIZE, raceSession = null) {
   try {
-    const lastSession = await getLatestCompletedRaceSession();
-
-    // Rate limit protection before next API call
-    await new Promise(resolve => setTimeout(resolve, 500));
-
+    const lastSession = await resolveRaceSession(raceSession);
     const championshipResponse = await fetch(
       `${F1_API_BASE}/championship_teams?session_key=${lastSession.session_key}`,
       { signal: AbortSignal.timeout(5000) }
@@ -261,20 +945,216 @@ export async function getTeamStandings() {
       throw new Error("No team championship data found");
     }
 
-    return championship
+    return withGapToLeader(championship
       .sort((a, b) => a.position_current - b.position_current)
-      .slice(0, 5)
+      .slice(0, limit ?? undefined)
       .map(entry => ({
         position: entry.position_current,
         team: entry.team_name,
         points: entry.points_current,
-      }));
+      })));
   } catch (error) {
     console.log("Using mock team standings due to API error:", error.message);
-    return MOCK_DATA.teams;
+    return withGapToLeader(MOCK_DATA.teams.slice(0, limit ?? undefined));
+  }
+}
+
+/**
+ * Add each entry's points gap to the championship leader (the first entry of a sorted table)
+ * @param {Array} entries - Standings sorted by position
+ * @returns {Array} Entries with a gapToLeader field
+ */
+function withGapToLeader(entries) {
+  const leaderPoints = entries[0]?.points ?? 0;
+  return entries.map(entry => ({ ...entry, gapToLeader: leaderPoints - entry.points }));
+}
+
+/**
+ * Get the Grands Prix and Sprints of the current season that haven't started yet.
+ * @returns {Promise<{races: number, sprints: number, completedRaces: number}>} Remaining and completed event counts
+ */
+async function getRemainingPointsEvents() {
+  const now = new Date();
+  const response = await fetch(
+    `${F1_API_BASE}/sessions?year=${now.getFullYear()}&session_type=Race`,
+    { signal: AbortSignal.timeout(5000) }
+  );
+
+  if (!response.ok) {
+    throw new Error("Failed to fetch season race sessions");
+  }
+
+  const sessions = await response.json() || [];
+  const upcoming = sessions.filter(s => new Date(s.date_start) > now);
+
+  return {
+    races: upcoming.filter(s => s.session_name === "Race").length,
+    sprints: upcoming.filter(s => s.session_name === "Sprint").length,
+    completedRaces: sessions.filter(s => s.session_name === "Race" && new Date(s.date_start) <= now).length,
+  };
+}
+
+/**
+ * Decide who can still mathematically win a championship. A contender is still
+ * in the fight while their gap to the leader is no bigger than the points left
+ * (a tie on points would go to countback, so an equal gap still counts).
+ * @param {Array} standings - Full standings with points and gapToLeader
+ * @param {string} nameKey - "driver" or "team"
+ * @param {number} maxPointsAvailable - Most points one entry can still score
+ * @returns {Object} { leader, contenders, decided, maxPointsAvailable }
+ */
+export function analyseChampionship(standings, nameKey, maxPointsAvailable) {
+  const contenders = standings
+    .filter(entry => entry.gapToLeader <= maxPointsAvailable)
+    .map(entry => ({
+      name: entry[nameKey],
+      team: entry.team,
+      position: entry.position,
+      points: entry.points,
+      gapToLeader: entry.gapToLeader,
+      // Points the leader must still lose for this contender to draw level
+      pointsToSpare: maxPointsAvailable - entry.gapToLeader,
+    }));
+
+  return {
+    leader: contenders[0] || null,
+    contenders,
+    decided: contenders.length <= 1,
+    maxPointsAvailable,
+  };
+}
+
+/**
+ * Work out the state of both title fights for the rest of the season.
+ * Returns null outside the closing stages of the season (more than
+ * TITLE_FIGHT_RACES_REMAINING Grands Prix left, or no race run yet this year).
+ * @param {Array} driverStandings - Full driver standings (getDriverStandings(null))
+ * @param {Array} teamStandings - Full constructor standings (getTeamStandings(null))
+ * @returns {Promise<Object|null>} { racesRemaining, sprintsRemaining, drivers, teams } or null
+ */
+export async function getTitleFight(driverStandings, teamStandings) {
+  try {
+    const remaining = await getRemainingPointsEvents();
+
+    if (remaining.completedRaces === 0 || remaining.races > TITLE_FIGHT_RACES_REMAINING) {
+      console.log(`Title fight not narrated: ${remaining.races} races remaining, ${remaining.completedRaces} completed`);
+      return null;
+    }
+
+    const maxFor = (points) => remaining.races * points.race + remaining.sprints * points.sprint;
+
+    return {
+      racesRemaining: remaining.races,
+      sprintsRemaining: remaining.sprints,
+      drivers: analyseChampionship(driverStandings, 'driver', maxFor(MAX_DRIVER_POINTS)),
+      teams: analyseChampionship(teamStandings, 'team', maxFor(MAX_TEAM_POINTS)),
+    };
+  } catch (error) {
+    console.log("Could not work out the title fight:", error.message);
+    return null;
   }
 }
 
+/**
+ * Normalise a name for matching: lower case, accents stripped, so a stored
+ * favourite of "Hulkenberg" matches OpenF1's "Nico HÜLKENBERG".
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Work out where the household's favourite drivers and teams stand: position,
+ * points, the gap to the car ahead and behind, and how they did in the last race.
+ * Pass the full standings (getDriverStandings(null)) so midfield favourites are found.
+ * @param {{drivers: string[], teams: string[]}} favourites - Favourite names (from getStoredFavourites())
+ * @param {Array} driverStandings - Full driver standings
+ * @param {Array} teamStandings - Full constructor standings
+ * @param {Object|null} lastRace - Last Grand Prix results from getLastRaceResults()
+ * @returns {Array} One summary per favourite found in the standings, drivers first
+ */
+export function getFavouriteStandings(favourites, driverStandings, teamStandings, lastRace = null) {
+  const { drivers = [], teams = [] } = favourites || {};
+  const raceResults = lastRace?.results || [];
+
+  const neighbours = (table, index, nameKey) => {
+    const entry = table[index];
+    const ahead = table[index - 1];
+    const behind = table[index + 1];
+    return {
+      ahead: ahead ? { name: ahead[nameKey], gap: ahead.points - entry.points } : null,
+      behind: behind ? { name: behind[nameKey], gap: entry.points - behind.points } : null,
+    };
+  };
+
+  const findIndex = (table, nameKey, favourite) => {
+    const wanted = normalizeName(favourite);
+    return wanted ? table.findIndex(entry => normalizeName(entry[nameKey]).includes(wanted)) : -1;
+  };
+
+  const summaries = [];
+
+  drivers.forEach(favourite => {
+    const index = findIndex(driverStandings, 'driver', favourite);
+    if (index === -1) {
+      console.log(`Favourite driver "${favourite}" not found in the standings`);
+      return;
+    }
+
+    const entry = driverStandings[index];
+    const raceResult = raceResults.find(r => normalizeName(r.driver) === normalizeName(entry.driver));
+
+    summaries.push({
+      kind: 'driver',
+      name: entry.driver,
+      team: entry.team,
+      position: entry.position,
+      points: entry.points,
+      ...neighbours(driverStandings, index, 'driver'),
+      lastRace: raceResult ? {
+        raceName: lastRace.raceName,
+        position: raceResult.position,
+        points: raceResult.points,
+        dnf: raceResult.dnf,
+        dns: raceResult.dns,
+        dsq: raceResult.dsq,
+      } : null,
+    });
+  });
+
+  teams.forEach(favourite => {
+    const index = findIndex(teamStandings, 'team', favourite);
+    if (index === -1) {
+      console.log(`Favourite team "${favourite}" not found in the standings`);
+      return;
+    }
+
+    const entry = teamStandings[index];
+    const teamResults = raceResults.filter(r => normalizeName(r.team) === normalizeName(entry.team));
+    const classified = teamResults.filter(r => r.position !== null);
+
+    summaries.push({
+      kind: 'team',
+      name: entry.team,
+      team: entry.team,
+      position: entry.position,
+      points: entry.points,
+      ...neighbours(teamStandings, index, 'team'),
+      lastRace: teamResults.length > 0 ? {
+        raceName: lastRace.raceName,
+        points: teamResults.reduce((total, r) => total + (r.points || 0), 0),
+        bestPosition: classified.length > 0 ? Math.min(...classified.map(r => r.position)) : null,
+      } : null,
+    });
+  });
+
+  return summaries;
+}
+
 /**
  * Format race data for display
  */
@@ -287,6 +1167,7 @@ function formatRaceData(meeting) {
     country: meeting.country_name || "Unknown Country",
     circuit: meeting.circuit_short_name || "Unknown Circuit",
     circuitType: meeting.circuit_type || "Unknown",
+    circuitKey: meeting.circuit_key ?? null, // Looks up the bundled circuit facts
     countryFlag: meeting.country_flag || null, // URL to country flag image
     dateStart: meeting.date_start, // ISO date for timezone conversion in API route
     dateEnd: meeting.date_end,
@@ -299,56 +1180,80 @@ function formatRaceData(meeting) {
 
 /**
  * Generate text-to-speech script for all three chapters
+ * @param {Object} raceData - Race information
+ * @param {Array} driverStandings - Driver standings from getDriverStandings()
+ * @param {Array} teamStandings - Team standings from getTeamStandings()
+ * @param {number|null} [standingsSize] - Requested standings size (null = full grid), used for wording
+ * @param {string} [language] - Narration language code (default: English)
  */
-export function generateF1Script(raceData, driverStandings, teamStandings) {
+export function generateF1Script(raceData, driverStandings, teamStandings, standingsSize = DEFAULT_STANDINGS_SIZE, language = DEFAULT_LANGUAGE) {
+  const t = createTranslator(language);
+
   // Chapter 1: Next Race
   // Build circuit type description
-  const circuitTypeDesc = getCircuitTypeDescription(raceData.circuitType);
+  const circuitTypeDesc = getCircuitTypeDescription(raceData.circuitType, language);
   
   // Build circuit description - only include type if known
-  const circuitDescription = `The drivers will be racing at the ${raceData.circuit} circuit${circuitTypeDesc ? ', which is ' + circuitTypeDesc : ''}.`;
+  const circuitDescription = circuitTypeDesc
+    ? t('overview.circuitWithType', { circuit: raceData.circuit, circuitType: circuitTypeDesc })
+    : t('overview.circuit', { circuit: raceData.circuit });
 
-  const chapter1 = `Chapter 1: Next Race
+  const chapter1 = `${t('script.chapter', { number: 1, title: t('script.nextRaceTitle') })}
 
-Hello Formula 1 fans! Let me tell you about the next race in the ${raceData.year} season.
+${t('overview.fallbackIntro', { year: raceData.year })}
 
-The next race is the ${raceData.name}, taking place in ${raceData.location}, ${raceData.country}.
+${t('overview.fallbackNextRace', { raceName: raceData.name, location: `${raceData.location}, ${raceData.country}` })}
 
 ${circuitDescription}
 
-The race weekend begins on ${raceData.date}, with the main race at ${raceData.time}.
+${t('script.weekendBegins', { date: raceData.date, time: raceData.time })}
 
-Get ready for an exciting race weekend!`;
+${t('script.outro')}`;
 
   // Chapter 2: Driver Standings
   const driversList = driverStandings
-    .map(d => `In position ${d.position}, ${d.driver} from ${d.team}, with ${d.points} points.`)
+    .map(d => t(d.gapToLeader > 0 ? 'script.driverEntryGap' : 'script.driverEntry', {
+      position: d.position,
+      driver: d.driver,
+      team: d.team,
+      points: d.points,
+      gap: d.gapToLeader,
+    }))
     .join(' ');
   
-  const chapter2 = `Chapter 2: Top 5 Drivers
+  const driversDescription = describeStandingsTable(driverStandings.length, standingsSize, 'drivers', language);
+  const driversTitle = standingsSize === null ? t('chapter.driversStandings') : t('chapter.topDrivers', { count: driverStandings.length });
+  const chapter2 = `${t('script.chapter', { number: 2, title: driversTitle })}
 
-Now let's look at the current driver standings.
+${t('script.driversIntro')}
 
-Here are the top 5 drivers in the championship.
+${t('script.driversTable', { table: driversDescription })}
 
 ${driversList}
 
-What an exciting season it's been!`;
+${t('script.driversOutro')}`;
 
   // Chapter 3: Team Standings
   const teamsList = teamStandings
-    .map(t => `In position ${t.position}, ${t.team}, with ${t.points} points.`)
+    .map(team => t(team.gapToLeader > 0 ? 'script.teamEntryGap' : 'script.teamEntry', {
+      position: team.position,
+      team: team.team,
+      points: team.points,
+      gap: team.gapToLeader,
+    }))
     .join(' ');
   
-  const chapter3 = `Chapter 3: Top 5 Teams
+  const teamsDescription = describeStandingsTable(teamStandings.length, standingsSize, 'teams', language);
+  const teamsTitle = standingsSize === null ? t('chapter.teamsStandings') : t('chapter.topTeams', { count: teamStandings.length });
+  const chapter3 = `${t('script.chapter', { number: 3, title: teamsTitle })}
 
-Finally, let's check out the constructor's championship.
+${t('script.teamsIntro')}
 
-Here are the top 5 teams competing for glory.
+${t('script.teamsTable', { table: teamsDescription })}
 
 ${teamsList}
 
-Thank you for listening! Enjoy the racing!`;
+${t('script.thanks')}`;
 
   return {
     chapter1,
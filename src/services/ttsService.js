@@ -0,0 +1,348 @@
+// Text-to-speech for cards whose audio is made here and uploaded to Yoto
+// (see createOrUpdateTTSPlaylist())
+//
+// PROVIDERS (TTS_PROVIDER environment variable):
+// - "elevenlabs" (default): ElevenLabs API (https://elevenlabs.io/docs/api-reference/text-to-speech),
+//   needs ELEVENLABS_API_KEY
+// - "local": a command-line synthesiser on this machine, set with LOCAL_TTS_COMMAND. It is
+//   given the text on stdin and must write MP3 or WAV audio to stdout, e.g. Piper:
+//   "piper --model en_GB-alan-medium.onnx --output_file -". Arguments are split on spaces
+//   and run without a shell. Voice IDs are ElevenLabs voices, so the local engine ignores them.
+// - "mock": offline, silent WAV audio as long as the text would take to read, for
+//   development and tests
+//
+// A provider is an object with a name, a model (part of each track's audio cache key),
+// a concurrency (how many tracks it can make at once unless TTS_CONCURRENCY says otherwise) and
+// synthesize(text, voiceId) -> Promise<{ audio: Buffer, contentType: string }>.
+//
+// Tracks read by more than one voice of the cast are made one turn at a time and the
+// clips joined with joinAudio().
+
+import { spawn } from "child_process";
+
+const ELEVENLABS_API_BASE = "https://api.elevenlabs.io/v1";
+export const DEFAULT_VOICE_ID = "JBFqnCBsd6RMkjVDRZzb"; // ElevenLabs voice ID
+// eleven_multilingual_v2 supports up to 5000 chars per request and high-quality output
+const DEFAULT_ELEVENLABS_MODEL = "eleven_multilingual_v2";
+// A track is a few sentences, so a local engine taking longer than this has hung
+const LOCAL_TTS_TIMEOUT_MS = 120000;
+// The ElevenLabs free tier allows 2 requests at once; paid plans allow more (raise TTS_CONCURRENCY)
+const ELEVENLABS_CONCURRENCY = 2;
+// ElevenLabs answers 429 when that limit is reached or it's busy, so those requests are retried
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// Mock audio: 8 kHz, 8-bit mono silence, and roughly how long a voice takes per character
+const MOCK_SAMPLE_RATE = 8000;
+const MOCK_SECONDS_PER_CHARACTER = 0.06;
+
+/**
+ * Error thrown when a provider can't make a track's audio, with the HTTP status when there is one
+ */
+export class TTSProviderError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'TTSProviderError';
+    this.status = status;
+  }
+}
+
+/**
+ * Generate audio from text using the ElevenLabs API directly.
+ * Returns an MP3 Buffer that can be uploaded to Yoto via the standard media upload flow,
+ * which allows in-place card updates (unlike the Yoto Labs TTS API which always creates
+ * a new playlist).
+ *
+ * @param {string} text - Text to convert to speech
+ * @param {string} voiceId - ElevenLabs voice ID
+ * @param {string} modelId - ElevenLabs model ID (default: eleven_multilingual_v2)
+ * @returns {Promise<Buffer>} MP3 audio buffer
+ */
+async function generateElevenLabsAudio(text, voiceId = DEFAULT_VOICE_ID, modelId = DEFAULT_ELEVENLABS_MODEL) {
+  const apiKey = process.env.ELEVENLABS_API_KEY;
+  if (!apiKey) {
+    throw new TTSProviderError(
+      'ELEVENLABS_API_KEY environment variable is required. ' +
+      'Get a free API key at https://elevenlabs.io/, or set TTS_PROVIDER=local to use a local engine.'
+    );
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(
+      `${ELEVENLABS_API_BASE}/text-to-speech/${voiceId}`,
+      {
+        method: 'POST',
+        headers: {
+          'xi-api-key': apiKey,
+          'Content-Type': 'application/json',
+          'Accept': 'audio/mpeg',
+        },
+        body: JSON.stringify({
+          text,
+          model_id: modelId,
+          voice_settings: {
+            stability: 0.5,
+            similarity_boost: 0.75,
+          },
+        }),
+      }
+    );
+
+    if (response.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES) {
+      await response.text();
+      // Retry-After is in seconds; without it, back off 1s, 2s, 4s
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      const delay = Number.isInteger(retryAfter) ? retryAfter * 1000 : 1000 * 2 ** attempt;
+      console.warn(`ElevenLabs rate limit reached, retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      continue;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new TTSProviderError(`ElevenLabs TTS generation failed: ${errorText}`, response.status);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+}
+
+/**
+ * Work out whether a local engine wrote WAV or MP3 from the first bytes of its output
+ * @param {Buffer} audio
+ * @returns {string|null} Content type for the Yoto upload, or null if it's neither
+ */
+function detectAudioContentType(audio) {
+  if (audio.length >= 12 && audio.toString('latin1', 0, 4) === 'RIFF' && audio.toString('latin1', 8, 12) === 'WAVE') {
+    return 'audio/wav';
+  }
+  // An ID3 tag, or straight into an MPEG audio frame
+  if (audio.toString('latin1', 0, 3) === 'ID3' || (audio.length >= 2 && audio[0] === 0xff && (audio[1] & 0xe0) === 0xe0)) {
+    return 'audio/mpeg';
+  }
+  return null;
+}
+
+/**
+ * Run the local TTS command for one track
+ * @param {string} command - LOCAL_TTS_COMMAND
+ * @param {string} text - Text to convert to speech, sent on stdin
+ * @returns {Promise<Buffer>} Audio the command wrote to stdout
+ */
+function runLocalCommand(command, text) {
+  const [program, ...args] = command.trim().split(/\s+/);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(program, args);
+    const audioChunks = [];
+    const errorChunks = [];
+    // Not spawn's own timeout option, whose timer outlives a command that fails to start
+    const timer = setTimeout(() => child.kill(), LOCAL_TTS_TIMEOUT_MS);
+
+    child.stdout.on('data', chunk => audioChunks.push(chunk));
+    child.stderr.on('data', chunk => errorChunks.push(chunk));
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(new TTSProviderError(`Could not run the local TTS command "${program}": ${error.message}`));
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(Buffer.concat(audioChunks));
+        return;
+      }
+      const reason = signal ? `was stopped (${signal})` : `exited with code ${code}`;
+      const details = Buffer.concat(errorChunks).toString().trim();
+      reject(new TTSProviderError(`The local TTS command ${reason}${details ? `: ${details}` : ''}`));
+    });
+
+    // The engine may exit before reading everything; its exit code says what went wrong
+    child.stdin.on('error', () => {});
+    child.stdin.end(text);
+  });
+}
+
+/**
+ * Build a WAV file from its format chunk and samples
+ * @param {Buffer} format - Body of the "fmt " chunk
+ * @param {Buffer} samples - Body of the "data" chunk
+ * @returns {Buffer} WAV audio
+ */
+function buildWav(format, samples) {
+  const header = Buffer.alloc(20);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(4 + 8 + format.length + 8 + samples.length, 4);
+  header.write('WAVEfmt ', 8, 'latin1');
+  header.writeUInt32LE(format.length, 16);
+
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write('data', 0, 'latin1');
+  dataHeader.writeUInt32LE(samples.length, 4);
+  return Buffer.concat([header, format, dataHeader, samples]);
+}
+
+/**
+ * Find the format and samples of a WAV file
+ * @param {Buffer} wav
+ * @returns {{format: Buffer, samples: Buffer}|null} Chunk bodies, or null if either is missing
+ */
+function readWavChunks(wav) {
+  let format = null;
+  let samples = null;
+
+  for (let offset = 12; offset + 8 <= wav.length; ) {
+    const id = wav.toString('latin1', offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    const body = wav.subarray(offset + 8, offset + 8 + size);
+    if (id === 'fmt ') {
+      format = body;
+    } else if (id === 'data') {
+      // Engines writing to a pipe can't go back to fill in the size, so the samples run to the end
+      samples = offset + 8 + size > wav.length ? wav.subarray(offset + 8) : body;
+    }
+    offset += 8 + size + (size % 2); // chunks are padded to an even length
+  }
+
+  return format && samples ? { format, samples } : null;
+}
+
+/**
+ * Remove an MP3 file's ID3v2 tag, so a clip can follow another without a tag in the middle
+ * @param {Buffer} mp3
+ * @returns {Buffer} MPEG audio frames
+ */
+function stripId3Tag(mp3) {
+  if (mp3.length < 10 || mp3.toString('latin1', 0, 3) !== 'ID3') {
+    return mp3;
+  }
+  // The tag size is "syncsafe": 7 bits per byte, and excludes the 10-byte header (and footer, if any)
+  const size = (mp3[6] << 21) | (mp3[7] << 14) | (mp3[8] << 7) | mp3[9];
+  const footer = mp3[5] & 0x10 ? 10 : 0;
+  return mp3.subarray(10 + size + footer);
+}
+
+/**
+ * Join clips from one provider into a single track, in order
+ * @param {Array<{audio: Buffer, contentType: string}>} clips - At least one, all MP3 or all WAV
+ * @returns {{audio: Buffer, contentType: string}} The joined audio
+ */
+export function joinAudio(clips) {
+  const [first] = clips;
+  if (clips.some(clip => clip.contentType !== first.contentType)) {
+    throw new TTSProviderError('Cannot join MP3 and WAV audio into one track.');
+  }
+
+  if (first.contentType === 'audio/mpeg') {
+    // MPEG frames stand alone, so the clips can follow one another; only the first keeps its tag
+    return {
+      audio: Buffer.concat(clips.map((clip, index) => index === 0 ? clip.audio : stripId3Tag(clip.audio))),
+      contentType: first.contentType,
+    };
+  }
+
+  const wavs = clips.map(clip => readWavChunks(clip.audio));
+  if (wavs.some(wav => !wav || !wav.format.equals(wavs[0].format))) {
+    throw new TTSProviderError('Cannot join WAV audio with different or unreadable formats into one track.');
+  }
+  return {
+    audio: buildWav(wavs[0].format, Buffer.concat(wavs.map(wav => wav.samples))),
+    contentType: first.contentType,
+  };
+}
+
+/**
+ * Build a silent WAV file
+ * @param {number} seconds - Length of the audio
+ * @returns {Buffer} WAV audio
+ */
+function createSilentWav(seconds) {
+  const format = Buffer.alloc(16);
+  format.writeUInt16LE(1, 0); // PCM
+  format.writeUInt16LE(1, 2); // mono
+  format.writeUInt32LE(MOCK_SAMPLE_RATE, 4);
+  format.writeUInt32LE(MOCK_SAMPLE_RATE, 8); // bytes per second
+  format.writeUInt16LE(1, 12); // bytes per sample
+  format.writeUInt16LE(8, 14); // bits per sample
+
+  // 128 is silence for 8-bit samples
+  return buildWav(format, Buffer.alloc(Math.max(1, Math.round(seconds * MOCK_SAMPLE_RATE)), 128));
+}
+
+/**
+ * Speech from the ElevenLabs API, in the card's voice
+ */
+const elevenLabsProvider = {
+  name: "elevenlabs",
+  model: DEFAULT_ELEVENLABS_MODEL,
+  concurrency: ELEVENLABS_CONCURRENCY,
+
+  async synthesize(text, voiceId = DEFAULT_VOICE_ID) {
+    const audio = await generateElevenLabsAudio(text, voiceId, this.model);
+    return { audio, contentType: 'audio/mpeg' };
+  },
+};
+
+/**
+ * Speech from the command-line synthesiser in LOCAL_TTS_COMMAND
+ */
+const localProvider = {
+  name: "local",
+  // The engine shares this machine's CPU with the app, so one track at a time
+  concurrency: 1,
+
+  // The command picks the engine and its voice, so it stands in for the model
+  get model() {
+    return (process.env.LOCAL_TTS_COMMAND || '').trim();
+  },
+
+  async synthesize(text) {
+    const command = this.model;
+    if (!command) {
+      throw new TTSProviderError(
+        'LOCAL_TTS_COMMAND environment variable is required when TTS_PROVIDER is "local", ' +
+        'e.g. "piper --model en_GB-alan-medium.onnx --output_file -".'
+      );
+    }
+
+    const audio = await runLocalCommand(command, text);
+    const contentType = detectAudioContentType(audio);
+    if (!contentType) {
+      throw new TTSProviderError('The local TTS command must write MP3 or WAV audio to stdout.');
+    }
+    return { audio, contentType };
+  },
+};
+
+/**
+ * Offline silence that is the same every time for the same text
+ */
+const mockProvider = {
+  name: "mock",
+  model: "mock",
+  concurrency: 4,
+
+  async synthesize(text) {
+    return { audio: createSilentWav(text.length * MOCK_SECONDS_PER_CHARACTER), contentType: 'audio/wav' };
+  },
+};
+
+const TTS_PROVIDERS = {
+  [elevenLabsProvider.name]: elevenLabsProvider,
+  [localProvider.name]: localProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+/**
+ * Get the configured TTS provider
+ * @param {string} [name] - Provider name (default: TTS_PROVIDER, then "elevenlabs")
+ * @returns {Object} Provider
+ */
+export function getTTSProvider(name = process.env.TTS_PROVIDER) {
+  const key = (name || elevenLabsProvider.name).toLowerCase();
+
+  if (!TTS_PROVIDERS[key]) {
+    console.warn(`Unknown TTS_PROVIDER "${name}", using ${elevenLabsProvider.name}`);
+    return elevenLabsProvider;
+  }
+
+  return TTS_PROVIDERS[key];
+}
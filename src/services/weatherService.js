@@ -0,0 +1,199 @@
+// Weather for each session of the race weekend
+// Before a session starts, a forecast provider gives the expected conditions at
+// its start time. Once a session is live or finished, OpenF1's own track
+// reading is used instead.
+//
+// PROVIDERS (WEATHER_PROVIDER environment variable):
+// - "open-meteo" (default): Open-Meteo forecast API (https://open-meteo.com/), free and
+//   keyless, forecasts up to 16 days ahead
+// - "mock": offline, repeatable conditions for development and tests
+// - "none": no forecasts; sessions only get OpenF1 readings
+//
+// A provider is an object with a name and
+// getForecasts(location, dates) -> Promise<Array<Forecast|null>> (one entry per date)
+// where Forecast is { airTemperature (°C), rainChance (%), windSpeed (km/h) }.
+
+import { getSessionWeather } from "@/services/f1Service";
+import { getCircuitInfo } from "@/utils/circuitUtils";
+import { metresPerSecondToKmh } from "@/utils/unitUtils";
+
+const OPEN_METEO_FORECAST_URL = "https://api.open-meteo.com/v1/forecast";
+const OPEN_METEO_GEOCODING_URL = "https://geocoding-api.open-meteo.com/v1/search";
+// Open-Meteo only forecasts this far ahead
+const OPEN_METEO_MAX_DAYS = 16;
+
+/**
+ * Find coordinates for a place name with the Open-Meteo geocoding API
+ * @param {string} name - Place name, e.g. "Monte Carlo"
+ * @returns {Promise<{latitude: number, longitude: number}|null>}
+ */
+async function geocode(name) {
+  const response = await fetch(
+    `${OPEN_METEO_GEOCODING_URL}?name=${encodeURIComponent(name)}&count=1`,
+    { signal: AbortSignal.timeout(5000) }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Geocoding failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const place = data.results?.[0];
+  return place ? { latitude: place.latitude, longitude: place.longitude } : null;
+}
+
+/**
+ * Forecasts from Open-Meteo: one hourly request covering the whole weekend
+ */
+const openMeteoProvider = {
+  name: "open-meteo",
+
+  async getForecasts(location, dates) {
+    const coordinates = location.latitude !== undefined
+      ? location
+      : await geocode(location.name);
+
+    if (!coordinates) {
+      console.warn(`No coordinates found for ${location.name}, skipping forecast`);
+      return dates.map(() => null);
+    }
+
+    const horizon = Date.now() + OPEN_METEO_MAX_DAYS * 24 * 60 * 60 * 1000;
+    const inRange = dates.filter(date => date.getTime() <= horizon);
+    if (inRange.length === 0) {
+      return dates.map(() => null);
+    }
+
+    const toHour = (date) => date.toISOString().slice(0, 13) + ':00';
+    const params = new URLSearchParams({
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      hourly: 'temperature_2m,precipitation_probability,wind_speed_10m',
+      timezone: 'UTC',
+      start_hour: toHour(new Date(Math.min(...inRange))),
+      end_hour: toHour(new Date(Math.max(...inRange))),
+    });
+
+    const response = await fetch(`${OPEN_METEO_FORECAST_URL}?${params}`, { signal: AbortSignal.timeout(5000) });
+
+    if (!response.ok) {
+      throw new Error(`Open-Meteo forecast failed: ${response.status}`);
+    }
+
+    const { hourly } = await response.json();
+
+    return dates.map(date => {
+      const index = hourly?.time?.indexOf(toHour(date)) ?? -1;
+      if (index === -1) {
+        return null;
+      }
+      return {
+        airTemperature: hourly.temperature_2m[index],
+        rainChance: hourly.precipitation_probability[index],
+        windSpeed: hourly.wind_speed_10m[index],
+      };
+    });
+  },
+};
+
+/**
+ * Offline forecasts that are the same every time for the same start time
+ */
+const mockProvider = {
+  name: "mock",
+
+  async getForecasts(location, dates) {
+    return dates.map(date => ({
+      airTemperature: 18 + (date.getUTCHours() % 10),
+      rainChance: (date.getUTCDate() * 7) % 60,
+      windSpeed: 5 + (date.getUTCDate() % 15),
+    }));
+  },
+};
+
+const FORECAST_PROVIDERS = {
+  [openMeteoProvider.name]: openMeteoProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+/**
+ * Get the configured forecast provider
+ * @param {string} [name] - Provider name (default: WEATHER_PROVIDER, then "open-meteo")
+ * @returns {Object|null} Provider, or null for "none"
+ */
+export function getForecastProvider(name = process.env.WEATHER_PROVIDER) {
+  const key = (name || openMeteoProvider.name).toLowerCase();
+
+  if (key === 'none') {
+    return null;
+  }
+
+  if (!FORECAST_PROVIDERS[key]) {
+    console.warn(`Unknown WEATHER_PROVIDER "${name}", using ${openMeteoProvider.name}`);
+    return openMeteoProvider;
+  }
+
+  return FORECAST_PROVIDERS[key];
+}
+
+/**
+ * Add weather to every session: a forecast for its start time while it's
+ * upcoming, or OpenF1's latest track reading once it's live or finished.
+ * @param {Array} sessions - Sessions with state (from addSessionHighlights())
+ * @param {Object} raceData - Race information with circuitKey, location and country
+ * @param {Object|null} [provider] - Forecast provider (default: getForecastProvider())
+ * @returns {Promise<Array>} Copies of the sessions with weather (or null if unavailable)
+ */
+export async function addSessionWeather(sessions, raceData, provider = getForecastProvider()) {
+  const upcoming = sessions.filter(session => session.state !== 'live' && session.state !== 'finished' && session.dateStart);
+
+  const forecasts = new Map();
+  if (provider && upcoming.length > 0) {
+    const circuit = getCircuitInfo(raceData.circuitKey);
+    const location = circuit?.latitude !== undefined
+      ? { latitude: circuit.latitude, longitude: circuit.longitude, name: circuit.name }
+      : { name: raceData.location || raceData.country };
+
+    try {
+      const results = await provider.getForecasts(location, upcoming.map(session => new Date(session.dateStart)));
+      upcoming.forEach((session, index) => forecasts.set(session, results[index]));
+      console.log(`Fetched ${provider.name} forecasts for ${upcoming.length} sessions`);
+    } catch (error) {
+      console.error(`Failed to fetch ${provider.name} forecasts:`, error.message);
+    }
+  }
+
+  const withWeather = [];
+  let requested = false;
+
+  for (const session of sessions) {
+    if ((session.state === 'live' || session.state === 'finished') && session.sessionKey) {
+      // Respect the OpenF1 rate limit between readings
+      if (requested) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+      requested = true;
+
+      const reading = await getSessionWeather(session.sessionKey);
+      withWeather.push({
+        ...session,
+        weather: reading ? {
+          source: 'reading',
+          airTemperature: reading.airTemperature,
+          trackTemperature: reading.trackTemperature,
+          rainfall: reading.rainfall,
+          // OpenF1 reports wind speed in metres per second
+          windSpeed: typeof reading.windSpeed === 'number' ? metresPerSecondToKmh(reading.windSpeed) : undefined,
+        } : null,
+      });
+    } else {
+      const forecast = forecasts.get(session);
+      withWeather.push({
+        ...session,
+        weather: forecast ? { source: 'forecast', provider: provider.name, ...forecast } : null,
+      });
+    }
+  }
+
+  return withWeather;
+}
@@ -1,15 +1,30 @@
 // Yoto API Service for creating MYO cards
-// TTS: ElevenLabs API (https://elevenlabs.io/docs/api-reference/text-to-speech) generates audio
+// TTS: a text-to-speech provider (ElevenLabs by default, see ttsService) generates audio
 // which is then uploaded to Yoto via the standard media upload flow, enabling in-place card updates.
 
-import { getCircuitTypeDescription } from "@/utils/circuitUtils";
+import { createHash } from "crypto";
+import { getCircuitTypeDescription, getCircuitInfo } from "@/utils/circuitUtils";
+import { DEFAULT_LOCALE, daysUntil, describeCountdown, describeRelativeTime, getMonthInfo } from "@/utils/dateUtils";
+import { DEFAULT_STANDINGS_SIZE } from "@/services/f1Service";
+import { DEFAULT_UNIT_SYSTEM, formatTemperature, formatSpeed, formatDistance, fillMeasurements, metresPerSecondToKmh } from "@/utils/unitUtils";
+import { DEFAULT_LANGUAGE, createTranslator, formatNumber } from "@/utils/i18nUtils";
+import { DEFAULT_NARRATION_PROFILE } from "@/utils/narrationUtils";
+import { createPronouncer } from "@/utils/pronunciationUtils";
+import { getStoredAudio, storeAudio } from "@/utils/authUtils";
+import { DEFAULT_VOICE_ID, getTTSProvider, joinAudio } from "@/services/ttsService";
+import { DEFAULT_VOICE_ROLE, resolveRoleVoice } from "@/utils/voiceUtils";
+import { createLimiter, resolveConcurrency } from "@/utils/concurrencyUtils";
 
 const YOTO_LABS_API_BASE = "https://labs.api.yotoplay.com";
 const YOTO_API_BASE = "https://api.yotoplay.com";
-const ELEVENLABS_API_BASE = "https://api.elevenlabs.io/v1";
-const DEFAULT_VOICE_ID = "JBFqnCBsd6RMkjVDRZzb"; // ElevenLabs voice ID
-// eleven_multilingual_v2 supports up to 5000 chars per request and high-quality output
-const DEFAULT_ELEVENLABS_MODEL = "eleven_multilingual_v2";
+// Tracks uploaded and transcoding on Yoto at once (YOTO_UPLOAD_CONCURRENCY overrides it)
+const DEFAULT_UPLOAD_CONCURRENCY = 3;
+// Order of session chapters during a race weekend: live, then upcoming, then finished
+const SESSION_STATE_ORDER = { live: 0, upcoming: 1, finished: 2 };
+// Keep chapters short enough to skip through on the player; a whole card is capped at 100 tracks by Yoto
+const MAX_STANDINGS_TRACKS_PER_CHAPTER = 10;
+// Wind directions for expert cards, clockwise from north in 45 degree steps
+const COMPASS_POINTS = ['north', 'northEast', 'east', 'southEast', 'south', 'southWest', 'west', 'northWest'];
 
 /**
  * Custom error class for Yoto API errors that includes HTTP status
@@ -85,6 +100,10 @@ export async function uploadCoverImage(imageBuffer, accessToken, contentType = '
  * @param {string} params.cardId - Optional: ID to update existing card
  * @param {string} params.voiceId - Optional: ElevenLabs voice ID
  * @param {string} params.coverImageUrl - Optional: Media URL of uploaded cover image
+ * @param {string} params.language - Optional: Narration language code, for the shipped pronunciations
+ * @param {Object<string, string>} params.pronunciations - Optional: Household pronunciations for that language, from getStoredPronunciations()
+ * @param {Object<string, string|null>} params.voiceCast - Optional: Voice for each role, from getStoredVoiceCast(). Labs reads
+ *   each track in one voice, so a track with several turns is read by the voice of its first.
  * @returns {Promise<Object>} Job object with jobId and status
  */
 export async function createTextToSpeechPlaylist({
@@ -93,9 +112,15 @@ export async function createTextToSpeechPlaylist({
   accessToken,
   cardId = null,
   voiceId = DEFAULT_VOICE_ID,
-  coverImageUrl = null
+  coverImageUrl = null,
+  language = DEFAULT_LANGUAGE,
+  pronunciations = {},
+  voiceCast = {}
 }) {
   try {
+    // Names are respelled for the voice only; track titles keep the real spelling
+    const pronounce = createPronouncer(language, pronunciations);
+
     // Build the playlist content structure
     const content = {
       title: title,
@@ -109,10 +134,10 @@ export async function createTextToSpeechPlaylist({
               const trackObj = {
                 key: String(trackIndex + 1).padStart(2, '0'),
                 title: track.title,
-                trackUrl: track.text, // Text content goes in trackUrl for TTS
+                trackUrl: pronounce(track.text), // Text content goes in trackUrl for TTS
                 type: 'elevenlabs',
                 overlayLabel: String(trackIndex + 1),
-                voiceId: track.voiceId || voiceId, // Per-track voice override
+                voiceId: track.voiceId || resolveRoleVoice(voiceCast, track.role, voiceId), // Per-track voice override
               };
               
               // Only include display.icon16x16 if icon is provided
@@ -158,7 +183,7 @@ export async function createTextToSpeechPlaylist({
     // Note: Labs TTS API does not support updating existing cards via cardId parameter.
     // It always creates a new playlist. The returned cardId will be used for future reference.
     const apiUrl = new URL(`${YOTO_LABS_API_BASE}/content/job`);
-    apiUrl.searchParams.set('voiceId', voiceId);
+    apiUrl.searchParams.set('voiceId', resolveRoleVoice(voiceCast, DEFAULT_VOICE_ROLE, voiceId));
 
     // Submit to Labs API
     const response = await fetch(
@@ -197,64 +222,60 @@ export async function createTextToSpeechPlaylist({
 }
 
 /**
- * Generate audio from text using the ElevenLabs API directly.
- * Returns an MP3 Buffer that can be uploaded to Yoto via the standard media upload flow,
- * which allows in-place card updates (unlike the Yoto Labs TTS API which always creates
- * a new playlist).
- *
- * @param {string} text - Text to convert to speech
- * @param {string} voiceId - ElevenLabs voice ID
- * @param {string} modelId - ElevenLabs model ID (default: eleven_multilingual_v2)
- * @returns {Promise<Buffer>} MP3 audio buffer
- */
-async function generateElevenLabsAudio(text, voiceId = DEFAULT_VOICE_ID, modelId = DEFAULT_ELEVENLABS_MODEL) {
-  const apiKey = process.env.ELEVENLABS_API_KEY;
-  if (!apiKey) {
-    throw new Error(
-      'ELEVENLABS_API_KEY environment variable is required. ' +
-      'Get a free API key at https://elevenlabs.io/'
-    );
+ * Split a track into the parts read by each voice. A track's own voiceId reads all of it;
+ * otherwise each turn is read by its role's voice, and turns that end up with the same voice are read together.
+ * @param {Object} track - Track from buildF1Chapters()
+ * @param {Object<string, string|null>} voiceCast - Voice for each role, from getStoredVoiceCast()
+ * @param {string} defaultVoiceId - The card's voice
+ * @returns {Array<{text: string, voiceId: string}>} Parts in reading order
+ */
+function getSpokenParts(track, voiceCast, defaultVoiceId) {
+  if (track.voiceId) {
+    return [{ text: track.text, voiceId: track.voiceId }];
   }
 
-  const response = await fetch(
-    `${ELEVENLABS_API_BASE}/text-to-speech/${voiceId}`,
-    {
-      method: 'POST',
-      headers: {
-        'xi-api-key': apiKey,
-        'Content-Type': 'application/json',
-        'Accept': 'audio/mpeg',
-      },
-      body: JSON.stringify({
-        text,
-        model_id: modelId,
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.75,
-        },
-      }),
+  const parts = [];
+  (track.segments || [{ role: track.role, text: track.text }]).forEach(({ role, text }) => {
+    const voiceId = resolveRoleVoice(voiceCast, role, defaultVoiceId);
+    const previous = parts.at(-1);
+    if (previous?.voiceId === voiceId) {
+      previous.text += `\n\n${text}`;
+    } else {
+      parts.push({ text, voiceId });
     }
-  );
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new YotoApiError(`ElevenLabs TTS generation failed: ${errorText}`, response.status);
-  }
+  });
+  return parts;
+}
 
-  return Buffer.from(await response.arrayBuffer());
+/**
+ * Key a track's audio by exactly what it was made from, so identical tracks can reuse it
+ * @param {Array<{text: string, voiceId: string}>} parts - Text sent to text-to-speech (after pronunciations) and the voice reading it
+ * @param {string} modelId - The provider's model (for the local engine, its command)
+ * @returns {string} SHA-256 hex string
+ */
+function getAudioCacheKey(parts, modelId) {
+  const source = parts.flatMap(part => [part.text, part.voiceId]);
+  return createHash('sha256').update(JSON.stringify([...source, modelId])).digest('hex');
 }
 
 /**
- * Create or update a Yoto playlist using ElevenLabs TTS + the standard Yoto audio upload flow.
+ * Create or update a Yoto playlist using a TTS provider + the standard Yoto audio upload flow.
  *
  * Unlike createTextToSpeechPlaylist (which uses the Yoto Labs TTS API and always creates a new
  * playlist), this function:
- *   1. Generates an MP3 for every chapter track via the ElevenLabs API.
- *   2. Uploads each MP3 to Yoto with requestAudioUploadUrl / uploadAudioFile / waitForTranscoding.
+ *   1. Generates audio for every chapter track with the TTS provider (ElevenLabs by default).
+ *   2. Uploads the audio to Yoto with requestAudioUploadUrl / uploadAudioFile / waitForTranscoding.
+ *      Tracks whose text, voice and model are unchanged since an earlier card reuse the audio
+ *      already on Yoto (see getStoredAudio()), skipping both steps.
+ *      Tracks read by several voices of the cast (see buildF1Chapters()) are made one turn at a time
+ *      and joined into one audio file.
+ *      Tracks go through these steps as a pipeline: a few are generated at once (TTS_CONCURRENCY,
+ *      default from the provider) and a few uploaded at once (YOTO_UPLOAD_CONCURRENCY, default 3),
+ *      so one track uploads while the next is generated. The card keeps the chapters' track order.
  *   3. POSTs the assembled card content to the regular Yoto content API.
  *      When cardId is supplied the existing card is updated in-place; otherwise a new card is created.
  *
- * Requires the ELEVENLABS_API_KEY environment variable.
+ * The ElevenLabs provider requires the ELEVENLABS_API_KEY environment variable.
  *
  * @param {Object} params
  * @param {string} params.title - Card/playlist title
@@ -263,6 +284,12 @@ async function generateElevenLabsAudio(text, voiceId = DEFAULT_VOICE_ID, modelId
  * @param {string} [params.cardId] - Existing card ID to update; omit to create a new card
  * @param {string} [params.voiceId] - ElevenLabs voice ID (default: DEFAULT_VOICE_ID)
  * @param {string} [params.coverImageUrl] - Cover image media URL
+ * @param {string} [params.language] - Narration language code, for the shipped pronunciations
+ * @param {Object<string, string>} [params.pronunciations] - Household pronunciations for that language, from getStoredPronunciations()
+ * @param {Object<string, string|null>} [params.voiceCast] - Voice for each role, from getStoredVoiceCast(); roles without one use voiceId
+ * @param {Object} [params.ttsProvider] - TTS provider (default: getTTSProvider())
+ * @param {number} [params.ttsConcurrency] - Tracks generated at once, instead of TTS_CONCURRENCY
+ * @param {number} [params.uploadConcurrency] - Tracks uploaded at once, instead of YOTO_UPLOAD_CONCURRENCY
  * @returns {Promise<Object>} Result with cardId, status, and isUpdate flag
  */
 export async function createOrUpdateTTSPlaylist({
@@ -272,34 +299,94 @@ export async function createOrUpdateTTSPlaylist({
   cardId = null,
   voiceId = DEFAULT_VOICE_ID,
   coverImageUrl = null,
+  language = DEFAULT_LANGUAGE,
+  pronunciations = {},
+  voiceCast = {},
+  ttsProvider = getTTSProvider(),
+  ttsConcurrency = null,
+  uploadConcurrency = null,
 }) {
   try {
+    const synthesizeLimit = createLimiter(resolveConcurrency(ttsConcurrency, process.env.TTS_CONCURRENCY, ttsProvider.concurrency || 1));
+    const uploadLimit = createLimiter(resolveConcurrency(uploadConcurrency, process.env.YOTO_UPLOAD_CONCURRENCY, DEFAULT_UPLOAD_CONCURRENCY));
     console.log(
-      `${cardId ? 'Updating' : 'Creating'} Yoto playlist via ElevenLabs TTS + audio upload.`,
+      `${cardId ? 'Updating' : 'Creating'} Yoto playlist via ${ttsProvider.name} TTS + audio upload.`,
       `Chapters: ${chapters.length}${cardId ? `, existing cardId: ${cardId}` : ''}`
     );
 
-    // Build each chapter by generating audio for every track and uploading it to Yoto
-    const processedChapters = [];
+    // Names are respelled for the voice only; track titles keep the real spelling
+    const pronounce = createPronouncer(language, pronunciations);
+
+    // Audio being made in this run, keyed by cache key, so identical tracks share one generation
+    const pendingAudio = new Map();
+    // Once a track fails the card can't be sent, so queued tracks are skipped
+    let failed = false;
+
+    // Run a step through its limiter, flagging a failure before the limiter starts the next queued step
+    const runStep = (limit, step) => limit(async () => {
+      if (failed) throw new Error('Skipped after another track failed');
+      try {
+        return await step();
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    });
 
-    for (let ci = 0; ci < chapters.length; ci++) {
-      const chapter = chapters[ci];
-      const processedTracks = [];
+    const generateTrackAudio = async (spokenParts, label) => {
+      // 1. Generate audio with the TTS provider, one clip per voice
+      const clips = await Promise.all(spokenParts.map((part, index) => runStep(synthesizeLimit, () => {
+        console.log(`Generating audio for ${label}${spokenParts.length > 1 ? ` (part ${index + 1} of ${spokenParts.length})` : ''}`);
+        return ttsProvider.synthesize(part.text, part.voiceId);
+      })));
+      const { audio, contentType } = clips.length > 1 ? joinAudio(clips) : clips[0];
 
-      for (let ti = 0; ti < chapter.tracks.length; ti++) {
-        const track = chapter.tracks[ti];
+      // 2. Upload to Yoto and wait for transcoding
+      return runStep(uploadLimit, async () => {
+        const { uploadUrl, uploadId } = await requestAudioUploadUrl(accessToken);
+        await uploadAudioFile(uploadUrl, audio, contentType);
+        return waitForTranscoding(uploadId, accessToken);
+      });
+    };
 
-        // 1. Generate MP3 via ElevenLabs
-        console.log(`Generating audio for chapter ${ci + 1} track ${ti + 1}: "${track.title}"`);
-        const audioBuffer = await generateElevenLabsAudio(
-          track.text,
-          track.voiceId || voiceId
-        );
+    const prepareTrackAudio = (track, ci, ti) => {
+      const label = `chapter ${ci + 1} track ${ti + 1}: "${track.title}"`;
+      const spokenParts = getSpokenParts(track, voiceCast, voiceId)
+        .map(part => ({ ...part, text: pronounce(part.text) }));
+      const cacheKey = getAudioCacheKey(spokenParts, ttsProvider.model);
+
+      const cachedAudio = getStoredAudio(cacheKey);
+      if (cachedAudio) {
+        console.log(`Reusing audio for ${label}`);
+        // Marks it as used again, so it's kept in the cache
+        storeAudio(cacheKey, cachedAudio);
+        return cachedAudio;
+      }
 
-        // 2. Upload to Yoto and wait for transcoding
-        const { uploadUrl, uploadId } = await requestAudioUploadUrl(accessToken);
-        await uploadAudioFile(uploadUrl, audioBuffer, 'audio/mpeg');
-        const transcodedAudio = await waitForTranscoding(uploadId, accessToken);
+      if (!pendingAudio.has(cacheKey)) {
+        pendingAudio.set(cacheKey, generateTrackAudio(spokenParts, label).then(transcodedAudio => {
+          storeAudio(cacheKey, transcodedAudio);
+          return transcodedAudio;
+        }));
+      }
+      return pendingAudio.get(cacheKey);
+    };
+
+    // Start every track at once (the limiters pace them), then read the results back in card order
+    const trackAudio = await Promise.all(chapters.map((chapter, ci) =>
+      Promise.all(chapter.tracks.map(async (track, ti) => {
+        try {
+          return await prepareTrackAudio(track, ci, ti);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }))
+    ));
+
+    const processedChapters = chapters.map((chapter, ci) => {
+      const processedTracks = chapter.tracks.map((track, ti) => {
+        const transcodedAudio = trackAudio[ci][ti];
 
         const trackObj = {
           key: String(ti + 1).padStart(2, '0'),
@@ -317,8 +404,8 @@ export async function createOrUpdateTTSPlaylist({
           trackObj.display = { icon16x16: track.icon };
         }
 
-        processedTracks.push(trackObj);
-      }
+        return trackObj;
+      });
 
       const chapterObj = {
         key: String(ci + 1).padStart(2, '0'),
@@ -331,8 +418,11 @@ export async function createOrUpdateTTSPlaylist({
         chapterObj.display = { icon16x16: chapter.icon };
       }
 
-      processedChapters.push(chapterObj);
-    }
+      return chapterObj;
+    });
+
+    const totalTracks = chapters.reduce((sum, chapter) => sum + chapter.tracks.length, 0);
+    console.log(`Audio ready: ${pendingAudio.size} tracks generated, ${totalTracks - pendingAudio.size} reused`);
 
     // Assemble card content
     const content = {
@@ -536,233 +626,1179 @@ export async function deployToAllDevices(cardId, accessToken) {
  * @param {string|null} iconMediaId - Optional custom icon media ID (from uploadCardIcon)
  * @param {Object|null} weather - Optional weather data (temperature, humidity, wind, rainfall)
  * @param {string|null} countryFlagIconId - Optional country flag icon media ID for first chapter
- * @param {Object} [standings] - Optional championship standings for additional chapters
- * @param {Array} [standings.driverStandings] - Top driver standings from getDriverStandings()
- * @param {Array} [standings.teamStandings] - Top constructor standings from getTeamStandings()
- * @param {Map<string,string>} [standings.teamIconMap] - Map of team name -> car icon media ID (from uploadTeamCarIcons)
- * @returns {Array} Array of chapter objects
- */
-export function buildF1Chapters(raceData, sessions = [], iconMediaId = null, weather = null, countryFlagIconId = null, standings = {}) {
-  const { driverStandings = [], teamStandings = [], teamIconMap = new Map() } = standings;
+ * @param {Object} [extras] - Optional standings and results for additional chapters
+ * @param {Array} [extras.driverStandings] - Driver standings from getDriverStandings()
+ * @param {Array} [extras.teamStandings] - Constructor standings from getTeamStandings()
+ * @param {number|null} [extras.standingsSize] - Requested standings size (null = full grid), used for chapter titles
+ * @param {Object|null} [extras.lastRace] - Last Grand Prix results from getLastRaceResults()
+ * @param {Object|null} [extras.strategy] - Pit stops and tyres of the last Grand Prix from getRaceStrategy(); adds the optional Strategy Corner chapter
+ * @param {Object|null} [extras.qualifying] - Completed qualifying/grid for this meeting from getQualifyingResults()
+ * @param {Array} [extras.favourites] - Favourite driver/team summaries from getFavouriteStandings()
+ * @param {Object|null} [extras.titleFight] - Late-season championship analysis from getTitleFight()
+ * @param {Array} [extras.calendar] - Remaining meetings of the season from getSeasonCalendar()
+ * @param {Array} [extras.pastWinners] - Previous winners at this circuit from getPastWinners()
+ * @param {string} [extras.timeZone] - Listener's IANA timezone, used for countdowns (default: UTC)
+ * @param {string} [extras.locale] - Locale for written dates, from getDateLocale() (default: en-US)
+ * @param {string} [extras.units] - Household unit system for spoken numbers, "metric" or "imperial" (default: metric)
+ * @param {string} [extras.language] - Narration language code, e.g. "fr" (default: English)
+ * @param {string} [extras.profile] - Narration profile, "little-fan", "default" or "expert" (default: "default")
+ * @param {Object<string, string>} [extras.templates] - Household template overrides for the card's language, from getStoredTemplates()
+ * @param {Map<string,string>} [extras.teamIconMap] - Map of team name -> car icon media ID (from uploadTeamCarIcons)
+ * @returns {Array} Array of chapter objects. A track's role says which voice of the cast reads it
+ *   (none means the presenter); a track read by more than one voice also has segments, one per turn.
+ */
+export function buildF1Chapters(raceData, sessions = [], iconMediaId = null, weather = null, countryFlagIconId = null, extras = {}) {
+  const { driverStandings = [], teamStandings = [], standingsSize = DEFAULT_STANDINGS_SIZE, lastRace = null, strategy = null, qualifying = null, favourites = [], titleFight = null, calendar = [], pastWinners = [], timeZone = 'UTC', locale = DEFAULT_LOCALE, units = DEFAULT_UNIT_SYSTEM, language = DEFAULT_LANGUAGE, profile = DEFAULT_NARRATION_PROFILE, templates = {}, teamIconMap = new Map() } = extras;
+  // Greetings, transitions and sign-offs are phrased differently each race, but stay the same for one race
+  const t = createTranslator(language, templates, raceData.meetingKey);
+  // Little fans get the short, simple card; experts get extra stats on top of the standard one
+  const littleFan = profile === 'little-fan';
+  const expert = profile === 'expert';
+  const grid = qualifying?.grid?.length > 0 ? qualifying.grid : null;
   const chapters = [];
-  
-  console.log(`Building F1 chapters with ${sessions.length} sessions, iconMediaId: ${iconMediaId || 'none'}, weather: ${weather ? 'yes' : 'no'}, countryFlagIconId: ${countryFlagIconId || 'none'}`);
-  
+
+  console.log(`Building F1 chapters with ${sessions.length} sessions, iconMediaId: ${iconMediaId || 'none'}, weather: ${weather ? 'yes' : 'no'}, countryFlagIconId: ${countryFlagIconId || 'none'}, language: ${t.language}, profile: ${profile}`);
+
   // Build enhanced overview text with meeting and weather details
-  let overviewText = `Hello Formula 1 fans! Let me tell you about the upcoming ${raceData.name} in the ${raceData.year} season.`;
+  const greetingParams = {
+    raceName: raceData.name,
+    year: raceData.year,
+    circuit: raceData.circuit,
+    location: raceData.location,
+    country: raceData.country,
+  };
+  let overviewText = t('overview.intro', greetingParams);
 
   // Add race location and circuit details
-  const location = raceData.location && raceData.country 
+  const location = raceData.location && raceData.country
     ? `${raceData.location}, ${raceData.country}`
-    : raceData.location || raceData.country || "an exciting location";
-  
-  overviewText += `\n\nThis race weekend takes place in ${location}.`;
-  
+    : raceData.location || raceData.country || t('overview.unknownLocation');
+
+  overviewText += `\n\n${t('overview.location', { location })}`;
+
   // Add circuit information with type
-  const circuitTypeDescription = getCircuitTypeDescription(raceData.circuitType);
+  const circuitTypeDescription = getCircuitTypeDescription(raceData.circuitType, t.language);
   if (circuitTypeDescription) {
-    overviewText += ` The drivers will be racing at the ${raceData.circuit} circuit, which is ${circuitTypeDescription}.`;
+    overviewText += ` ${t('overview.circuitWithType', { circuit: raceData.circuit, circuitType: circuitTypeDescription })}`;
   } else {
-    overviewText += ` The drivers will be racing at the ${raceData.circuit} circuit.`;
+    overviewText += ` ${t('overview.circuit', { circuit: raceData.circuit })}`;
   }
-  
+
   // Add official name if it's more detailed
-  if (raceData.officialName && raceData.officialName !== raceData.name) {
-    overviewText += ` The official name of this event is the ${raceData.officialName}.`;
+  if (raceData.officialName && raceData.officialName !== raceData.name && !littleFan) {
+    overviewText += ` ${t('overview.officialName', { officialName: raceData.officialName })}`;
   }
 
-  overviewText += `\n\nThe race is scheduled for ${raceData.date} at ${raceData.time}.`;
+  // Count down first, then give the full date as a second sentence
+  const weekendStartsIn = raceData.dateStart ? describeRelativeTime(raceData.dateStart, timeZone, new Date(), t.language) : null;
+  const raceSession = sessions.find(session => session.sessionName === 'Race');
+  const raceStartsIn = raceSession?.dateStart ? describeRelativeTime(raceSession.dateStart, timeZone, new Date(), t.language) : null;
 
-  // Add weather information if available
+  overviewText += weekendStartsIn
+    ? `\n\n${t('overview.weekendStarts', { when: weekendStartsIn })}`
+    : `\n\n${t('overview.weekendUnderway')}`;
+  if (raceStartsIn) {
+    overviewText += ` ${t('overview.grandPrixStarts', { when: raceStartsIn })}`;
+  }
+  overviewText += ` ${t('overview.raceScheduled', { date: raceData.date, time: raceData.time })}`;
+
+  // Add weather information if available (read by the weather presenter)
+  let overviewWeatherText = '';
   if (weather) {
-    overviewText += `\n\nLet me tell you about the weather conditions at the track.`;
-    
+    overviewWeatherText = t('overview.weatherIntro');
+
     if (weather.airTemperature !== undefined) {
-      overviewText += ` The air temperature is ${Math.round(weather.airTemperature)} degrees Celsius.`;
+      overviewWeatherText += ` ${t('overview.airTemperature', { temperature: formatTemperature(weather.airTemperature, units, t.language) })}`;
     }
-    
-    if (weather.trackTemperature !== undefined) {
-      overviewText += ` The track temperature is ${Math.round(weather.trackTemperature)} degrees Celsius.`;
+
+    if (weather.trackTemperature !== undefined && !littleFan) {
+      overviewWeatherText += ` ${t('overview.trackTemperature', { temperature: formatTemperature(weather.trackTemperature, units, t.language) })}`;
     }
-    
-    if (weather.humidity !== undefined) {
-      overviewText += ` The humidity level is at ${Math.round(weather.humidity)} percent.`;
+
+    if (weather.humidity !== undefined && !littleFan) {
+      overviewWeatherText += ` ${t('overview.humidity', { humidity: Math.round(weather.humidity) })}`;
     }
-    
-    if (weather.windSpeed !== undefined && weather.windSpeed > 0) {
-      const windDescription = weather.windSpeed < 10 
-        ? "light winds of"
-        : weather.windSpeed < 20
-        ? "moderate winds of"
-        : "strong winds of";
-      overviewText += ` There are ${windDescription} ${Math.round(weather.windSpeed)} kilometers per hour.`;
+
+    if (weather.windSpeed !== undefined && weather.windSpeed > 0 && !littleFan) {
+      // OpenF1 reports wind speed in metres per second
+      const windKmh = metresPerSecondToKmh(weather.windSpeed);
+      const windKey = windKmh < 10
+        ? 'overview.lightWind'
+        : windKmh < 20
+        ? 'overview.moderateWind'
+        : 'overview.strongWind';
+      overviewWeatherText += ` ${t(windKey, { speed: formatSpeed(windKmh, units, t.language) })}`;
+      if (expert && typeof weather.windDirection === 'number') {
+        overviewWeatherText += ` ${t('overview.windDirection', { direction: describeWindDirection(weather.windDirection, t) })}`;
+      }
     }
-    
+
+    if (expert && typeof weather.pressure === 'number') {
+      overviewWeatherText += ` ${t('overview.pressure', { pressure: formatNumber(Math.round(weather.pressure), t.language) })}`;
+    }
+
     if (weather.rainfall !== undefined && weather.rainfall > 0) {
-      overviewText += ` Drivers will need to navigate wet conditions as there is rainfall at the circuit.`;
+      overviewWeatherText += ` ${t('overview.rain')}`;
     } else if (weather.rainfall !== undefined) {
-      overviewText += ` The track is dry with no rainfall, perfect for racing!`;
+      overviewWeatherText += ` ${t('overview.dry')}`;
     }
   }
 
-  if (sessions.length > 0) {
-    overviewText += `\n\nThere are ${sessions.length} sessions scheduled for this race weekend. Listen to the following chapters to learn about each session!`;
+  const liveSession = sessions.find(session => session.state === 'live');
+  const finishedCount = sessions.filter(session => session.state === 'finished').length;
+  const finishedText = t('overview.finishedCount', { count: finishedCount, total: sessions.length });
+  let overviewStatusText = '';
+  if (liveSession) {
+    overviewStatusText = t('overview.liveNow', { sessionName: t.sessionName(liveSession.sessionName) });
+    overviewStatusText += finishedCount > 0
+      ? ` ${finishedText} ${t('overview.listenLiveAndEarlier')}`
+      : ` ${t('overview.listenLive')}`;
+  } else if (finishedCount > 0) {
+    overviewStatusText = `${finishedText} ${t('overview.listenEarlier')}`;
+  } else if (sessions.length > 0) {
+    overviewStatusText = t('overview.sessionCount', { count: sessions.length });
   }
-  
+
   // Chapter 1: Overall race weekend information with enhanced details
   // Use country flag icon for first chapter if available, otherwise use generic F1 icon
   const firstChapterIcon = countryFlagIconId || iconMediaId;
+  const pastWinnersTrack = pastWinners.length > 0 ? {
+    title: t('track.pastWinners'),
+    text: describePastWinners(pastWinners, raceData, t),
+    icon: firstChapterIcon ? `yoto:#${firstChapterIcon}` : null,
+  } : null;
+
   chapters.push({
-    title: "Race Weekend Overview",
+    title: t('chapter.overview'),
     icon: firstChapterIcon ? `yoto:#${firstChapterIcon}` : null,
     tracks: [
-      {
+      buildDialogueTrack({
         title: raceData.name,
-        text: overviewText,
         icon: firstChapterIcon ? `yoto:#${firstChapterIcon}` : null,
-      }
+      }, [
+        { role: 'presenter', text: overviewText },
+        { role: 'weather', text: overviewWeatherText },
+        { role: 'presenter', text: overviewStatusText },
+      ]),
+      ...(pastWinnersTrack ? [pastWinnersTrack] : []),
     ]
   });
-  
+
+  // Chapter: Meet the Circuit - only for circuits in the bundled dataset;
+  // unknown circuits keep the generic description in the overview
+  const circuitInfo = getCircuitInfo(raceData.circuitKey);
+  if (circuitInfo) {
+    chapters.push(buildCircuitChapter(circuitInfo, raceData, { units, littleFan }, iconMediaId, t));
+  }
+
+  // Live-weekend mode: the live session first, then what's still to come, then
+  // results from earlier in the weekend (each group in chronological order)
+  const orderedSessions = [...sessions].sort(
+    (a, b) => (SESSION_STATE_ORDER[a.state] ?? SESSION_STATE_ORDER.upcoming) - (SESSION_STATE_ORDER[b.state] ?? SESSION_STATE_ORDER.upcoming)
+  );
+  let qualifyingChapterAdded = false;
+
+  const addQualifyingChapter = () => {
+    // Once qualifying is over, narrate the real grid instead of previewing the session
+    if (grid && !qualifyingChapterAdded) {
+      chapters.push(buildQualifyingChapter(grid, raceData, { littleFan, expert }, teamIconMap, iconMediaId, t));
+      qualifyingChapterAdded = true;
+    }
+  };
+
   // Add a chapter for each session
-  sessions.forEach((session) => {
-    const sessionText = generateSessionText(session, raceData);
-    
+  orderedSessions.forEach((session) => {
+    if (session.state === 'finished') {
+      addQualifyingChapter();
+    }
+    if (grid && session.sessionKey === qualifying.sessionKey) {
+      return;
+    }
+
+    // Finished sessions narrate their fastest laps instead of the preview
+    const sessionText = session.highlights
+      ? generateSessionHighlightsText(session, raceData, t, { littleFan })
+      : generateSessionText(session, raceData, { grid, timeZone, language: t.language, profile, templates });
+    const weatherText = describeSessionWeather(session, { units, littleFan }, t);
+    const sessionName = t.sessionName(session.sessionName);
+    const title = session.state === 'finished' ? t('chapter.sessionResults', { sessionName })
+      : session.state === 'live' ? t('chapter.sessionLive', { sessionName })
+      : sessionName;
+
     chapters.push({
-      title: session.sessionName,
+      title,
       icon: iconMediaId ? `yoto:#${iconMediaId}` : null,
       tracks: [
-        {
-          title: session.sessionName,
-          text: sessionText,
+        // The pit-lane reporter previews the session (or reads its results), then hands over for the weather
+        buildDialogueTrack({
+          title,
           icon: iconMediaId ? `yoto:#${iconMediaId}` : null,
-        }
+        }, [
+          { role: 'reporter', text: sessionText },
+          { role: 'weather', text: weatherText },
+        ])
       ]
     });
   });
-  
+
+  // Qualifying results from data without session states still get their chapter
+  addQualifyingChapter();
+
   // If no sessions data available, fall back to simple race info
-  if (chapters.length === 1) {
+  if (sessions.length === 0) {
     chapters[0] = {
-      title: "Next F1 Race",
+      title: t('chapter.nextRace'),
       icon: iconMediaId ? `yoto:#${iconMediaId}` : null,
       tracks: [
         {
           title: raceData.name,
-          text: `Hello Formula 1 fans! Let me tell you about the next race in the ${raceData.year} season.
+          text: `${t('overview.fallbackIntro', { year: raceData.year })}
 
-The next race is the ${raceData.name}, taking place in ${raceData.location}.
+${t('overview.fallbackNextRace', { raceName: raceData.name, location: raceData.location })}
 
-The race will be held on ${raceData.date}, at ${raceData.time}.
+${weekendStartsIn ? `${t('overview.weekendStarts', { when: weekendStartsIn })} ` : ''}${t('overview.fallbackSchedule', { date: raceData.date, time: raceData.time })}
 
-Get ready for an exciting race at ${raceData.circuit}!`,
+${t('overview.fallbackOutro', { circuit: raceData.circuit })}`,
           icon: iconMediaId ? `yoto:#${iconMediaId}` : null,
-        }
+        },
+        ...(pastWinnersTrack ? [pastWinnersTrack] : []),
       ]
     };
   }
 
-  // Chapter: Top 5 Drivers - one track per driver, each with its constructor's car icon
-  if (driverStandings.length > 0) {
-    const leaderIcon = teamIconMap.get(driverStandings[0].team) || iconMediaId;
-    chapters.push({
-      title: "Top 5 Drivers",
-      icon: leaderIcon ? `yoto:#${leaderIcon}` : null,
-      tracks: driverStandings.map(entry => {
-        const trackIcon = teamIconMap.get(entry.team) || iconMediaId;
-        return {
-          title: `P${entry.position}: ${entry.driver}`,
-          text: `In position ${entry.position}, ${entry.driver} driving for ${entry.team}, with ${entry.points} points.`,
-          icon: trackIcon ? `yoto:#${trackIcon}` : null,
-        };
-      }),
+  // Chapter: Last Race Results - one track per podium finisher, then retirements
+  if (lastRace && lastRace.results?.length > 0) {
+    chapters.push(buildLastRaceChapter(lastRace, { littleFan, expert }, teamIconMap, iconMediaId, t));
+  }
+
+  // Chapter: Strategy Corner - optional pit stop and tyre detail for older listeners
+  if (lastRace && strategy && !littleFan) {
+    const strategyChapter = buildStrategyChapter(strategy, lastRace.raceName, teamIconMap, iconMediaId, t);
+    if (strategyChapter.tracks.length > 0) {
+      chapters.push(strategyChapter);
+    }
+  }
+
+  // Chapter: Your Favourites - one track per favourite driver or team
+  if (favourites.length > 0) {
+    chapters.push(buildFavouritesChapter(favourites, teamIconMap, iconMediaId, t));
+  }
+
+  // Chapter: Title Fight - only while at least one championship is still undecided
+  // (the points maths is left out of the little fan card)
+  if (titleFight && (!titleFight.drivers.decided || !titleFight.teams.decided) && !littleFan) {
+    chapters.push(buildTitleFightChapter(titleFight, teamIconMap, iconMediaId, t));
+  }
+
+  // Championship tables - one track per driver/team, each with its constructor's car icon.
+  // Long tables are split across several chapters. Little fans just hear the points;
+  // experts also hear the gap to the car one place ahead.
+  const describeGaps = (entry, entries, name) => {
+    if (littleFan) {
+      return '';
+    }
+    return describeGapToLeader(entry, t) + (expert ? describeGapToCarAhead(entry, entries, name, t) : '');
+  };
+  chapters.push(...buildStandingsChapters({
+    entries: driverStandings,
+    standingsSize,
+    topTitle: t('chapter.topDrivers', { count: driverStandings.length }),
+    fullTitle: t('chapter.driversStandings'),
+    describe: (entry) => ({
+      title: `P${entry.position}: ${entry.driver}`,
+      text: t('standings.driver', entry) + describeGaps(entry, driverStandings, (e) => e.driver),
+    }),
+    teamIconMap,
+    iconMediaId,
+  }));
+
+  chapters.push(...buildStandingsChapters({
+    entries: teamStandings,
+    standingsSize,
+    topTitle: t('chapter.topTeams', { count: teamStandings.length }),
+    fullTitle: t('chapter.teamsStandings'),
+    describe: (entry) => ({
+      title: `P${entry.position}: ${entry.team}`,
+      text: t('standings.team', entry) + describeGaps(entry, teamStandings, (e) => e.team),
+    }),
+    teamIconMap,
+    iconMediaId,
+  }));
+
+  // Chapter: Season Calendar - one track per month of the remaining season
+  if (calendar.length > 0) {
+    chapters.push(buildCalendarChapter(calendar, { timeZone, locale }, iconMediaId, t));
+  }
+
+  // The presenter signs off at the end of the last track
+  const lastChapter = chapters[chapters.length - 1];
+  const lastTrack = lastChapter?.tracks.at(-1);
+  if (lastTrack) {
+    lastChapter.tracks[lastChapter.tracks.length - 1] = buildDialogueTrack(lastTrack, [
+      ...(lastTrack.segments || [{ role: lastTrack.role || DEFAULT_VOICE_ROLE, text: lastTrack.text }]),
+      { role: 'presenter', text: t('outro.signOff', greetingParams) },
+    ]);
+  }
+
+  console.log(`Built ${chapters.length} total chapters for F1 card`);
+  return chapters;
+}
+
+/**
+ * Build a track read in turns by the voice cast. Its text is every turn in order, as
+ * a single voice would read it; turns without text are left out, and back-to-back
+ * turns by the same role are read as one.
+ * @param {Object} track - Track title and icon
+ * @param {Array<{role: string, text: string}>} segments - Turns, each with a role from VOICE_ROLES
+ * @returns {Object} Track with text and the role of the first turn, plus segments when more than one voice reads it
+ */
+function buildDialogueTrack(track, segments) {
+  const turns = [];
+  segments.filter(segment => segment.text).forEach(({ role, text }) => {
+    const previous = turns.at(-1);
+    if (previous?.role === role) {
+      previous.text += `\n\n${text}`;
+    } else {
+      turns.push({ role, text });
+    }
+  });
+
+  return {
+    ...track,
+    role: turns[0].role,
+    text: turns.map(turn => turn.text).join('\n\n'),
+    segments: turns.length > 1 ? turns : undefined,
+  };
+}
+
+/**
+ * Describe who won the Grand Prix at this circuit in previous seasons,
+ * newest first, and call out anyone who has won here more than once.
+ * @param {Array} pastWinners - [{ year, driver, team }] from getPastWinners()
+ * @param {Object} raceData - Race information
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {string} Spoken text
+ */
+function describePastWinners(pastWinners, raceData, t) {
+  let text = t('pastWinners.intro', { count: pastWinners.length, circuit: raceData.circuit });
+
+  pastWinners.forEach(winner => {
+    text += ` ${t(winner.team ? 'pastWinners.winnerWithTeam' : 'pastWinners.winner', winner)}`;
+  });
+
+  const winCounts = new Map();
+  pastWinners.forEach(winner => winCounts.set(winner.driver, (winCounts.get(winner.driver) || 0) + 1));
+  const repeatWinners = [...winCounts].filter(([, wins]) => wins > 1);
+  repeatWinners.forEach(([driver, wins]) => {
+    text += ` ${t(wins === 2 ? 'pastWinners.wonTwice' : 'pastWinners.wonMany', { driver, count: wins })}`;
+  });
+
+  if (repeatWinners.length === 0 && pastWinners.length > 1) {
+    text += ` ${t('pastWinners.allDifferent')}`;
+  }
+
+  return text;
+}
+
+/**
+ * Build the "Meet the Circuit" chapter from the bundled circuit facts: the
+ * track's numbers, its lap record, and a few fun facts. Little fans skip the
+ * DRS explanation and the lap record.
+ * @param {Object} circuit - Circuit facts from getCircuitInfo()
+ * @param {Object} raceData - Race information
+ * @param {{units: string, littleFan: boolean}} options - Household unit system ("metric" or "imperial") and narration profile
+ * @param {string|null} iconMediaId - Icon media ID for the chapter and tracks
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {Object} Chapter object
+ */
+function buildCircuitChapter(circuit, raceData, { units, littleFan }, iconMediaId, t) {
+  const icon = iconMediaId ? `yoto:#${iconMediaId}` : null;
+  const tracks = [];
+
+  const raceDistance = circuit.lengthKm * circuit.laps;
+  let trackText = t('circuit.welcome', { circuitName: circuit.name, raceName: raceData.name });
+  trackText += ` ${t('circuit.distance', {
+    lapLength: formatDistance(circuit.lengthKm, units, 1, t.language),
+    laps: circuit.laps,
+    raceDistance: formatDistance(raceDistance, units, 0, t.language),
+  })}`;
+  trackText += circuit.drsZones > 0 && !littleFan
+    ? ` ${t('circuit.cornersAndDrs', { corners: circuit.corners, count: circuit.drsZones })}`
+    : ` ${t('circuit.corners', { corners: circuit.corners })}`;
+  tracks.push({ title: t('track.circuit'), text: trackText, icon });
+
+  const recordTime = formatSpokenLapTime(circuit.lapRecord?.time, t);
+  if (recordTime && !littleFan) {
+    tracks.push({
+      title: t('track.lapRecord'),
+      text: t('circuit.lapRecord', { lapTime: recordTime, driver: circuit.lapRecord.driver, year: circuit.lapRecord.year }),
+      icon,
     });
   }
 
-  // Chapter: Top 5 Constructors - one track per team, each with its car icon
-  if (teamStandings.length > 0) {
-    const leaderIcon = teamIconMap.get(teamStandings[0].team) || iconMediaId;
-    chapters.push({
-      title: "Top 5 Constructors",
+  // The bundled fun facts are only written in English so far
+  if (circuit.facts?.length > 0 && t.language === DEFAULT_LANGUAGE) {
+    tracks.push({
+      title: t('track.funFacts'),
+      text: t('circuit.funFacts', { facts: fillMeasurements(circuit.facts.join(' '), units, t.language) }),
+      icon,
+    });
+  }
+
+  return { title: t('chapter.circuit'), icon, tracks };
+}
+
+/**
+ * Build the "Season Calendar" chapter with one track per month, counting down
+ * to each remaining race in the listener's timezone.
+ * @param {Array} calendar - Meetings from getSeasonCalendar()
+ * @param {{timeZone: string, locale: string}} settings - Listener's timezone and locale
+ * @param {string|null} iconMediaId - Icon media ID for the chapter and tracks
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {Object} Chapter object
+ */
+function buildCalendarChapter(calendar, { timeZone, locale }, iconMediaId, t) {
+  const icon = iconMediaId ? `yoto:#${iconMediaId}` : null;
+
+  // Group by the month of race day (the meeting's end) as seen by the listener
+  const months = new Map();
+  calendar.forEach(meeting => {
+    const raceDay = meeting.dateEnd || meeting.dateStart;
+    const { key, name } = getMonthInfo(raceDay, timeZone, t.locale);
+    if (!months.has(key)) {
+      months.set(key, { name, meetings: [] });
+    }
+    months.get(key).meetings.push({ ...meeting, raceDay });
+  });
+
+  const tracks = [...months.values()].map(({ name, meetings }) => {
+    let text = t('calendar.month', { month: name, count: meetings.length });
+
+    meetings.forEach(meeting => {
+      const raceDate = new Date(meeting.raceDay).toLocaleDateString(locale, {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        timeZone,
+      });
+      const days = daysUntil(meeting.raceDay, timeZone);
+      const countdown = describeCountdown(meeting.raceDay, timeZone, new Date(), t.language);
+      const where = meeting.location && meeting.country && meeting.location !== meeting.country
+        ? `${meeting.location}, ${meeting.country}`
+        : meeting.location || meeting.country;
+
+      text += ` ${t('calendar.race', { raceName: meeting.name, location: where, date: raceDate, circuit: meeting.circuit })}`;
+      text += ` ${t(days === 0 || days === 1 ? 'calendar.countdownSoon' : 'calendar.countdown', { countdown })}`;
+      if (meeting.isSprintWeekend) {
+        text += ` ${t('calendar.sprintWeekend')}`;
+      }
+    });
+
+    // Month names are lower case in some languages ("mars"), but titles start with a capital
+    const title = name.charAt(0).toLocaleUpperCase(t.locale) + name.slice(1);
+    return {
+      title: `${title}: ${meetings.map(m => m.country || m.name).join(', ')}`,
+      text,
+      icon,
+    };
+  });
+
+  return {
+    title: t('chapter.calendar'),
+    icon,
+    tracks,
+  };
+}
+
+/**
+ * Join items the way they are spoken: "A", "A and B", "A, B and C"
+ * @param {string[]} items
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {string}
+ */
+function joinSpokenList(items, t) {
+  if (items.length <= 1) {
+    return items.join('');
+  }
+  return `${items.slice(0, -1).join(', ')} ${t('list.and')} ${items[items.length - 1]}`;
+}
+
+/**
+ * Sentence describing how far a standings entry is behind the leader
+ * @param {Object} entry - Standings entry with gapToLeader
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {string} Sentence with a leading space, or empty for the leader
+ */
+function describeGapToLeader(entry, t) {
+  if (entry.position === 1 || typeof entry.gapToLeader !== 'number') {
+    return '';
+  }
+  if (entry.gapToLeader === 0) {
+    return ` ${t('standings.levelWithLeader')}`;
+  }
+  return ` ${t('standings.behindLeader', { count: entry.gapToLeader })}`;
+}
+
+/**
+ * Points gap to the driver or team one place ahead, for expert cards. Second
+ * place is left out, since the gap to the leader already covers it.
+ * @param {Object} entry - Standings entry with position and points
+ * @param {Array} entries - The narrated standings table
+ * @param {Function} nameOf - Picks the spoken name from an entry
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {string} Sentence with a leading space, or '' when there's nothing to add
+ */
+function describeGapToCarAhead(entry, entries, nameOf, t) {
+  const ahead = entries.find(other => other.position === entry.position - 1);
+  if (!ahead || ahead.position === 1 || typeof ahead.points !== 'number' || typeof entry.points !== 'number') {
+    return '';
+  }
+  const gap = ahead.points - entry.points;
+  return gap > 0
+    ? ` ${t('standings.behindAhead', { count: gap, name: nameOf(ahead) })}`
+    : ` ${t('standings.levelWithAhead', { name: nameOf(ahead) })}`;
+}
+
+/**
+ * Name the compass point the wind is blowing from
+ * @param {number} degrees - Wind direction in degrees, as OpenF1 reports it (0 = north)
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {string} e.g. "south-west"
+ */
+function describeWindDirection(degrees, t) {
+  const point = COMPASS_POINTS[Math.round((((degrees % 360) + 360) % 360) / 45) % COMPASS_POINTS.length];
+  return t(`compass.${point}`);
+}
+
+/**
+ * Build the "Title Fight" chapter: how many points are left to win, and who
+ * can still mathematically become champion. Decided championships are left out.
+ * @param {Object} titleFight - Analysis from getTitleFight()
+ * @param {Map<string,string>} teamIconMap - Map of team name -> car icon media ID
+ * @param {string|null} iconMediaId - Fallback icon media ID
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {Object} Chapter object
+ */
+function buildTitleFightChapter(titleFight, teamIconMap, iconMediaId, t) {
+  const { racesRemaining, sprintsRemaining, drivers, teams } = titleFight;
+  const iconFor = (team) => {
+    const mediaId = teamIconMap.get(team) || iconMediaId;
+    return mediaId ? `yoto:#${mediaId}` : null;
+  };
+
+  const eventsLeft = joinSpokenList([
+    t('titleFight.grandsPrix', { count: racesRemaining }),
+    sprintsRemaining > 0 ? t('titleFight.sprints', { count: sprintsRemaining }) : null,
+  ].filter(Boolean), t);
+
+  let introText = racesRemaining === 0
+    ? t('titleFight.almostOver')
+    : t('titleFight.eventsLeft', { events: eventsLeft, count: racesRemaining + sprintsRemaining });
+  if (!drivers.decided) {
+    introText += ` ${t('titleFight.driversOpen', { maxPoints: drivers.maxPointsAvailable, count: drivers.contenders.length })}`;
+  } else if (drivers.leader) {
+    introText += ` ${t('titleFight.driverChampion', { driver: drivers.leader.name })}`;
+  }
+  if (teams.decided && teams.leader) {
+    introText += ` ${t('titleFight.teamChampion', { team: teams.leader.name })}`;
+  }
+
+  const tracks = [
+    {
+      title: t('track.titleFight'),
+      text: introText,
+      icon: iconMediaId ? `yoto:#${iconMediaId}` : null,
+    },
+  ];
+
+  if (!drivers.decided) {
+    drivers.contenders.slice(0, MAX_STANDINGS_TRACKS_PER_CHAPTER).forEach(contender => {
+      const params = {
+        driver: contender.name,
+        points: contender.points,
+        position: contender.position,
+        gap: contender.gapToLeader,
+        maxPoints: drivers.maxPointsAvailable,
+      };
+      const key = contender.position === 1 ? 'titleFight.leader'
+        : contender.pointsToSpare === 0 ? 'titleFight.mustWinEverything'
+        : 'titleFight.contender';
+      tracks.push({
+        title: `P${contender.position}: ${contender.name}`,
+        text: t(key, params),
+        icon: iconFor(contender.team),
+      });
+    });
+  }
+
+  if (!teams.decided) {
+    const [leader, ...chasers] = teams.contenders;
+    let text = t('titleFight.teamsLeader', { team: leader.name, points: leader.points });
+    text += ` ${t('titleFight.teamChasers', {
+      count: chasers.length,
+      chasers: joinSpokenList(chasers.map(c => t('titleFight.teamChaser', { team: c.name, gap: c.gapToLeader })), t),
+    })}`;
+    text += ` ${t('titleFight.teamsMaxPoints', { maxPoints: teams.maxPointsAvailable })}`;
+    tracks.push({
+      title: t('track.teamsTitleFight'),
+      text,
+      icon: iconFor(leader.team),
+    });
+  }
+
+  return {
+    title: t('chapter.titleFight'),
+    icon: tracks[1]?.icon || (iconMediaId ? `yoto:#${iconMediaId}` : null),
+    tracks,
+  };
+}
+
+/**
+ * Build the chapters for a championship table, splitting it into chunks of
+ * MAX_STANDINGS_TRACKS_PER_CHAPTER so a full grid doesn't become one long chapter.
+ * @param {Object} params
+ * @param {Array} params.entries - Standings entries (each with position and team)
+ * @param {number|null} params.standingsSize - Requested size (null = full grid)
+ * @param {string} params.topTitle - Title used for a "Top N" table, e.g. "Top 5 Drivers"
+ * @param {string} params.fullTitle - Title used for the full table, e.g. "Drivers' Championship"
+ * @param {Function} params.describe - Maps an entry to { title, text } for its track
+ * @param {Map<string,string>} params.teamIconMap - Map of team name -> car icon media ID
+ * @param {string|null} params.iconMediaId - Fallback icon media ID
+ * @returns {Array} Chapter objects (empty when there are no entries)
+ */
+function buildStandingsChapters({ entries, standingsSize, topTitle, fullTitle, describe, teamIconMap, iconMediaId }) {
+  if (!entries || entries.length === 0) {
+    return [];
+  }
+
+  const baseTitle = standingsSize === null ? fullTitle : topTitle;
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += MAX_STANDINGS_TRACKS_PER_CHAPTER) {
+    chunks.push(entries.slice(i, i + MAX_STANDINGS_TRACKS_PER_CHAPTER));
+  }
+
+  return chunks.map(chunk => {
+    const first = chunk[0];
+    const last = chunk[chunk.length - 1];
+    const leaderIcon = teamIconMap.get(first.team) || iconMediaId;
+    return {
+      title: chunks.length > 1 ? `${baseTitle} (P${first.position}-${last.position})` : baseTitle,
       icon: leaderIcon ? `yoto:#${leaderIcon}` : null,
-      tracks: teamStandings.map(entry => {
+      tracks: chunk.map(entry => {
         const trackIcon = teamIconMap.get(entry.team) || iconMediaId;
         return {
-          title: `P${entry.position}: ${entry.team}`,
-          text: `In position ${entry.position}, ${entry.team}, with ${entry.points} points.`,
+          ...describe(entry),
           icon: trackIcon ? `yoto:#${trackIcon}` : null,
         };
       }),
+    };
+  });
+}
+
+/**
+ * Build the personalised chapter for the household's favourite drivers and teams:
+ * championship position, the gaps either side, and the last race finish.
+ * @param {Array} favourites - Summaries from getFavouriteStandings()
+ * @param {Map<string,string>} teamIconMap - Map of team name -> car icon media ID
+ * @param {string|null} iconMediaId - Fallback icon media ID
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {Object} Chapter object
+ */
+function buildFavouritesChapter(favourites, teamIconMap, iconMediaId, t) {
+  const iconFor = (team) => {
+    const mediaId = teamIconMap.get(team) || iconMediaId;
+    return mediaId ? `yoto:#${mediaId}` : null;
+  };
+
+  const tracks = favourites.map(favourite => {
+    const { kind, name, team, position, points, ahead, behind, lastRace } = favourite;
+    const isDriver = kind === 'driver';
+
+    let text = isDriver
+      ? t('favourites.driverIntro', { name, team })
+      : t('favourites.teamIntro', { name });
+
+    const standingKey = position === 1
+      ? (isDriver ? 'favourites.driverLeading' : 'favourites.teamLeading')
+      : (isDriver ? 'favourites.driverPosition' : 'favourites.teamPosition');
+    text += ` ${t(standingKey, { name, position, points })}`;
+
+    if (ahead) {
+      text += ahead.gap === 0
+        ? ` ${t('favourites.levelWithAhead', { name: ahead.name })}`
+        : ` ${t('favourites.behindAhead', { name: ahead.name, count: ahead.gap })}`;
+    }
+    if (behind) {
+      text += behind.gap === 0
+        ? ` ${t('favourites.levelWithBehind', { name: behind.name })}`
+        : ` ${t('favourites.aheadOfBehind', { name: behind.name, count: behind.gap })}`;
+    }
+
+    if (lastRace && isDriver) {
+      const params = { name, raceName: lastRace.raceName, position: lastRace.position, count: lastRace.points };
+      if (lastRace.dsq) {
+        text += ` ${t('favourites.disqualified', params)}`;
+      } else if (lastRace.dns) {
+        text += ` ${t('favourites.didNotStart', params)}`;
+      } else if (lastRace.dnf || lastRace.position === null) {
+        text += ` ${t('favourites.didNotFinish', params)}`;
+      } else {
+        text += ` ${t(lastRace.points > 0 ? 'favourites.finishedWithPoints' : 'favourites.finished', params)}`;
+      }
+    } else if (lastRace) {
+      const params = { name, raceName: lastRace.raceName, count: lastRace.points, bestPosition: lastRace.bestPosition };
+      const key = lastRace.points > 0
+        ? (lastRace.bestPosition ? 'favourites.teamScoredBestCar' : 'favourites.teamScored')
+        : (lastRace.bestPosition ? 'favourites.teamNoPointsBestCar' : 'favourites.teamNoPoints');
+      text += ` ${t(key, params)}`;
+    }
+
+    return {
+      title: `P${position}: ${name}`,
+      text,
+      icon: iconFor(team),
+    };
+  });
+
+  return {
+    title: t('chapter.favourites'),
+    icon: tracks[0]?.icon || (iconMediaId ? `yoto:#${iconMediaId}` : null),
+    tracks,
+  };
+}
+
+// OpenF1 tyre compounds, softest first (spoken names are the "tyre.<COMPOUND>" messages)
+const TYRE_COMPOUNDS = ['SOFT', 'MEDIUM', 'HARD', 'INTERMEDIATE', 'WET'];
+
+/**
+ * Build the optional "Strategy Corner" chapter: the fastest pit stop, each
+ * podium finisher's stops and tyres, and the compounds used in the race.
+ * @param {Object} strategy - From getRaceStrategy()
+ * @param {string} raceName - Name of the Grand Prix
+ * @param {Map<string,string>} teamIconMap - Map of team name -> car icon media ID
+ * @param {string|null} iconMediaId - Fallback icon media ID
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {Object} Chapter object
+ */
+function buildStrategyChapter(strategy, raceName, teamIconMap, iconMediaId, t) {
+  const iconFor = (team) => {
+    const mediaId = teamIconMap.get(team) || iconMediaId;
+    return mediaId ? `yoto:#${mediaId}` : null;
+  };
+  const compoundName = (compound) => TYRE_COMPOUNDS.includes(compound) ? t(`tyre.${compound}`) : compound.toLowerCase();
+  const tracks = [];
+
+  const fastest = strategy.fastestPitStop;
+  if (fastest) {
+    const params = {
+      raceName,
+      driver: fastest.driver,
+      lap: fastest.lap,
+      seconds: formatNumber(fastest.seconds, t.language, { decimals: 1, fixed: true }),
+      crew: fastest.team ? t('strategy.teamCrew', { team: fastest.team }) : t('strategy.pitCrew'),
+    };
+    const key = fastest.stationary ? 'strategy.fastestStop' : 'strategy.quickestPitLane';
+    tracks.push({ title: t('track.fastestPitStop'), text: t(fastest.lap ? `${key}OnLap` : key, params), icon: iconFor(fastest.team) });
+  }
+
+  // Drivers with neither stops nor stints have no strategy data to talk about
+  strategy.podium.filter(entry => entry.stops > 0 || entry.compounds.length > 0).forEach(entry => {
+    const params = { driver: entry.driver, position: entry.position, count: entry.stops };
+    let text = t(entry.stops === 0 ? 'strategy.noStops' : 'strategy.stops', params);
+    if (entry.compounds.length > 0) {
+      const [first, ...rest] = entry.compounds.map(compoundName);
+      text += rest.length > 0
+        ? ` ${t('strategy.startedOnThenSwitched', { compound: first, later: rest.join(t('strategy.thenSeparator')) })}`
+        : ` ${t('strategy.startedOn', { compound: first })}`;
+    }
+    tracks.push({ title: t('track.podiumStrategy', { position: entry.position, driver: entry.driver }), text, icon: iconFor(entry.team) });
+  });
+
+  if (strategy.compoundsUsed.length > 0) {
+    const names = [...strategy.compoundsUsed]
+      .sort((a, b) => TYRE_COMPOUNDS.indexOf(a) - TYRE_COMPOUNDS.indexOf(b))
+      .map(compoundName);
+    let text = t('strategy.compoundsUsed', { compounds: joinSpokenList(names, t), count: names.length });
+    text += ` ${t('strategy.tyresExplained')}`;
+    if (strategy.compoundsUsed.some(c => c === 'INTERMEDIATE' || c === 'WET')) {
+      text += ` ${t('strategy.rainTyres')}`;
+    }
+    tracks.push({ title: t('track.tyres'), text, icon: iconMediaId ? `yoto:#${iconMediaId}` : null });
+  }
+
+  return { title: t('chapter.strategy'), icon: iconMediaId ? `yoto:#${iconMediaId}` : null, tracks };
+}
+
+/**
+ * Narrate the race control story of a race in order: safety cars, red flags,
+ * penalties and the chequered flag.
+ * @param {Array} events - Events from getRaceControlSummary()
+ * @param {string} raceName - Name of the Grand Prix
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {string} Spoken text
+ */
+function describeRaceControl(events, raceName, t) {
+  const describe = (event) => {
+    let key = `raceControl.${event.type}`;
+    const params = { lap: event.lap, raceName };
+
+    if (event.type === 'penalty') {
+      params.driver = event.driver;
+      params.penalty = event.penaltyKind ? t(`penalty.${event.penaltyKind}`, { seconds: event.seconds }) : event.penalty;
+      // The stewards publish their reasons in English only
+      if (event.reason && t.language === DEFAULT_LANGUAGE) {
+        key = 'raceControl.penaltyWithReason';
+        params.reason = event.reason;
+      }
+    }
+
+    return t(event.lap ? key : `${key}.noLap`, params);
+  };
+
+  const incidents = events.filter(e => e.type !== 'chequeredFlag');
+  let text = t('raceControl.intro', { raceName });
+
+  if (incidents.length === 0) {
+    text += ` ${t('raceControl.clean')}`;
+  }
+
+  text += ' ' + events.map(describe).join(' ');
+  return text.trim();
+}
+
+/**
+ * Build the "Last Race Results" chapter: a track for each podium finisher,
+ * a Sprint recap when the weekend had one, and a summary of who retired or was disqualified.
+ * Little fans skip the race control recap; experts hear the gaps to the winner.
+ * @param {Object} lastRace - Results from getLastRaceResults()
+ * @param {{littleFan: boolean, expert: boolean}} profile - Narration profile flags
+ * @param {Map<string,string>} teamIconMap - Map of team name -> car icon media ID
+ * @param {string|null} iconMediaId - Fallback icon media ID
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {Object} Chapter object
+ */
+function buildLastRaceChapter(lastRace, { littleFan, expert }, teamIconMap, iconMediaId, t) {
+  const { raceName, results, sprintResults } = lastRace;
+  const iconFor = (team) => {
+    const mediaId = teamIconMap.get(team) || iconMediaId;
+    return mediaId ? `yoto:#${mediaId}` : null;
+  };
+
+  const podium = results.filter(r => r.position >= 1 && r.position <= 3);
+  const podiumKeys = { 1: 'lastRace.first', 2: 'lastRace.second', 3: 'lastRace.third' };
+
+  const describeFinish = (entry) => {
+    let text = t(podiumKeys[entry.position], { ...entry, raceName });
+    if (expert && entry.position === 1 && typeof entry.laps === 'number' && entry.laps > 0) {
+      text += ` ${t('lastRace.winnerLaps', { laps: entry.laps })}`;
+    }
+    if (expert && entry.position > 1 && typeof entry.gapToLeader === 'number') {
+      text += ` ${t('lastRace.gapToWinner', { gap: formatNumber(entry.gapToLeader, t.language, { decimals: 3, fixed: true }) })}`;
+    }
+    return text;
+  };
+
+  const tracks = podium.map(entry => ({
+    title: `P${entry.position}: ${entry.driver}`,
+    text: describeFinish(entry),
+    icon: iconFor(entry.team),
+  }));
+
+  if (lastRace.raceControl?.length > 0 && !littleFan) {
+    tracks.push({
+      title: t('track.raceControl'),
+      text: describeRaceControl(lastRace.raceControl, raceName, t),
+      icon: iconMediaId ? `yoto:#${iconMediaId}` : null,
     });
   }
 
-  console.log(`Built ${chapters.length} total chapters for F1 card`);
-  return chapters;
+  if (sprintResults && sprintResults.length > 0) {
+    const sprintPodium = sprintResults.filter(r => r.position >= 1 && r.position <= 3);
+    if (sprintPodium.length > 0) {
+      const [winner, ...others] = sprintPodium;
+      let sprintText = t('lastRace.sprintWinner', { driver: winner.driver, team: winner.team });
+      if (others.length > 0) {
+        sprintText += ` ${t('lastRace.sprintPodium', { drivers: joinSpokenList(others.map(r => r.driver), t) })}`;
+      }
+      tracks.push({
+        title: t('track.sprintWinner'),
+        text: sprintText,
+        icon: iconFor(winner.team),
+      });
+    }
+  }
+
+  // A disqualified car usually did take the flag, so it's named after the count of cars that didn't
+  const retired = results.filter(r => (r.dnf || r.dns) && !r.dsq);
+  const disqualified = results.filter(r => r.dsq);
+  let retirementsText;
+  if (retired.length === 0) {
+    retirementsText = t('lastRace.noRetirements', { raceName });
+  } else {
+    const describe = (r) => r.dns ? t('lastRace.didNotStart', r) : t('lastRace.didNotFinish', r);
+    retirementsText = `${t('lastRace.retirements', { count: retired.length })} `;
+    retirementsText += retired.map(describe).join(' ');
+  }
+  if (disqualified.length > 0) {
+    retirementsText += ` ${disqualified.map(r => t('lastRace.disqualified', r)).join(' ')}`;
+  }
+  tracks.push({
+    title: t('track.retirements'),
+    text: retirementsText,
+    icon: iconMediaId ? `yoto:#${iconMediaId}` : null,
+  });
+
+  const winnerIcon = iconFor(podium[0]?.team);
+  return {
+    title: t('chapter.lastRace'),
+    icon: winnerIcon,
+    tracks,
+  };
 }
 
 /**
- * Generate descriptive text for a specific session
- * @param {Object} session - Session information
+ * Speak a lap time in seconds as minutes and seconds, e.g. 78.456 -> "1 minute 18.456 seconds"
+ * @param {number} seconds - Lap time in seconds
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {string|null} Spoken lap time, or null when unknown
+ */
+function formatSpokenLapTime(seconds, t) {
+  if (typeof seconds !== 'number' || !isFinite(seconds)) {
+    return null;
+  }
+  const minutes = Math.floor(seconds / 60);
+  const remainder = formatNumber(seconds - minutes * 60, t.language, { decimals: 3, fixed: true });
+  if (minutes === 0) {
+    return t('lapTime.seconds', { seconds: remainder });
+  }
+  return t('lapTime.minutes', { count: minutes, seconds: remainder });
+}
+
+/**
+ * Build the qualifying chapter once the session has finished: pole position,
+ * the front row, and the top 10 of the starting grid. Little fans just hear
+ * about the front row; experts also hear each driver's gap to pole.
+ * @param {Array} grid - Grid order from getQualifyingResults()
  * @param {Object} raceData - Race information
- * @returns {string} Descriptive text for the session
+ * @param {{littleFan: boolean, expert: boolean}} profile - Narration profile flags
+ * @param {Map<string,string>} teamIconMap - Map of team name -> car icon media ID
+ * @param {string|null} iconMediaId - Fallback icon media ID
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {Object} Chapter object
  */
-function generateSessionText(session, raceData) {
-  const sessionType = session.sessionType || session.sessionName;
-  
-  // Format schedule information with fallback
-  const scheduleText = (session.date && session.time) 
-    ? `Scheduled for ${session.date} at ${session.time}.`
-    : 'Schedule to be confirmed.';
-  
-  // Customize text based on session type
-  if (sessionType.toLowerCase().includes('practice')) {
-    return `This is ${session.sessionName} for the ${raceData.name}.
+function buildQualifyingChapter(grid, raceData, { littleFan, expert }, teamIconMap, iconMediaId, t) {
+  const iconFor = (team) => {
+    const mediaId = teamIconMap.get(team) || iconMediaId;
+    return mediaId ? `yoto:#${mediaId}` : null;
+  };
+
+  const [pole, second] = grid;
+  const poleTime = formatSpokenLapTime(pole.bestLapTime, t);
+  let poleText = t('qualifying.pole', { raceName: raceData.name, driver: pole.driver, team: pole.team });
+  if (poleTime && !littleFan) {
+    poleText += ` ${t('qualifying.poleLap', { lapTime: poleTime })}`;
+  }
+  poleText += ` ${t('qualifying.poleStart', { driver: pole.driver })}`;
 
-${scheduleText}
+  const tracks = [
+    {
+      title: t('track.pole', { driver: pole.driver }),
+      text: poleText,
+      icon: iconFor(pole.team),
+    },
+  ];
+
+  if (second) {
+    tracks.push({
+      title: t('track.frontRow'),
+      text: t('qualifying.frontRow', { pole: pole.driver, driver: second.driver, team: second.team }),
+      icon: iconFor(second.team),
+    });
+  }
 
-Practice sessions give teams the opportunity to fine-tune their car setups and drivers to learn the track. Teams will test different tire compounds and aerodynamic configurations to find the optimal balance between speed and reliability.
+  const describeGridEntry = (entry) => {
+    if (expert && entry !== pole && typeof entry.bestLapTime === 'number' && typeof pole.bestLapTime === 'number') {
+      const gap = formatNumber(entry.bestLapTime - pole.bestLapTime, t.language, { decimals: 3, fixed: true });
+      return t('qualifying.gridEntryGap', { ...entry, gap });
+    }
+    return t('qualifying.gridEntry', entry);
+  };
+
+  if (!littleFan) {
+    const topTen = grid.slice(0, 10);
+    tracks.push({
+      title: t('track.topGrid', { count: topTen.length }),
+      text: `${t('qualifying.gridIntro', { count: topTen.length })} ` +
+        topTen.map(describeGridEntry).join(' '),
+      icon: iconMediaId ? `yoto:#${iconMediaId}` : null,
+    });
+  }
+
+  return {
+    title: t('chapter.qualifying'),
+    icon: iconFor(pole.team),
+    tracks,
+  };
+}
 
-Watch for lap times and listen to team radio communications as engineers gather crucial data for the rest of the weekend!`;
+/**
+ * One sentence about the weather for a session: the forecast for its start
+ * time, or the track reading once it's live or finished. Little fans don't
+ * hear the track surface temperature.
+ * @param {Object} session - Session with weather from addSessionWeather()
+ * @param {{units: string, littleFan: boolean}} options - Household unit system ("metric" or "imperial") and narration profile
+ * @param {Function} t - Translator from createTranslator()
+ * @returns {string|null} Spoken sentence, or null when there's no weather
+ */
+function describeSessionWeather(session, { units, littleFan }, t) {
+  const weather = session.weather;
+  if (!weather || typeof weather.airTemperature !== 'number') {
+    return null;
   }
-  
-  if (sessionType.toLowerCase().includes('qualifying')) {
-    return `This is ${session.sessionName} for the ${raceData.name}.
 
-${scheduleText}
+  const temperature = formatTemperature(weather.airTemperature, units, t.language);
+  const wind = typeof weather.windSpeed === 'number'
+    ? t(weather.windSpeed < 10 ? 'weather.lightWind' : weather.windSpeed < 20 ? 'weather.moderateWind' : 'weather.strongWind')
+    : null;
+
+  if (weather.source === 'forecast') {
+    const withRain = typeof weather.rainChance === 'number';
+    const key = withRain
+      ? (wind ? 'weather.forecastWithRainAndWind' : 'weather.forecastWithRain')
+      : (wind ? 'weather.forecastWithWind' : 'weather.forecast');
+    return t(key, { temperature, wind, rainChance: withRain ? Math.round(weather.rainChance) : null });
+  }
 
-Qualifying determines the starting grid for the race! The session is divided into three knockout rounds: Q1, Q2, and Q3. The slowest drivers are eliminated after Q1 and Q2, while the top 10 battle it out in Q3 for pole position.
+  const isLive = session.state === 'live';
+  let text = t(isLive ? 'weather.liveReading' : 'weather.finishedReading', { temperature });
+  if (typeof weather.trackTemperature === 'number' && !littleFan) {
+    text += t('weather.trackSurface', { temperature: formatTemperature(weather.trackTemperature, units, t.language) });
+  }
+  if (weather.rainfall !== undefined && weather.rainfall !== null) {
+    const wet = weather.rainfall > 0;
+    text += t(isLive ? (wet ? 'weather.liveWet' : 'weather.liveDry') : (wet ? 'weather.finishedWet' : 'weather.finishedDry'));
+  }
+  return `${text}.`;
+}
 
-Pole position is crucial as it gives the driver the best chance of leading into the first corner. Every hundredth of a second counts!`;
+/**
+ * Generate the text for a session that has finished, from its lap highlights:
+ * who set the fastest lap, and by how much. Little fans only hear who was fastest.
+ * @param {Object} session - Session with highlights from addSessionHighlights()
+ * @param {Object} raceData - Race information
+ * @param {Function} t - Translator from createTranslator()
+ * @param {{littleFan: boolean}} [options] - Narration profile flags
+ * @returns {string} Spoken text for the session track
+ */
+function generateSessionHighlightsText(session, raceData, t, { littleFan = false } = {}) {
+  const [fastest, second, third] = session.highlights.fastest;
+  const isRace = (session.sessionType || '').toLowerCase() === 'race';
+  const gap = (entry) => formatNumber(entry.gapToFastest, t.language, { decimals: 3, fixed: true });
+  const params = {
+    sessionName: t.sessionName(session.sessionName),
+    raceName: raceData.name,
+    driver: fastest.driver,
+    team: fastest.team,
+    lap: fastest.lapNumber,
+    lapTime: formatSpokenLapTime(fastest.lapTime, t),
+  };
+
+  let text = isRace
+    ? t(fastest.lapNumber ? 'highlights.raceOnLap' : 'highlights.race', params)
+    : t('highlights.session', params);
+
+  if (littleFan) {
+    return text;
   }
-  
-  if (sessionType.toLowerCase().includes('sprint')) {
-    return `This is ${session.sessionName} for the ${raceData.name}.
 
-${scheduleText}
+  if (second) {
+    const comparison = { gap: gap(second), driver: second.driver, team: second.team };
+    text += third
+      ? ` ${t('highlights.secondAndThird', { ...comparison, thirdDriver: third.driver, thirdGap: gap(third) })}`
+      : ` ${t('highlights.second', comparison)}`;
+  }
+
+  if (second && second.gapToFastest < 0.1) {
+    text += ` ${t('highlights.close')}`;
+  }
 
-The Sprint is a shorter race format that determines part of the starting grid for the main Grand Prix. It's high-intensity racing with limited laps, so every position matters!
+  return text;
+}
+
+/**
+ * Generate descriptive text for a specific session
+ * @param {Object} session - Session information
+ * @param {Object} raceData - Race information
+ * @param {Object} [context] - Optional results already known for this weekend
+ * @param {Array|null} [context.grid] - Starting grid from getQualifyingResults(), once qualifying is over
+ * @param {string} [context.timeZone] - Listener's IANA timezone, used for the countdown (default: UTC)
+ * @param {string} [context.language] - Narration language code (default: English)
+ * @param {string} [context.profile] - Narration profile; little fans get a shorter, simpler blurb
+ * @param {Object<string, string>} [context.templates] - Household template overrides for the language
+ * @returns {string} Descriptive text for the session
+ */
+function generateSessionText(session, raceData, context = {}) {
+  const { grid = null, timeZone = 'UTC', language = DEFAULT_LANGUAGE, profile = DEFAULT_NARRATION_PROFILE, templates = {} } = context;
+  const t = createTranslator(language, templates, raceData.meetingKey);
+  const blurb = (key) => profile === 'little-fan' ? `${key}.littleFan` : key;
+  const sessionType = session.sessionType || session.sessionName;
 
-Drivers will be pushing flat out from the start, and with reduced strategic options compared to the main race, overtaking on track becomes even more critical. Points are awarded to the top finishers!`;
+  // Format schedule information with fallback: a countdown first, then the full date
+  const startsIn = session.dateStart ? describeRelativeTime(session.dateStart, timeZone, new Date(), t.language) : null;
+  let scheduleText = (session.date && session.time)
+    ? t('schedule.scheduled', { date: session.date, time: session.time })
+    : t('schedule.toBeConfirmed');
+  if (session.state === 'finished') {
+    scheduleText = session.date ? t('schedule.finishedOn', { date: session.date }) : t('schedule.finished');
+  } else if (session.state === 'live') {
+    scheduleText = session.time ? t('schedule.liveSince', { time: session.time }) : t('schedule.live');
+  } else if (startsIn) {
+    scheduleText = t('schedule.startsIn', { when: startsIn, schedule: scheduleText });
   }
-  
-  if (sessionType.toLowerCase().includes('race')) {
-    return `This is the main ${session.sessionName} of the ${raceData.name}!
 
-${scheduleText}
+  const params = {
+    sessionName: t.sessionName(session.sessionName),
+    raceName: raceData.name,
+    circuit: raceData.circuit,
+    schedule: scheduleText,
+    // Also offered to household templates, which may word the schedule themselves
+    sessionDate: session.date,
+    sessionTime: session.time,
+    startsIn: session.state === 'finished' || session.state === 'live' ? null : startsIn,
+    live: session.state === 'live',
+  };
 
-This is what it's all about! The Grand Prix will see drivers battle for maximum points over the full race distance. Strategy, tire management, and racecraft will all play crucial roles.
+  // Customize text based on session type
+  if (sessionType.toLowerCase().includes('practice')) {
+    return t(blurb('session.practice'), params);
+  }
 
-Watch for pit stop strategies, overtaking moves, and how drivers manage their tires over the race distance. Twenty-five points await the winner, and every position counts in the championship battle!
+  if (sessionType.toLowerCase().includes('qualifying')) {
+    return t(blurb('session.qualifying'), params);
+  }
 
-Lights out and away we go!`;
+  if (sessionType.toLowerCase().includes('sprint')) {
+    return t(blurb('session.sprint'), params);
   }
-  
-  // Default text for other session types
-  return `This is ${session.sessionName} for the ${raceData.name}.
 
-${scheduleText}
+  if (sessionType.toLowerCase().includes('race')) {
+    // Qualifying sets the Grand Prix grid only; a Sprint has its own grid
+    let gridText = '';
+    if (grid && grid.length > 0 && session.sessionName === 'Race') {
+      gridText = grid[1]
+        ? t('session.gridFrontRow', { driver: grid[0].driver, second: grid[1].driver })
+        : t('session.gridPole', { driver: grid[0].driver });
+      if (grid.length > 3 && profile !== 'little-fan') {
+        gridText += ` ${t('session.gridSecondRow', { drivers: joinSpokenList(grid.slice(2, 4).map(g => g.driver), t) })}`;
+      }
+      gridText = `\n${gridText}\n`;
+    }
+
+    return t(blurb('session.race'), { ...params, grid: gridText });
+  }
 
-This session is an important part of the ${raceData.name} weekend at ${raceData.circuit}. Teams and drivers will be working hard to prepare for the main race!`;
+  // Default text for other session types
+  return t(blurb('session.other'), params);
 }
 
 /**
@@ -10,6 +10,9 @@ const config = new Configstore("yoto-f1-card-tokens", {}, {
   configPath
 });
 
+// Cached track audio kept at most: a full card is up to 100 tracks, so this covers several cards' worth
+const MAX_STORED_AUDIO = 500;
+
 /**
  * Store tokens (access and refresh)
  * @param {string} accessToken - Access token
@@ -122,6 +125,304 @@ export function storeDataHash(hash) {
   }
 }
 
+/**
+ * Get the household's favourite drivers and teams
+ * @returns {{drivers: string[], teams: string[]}} Favourites (empty lists when none are set)
+ */
+export function getStoredFavourites() {
+  const favourites = config.get("f1Favourites") || {};
+  return {
+    drivers: Array.isArray(favourites.drivers) ? favourites.drivers : [],
+    teams: Array.isArray(favourites.teams) ? favourites.teams : [],
+  };
+}
+
+/**
+ * Store favourite drivers and teams for the personalised chapter
+ * @param {{drivers: string[], teams: string[]}|null} favourites - Names as spoken on the card, or null to clear
+ */
+export function storeFavourites(favourites) {
+  if (favourites === null) {
+    config.delete("f1Favourites");
+  } else {
+    config.set("f1Favourites", {
+      drivers: favourites.drivers || [],
+      teams: favourites.teams || [],
+    });
+  }
+}
+
+/**
+ * Get the household's timezone and locale for spoken dates and times
+ * @returns {{timeZone: string|null, locale: string|null}} Stored values (null when not set yet)
+ */
+export function getStoredLocaleSettings() {
+  const settings = config.get("f1LocaleSettings") || {};
+  return {
+    timeZone: settings.timeZone || null,
+    locale: settings.locale || null,
+  };
+}
+
+/**
+ * Store the household's timezone and locale
+ * @param {{timeZone: string, locale: string}|null} settings - IANA timezone and BCP 47 locale, or null to clear
+ */
+export function storeLocaleSettings(settings) {
+  if (settings === null) {
+    config.delete("f1LocaleSettings");
+  } else {
+    config.set("f1LocaleSettings", {
+      timeZone: settings.timeZone,
+      locale: settings.locale,
+    });
+  }
+}
+
+/**
+ * Get the household's unit system for spoken temperatures, speeds and distances
+ * @returns {string|null} "metric" or "imperial", or null if not chosen yet
+ */
+export function getStoredUnits() {
+  return config.get("f1Units") || null;
+}
+
+/**
+ * Store the household's unit system
+ * @param {string|null} units - "metric" or "imperial", or null to clear
+ */
+export function storeUnits(units) {
+  if (units === null) {
+    config.delete("f1Units");
+  } else {
+    config.set("f1Units", units);
+  }
+}
+
+/**
+ * Get the narration language of the stored card, so refreshes keep it
+ * @returns {string|null} Language code such as "fr", or null if the card was never sent
+ */
+export function getStoredLanguage() {
+  return config.get("f1Language") || null;
+}
+
+/**
+ * Store the narration language of the card
+ * @param {string|null} language - Language code such as "fr", or null to clear
+ */
+export function storeLanguage(language) {
+  if (language === null) {
+    config.delete("f1Language");
+  } else {
+    config.set("f1Language", language);
+  }
+}
+
+/**
+ * Get the narration profile of the stored card, so refreshes keep it
+ * @returns {string|null} "little-fan", "default" or "expert", or null if the card was never sent
+ */
+export function getStoredNarrationProfile() {
+  return config.get("f1NarrationProfile") || null;
+}
+
+/**
+ * Store the narration profile of the card
+ * @param {string|null} profile - "little-fan", "default" or "expert", or null to clear
+ */
+export function storeNarrationProfile(profile) {
+  if (profile === null) {
+    config.delete("f1NarrationProfile");
+  } else {
+    config.set("f1NarrationProfile", profile);
+  }
+}
+
+/**
+ * Get the standings size of the stored card, so refreshes keep it
+ * @returns {number|string|null} Number of positions, "all" for the full grid, or null if the card was never sent
+ */
+export function getStoredStandingsSize() {
+  return config.get("f1StandingsSize") || null;
+}
+
+/**
+ * Store the standings size of the card
+ * @param {number|string|null} size - Number of positions, "all" for the full grid, or null to clear
+ */
+export function storeStandingsSize(size) {
+  if (size === null) {
+    config.delete("f1StandingsSize");
+  } else {
+    config.set("f1StandingsSize", size);
+  }
+}
+
+/**
+ * Get whether the stored card has the Strategy Corner chapter, so refreshes keep it
+ * @returns {boolean|null} Whether the chapter was included, or null if the card was never sent
+ */
+export function getStoredStrategyCorner() {
+  return config.get("f1StrategyCorner") ?? null;
+}
+
+/**
+ * Store whether the card has the Strategy Corner chapter
+ * @param {boolean|null} enabled - Whether the chapter is included, or null to clear
+ */
+export function storeStrategyCorner(enabled) {
+  if (enabled === null) {
+    config.delete("f1StrategyCorner");
+  } else {
+    config.set("f1StrategyCorner", enabled);
+  }
+}
+
+/**
+ * Get the household's narration template overrides
+ * @param {string} [language] - Narration language code, to get just that language's templates
+ * @returns {Object} Templates keyed by message key for one language, or keyed by language then message key
+ */
+export function getStoredTemplates(language) {
+  const templates = config.get("f1Templates") || {};
+  return language ? templates[language] || {} : templates;
+}
+
+/**
+ * Save or remove narration template overrides for one language
+ * @param {string} language - Narration language code
+ * @param {Object<string, string|null>} templates - Template text keyed by message key; null goes back to the default
+ */
+export function storeTemplates(language, templates) {
+  const stored = { ...getStoredTemplates(language) };
+  Object.entries(templates).forEach(([key, template]) => {
+    if (template === null) {
+      delete stored[key];
+    } else {
+      stored[key] = template;
+    }
+  });
+
+  if (Object.keys(stored).length === 0) {
+    config.delete(`f1Templates.${language}`);
+  } else {
+    config.set(`f1Templates.${language}`, stored);
+  }
+}
+
+/**
+ * Get the household's pronunciation entries
+ * @param {string} [language] - Narration language code, to get just that language's entries
+ * @returns {Object} Respellings keyed by name for one language, or keyed by language then name
+ */
+export function getStoredPronunciations(language) {
+  const pronunciations = config.get("f1Pronunciations") || {};
+  return language ? pronunciations[language] || {} : pronunciations;
+}
+
+/**
+ * Save or remove pronunciation entries for one language
+ * @param {string} language - Narration language code
+ * @param {Object<string, string|null>} pronunciations - Respellings keyed by name; null removes the household entry
+ */
+export function storePronunciations(language, pronunciations) {
+  const stored = { ...getStoredPronunciations(language) };
+  Object.entries(pronunciations).forEach(([name, spoken]) => {
+    if (spoken === null) {
+      delete stored[name];
+    } else {
+      stored[name] = spoken;
+    }
+  });
+
+  if (Object.keys(stored).length === 0) {
+    config.delete(`f1Pronunciations.${language}`);
+  } else {
+    config.set(`f1Pronunciations.${language}`, stored);
+  }
+}
+
+/**
+ * Get the cached Grand Prix winners of past seasons, keyed by OpenF1 session key.
+ * Finished races never change, so these are fetched from OpenF1 only once.
+ * @returns {Object<string, {year: number, driver: string, team: string|null}|null>} null for races with no result
+ */
+export function getStoredPastWinners() {
+  return config.get("f1PastWinners") || {};
+}
+
+/**
+ * Cache the winner of a finished Grand Prix
+ * @param {number} sessionKey - OpenF1 session key of the race
+ * @param {{year: number, driver: string, team: string|null}|null} winner - null when the race has no result
+ */
+export function storePastWinner(sessionKey, winner) {
+  config.set(`f1PastWinners.${sessionKey}`, winner);
+}
+
+/**
+ * Get the household's voice cast
+ * @returns {{presenter: string|null, reporter: string|null, weather: string|null}} ElevenLabs voice ID for each role (null when not chosen)
+ */
+export function getStoredVoiceCast() {
+  const cast = config.get("f1VoiceCast") || {};
+  return {
+    presenter: cast.presenter || null,
+    reporter: cast.reporter || null,
+    weather: cast.weather || null,
+  };
+}
+
+/**
+ * Store the household's voice cast
+ * @param {{presenter: string|null, reporter: string|null, weather: string|null}|null} cast - Voice ID for each role, or null to clear
+ */
+export function storeVoiceCast(cast) {
+  if (cast === null) {
+    config.delete("f1VoiceCast");
+  } else {
+    config.set("f1VoiceCast", {
+      presenter: cast.presenter || null,
+      reporter: cast.reporter || null,
+      weather: cast.weather || null,
+    });
+  }
+}
+
+/**
+ * Get the Yoto audio already made for a track's text, voice and model
+ * @param {string} cacheKey - SHA-256 hex string of the spoken text, voice ID and model ID
+ * @returns {{transcodedSha256: string, transcodedInfo: Object, lastUsed: string}|null} Cached audio, or null if the track is new
+ */
+export function getStoredAudio(cacheKey) {
+  return config.get(`f1AudioCache.${cacheKey}`) || null;
+}
+
+/**
+ * Cache the transcoded Yoto audio for a track, or mark a cached track as used again.
+ * The least recently used tracks are dropped once there are more than MAX_STORED_AUDIO.
+ * @param {string} cacheKey - SHA-256 hex string of the spoken text, voice ID and model ID
+ * @param {{transcodedSha256: string, transcodedInfo: Object}} audio - From waitForTranscoding()
+ */
+export function storeAudio(cacheKey, audio) {
+  const cache = config.get("f1AudioCache") || {};
+  cache[cacheKey] = {
+    transcodedSha256: audio.transcodedSha256,
+    transcodedInfo: audio.transcodedInfo,
+    lastUsed: new Date().toISOString(),
+  };
+
+  const cacheKeys = Object.keys(cache);
+  if (cacheKeys.length > MAX_STORED_AUDIO) {
+    cacheKeys
+      .sort((a, b) => cache[a].lastUsed.localeCompare(cache[b].lastUsed))
+      .slice(0, cacheKeys.length - MAX_STORED_AUDIO)
+      .forEach(key => delete cache[key]);
+  }
+  config.set("f1AudioCache", cache);
+}
+
 /**
  * Refresh the access token using the stored refresh token
  * @returns {Promise<string|null>} New access token, or null if refresh failed
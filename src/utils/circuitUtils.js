@@ -1,21 +1,38 @@
+import { CIRCUITS } from "@/data/circuits";
+import { DEFAULT_LANGUAGE, createTranslator } from "@/utils/i18nUtils";
+
 /**
  * Get a human-readable description of a circuit type
  * @param {string} circuitType - The circuit type (e.g., "Permanent", "Temporary - Street", "Temporary - Road", "Unknown")
+ * @param {string} [language] - Narration language code (default: English)
  * @returns {string} - A description of the circuit type
  */
-export function getCircuitTypeDescription(circuitType) {
+export function getCircuitTypeDescription(circuitType, language = DEFAULT_LANGUAGE) {
   if (!circuitType || circuitType === "Unknown") {
     return null;
   }
   
+  const t = createTranslator(language);
   switch (circuitType) {
     case "Permanent":
-      return "a permanent racing circuit";
+      return t('circuitType.permanent');
     case "Temporary - Street":
-      return "a temporary street circuit";
+      return t('circuitType.street');
     case "Temporary - Road":
-      return "a temporary road circuit";
+      return t('circuitType.road');
     default:
-      return "a racing circuit";
+      return t('circuitType.other');
   }
 }
+
+/**
+ * Look up the bundled facts for a circuit
+ * @param {number|string} circuitKey - OpenF1 circuit_key (from the meeting)
+ * @returns {Object|null} Circuit facts from src/data/circuits.js, or null for circuits we don't know yet
+ */
+export function getCircuitInfo(circuitKey) {
+  if (circuitKey === undefined || circuitKey === null) {
+    return null;
+  }
+  return CIRCUITS[circuitKey] || null;
+}
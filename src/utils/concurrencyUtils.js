@@ -0,0 +1,51 @@
+// Bounded concurrency for slow external calls, such as generating and uploading
+// a card's track audio: tasks are queued and at most N run at once, started in
+// the order they were queued.
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at a time
+ * @param {number} concurrency - Positive whole number
+ * @returns {function(function(): Promise): Promise} Queue a task; settles with the task's result
+ */
+export function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+
+  const startNext = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        startNext();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    startNext();
+  });
+}
+
+/**
+ * Resolve a concurrency setting.
+ * Accepts a positive number or numeric string, falling back to the environment variable's value, then the default.
+ * @param {number|string|null} [value] - Requested concurrency
+ * @param {string} [configured] - Value of the environment variable for this setting
+ * @param {number} fallback - Default concurrency
+ * @returns {number}
+ */
+export function resolveConcurrency(value, configured, fallback) {
+  const parse = (raw) => {
+    if (raw === undefined || raw === null || raw === '') return undefined;
+    const concurrency = parseInt(raw, 10);
+    return Number.isInteger(concurrency) && concurrency > 0 ? concurrency : undefined;
+  };
+
+  return parse(value) ?? parse(configured) ?? fallback;
+}
@@ -0,0 +1,218 @@
+// Date helpers for spoken countdowns. All calendar maths is done in the
+// listener's timezone so "tomorrow" means tomorrow where the card is played.
+// Phrases are written in the card's language (see i18nUtils).
+
+import { DEFAULT_LANGUAGE, createTranslator, getLanguageLocale } from "@/utils/i18nUtils";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Calendar weeks run Monday to Sunday, so a weekend ends its week
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Used when the household hasn't chosen a locale for written dates
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Get the year, month and day of a moment as seen in a timezone
+ * @param {Date|string} date - Date or ISO string
+ * @param {string} [timeZone] - IANA timezone (default: UTC)
+ * @returns {{year: number, month: number, day: number}} Calendar parts (month is 1-12)
+ */
+function getCalendarParts(date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    timeZone,
+  }).formatToParts(new Date(date));
+
+  const value = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  return { year: value('year'), month: value('month'), day: value('day') };
+}
+
+/**
+ * Get the weekday name and hour of a moment as seen in a timezone
+ * @param {Date|string} date - Date or ISO string
+ * @param {string} [timeZone] - IANA timezone (default: UTC)
+ * @returns {{weekday: string, hour: number}} e.g. { weekday: "Sunday", hour: 15 }
+ */
+function getWeekdayAndHour(date, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    weekday: 'long',
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone,
+  }).formatToParts(new Date(date));
+
+  return {
+    weekday: parts.find(p => p.type === 'weekday').value,
+    hour: parseInt(parts.find(p => p.type === 'hour').value, 10),
+  };
+}
+
+/**
+ * Name the part of the day for an hour (0-23)
+ * @param {number} hour
+ * @returns {'morning'|'afternoon'|'evening'|'night'}
+ */
+function getPartOfDay(hour) {
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 21) return 'evening';
+  return 'night';
+}
+
+/**
+ * Number of calendar days from now until a date, in the listener's timezone.
+ * 0 = today, 1 = tomorrow, negative = in the past.
+ * @param {Date|string} date - Target date or ISO string
+ * @param {string} [timeZone] - IANA timezone (default: UTC)
+ * @param {Date} [now] - Reference time (default: current time)
+ * @returns {number} Whole calendar days
+ */
+export function daysUntil(date, timeZone = 'UTC', now = new Date()) {
+  const target = getCalendarParts(date, timeZone);
+  const today = getCalendarParts(now, timeZone);
+  return Math.round(
+    (Date.UTC(target.year, target.month - 1, target.day) - Date.UTC(today.year, today.month - 1, today.day)) / MS_PER_DAY
+  );
+}
+
+/**
+ * Spoken countdown to a date, e.g. "today", "tomorrow", "in 5 days", "in 3 weeks", "in about 4 months"
+ * @param {Date|string} date - Target date or ISO string
+ * @param {string} [timeZone] - IANA timezone (default: UTC)
+ * @param {Date} [now] - Reference time (default: current time)
+ * @param {string} [language] - Narration language code (default: English)
+ * @returns {string} Countdown phrase
+ */
+export function describeCountdown(date, timeZone = 'UTC', now = new Date(), language = DEFAULT_LANGUAGE) {
+  const t = createTranslator(language);
+  const days = daysUntil(date, timeZone, now);
+
+  if (days < 0) return t('countdown.already');
+  if (days === 0) return t('countdown.today');
+  if (days === 1) return t('countdown.tomorrow');
+  if (days < 7) return t('countdown.days', { count: days });
+
+  if (days < 60) {
+    return t('countdown.weeks', { count: Math.round(days / 7) });
+  }
+
+  return t('countdown.months', { count: Math.round(days / 30) });
+}
+
+/**
+ * Group key and spoken name for the month a date falls in, in the listener's timezone
+ * @param {Date|string} date - Date or ISO string
+ * @param {string} [timeZone] - IANA timezone (default: UTC)
+ * @param {string} [locale] - BCP 47 locale for the month name (default: en-US)
+ * @returns {{key: string, name: string}} e.g. { key: "2026-03", name: "March" }
+ */
+export function getMonthInfo(date, timeZone = 'UTC', locale = 'en-US') {
+  const { year, month } = getCalendarParts(date, timeZone);
+  return {
+    key: `${year}-${String(month).padStart(2, '0')}`,
+    name: new Date(date).toLocaleDateString(locale, { month: 'long', timeZone }),
+  };
+}
+
+/**
+ * Kid-friendly description of when something happens, relative to now in the
+ * listener's timezone, e.g. "this afternoon", "tomorrow morning",
+ * "in 4 days, on Sunday afternoon", "next weekend, on Saturday morning".
+ * @param {Date|string} date - Date or ISO string
+ * @param {string} [timeZone] - IANA timezone (default: UTC)
+ * @param {Date} [now] - Reference time (default: current time)
+ * @param {string} [language] - Narration language code (default: English)
+ * @returns {string|null} Relative phrase, or null for moments in the past
+ */
+export function describeRelativeTime(date, timeZone = 'UTC', now = new Date(), language = DEFAULT_LANGUAGE) {
+  if (new Date(date) < now) {
+    return null;
+  }
+
+  const t = createTranslator(language);
+  const days = daysUntil(date, timeZone, now);
+
+  const { weekday, hour } = getWeekdayAndHour(date, timeZone);
+  const partOfDay = getPartOfDay(hour);
+
+  if (days === 0) {
+    return t(`time.today.${partOfDay}`);
+  }
+  if (days === 1) {
+    return t(`time.tomorrow.${partOfDay}`);
+  }
+
+  const spokenWeekday = new Date(date).toLocaleDateString(getLanguageLocale(t.language), { weekday: 'long', timeZone });
+  const onDay = t(`time.onDay.${partOfDay}`, { weekday: spokenWeekday });
+
+  if (days < 7) {
+    return t('time.inDays', { count: days, onDay });
+  }
+
+  // A Friday-to-Sunday date in the following Monday-to-Sunday week reads better
+  // as "next weekend". Count weeks from today's calendar week, so a Friday 13
+  // days after a Saturday is the weekend after next, not next weekend.
+  const isWeekend = ['Friday', 'Saturday', 'Sunday'].includes(weekday);
+  const weeksAhead = Math.floor((WEEKDAYS.indexOf(getWeekdayAndHour(now, timeZone).weekday) + days) / 7);
+  if (weeksAhead === 1 && isWeekend) {
+    return t('time.nextWeekend', { onDay });
+  }
+
+  return t('time.later', { countdown: describeCountdown(date, timeZone, now, language), onDay });
+}
+
+/**
+ * Format a moment as the spoken date and time used throughout the card,
+ * e.g. { date: "Sunday, March 24, 2024", time: "05:00 AM GMT" }
+ * @param {Date|string} date - Date or ISO string
+ * @param {Object} [settings]
+ * @param {string} [settings.timeZone] - IANA timezone (default: UTC)
+ * @param {string} [settings.locale] - BCP 47 locale for the date format (default: DEFAULT_LOCALE)
+ * @returns {{date: string, time: string}}
+ */
+export function formatDateTime(date, { timeZone = 'UTC', locale = DEFAULT_LOCALE } = {}) {
+  const value = new Date(date);
+  return {
+    date: value.toLocaleDateString(locale, {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone,
+    }),
+    time: value.toLocaleTimeString(locale, {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short',
+      timeZone,
+    }),
+  };
+}
+
+/**
+ * Fill in the display date/time of the race and each session from their ISO
+ * start times, in the household's timezone and locale.
+ * @param {Object} raceData - Race information with dateStart
+ * @param {Array} sessions - Sessions with dateStart
+ * @param {{timeZone: string, locale: string}} settings - From resolveLocaleSettings()
+ * @returns {{raceData: Object, sessions: Array}} Copies with date and time set
+ */
+export function applyLocalSchedule(raceData, sessions, settings) {
+  const localRace = { ...raceData };
+  if (raceData.dateStart) {
+    Object.assign(localRace, formatDateTime(raceData.dateStart, settings));
+  } else {
+    // Fallback for data without dateStart
+    console.warn(`Race data missing dateStart field. Date: ${raceData.date}, Time: ${raceData.time}`);
+    console.warn('Cannot convert to user timezone without ISO timestamp');
+  }
+
+  const localSessions = (sessions || []).map(session => (
+    session.dateStart ? { ...session, ...formatDateTime(session.dateStart, settings) } : session
+  ));
+
+  return { raceData: localRace, sessions: localSessions };
+}
@@ -0,0 +1,199 @@
+// Narration languages. A card is written in one language, with every spoken
+// string taken from the message catalogs in src/data/messages. English is the
+// reference catalog and fills in anything another language hasn't translated.
+
+import { messages as en } from "@/data/messages/en";
+import { messages as es } from "@/data/messages/es";
+import { messages as fr } from "@/data/messages/fr";
+import { messages as de } from "@/data/messages/de";
+import { messages as it } from "@/data/messages/it";
+import { messages as nl } from "@/data/messages/nl";
+import { renderTemplate } from "@/utils/templateUtils";
+
+export const SUPPORTED_LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'nl'];
+
+// Used when neither the card nor NARRATION_LANGUAGE picks a language
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, es, fr, de, it, nl };
+
+// Locale for weekday and month names, written dates and decimal numbers in each language
+const LANGUAGE_LOCALES = {
+  en: 'en-US',
+  es: 'es-ES',
+  fr: 'fr-FR',
+  de: 'de-DE',
+  it: 'it-IT',
+  nl: 'nl-NL',
+};
+
+const englishPlurals = new Intl.PluralRules(LANGUAGE_LOCALES.en);
+
+// Alternative phrasings are stored as key.v2, key.v3, ... next to the key itself
+const MAX_VARIANTS = 9;
+
+/**
+ * Check a narration language code
+ * @param {*} value - Expected to be one of SUPPORTED_LANGUAGES, e.g. "fr"
+ * @returns {boolean}
+ */
+export function isValidLanguage(value) {
+  return SUPPORTED_LANGUAGES.includes(value);
+}
+
+/**
+ * Resolve the narration language for a card
+ * @param {*} value - Requested language (e.g. from the request body or the stored card)
+ * @returns {string} Supported language code (default: NARRATION_LANGUAGE, then English)
+ */
+export function resolveLanguage(value) {
+  if (isValidLanguage(value)) {
+    return value;
+  }
+  if (value !== undefined && value !== null) {
+    console.warn(`Unsupported narration language "${value}", using the default`);
+  }
+  return isValidLanguage(process.env.NARRATION_LANGUAGE) ? process.env.NARRATION_LANGUAGE : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get the locale for a language's weekday names and numbers
+ * @param {string} language - Narration language code
+ * @returns {string} BCP 47 locale, e.g. "fr-FR"
+ */
+export function getLanguageLocale(language) {
+  return LANGUAGE_LOCALES[language] || LANGUAGE_LOCALES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Pick the locale for written dates on a card. English cards keep the
+ * household's chosen date format; other languages use their own.
+ * @param {string} language - Narration language code
+ * @param {string|null} householdLocale - Stored household locale, e.g. "en-GB"
+ * @returns {string} BCP 47 locale
+ */
+export function getDateLocale(language, householdLocale) {
+  if (language === DEFAULT_LANGUAGE || householdLocale?.startsWith(`${language}-`)) {
+    return householdLocale || getLanguageLocale(language);
+  }
+  return getLanguageLocale(language);
+}
+
+/**
+ * Write a number the way it's read in a language, e.g. 5.3 -> "5,3" in French
+ * @param {number} value
+ * @param {string} [language] - Narration language code (default: English)
+ * @param {Object} [options]
+ * @param {number} [options.decimals] - Decimal places to keep (default: 0)
+ * @param {boolean} [options.fixed] - Keep trailing zeros, e.g. "18.450" (default: false)
+ * @returns {string}
+ */
+export function formatNumber(value, language = DEFAULT_LANGUAGE, { decimals = 0, fixed = false } = {}) {
+  return new Intl.NumberFormat(getLanguageLocale(language), {
+    maximumFractionDigits: decimals,
+    minimumFractionDigits: fixed ? decimals : 0,
+    useGrouping: false,
+  }).format(value);
+}
+
+/**
+ * Get the shipped wording of a message, the default for an editable template
+ * @param {string} language - Narration language code
+ * @param {string} key - Message catalog key
+ * @returns {string|undefined} Catalog string (English when the language doesn't translate it)
+ */
+export function getMessage(language, key) {
+  return (CATALOGS[language] || en)[key] ?? en[key];
+}
+
+/**
+ * Turn a string into a small non-negative number, the same on every run
+ * @param {string} value
+ * @returns {number}
+ */
+function hashString(value) {
+  return [...value].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 0);
+}
+
+/**
+ * Choose which phrasing of a message a card uses. Successive OpenF1 meeting
+ * keys step through the phrasings, so next week's card doesn't repeat this
+ * week's, and each message starts at its own offset so they don't all change
+ * in lockstep.
+ * @param {number} count - Phrasings available
+ * @param {number|string} seed - Variation seed, e.g. the meeting key
+ * @param {string} key - Message key
+ * @returns {number} Index of the phrasing to use
+ */
+function pickVariant(count, seed, key) {
+  const base = Number.isInteger(seed) ? Math.abs(seed) : hashString(String(seed));
+  return (base + hashString(key)) % count;
+}
+
+/**
+ * Create the translator used to write one card
+ *
+ * t(key, params) returns the language's string for key, rendered as a template
+ * with params (see renderTemplate()). When params.count is given, the plural
+ * form for the count is used (key_one, key_other). Missing strings fall back
+ * to English. With a variation seed, messages that have alternative phrasings
+ * (key.v2, key.v3, ...) use the one picked for that seed.
+ *
+ * @param {string} [language] - Narration language code (default: English)
+ * @param {Object<string, string>} [overrides] - Household templates for this language, keyed by message key
+ * @param {number|string|null} [variationSeed] - Picks the phrasings, e.g. the OpenF1 meeting key (default: always the first)
+ * @returns {Function} t(key, params), also carrying t.language, t.locale and t.sessionName(name)
+ */
+export function createTranslator(language = DEFAULT_LANGUAGE, overrides = {}, variationSeed = null) {
+  const resolved = isValidLanguage(language) ? language : DEFAULT_LANGUAGE;
+  const catalog = CATALOGS[resolved];
+  const plurals = new Intl.PluralRules(LANGUAGE_LOCALES[resolved]);
+
+  // Phrasings of a message in the card's language (English ones only when it has none of its own)
+  const variantsOf = (key) => {
+    const source = catalog[key] !== undefined ? catalog : en;
+    const variants = [source[key]];
+    for (let n = 2; n <= MAX_VARIANTS && source[`${key}.v${n}`] !== undefined; n++) {
+      variants.push(source[`${key}.v${n}`]);
+    }
+    return variants;
+  };
+
+  const lookup = (key, count) => {
+    if (count === undefined) {
+      if (variationSeed === null || variationSeed === undefined) {
+        return catalog[key] ?? en[key];
+      }
+      const variants = variantsOf(key);
+      return variants[pickVariant(variants.length, variationSeed, key)];
+    }
+    return catalog[`${key}_${plurals.select(count)}`] ?? catalog[`${key}_other`] ?? catalog[key]
+      ?? en[`${key}_${englishPlurals.select(count)}`] ?? en[`${key}_other`] ?? en[key];
+  };
+
+  const t = (key, params = {}) => {
+    const override = overrides?.[key];
+    if (typeof override === 'string') {
+      try {
+        return renderTemplate(override, params);
+      } catch (error) {
+        // Overrides are validated when saved, so this only catches hand-edited config
+        console.warn(`Ignoring household template "${key}": ${error.message}`);
+      }
+    }
+
+    const template = lookup(key, params.count);
+    if (template === undefined) {
+      console.warn(`Missing narration string "${key}"`);
+      return key;
+    }
+    return renderTemplate(template, params);
+  };
+
+  t.language = resolved;
+  t.locale = LANGUAGE_LOCALES[resolved];
+  // OpenF1 session names ("Practice 1", "Sprint") in the card's language; unknown names are kept as-is
+  t.sessionName = (name) => (name && catalog[`sessionName.${name}`]) || name;
+
+  return t;
+}
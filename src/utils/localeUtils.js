@@ -0,0 +1,95 @@
+// Household timezone and locale: stored settings first, IP geolocation only as a first-run suggestion
+import { getStoredLocaleSettings } from "@/utils/authUtils";
+import { DEFAULT_LOCALE } from "@/utils/dateUtils";
+
+/**
+ * Check that a string is an IANA timezone this runtime understands
+ * @param {string} timeZone - e.g. "Europe/London"
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check that a string is a BCP 47 locale this runtime can format dates in
+ * @param {string} locale - e.g. "en-GB"
+ * @returns {boolean}
+ */
+export function isValidLocale(locale) {
+  if (!locale || typeof locale !== 'string') {
+    return false;
+  }
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Suggest a timezone from the requester's IP address (via ipapi.co).
+ * Only used until the household saves a timezone of its own.
+ * @param {Request} request - Incoming request
+ * @returns {Promise<string>} IANA timezone, falling back to the server's timezone
+ */
+export async function suggestTimeZoneFromRequest(request) {
+  try {
+    // Get user's IP address from headers
+    const forwarded = request.headers.get("x-forwarded-for");
+    const ip = forwarded ? forwarded.split(',')[0] : request.headers.get("x-real-ip");
+    
+    // If no IP or localhost, return default timezone
+    if (!ip || ip === '127.0.0.1' || ip === '::1' || ip.startsWith('192.168.') || ip.startsWith('10.')) {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+    
+    // Use ipapi.co to get timezone from IP
+    const response = await fetch(`https://ipapi.co/${ip}/json/`, {
+      signal: AbortSignal.timeout(3000)
+    });
+    
+    if (response.ok) {
+      const data = await response.json();
+      if (isValidTimeZone(data.timezone)) {
+        return data.timezone;
+      }
+    }
+  } catch (error) {
+    console.log("Could not determine timezone from IP:", error.message);
+  }
+  
+  // Default to server/UTC timezone
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Resolve the timezone and locale for a card.
+ * Stored household settings always win. Without them, interactive requests fall
+ * back to an IP-based suggestion, and automated refreshes (no request) to UTC.
+ * @param {Request|null} [request] - Incoming request, when a person is generating the card
+ * @returns {Promise<{timeZone: string, locale: string, source: string}>} source is "stored", "ip" or "default"
+ */
+export async function resolveLocaleSettings(request = null) {
+  const stored = getStoredLocaleSettings();
+  const locale = isValidLocale(stored.locale) ? stored.locale : DEFAULT_LOCALE;
+
+  if (isValidTimeZone(stored.timeZone)) {
+    return { timeZone: stored.timeZone, locale, source: 'stored' };
+  }
+
+  if (request) {
+    return { timeZone: await suggestTimeZoneFromRequest(request), locale, source: 'ip' };
+  }
+
+  console.log('No household timezone saved — using UTC. Save one in the settings panel.');
+  return { timeZone: 'UTC', locale, source: 'default' };
+}
@@ -0,0 +1,33 @@
+// Narration profiles: how much detail the card goes into for its listeners.
+// "little-fan" keeps things short and simple for the youngest fans (no
+// pressures, humidity or tyre talk), "default" is the standard card, and
+// "expert" adds extra stats for grown-ups and older kids.
+
+export const NARRATION_PROFILES = ['little-fan', 'default', 'expert'];
+
+// Used when neither the card nor NARRATION_PROFILE picks a profile
+export const DEFAULT_NARRATION_PROFILE = 'default';
+
+/**
+ * Check a narration profile name
+ * @param {*} value - Expected to be one of NARRATION_PROFILES, e.g. "expert"
+ * @returns {boolean}
+ */
+export function isValidNarrationProfile(value) {
+  return NARRATION_PROFILES.includes(value);
+}
+
+/**
+ * Resolve the narration profile for a card
+ * @param {*} value - Requested profile (e.g. from the request body or the stored card)
+ * @returns {string} Narration profile (default: NARRATION_PROFILE, then "default")
+ */
+export function resolveNarrationProfile(value) {
+  if (isValidNarrationProfile(value)) {
+    return value;
+  }
+  if (value !== undefined && value !== null) {
+    console.warn(`Unknown narration profile "${value}", using the default`);
+  }
+  return isValidNarrationProfile(process.env.NARRATION_PROFILE) ? process.env.NARRATION_PROFILE : DEFAULT_NARRATION_PROFILE;
+}
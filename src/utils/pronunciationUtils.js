@@ -0,0 +1,59 @@
+// Pronunciation lexicon: rewrites hard-to-say names into spoken respellings
+// just before a track's text goes to text-to-speech, e.g. "Zandvoort" becomes
+// "Zand-fort". The shipped entries (src/data/pronunciations.js) are merged with
+// the household's own, which win for the same name.
+
+import { DEFAULT_PRONUNCIATIONS, MAX_PRONUNCIATION_LENGTH } from "@/data/pronunciations";
+
+/**
+ * Escape a name for use inside a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a function that respells the lexicon's names in a track's text
+ * @param {string} language - Narration language code, for the shipped entries
+ * @param {Object<string, string>} [overrides] - Household entries for that language, from getStoredPronunciations()
+ * @returns {function(string): string} Text with every listed name replaced by its respelling
+ */
+export function createPronouncer(language, overrides = {}) {
+  // Keyed by lower case, so a household entry replaces a shipped one however it's capitalised
+  const lexicon = new Map();
+  Object.entries({ ...DEFAULT_PRONUNCIATIONS[language], ...overrides }).forEach(([name, spoken]) => {
+    lexicon.set(name.toLowerCase(), spoken);
+  });
+
+  if (lexicon.size === 0) {
+    return (text) => text;
+  }
+
+  // Longest names first, so "Gilles Villeneuve" wins over a shorter entry inside it.
+  // Letters and digits either side mean the name is part of a longer word.
+  const names = [...lexicon.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${names.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+  return (text) => text.replace(pattern, match => lexicon.get(match.toLowerCase()) ?? match);
+}
+
+/**
+ * Check a household pronunciation entry before it's saved
+ * @param {string} name - Name as written on the card
+ * @param {*} spoken - How the voice should say it
+ * @returns {string|null} What's wrong with the entry, or null when it's valid
+ */
+export function validatePronunciation(name, spoken) {
+  if (name.trim() === '' || name !== name.trim()) {
+    return 'Names must not be blank or start or end with spaces.';
+  }
+  if (typeof spoken !== 'string' || spoken.trim() === '') {
+    return `Say how "${name}" should be read, e.g. "Zand-fort".`;
+  }
+  if (name.length > MAX_PRONUNCIATION_LENGTH || spoken.length > MAX_PRONUNCIATION_LENGTH) {
+    return `The entry for "${name}" is too long: keep names and pronunciations under ${MAX_PRONUNCIATION_LENGTH} characters.`;
+  }
+  return null;
+}
@@ -0,0 +1,187 @@
+// Narration templates. Every spoken string is a template: {name} placeholders
+// are filled from the values passed in, and conditional blocks are kept or
+// dropped depending on whether a placeholder has a value:
+//
+//   {#if sessionTime}It starts at {sessionTime}.{else}The start time isn't known yet.{/if}
+//
+// Blocks can be nested, and {else} is optional. A placeholder "has a value"
+// unless it is missing, null, false or an empty string.
+
+const TAG_PATTERN = /\{([^{}]*)\}/g;
+const NAME_PATTERN = /^\w+$/;
+
+// Parsed templates, keyed by their text (the catalogs are parsed once per process)
+const parsedTemplates = new Map();
+
+/**
+ * Error thrown for a template that can't be parsed
+ */
+export class TemplateSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateSyntaxError';
+  }
+}
+
+/**
+ * Parse a template into text, placeholder and conditional nodes
+ * @param {string} template
+ * @returns {Array} Nodes: { text } | { name } | { ifName, then: Array, otherwise: Array }
+ * @throws {TemplateSyntaxError} For unknown tags, unbalanced blocks and stray braces
+ */
+function parseTemplate(template) {
+  const root = [];
+  // Open blocks, innermost last; each appends to its "then" list until {else}
+  const stack = [];
+  const current = () => {
+    const block = stack[stack.length - 1];
+    if (!block) return root;
+    return block.inElse ? block.node.otherwise : block.node.then;
+  };
+  const addText = (text) => {
+    const brace = text.match(/[{}]/);
+    if (brace) {
+      throw new TemplateSyntaxError(`Unmatched "${brace[0]}". Placeholders look like {raceName}.`);
+    }
+    if (text) current().push({ text });
+  };
+
+  let lastIndex = 0;
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    addText(template.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const tag = match[1].trim();
+    const ifMatch = tag.match(/^#if\s+(\S+)$/);
+    if (ifMatch) {
+      if (!NAME_PATTERN.test(ifMatch[1])) {
+        throw new TemplateSyntaxError(`"${match[0]}" needs a placeholder name, e.g. {#if sessionTime}.`);
+      }
+      const node = { ifName: ifMatch[1], then: [], otherwise: [] };
+      current().push(node);
+      stack.push({ node, inElse: false });
+    } else if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (!block || block.inElse) {
+        throw new TemplateSyntaxError(block ? `{#if ${block.node.ifName}} has more than one {else}.` : '{else} is outside an {#if} block.');
+      }
+      block.inElse = true;
+    } else if (tag === '/if') {
+      if (!stack.pop()) {
+        throw new TemplateSyntaxError('{/if} has no matching {#if}.');
+      }
+    } else if (NAME_PATTERN.test(match[1])) {
+      current().push({ name: match[1] });
+    } else {
+      throw new TemplateSyntaxError(`Unknown tag "${match[0]}". Use {placeholder}, {#if placeholder}, {else} or {/if}.`);
+    }
+  }
+  addText(template.slice(lastIndex));
+
+  if (stack.length > 0) {
+    throw new TemplateSyntaxError(`{#if ${stack[stack.length - 1].node.ifName}} is never closed with {/if}.`);
+  }
+  return root;
+}
+
+/**
+ * Parse a template, reusing the result for templates seen before
+ * @param {string} template
+ * @returns {Array} Parsed nodes
+ */
+function getParsedTemplate(template) {
+  let nodes = parsedTemplates.get(template);
+  if (!nodes) {
+    nodes = parseTemplate(template);
+    parsedTemplates.set(template, nodes);
+  }
+  return nodes;
+}
+
+/**
+ * Whether a placeholder counts as set for {#if}
+ * @param {*} value
+ * @returns {boolean}
+ */
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+/**
+ * Write out parsed nodes
+ * @param {Array} nodes - From parseTemplate()
+ * @param {Object} params - Placeholder values
+ * @returns {string}
+ */
+function renderNodes(nodes, params) {
+  return nodes.map(node => {
+    if (node.text !== undefined) {
+      return node.text;
+    }
+    if (node.ifName !== undefined) {
+      return renderNodes(hasValue(params[node.ifName]) ? node.then : node.otherwise, params);
+    }
+    // Placeholders without a value are left in, so a missing field is easy to spot
+    const value = params[node.name];
+    return value === undefined || value === null ? `{${node.name}}` : String(value);
+  }).join('');
+}
+
+/**
+ * Fill in a template
+ * @param {string} template - Template text with {placeholders} and {#if} blocks
+ * @param {Object} [params] - Placeholder values
+ * @returns {string}
+ * @throws {TemplateSyntaxError} If the template can't be parsed
+ */
+export function renderTemplate(template, params = {}) {
+  return renderNodes(getParsedTemplate(template), params);
+}
+
+/**
+ * List every placeholder a template uses, in {name} and {#if name} tags
+ * @param {Array} nodes - From parseTemplate()
+ * @param {Set<string>} [names] - Collected names
+ * @returns {Set<string>}
+ */
+function collectPlaceholders(nodes, names = new Set()) {
+  nodes.forEach(node => {
+    if (node.name !== undefined) {
+      names.add(node.name);
+    } else if (node.ifName !== undefined) {
+      names.add(node.ifName);
+      collectPlaceholders(node.then, names);
+      collectPlaceholders(node.otherwise, names);
+    }
+  });
+  return names;
+}
+
+/**
+ * Check a template before it's saved
+ * @param {*} template - Template text from the request body
+ * @param {string[]} placeholders - Placeholders the template is given
+ * @returns {string|null} What's wrong with the template, or null when it's valid
+ */
+export function validateTemplate(template, placeholders) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    return 'A template must be some text.';
+  }
+
+  let nodes;
+  try {
+    nodes = parseTemplate(template);
+  } catch (error) {
+    if (error instanceof TemplateSyntaxError) {
+      return error.message;
+    }
+    throw error;
+  }
+
+  const unknown = [...collectPlaceholders(nodes)].filter(name => !placeholders.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown placeholder${unknown.length > 1 ? 's' : ''} ${unknown.map(name => `{${name}}`).join(', ')}. ` +
+      `Available: ${placeholders.map(name => `{${name}}`).join(', ')}.`;
+  }
+  return null;
+}
@@ -0,0 +1,128 @@
+// Unit helpers for spoken numbers. Data stays metric (as OpenF1, the forecast
+// providers and the circuit dataset supply it) and is only converted when the
+// text is written, in the household's chosen unit system and the card's language.
+
+import { DEFAULT_LANGUAGE, createTranslator, formatNumber } from "@/utils/i18nUtils";
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// Used when the household hasn't chosen a unit system
+export const DEFAULT_UNIT_SYSTEM = 'metric';
+
+const KM_PER_MILE = 1.609344;
+const METRES_PER_FOOT = 0.3048;
+
+/**
+ * Check a unit system name
+ * @param {*} value - Expected to be "metric" or "imperial"
+ * @returns {boolean}
+ */
+export function isValidUnitSystem(value) {
+  return UNIT_SYSTEMS.includes(value);
+}
+
+/**
+ * Convert a wind speed from metres per second (as OpenF1 reports it) to km/h
+ * @param {number} metresPerSecond
+ * @returns {number} Kilometres per hour
+ */
+export function metresPerSecondToKmh(metresPerSecond) {
+  return metresPerSecond * 3.6;
+}
+
+/**
+ * Round a number and add a singular or plural unit name
+ * @param {number} value
+ * @param {number} decimals - Decimal places to keep
+ * @param {string} unit - Unit message key, e.g. "unit.mile"
+ * @param {string} language - Narration language code
+ * @returns {string} e.g. "3.3 miles", "1 mile"
+ */
+function withUnit(value, decimals, unit, language) {
+  const rounded = Number(value.toFixed(decimals));
+  return createTranslator(language)(unit, { count: rounded, value: formatNumber(rounded, language, { decimals }) });
+}
+
+/**
+ * Spoken temperature, e.g. "21 degrees Celsius" or "70 degrees Fahrenheit"
+ * @param {number} celsius
+ * @param {string} [units] - "metric" or "imperial" (default: metric)
+ * @param {string} [language] - Narration language code (default: English)
+ * @returns {string}
+ */
+export function formatTemperature(celsius, units = DEFAULT_UNIT_SYSTEM, language = DEFAULT_LANGUAGE) {
+  const t = createTranslator(language);
+  return units === 'imperial'
+    ? t('unit.fahrenheit', { value: Math.round(celsius * 9 / 5 + 32) })
+    : t('unit.celsius', { value: Math.round(celsius) });
+}
+
+/**
+ * Short temperature for the UI, e.g. "21°C" or "70°F"
+ * @param {number} celsius
+ * @param {string} [units] - "metric" or "imperial" (default: metric)
+ * @returns {string}
+ */
+export function formatTemperatureShort(celsius, units = DEFAULT_UNIT_SYSTEM) {
+  return units === 'imperial'
+    ? `${Math.round(celsius * 9 / 5 + 32)}°F`
+    : `${Math.round(celsius)}°C`;
+}
+
+/**
+ * Spoken speed, e.g. "12 kilometres per hour" or "7 miles per hour"
+ * @param {number} kmh - Speed in kilometres per hour
+ * @param {string} [units] - "metric" or "imperial" (default: metric)
+ * @param {string} [language] - Narration language code (default: English)
+ * @returns {string}
+ */
+export function formatSpeed(kmh, units = DEFAULT_UNIT_SYSTEM, language = DEFAULT_LANGUAGE) {
+  const t = createTranslator(language);
+  return units === 'imperial'
+    ? t('unit.mph', { value: Math.round(kmh / KM_PER_MILE) })
+    : t('unit.kmh', { value: Math.round(kmh) });
+}
+
+/**
+ * Spoken distance, e.g. "5.3 kilometres" or "3.3 miles"
+ * @param {number} km - Distance in kilometres
+ * @param {string} [units] - "metric" or "imperial" (default: metric)
+ * @param {number} [decimals] - Decimal places to keep (default: 0)
+ * @param {string} [language] - Narration language code (default: English)
+ * @returns {string}
+ */
+export function formatDistance(km, units = DEFAULT_UNIT_SYSTEM, decimals = 0, language = DEFAULT_LANGUAGE) {
+  return units === 'imperial'
+    ? withUnit(km / KM_PER_MILE, decimals, 'unit.mile', language)
+    : withUnit(km, decimals, 'unit.kilometre', language);
+}
+
+/**
+ * Spoken short length, e.g. "7 metres" or "23 feet"
+ * @param {number} metres
+ * @param {string} [units] - "metric" or "imperial" (default: metric)
+ * @param {string} [language] - Narration language code (default: English)
+ * @returns {string}
+ */
+export function formatLength(metres, units = DEFAULT_UNIT_SYSTEM, language = DEFAULT_LANGUAGE) {
+  return units === 'imperial'
+    ? withUnit(metres / METRES_PER_FOOT, 0, 'unit.foot', language)
+    : withUnit(metres, 0, 'unit.metre', language);
+}
+
+/**
+ * Fill in measurements written into free text such as circuit facts:
+ * {distance:7} (kilometres), {speed:250} (km/h) and {length:7} (metres).
+ * @param {string} text - Text with measurement placeholders
+ * @param {string} [units] - "metric" or "imperial" (default: metric)
+ * @param {string} [language] - Narration language code (default: English)
+ * @returns {string} Text with each measurement spoken in the chosen units
+ */
+export function fillMeasurements(text, units = DEFAULT_UNIT_SYSTEM, language = DEFAULT_LANGUAGE) {
+  const formatters = {
+    distance: (value) => formatDistance(value, units, value < 10 ? 1 : 0, language),
+    speed: (value) => formatSpeed(value, units, language),
+    length: (value) => formatLength(value, units, language),
+  };
+  return text.replace(/\{(distance|speed|length):([\d.]+)\}/g, (match, kind, value) => formatters[kind](parseFloat(value)));
+}
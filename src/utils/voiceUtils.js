@@ -0,0 +1,42 @@
+// Voice casting: every track, or every part of a dialogue track, is read by a
+// role, and the household picks an ElevenLabs voice for each role on the
+// settings page. The presenter reads the overview and anything not given to
+// the pit-lane reporter (session previews) or the weather presenter, and
+// stands in for a role that has no voice of its own.
+
+export const VOICE_ROLES = ['presenter', 'reporter', 'weather'];
+
+// Role of tracks that don't say otherwise
+export const DEFAULT_VOICE_ROLE = 'presenter';
+
+// ElevenLabs voice IDs are short runs of letters and digits, e.g. "JBFqnCBsd6RMkjVDRZzb"
+const VOICE_ID_PATTERN = /^[A-Za-z0-9]{10,40}$/;
+
+/**
+ * Check a voice role name
+ * @param {*} value - Expected to be one of VOICE_ROLES, e.g. "reporter"
+ * @returns {boolean}
+ */
+export function isValidVoiceRole(value) {
+  return VOICE_ROLES.includes(value);
+}
+
+/**
+ * Check that a value looks like an ElevenLabs voice ID
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidVoiceId(value) {
+  return typeof value === 'string' && VOICE_ID_PATTERN.test(value);
+}
+
+/**
+ * Pick the voice for a role
+ * @param {Object<string, string|null>} voiceCast - Voice ID for each role, from getStoredVoiceCast()
+ * @param {string} [role] - One of VOICE_ROLES (default: the presenter)
+ * @param {string} defaultVoiceId - Voice when neither the role nor the presenter has one
+ * @returns {string} Voice ID
+ */
+export function resolveRoleVoice(voiceCast, role, defaultVoiceId) {
+  return voiceCast[role || DEFAULT_VOICE_ROLE] || voiceCast[DEFAULT_VOICE_ROLE] || defaultVoiceId;
+}
@@ -0,0 +1,38 @@
+// Spoken relative times around the "next weekend" week boundary
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { describeRelativeTime } = await import("@/utils/dateUtils");
+
+// Saturday 17 and Sunday 18 October 2026, mid-morning UTC
+const SATURDAY = new Date("2026-10-17T10:00:00Z");
+const SUNDAY = new Date("2026-10-18T10:00:00Z");
+
+/**
+ * Describe a race-day afternoon relative to a reference time, in UTC
+ * @param {string} day - Target date, e.g. "2026-10-30"
+ * @param {Date} now - Reference time
+ * @returns {string|null}
+ */
+function describe(day, now) {
+  return describeRelativeTime(`${day}T14:00:00Z`, "UTC", now);
+}
+
+test("a weekend in the following calendar week is next weekend", () => {
+  assert.equal(describe("2026-10-24", SATURDAY), "next weekend, on Saturday afternoon");
+  assert.equal(describe("2026-10-25", SATURDAY), "next weekend, on Sunday afternoon");
+  assert.equal(describe("2026-10-25", SUNDAY), "next weekend, on Sunday afternoon");
+  assert.equal(describe("2026-10-30", new Date("2026-10-19T10:00:00Z")), "next weekend, on Friday afternoon");
+});
+
+test("a weekend two calendar weeks away is not next weekend, even within 14 days", () => {
+  // Saturday 17 October to Friday 30 October is 13 days, but the weekend after next
+  assert.match(describe("2026-10-30", SATURDAY), /^in 2 weeks, /);
+  assert.match(describe("2026-10-30", SUNDAY), /^in 2 weeks, /);
+  assert.match(describe("2026-10-31", SUNDAY), /^in 2 weeks, /);
+});
+
+test("dates within the week keep their day count", () => {
+  assert.equal(describe("2026-10-23", SATURDAY), "in 6 days, on Friday afternoon");
+  assert.equal(describe("2026-10-19", SATURDAY), "in 2 days, on Monday afternoon");
+});
@@ -0,0 +1,141 @@
+// OpenF1 lookups, against a fake OpenF1 API
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+// Keep cached winners out of the real config store; set before the config store is loaded
+process.env.XDG_CONFIG_HOME = mkdtempSync(path.join(tmpdir(), "yoto-f1-card-test-"));
+
+const { getPastWinners, getLastRaceSession, getDriverStandings, getTeamStandings, getLastRaceResults, analyseChampionship, getTitleFight } = await import("@/services/f1Service");
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+/**
+ * Fake OpenF1: answer each path and query from a table, recording the requests
+ * @param {Object<string, function(): Response>} routes - Response for each "path?query"
+ * @returns {string[]} Requested "path?query"s
+ */
+function fakeOpenF1(routes) {
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    const { pathname, search } = new URL(url);
+    const key = `${pathname.split("/").at(-1)}${search}`;
+    requests.push(key);
+    if (!routes[key]) {
+      throw new Error(`Unexpected request to ${key}`);
+    }
+    return routes[key]();
+  };
+  return requests;
+}
+
+const json = (body, status = 200) => () => new Response(JSON.stringify(body), { status });
+
+test("getPastWinners caches races without a result and retries only passing failures", async () => {
+  const race = (sessionKey, year) => ({ session_key: sessionKey, meeting_key: sessionKey, year, date_start: `${year}-05-25T13:00:00Z`, date_end: `${year}-05-25T15:00:00Z` });
+  const routes = {
+    "sessions?circuit_key=22&session_name=Race": json([race(1, 2024), race(2, 2023), race(3, 2022), race(4, 2021), race(5, 2020)]),
+    "session_result?session_key=1&position=1": json([{ driver_number: 16 }]),
+    "drivers?session_key=1": json([{ driver_number: 16, full_name: "Charles Leclerc", team_name: "Ferrari" }]),
+    // No results: OpenF1 answers an empty list or a 404
+    "session_result?session_key=2&position=1": json([]),
+    "session_result?session_key=3&position=1": json({ detail: "No results found." }, 404),
+    // Passing failures
+    "session_result?session_key=4&position=1": json({ detail: "Too many requests" }, 429),
+    "session_result?session_key=5&position=1": () => { throw new TypeError("fetch failed"); },
+  };
+
+  let requests = fakeOpenF1(routes);
+  assert.deepEqual(await getPastWinners(22), [{ year: 2024, driver: "Charles Leclerc", team: "Ferrari" }]);
+  assert.equal(requests.filter(request => request.startsWith("session_result")).length, 5);
+
+  requests = fakeOpenF1(routes);
+  assert.deepEqual(await getPastWinners(22), [{ year: 2024, driver: "Charles Leclerc", team: "Ferrari" }]);
+  assert.deepEqual(requests.filter(request => request.startsWith("session_result")), [
+    "session_result?session_key=4&position=1",
+    "session_result?session_key=5&position=1",
+  ]);
+});
+
+test("the standings and last race results share one lookup of the last race session", async () => {
+  const year = new Date().getFullYear();
+  const race = { session_key: 9, meeting_key: 90, year, country_name: "Japan", location: "Suzuka", date_start: `${year}-01-05T05:00:00Z`, date_end: `${year}-01-05T07:00:00Z` };
+  const requests = fakeOpenF1({
+    [`sessions?session_name=Race&year=${year}`]: json([race]),
+    [`sessions?session_name=Sprint&year=${year}`]: json([{ ...race, session_key: 8, meeting_key: 80 }]),
+    "championship_drivers?session_key=9": json([{ driver_number: 1, position_current: 1, points_current: 25 }]),
+    "championship_teams?session_key=9": json([{ team_name: "Red Bull Racing", position_current: 1, points_current: 25 }]),
+    "drivers?session_key=9": json([{ driver_number: 1, full_name: "Max Verstappen", team_name: "Red Bull Racing" }]),
+    "session_result?session_key=9": json([{ driver_number: 1, position: 1, points: 25 }]),
+    "meetings?meeting_key=90": json([{ meeting_name: "Japanese Grand Prix" }]),
+    "race_control?session_key=9": json([]),
+  });
+
+  const lastRaceSession = await getLastRaceSession();
+  const [driver] = await getDriverStandings(null, lastRaceSession);
+  const [team] = await getTeamStandings(null, lastRaceSession);
+  const lastRace = await getLastRaceResults(lastRaceSession);
+
+  assert.equal(driver.driver, "Max Verstappen");
+  assert.equal(team.team, "Red Bull Racing");
+  assert.equal(lastRace.raceName, "Japanese Grand Prix");
+  assert.equal(lastRace.sprintResults, null);
+  assert.equal(requests.filter(request => request.startsWith("sessions?session_name=Race")).length, 1);
+});
+
+test("analyseChampionship keeps everyone within the points still available, ties included", () => {
+  const standings = [
+    { position: 1, driver: "Lando Norris", team: "McLaren", points: 400, gapToLeader: 0 },
+    { position: 2, driver: "Oscar Piastri", team: "McLaren", points: 342, gapToLeader: 58 },
+    { position: 3, driver: "Max Verstappen", team: "Red Bull Racing", points: 341, gapToLeader: 59 },
+  ];
+
+  const fight = analyseChampionship(standings, "driver", 58);
+  assert.equal(fight.decided, false);
+  assert.equal(fight.maxPointsAvailable, 58);
+  assert.deepEqual(fight.contenders.map(c => [c.name, c.pointsToSpare]), [["Lando Norris", 58], ["Oscar Piastri", 0]]);
+  assert.equal(fight.leader.name, "Lando Norris");
+
+  const decided = analyseChampionship(standings, "driver", 57);
+  assert.equal(decided.decided, true);
+  assert.deepEqual(decided.contenders.map(c => c.name), ["Lando Norris"]);
+
+  assert.deepEqual(analyseChampionship([], "team", 100), { leader: null, contenders: [], decided: true, maxPointsAvailable: 100 });
+});
+
+test("getTitleFight counts the Grands Prix and Sprints left, and waits for the closing stages", async () => {
+  const year = new Date().getFullYear();
+  const day = 24 * 60 * 60 * 1000;
+  const session = (session_name, daysFromNow) => ({ session_name, date_start: new Date(Date.now() + daysFromNow * day).toISOString() });
+  const drivers = [
+    { position: 1, driver: "Lando Norris", team: "McLaren", points: 400, gapToLeader: 0 },
+    { position: 2, driver: "Oscar Piastri", team: "McLaren", points: 340, gapToLeader: 60 },
+  ];
+  const teams = [
+    { position: 1, team: "McLaren", points: 740, gapToLeader: 0 },
+    { position: 2, team: "Ferrari", points: 640, gapToLeader: 100 },
+  ];
+  const route = `sessions?year=${year}&session_type=Race`;
+
+  // Two Grands Prix and a Sprint left: 2 × 25 + 8 driver points, 2 × 43 + 15 team points
+  fakeOpenF1({ [route]: json([session("Race", -7), session("Sprint", 6), session("Race", 7), session("Race", 14)]) });
+  const fight = await getTitleFight(drivers, teams);
+  assert.equal(fight.racesRemaining, 2);
+  assert.equal(fight.sprintsRemaining, 1);
+  assert.equal(fight.drivers.maxPointsAvailable, 58);
+  assert.equal(fight.drivers.decided, true);
+  assert.equal(fight.teams.maxPointsAvailable, 101);
+  assert.deepEqual(fight.teams.contenders.map(c => [c.name, c.pointsToSpare]), [["McLaren", 101], ["Ferrari", 1]]);
+
+  // Too early in the season, and before the first race
+  fakeOpenF1({ [route]: json([session("Race", -7), ...[1, 2, 3, 4, 5, 6, 7].map(week => session("Race", week * 7))]) });
+  assert.equal(await getTitleFight(drivers, teams), null);
+  fakeOpenF1({ [route]: json([session("Race", 7)]) });
+  assert.equal(await getTitleFight(drivers, teams), null);
+});
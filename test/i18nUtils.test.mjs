@@ -0,0 +1,42 @@
+// Narration languages: plural forms, English fallback, household templates and alternative phrasings
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { createTranslator, resolveLanguage } = await import("@/utils/i18nUtils");
+
+test("count picks the plural form by each language's own rules", () => {
+  const en = createTranslator("en");
+  assert.equal(en("unit.kilometre", { count: 1, value: "1" }), "1 kilometre");
+  assert.equal(en("unit.kilometre", { count: 1.5, value: "1.5" }), "1.5 kilometres");
+  // French treats everything below 2 as singular
+  const fr = createTranslator("fr");
+  assert.equal(fr("unit.kilometre", { count: 1.5, value: "1,5" }), "1,5 kilomètre");
+  assert.equal(fr("unit.kilometre", { count: 2, value: "2" }), "2 kilomètres");
+  // A key without plural forms is used as it is
+  assert.equal(en("countdown.days", { count: 3 }), "in 3 days");
+});
+
+test("strings a language hasn't translated fall back to English", () => {
+  assert.equal(createTranslator("fr")("raceControl.penaltyWithReason"), createTranslator("en")("raceControl.penaltyWithReason"));
+  assert.equal(createTranslator("xx").language, "en");
+  assert.equal(resolveLanguage("xx"), "en");
+});
+
+test("a household template replaces the shipped wording, unless it can't be parsed", () => {
+  const t = createTranslator("en", { "overview.intro": "Vroom! It's the {raceName}." });
+  assert.equal(t("overview.intro", { raceName: "Monaco Grand Prix" }), "Vroom! It's the Monaco Grand Prix.");
+  const broken = createTranslator("en", { "overview.intro": "{#if raceName}Vroom!" });
+  assert.match(broken("overview.intro", { raceName: "Monaco Grand Prix", year: 2026 }), /^Hello Formula 1 fans!/);
+});
+
+test("a variation seed steps through the alternative phrasings", () => {
+  const intro = (seed) => createTranslator("en", {}, seed)("overview.intro", { raceName: "Monaco Grand Prix", year: 2026 });
+  const phrasings = [1, 2, 3].map(intro);
+  assert.equal(new Set(phrasings).size, 3);
+  // The same seed always picks the same phrasing, and they come round again
+  assert.equal(intro(1), phrasings[0]);
+  assert.equal(intro(4), phrasings[0]);
+  // Without a seed, the first phrasing
+  assert.equal(createTranslator("en")("overview.intro", { raceName: "Monaco Grand Prix", year: 2026 }),
+    "Hello Formula 1 fans! Let me tell you about the upcoming Monaco Grand Prix in the 2026 season.");
+});
@@ -0,0 +1,22 @@
+// Module hooks for the tests (see register.mjs)
+import { existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const SRC_URL = new URL("../src/", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith("@/")) {
+    // Imports leave out the .js extension
+    const url = new URL(specifier.slice(2), SRC_URL);
+    return nextResolve(existsSync(fileURLToPath(url)) ? url.href : `${url.href}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  // package.json has no "type", so tell Node the app's .js files are ES modules
+  if (url.startsWith(SRC_URL.href) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
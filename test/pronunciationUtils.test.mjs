@@ -0,0 +1,24 @@
+// Pronunciation lexicon: respelling names before text goes to text-to-speech
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { createPronouncer } = await import("@/utils/pronunciationUtils");
+
+test("respells shipped names as whole words, whatever their case", () => {
+  const pronounce = createPronouncer("en");
+  assert.equal(pronounce("Charles LECLERC leads Oscar Piastri."), "Charles Luh-clair leads Oscar Pee-ass-tree.");
+  // Part of a longer word is left alone
+  assert.equal(pronounce("Leclercs and Piastrismo"), "Leclercs and Piastrismo");
+});
+
+test("household entries win over shipped ones and add new names", () => {
+  const pronounce = createPronouncer("en", { leclerc: "Le-clerk", "Gilles Villeneuve": "Jeel Veel-nurv", Villeneuve: "Veel-nerv" });
+  assert.equal(pronounce("Leclerc"), "Le-clerk");
+  // The longest name wins
+  assert.equal(pronounce("Gilles Villeneuve and Jacques Villeneuve"), "Jeel Veel-nurv and Jacques Veel-nerv");
+});
+
+test("languages without entries leave the text as it is", () => {
+  assert.equal(createPronouncer("fr")("Charles Leclerc"), "Charles Leclerc");
+  assert.equal(createPronouncer("fr", { Leclerc: "Le-clerc" })("Charles Leclerc"), "Charles Le-clerc");
+});
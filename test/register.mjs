@@ -0,0 +1,5 @@
+// Lets `node --test` load the app's modules as Next.js does: "@/..." imports
+// resolve to src/, and src/ files are ES modules
+import { register } from "node:module";
+
+register("./loader.mjs", import.meta.url);
@@ -0,0 +1,126 @@
+// Household settings API: validation before anything is saved
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+// Keep settings out of the real config store; set before the config store is loaded
+process.env.XDG_CONFIG_HOME = mkdtempSync(path.join(tmpdir(), "yoto-f1-card-test-"));
+
+const { GET, POST } = await import("@/app/api/settings/route");
+const { storeTokens, clearTokens, getStoredTemplates, getStoredUnits, getStoredPronunciations, getStoredVoiceCast, storeDataHash, getStoredDataHash } = await import("@/utils/authUtils");
+
+/**
+ * POST a settings body and read the response
+ * @param {*} body - Request body, sent as JSON
+ * @returns {Promise<{status: number, data: Object}>}
+ */
+async function postSettings(body) {
+  const response = await POST(new Request("http://localhost/api/settings", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  }));
+  return { status: response.status, data: await response.json() };
+}
+
+before(() => {
+  // An access token without a refresh token is used as it is, so no request reaches Yoto
+  storeTokens("test-access-token", null);
+});
+
+after(() => {
+  clearTokens();
+});
+
+test("saving settings needs a Yoto connection", async () => {
+  clearTokens();
+  try {
+    const { status, data } = await postSettings({ units: "imperial" });
+    assert.equal(status, 401);
+    assert.equal(data.needsAuth, true);
+  } finally {
+    storeTokens("test-access-token", null);
+  }
+});
+
+test("template names inherited from Object are unknown templates", async () => {
+  for (const key of ["constructor", "toString", "__proto__", "hasOwnProperty"]) {
+    const { status, data } = await postSettings({ templates: { en: { [key]: "Hello {raceName}" } } });
+    assert.equal(status, 400, key);
+    assert.match(data.error, /^Unknown template/, key);
+  }
+  assert.deepEqual(getStoredTemplates("en"), {});
+});
+
+test("saving settings clears the data hash, so the next automated refresh applies them", async () => {
+  storeDataHash("hash-of-last-refresh");
+  const { status } = await postSettings({ units: "imperial" });
+  assert.equal(status, 200);
+  assert.equal(getStoredDataHash(), undefined);
+});
+
+test("a rejected save keeps the data hash", async () => {
+  storeDataHash("hash-of-last-refresh");
+  const { status } = await postSettings({ units: "furlongs" });
+  assert.equal(status, 400);
+  assert.equal(getStoredDataHash(), "hash-of-last-refresh");
+});
+
+test("each field is checked before it's saved", async () => {
+  const cases = [
+    [{ favourites: { drivers: "Lando Norris" } }, /^Favourites must be lists/],
+    [{ favourites: { teams: ["McLaren", 7] } }, /^Favourites must be lists/],
+    [{ localeSettings: { timeZone: "Mars/Olympus_Mons" } }, /^Unknown timezone "Mars\/Olympus_Mons"/],
+    [{ localeSettings: { timeZone: "Europe/London", locale: "not a locale" } }, /^Unsupported locale "not a locale"/],
+    [{ units: "furlongs" }, /^Unknown unit system "furlongs"\. Use one of: /],
+    [{ templates: { en: ["Hello"] } }, /^Templates for "en" must be keyed by template name/],
+    [{ templates: { xx: { "overview.intro": "Hello" } } }, /^Unsupported narration language "xx"/],
+    [{ templates: { en: { "overview.intro": "Hello {driver}" } } }, /^The Greeting template \(en\) is invalid: Unknown placeholder \{driver\}/],
+    [{ templates: { en: { "overview.intro": "{#if raceName}Hello" } } }, /^The Greeting template \(en\) is invalid: \{#if raceName\} is never closed/],
+    [{ templates: { en: { "overview.intro": "a".repeat(2001) } } }, /^The Greeting template \(en\) is too long/],
+    [{ pronunciations: { en: { " Zandvoort": "Zand-fort" } } }, /^Names must not be blank/],
+    [{ pronunciations: { en: { Zandvoort: "" } } }, /^Say how "Zandvoort" should be read/],
+    [{ pronunciations: { en: { Zandvoort: "a".repeat(101) } } }, /^The entry for "Zandvoort" is too long/],
+    [{ voiceCast: { commentator: "JBFqnCBsd6RMkjVDRZzb" } }, /^Unknown voice role "commentator"/],
+    [{ voiceCast: { reporter: "not a voice!" } }, /^"not a voice!" doesn't look like an ElevenLabs voice ID \(the reporter voice\)/],
+  ];
+  for (const [body, error] of cases) {
+    const { status, data } = await postSettings(body);
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.match(data.error, error);
+  }
+});
+
+test("a bad field saves nothing, not even the valid fields sent with it", async () => {
+  const units = getStoredUnits();
+  const { status } = await postSettings({
+    units: units === "imperial" ? "metric" : "imperial",
+    pronunciations: { en: { Zandvoort: "Zand-fort" } },
+    voiceCast: { presenter: "not a voice!" },
+  });
+  assert.equal(status, 400);
+  assert.equal(getStoredUnits(), units);
+  assert.deepEqual(getStoredPronunciations("en"), {});
+});
+
+test("valid settings are saved, and null puts a template or pronunciation back", async () => {
+  let { status, data } = await postSettings({
+    templates: { en: { "overview.intro": "{#if year}The {year} {raceName}!{else}{raceName}!{/if}" } },
+    pronunciations: { en: { Zandvoort: "Zand-fort" } },
+    voiceCast: { presenter: "JBFqnCBsd6RMkjVDRZzb", reporter: "" },
+  });
+  assert.equal(status, 200);
+  assert.equal(data.templates.en["overview.intro"], "{#if year}The {year} {raceName}!{else}{raceName}!{/if}");
+  assert.deepEqual(getStoredPronunciations("en"), { Zandvoort: "Zand-fort" });
+  assert.deepEqual(getStoredVoiceCast(), { presenter: "JBFqnCBsd6RMkjVDRZzb", reporter: null, weather: null });
+
+  ({ status, data } = await postSettings({
+    templates: { en: { "overview.intro": null } },
+    pronunciations: { en: { Zandvoort: null } },
+  }));
+  assert.equal(status, 200);
+  assert.deepEqual(getStoredTemplates("en"), {});
+  assert.deepEqual(getStoredPronunciations("en"), {});
+});
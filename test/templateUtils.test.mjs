@@ -0,0 +1,69 @@
+// Narration templates: rendering {placeholders} and {#if} blocks, and checking templates before they're saved
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { renderTemplate, validateTemplate, TemplateSyntaxError } = await import("@/utils/templateUtils");
+
+test("fills in placeholders and leaves missing ones in place", () => {
+  assert.equal(renderTemplate("Welcome to {raceName} in {country}!", { raceName: "Monaco", country: "Monaco" }), "Welcome to Monaco in Monaco!");
+  assert.equal(renderTemplate("Lap {lap} of {laps}", { lap: 0 }), "Lap 0 of {laps}");
+});
+
+test("{#if} keeps its block only when the placeholder has a value", () => {
+  const template = "{#if sessionTime}It starts at {sessionTime}.{else}The start time isn't known yet.{/if}";
+  assert.equal(renderTemplate(template, { sessionTime: "3pm" }), "It starts at 3pm.");
+  for (const sessionTime of [undefined, null, false, ""]) {
+    assert.equal(renderTemplate(template, { sessionTime }), "The start time isn't known yet.");
+  }
+  // 0 counts as a value; {else} is optional
+  assert.equal(renderTemplate("{#if gap}{gap} points behind{/if}", { gap: 0 }), "0 points behind");
+  assert.equal(renderTemplate("Go{#if gap} {gap} points behind{/if}!", {}), "Go!");
+});
+
+test("{#if} blocks nest", () => {
+  const template = "{#if weather}{weather}{#if wind} with {wind} winds{/if}.{else}No forecast.{/if}";
+  assert.equal(renderTemplate(template, { weather: "Sunny", wind: "light" }), "Sunny with light winds.");
+  assert.equal(renderTemplate(template, { weather: "Sunny" }), "Sunny.");
+  assert.equal(renderTemplate(template, { wind: "light" }), "No forecast.");
+});
+
+test("renderTemplate throws a TemplateSyntaxError for a broken template", () => {
+  assert.throws(() => renderTemplate("{#if raceName}Hello"), TemplateSyntaxError);
+});
+
+test("validateTemplate accepts templates that only use the given placeholders", () => {
+  assert.equal(validateTemplate("{#if sessionTime}At {sessionTime}{else}Soon{/if} in {raceName}", ["raceName", "sessionTime"]), null);
+  assert.equal(validateTemplate("No placeholders at all", []), null);
+});
+
+test("validateTemplate explains what's wrong with a template", () => {
+  const placeholders = ["raceName", "sessionTime"];
+  const cases = [
+    ["", "A template must be some text."],
+    ["   ", "A template must be some text."],
+    [42, "A template must be some text."],
+    ["Welcome to {raceName", 'Unmatched "{". Placeholders look like {raceName}.'],
+    ["Welcome to raceName}", 'Unmatched "}". Placeholders look like {raceName}.'],
+    ["{race name}", 'Unknown tag "{race name}". Use {placeholder}, {#if placeholder}, {else} or {/if}.'],
+    ["{#if}Hi{/if}", 'Unknown tag "{#if}". Use {placeholder}, {#if placeholder}, {else} or {/if}.'],
+    ["{#if race-name}Hi{/if}", '"{#if race-name}" needs a placeholder name, e.g. {#if sessionTime}.'],
+    ["{#if raceName}Hello", "{#if raceName} is never closed with {/if}."],
+    ["Hello{/if}", "{/if} has no matching {#if}."],
+    ["Hello{else}there", "{else} is outside an {#if} block."],
+    ["{#if raceName}a{else}b{else}c{/if}", "{#if raceName} has more than one {else}."],
+  ];
+  for (const [template, message] of cases) {
+    assert.equal(validateTemplate(template, placeholders), message, template);
+  }
+});
+
+test("validateTemplate names placeholders the template isn't given, including in {#if}", () => {
+  assert.equal(
+    validateTemplate("{driver} at {#if circuit}{circuit}{/if}", ["raceName", "sessionTime"]),
+    "Unknown placeholders {driver}, {circuit}. Available: {raceName}, {sessionTime}."
+  );
+  assert.equal(
+    validateTemplate("{raceName} on {weekday}", ["raceName"]),
+    "Unknown placeholder {weekday}. Available: {raceName}."
+  );
+});
@@ -0,0 +1,98 @@
+// The offline mock provider and joining clips into one track
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getTTSProvider, joinAudio, TTSProviderError } from "@/services/ttsService";
+
+/**
+ * Build an MP3 clip: an ID3v2 tag of the given size, then one MPEG frame header
+ */
+function mp3(tagSize, { footer = false, frame = [0xff, 0xfb, 0x90, 0x64] } = {}) {
+  const header = Buffer.from([0x49, 0x44, 0x33, 4, 0, footer ? 0x10 : 0, 0, 0, tagSize >> 7, tagSize & 0x7f]);
+  return Buffer.concat([header, Buffer.alloc(tagSize + (footer ? 10 : 0), 0x20), Buffer.from(frame)]);
+}
+
+/**
+ * Read the format and samples back out of a WAV written by the mock provider or joinAudio()
+ */
+function readWav(wav) {
+  assert.equal(wav.toString("latin1", 0, 4), "RIFF");
+  assert.equal(wav.readUInt32LE(4), wav.length - 8);
+  assert.equal(wav.toString("latin1", 8, 16), "WAVEfmt ");
+  const formatSize = wav.readUInt32LE(16);
+  const dataOffset = 20 + formatSize;
+  assert.equal(wav.toString("latin1", dataOffset, dataOffset + 4), "data");
+  assert.equal(wav.readUInt32LE(dataOffset + 4), wav.length - dataOffset - 8);
+  return { format: wav.subarray(20, dataOffset), samples: wav.subarray(dataOffset + 8) };
+}
+
+test("getTTSProvider picks the mock provider by name, and ElevenLabs for unknown names", () => {
+  assert.equal(getTTSProvider("mock").name, "mock");
+  assert.equal(getTTSProvider("MOCK").name, "mock");
+  assert.equal(getTTSProvider("nope").name, "elevenlabs");
+});
+
+test("the mock provider makes silent WAV audio as long as the text takes to read", async () => {
+  const mock = getTTSProvider("mock");
+  const short = await mock.synthesize("Hello", "any-voice");
+  const long = await mock.synthesize("Hello Formula 1 fans!", "any-voice");
+
+  assert.equal(short.contentType, "audio/wav");
+  const { samples } = readWav(short.audio);
+  assert.ok(samples.every(sample => sample === 128));
+  assert.ok(readWav(long.audio).samples.length > samples.length);
+
+  // The same text always gives the same audio
+  assert.deepEqual((await mock.synthesize("Hello")).audio, short.audio);
+});
+
+test("joinAudio returns a single clip's audio as it is", () => {
+  const clip = { audio: mp3(5), contentType: "audio/mpeg" };
+  assert.deepEqual(joinAudio([clip]).audio, clip.audio);
+});
+
+test("joinAudio keeps the first MP3 clip's ID3 tag and strips the others", () => {
+  const first = mp3(5);
+  const joined = joinAudio([
+    { audio: first, contentType: "audio/mpeg" },
+    { audio: mp3(200, { frame: [0xff, 0xfb, 1, 1] }), contentType: "audio/mpeg" },
+    { audio: mp3(3, { footer: true, frame: [0xff, 0xfb, 2, 2] }), contentType: "audio/mpeg" },
+  ]);
+
+  assert.equal(joined.contentType, "audio/mpeg");
+  assert.deepEqual(joined.audio, Buffer.concat([first, Buffer.from([0xff, 0xfb, 1, 1, 0xff, 0xfb, 2, 2])]));
+});
+
+test("joinAudio merges WAV clips into one WAV with all their samples", async () => {
+  const mock = getTTSProvider("mock");
+  const clips = [await mock.synthesize("Welcome"), await mock.synthesize("Sunny and dry")];
+  const joined = joinAudio(clips);
+
+  assert.equal(joined.contentType, "audio/wav");
+  const { format, samples } = readWav(joined.audio);
+  assert.deepEqual(format, readWav(clips[0].audio).format);
+  assert.equal(samples.length, readWav(clips[0].audio).samples.length + readWav(clips[1].audio).samples.length);
+});
+
+test("joinAudio reads WAV from engines that leave the data size unset", async () => {
+  const { audio } = await getTTSProvider("mock").synthesize("Welcome");
+  const streamed = Buffer.from(audio);
+  streamed.writeUInt32LE(0xffffffff, 40);
+
+  const joined = joinAudio([{ audio: streamed, contentType: "audio/wav" }, { audio, contentType: "audio/wav" }]);
+  assert.equal(readWav(joined.audio).samples.length, 2 * readWav(audio).samples.length);
+});
+
+test("joinAudio refuses to mix MP3 and WAV, or WAV of different formats", async () => {
+  const { audio } = await getTTSProvider("mock").synthesize("Welcome");
+  const stereo = Buffer.from(audio);
+  stereo.writeUInt16LE(2, 22);
+
+  assert.throws(
+    () => joinAudio([{ audio: mp3(5), contentType: "audio/mpeg" }, { audio, contentType: "audio/wav" }]),
+    TTSProviderError
+  );
+  assert.throws(
+    () => joinAudio([{ audio, contentType: "audio/wav" }, { audio: stereo, contentType: "audio/wav" }]),
+    TTSProviderError
+  );
+});
@@ -0,0 +1,26 @@
+// Spoken measurements in metric and imperial units
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { metresPerSecondToKmh, formatTemperature, formatTemperatureShort, formatSpeed, formatDistance, formatLength, fillMeasurements } = await import("@/utils/unitUtils");
+
+test("converts and rounds each measurement for the chosen units", () => {
+  assert.equal(metresPerSecondToKmh(10), 36);
+  assert.equal(formatTemperature(21), "21 degrees Celsius");
+  assert.equal(formatTemperature(21, "imperial"), "70 degrees Fahrenheit");
+  assert.equal(formatTemperatureShort(-3, "imperial"), "27°F");
+  assert.equal(formatSpeed(100, "imperial"), "62 miles per hour");
+  assert.equal(formatDistance(5.3, "imperial", 1), "3.3 miles");
+  assert.equal(formatDistance(1.6, "imperial"), "1 mile");
+  assert.equal(formatLength(7, "imperial"), "23 feet");
+});
+
+test("numbers are written the card language's way", () => {
+  assert.equal(formatDistance(5.3, "metric", 1, "de"), "5,3 Kilometer");
+});
+
+test("fillMeasurements speaks the measurements written into circuit facts", () => {
+  const fact = "A {distance:5.412} lap, {speed:320} on the straight and a {length:7} wide pit lane";
+  assert.equal(fillMeasurements(fact), "A 5.4 kilometres lap, 320 kilometres per hour on the straight and a 7 metres wide pit lane");
+  assert.equal(fillMeasurements(fact, "imperial"), "A 3.4 miles lap, 199 miles per hour on the straight and a 23 feet wide pit lane");
+});
@@ -0,0 +1,202 @@
+// Sending a card with createOrUpdateTTSPlaylist(), with the mock TTS provider and a fake Yoto API
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+
+// Keep the audio cache out of the real config store; set before the config store is loaded
+process.env.XDG_CONFIG_HOME = mkdtempSync(path.join(tmpdir(), "yoto-f1-card-test-"));
+process.env.TTS_PROVIDER = "mock";
+delete process.env.TTS_CONCURRENCY;
+delete process.env.YOTO_UPLOAD_CONCURRENCY;
+
+const { createOrUpdateTTSPlaylist } = await import("@/services/yotoService");
+const { getTTSProvider } = await import("@/services/ttsService");
+const mockProvider = getTTSProvider("mock");
+
+const realFetch = globalThis.fetch;
+let yoto;
+
+/**
+ * Fake the Yoto API: upload URLs, uploads, transcoding and the card content POST
+ * @param {Object} [options]
+ * @param {number} [options.failUpload] - Upload (counting from 1) that Yoto rejects
+ * @returns {{uploads: Buffer[], cards: Object[]}} What was sent to it
+ */
+function fakeYotoApi({ failUpload = null } = {}) {
+  const sent = { uploads: [], cards: [] };
+  let uploadUrls = 0;
+  const json = (body) => new Response(JSON.stringify(body), { headers: { "Content-Type": "application/json" } });
+
+  globalThis.fetch = async (url, options = {}) => {
+    url = String(url);
+    if (url.endsWith("/media/transcode/audio/uploadUrl")) {
+      const uploadId = `upload-${++uploadUrls}`;
+      return json({ upload: { uploadUrl: `https://uploads.test/${uploadId}`, uploadId } });
+    }
+    if (url.startsWith("https://uploads.test/")) {
+      sent.uploads.push(Buffer.from(options.body));
+      if (sent.uploads.length === failUpload) {
+        return new Response("Upload rejected", { status: 500 });
+      }
+      return new Response(null, { status: 200 });
+    }
+    if (url.includes("/transcoded")) {
+      const uploadId = url.split("/upload/")[1].split("/")[0];
+      return json({ transcode: { transcodedSha256: `sha-${uploadId}`, transcodedInfo: { duration: 3, fileSize: 1000, channels: "mono", format: "aac" } } });
+    }
+    if (url.endsWith("/content")) {
+      sent.cards.push(JSON.parse(options.body));
+      return json({ cardId: "card-1" });
+    }
+    throw new Error(`Unexpected request to ${url}`);
+  };
+  return sent;
+}
+
+beforeEach(() => {
+  yoto = fakeYotoApi();
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("sends a card end to end with TTS_PROVIDER=mock", async () => {
+  const chapters = [
+    { title: "Overview", icon: "yoto:#flag", tracks: [{ title: "Monaco Grand Prix", text: "Welcome to Monte Carlo", icon: "yoto:#flag" }] },
+    { title: "Race", tracks: [{ title: "Race", text: "The race starts on Sunday" }, { title: "Weather", text: "Sunny and dry" }] },
+  ];
+
+  const result = await createOrUpdateTTSPlaylist({ title: "F1: Next Race", chapters, accessToken: "token" });
+
+  assert.equal(result.cardId, "card-1");
+  assert.equal(result.status, "completed");
+  assert.equal(yoto.uploads.length, 3);
+  assert.ok(yoto.uploads.every(audio => audio.toString("latin1", 0, 4) === "RIFF"));
+
+  const [card] = yoto.cards;
+  assert.equal(card.title, "F1: Next Race");
+  assert.deepEqual(card.content.chapters.map(chapter => chapter.tracks.map(track => track.title)), [["Monaco Grand Prix"], ["Race", "Weather"]]);
+  const trackUrls = card.content.chapters.flatMap(chapter => chapter.tracks.map(track => track.trackUrl));
+  assert.deepEqual([...trackUrls].sort(), ["yoto:#sha-upload-1", "yoto:#sha-upload-2", "yoto:#sha-upload-3"]);
+  assert.deepEqual(card.content.chapters[0].display, { icon16x16: "yoto:#flag" });
+});
+
+/**
+ * Wrap the mock provider to record each call and how many ran at once
+ * @param {Object} [options]
+ * @param {string} [options.failOn] - Text whose audio fails to generate
+ * @param {function(string): number} [options.delay] - Milliseconds each text takes
+ */
+function recordingProvider({ failOn = null, delay = () => 5 } = {}) {
+  const provider = {
+    ...mockProvider,
+    calls: [],
+    active: 0,
+    maxActive: 0,
+    async synthesize(text, voiceId) {
+      provider.calls.push(text);
+      provider.active++;
+      provider.maxActive = Math.max(provider.maxActive, provider.active);
+      try {
+        await new Promise(resolve => setTimeout(resolve, delay(text)));
+        if (text === failOn) {
+          throw new Error(`ElevenLabs TTS generation failed for "${text}"`);
+        }
+        return await mockProvider.synthesize(text, voiceId);
+      } finally {
+        provider.active--;
+      }
+    },
+  };
+  return provider;
+}
+
+/**
+ * A chapter with one track per text
+ */
+function chapterOf(title, texts) {
+  return { title, tracks: texts.map((text, index) => ({ title: `${title} ${index + 1}`, text })) };
+}
+
+test("identical tracks on a card are generated and uploaded once", async () => {
+  const ttsProvider = recordingProvider();
+  const chapters = [
+    chapterOf("Practice", ["Dedupe: practice preview", "Dedupe: same words"]),
+    chapterOf("Qualifying", ["Dedupe: same words", "Dedupe: qualifying preview"]),
+  ];
+
+  await createOrUpdateTTSPlaylist({ title: "F1", chapters, accessToken: "token", ttsProvider });
+
+  assert.deepEqual(ttsProvider.calls.filter(text => text === "Dedupe: same words"), ["Dedupe: same words"]);
+  assert.equal(ttsProvider.calls.length, 3);
+  assert.equal(yoto.uploads.length, 3);
+  const [practice, qualifying] = yoto.cards[0].content.chapters;
+  assert.equal(practice.tracks[1].trackUrl, qualifying.tracks[0].trackUrl);
+});
+
+test("tracks sent again reuse the cached audio", async () => {
+  const chapters = [chapterOf("Standings", ["Cache: P1 Verstappen", "Cache: P2 Norris"])];
+  await createOrUpdateTTSPlaylist({ title: "F1", chapters, accessToken: "token", ttsProvider: recordingProvider() });
+  const firstCard = yoto.cards[0];
+
+  yoto = fakeYotoApi();
+  const ttsProvider = recordingProvider();
+  await createOrUpdateTTSPlaylist({ title: "F1", chapters, accessToken: "token", ttsProvider });
+
+  assert.equal(ttsProvider.calls.length, 0);
+  assert.equal(yoto.uploads.length, 0);
+  assert.deepEqual(yoto.cards[0].content, firstCard.content);
+});
+
+test("generation and uploads stay within their limits and the card keeps track order", async () => {
+  const texts = Array.from({ length: 8 }, (_, index) => `Order: track ${index + 1}`);
+  // Later tracks finish first, so results come back out of order
+  const ttsProvider = recordingProvider({ delay: text => 40 - 4 * parseInt(text.split(" ").at(-1), 10) });
+
+  await createOrUpdateTTSPlaylist({
+    title: "F1",
+    chapters: [chapterOf("A", texts.slice(0, 3)), chapterOf("B", texts.slice(3))],
+    accessToken: "token",
+    ttsProvider,
+    ttsConcurrency: 2,
+    uploadConcurrency: 3,
+  });
+
+  assert.equal(ttsProvider.maxActive, 2);
+  assert.deepEqual(ttsProvider.calls, texts);
+  assert.deepEqual(
+    yoto.cards[0].content.chapters.map(chapter => chapter.tracks.map(track => track.title)),
+    [["A 1", "A 2", "A 3"], ["B 1", "B 2", "B 3", "B 4", "B 5"]]
+  );
+});
+
+test("one failed track stops the other tracks and no card is sent", async () => {
+  const texts = Array.from({ length: 6 }, (_, index) => `Failure: track ${index + 1}`);
+  const ttsProvider = recordingProvider({ failOn: texts[1] });
+
+  await assert.rejects(
+    createOrUpdateTTSPlaylist({ title: "F1", chapters: [chapterOf("A", texts)], accessToken: "token", ttsProvider, ttsConcurrency: 1 }),
+    /generation failed for "Failure: track 2"/
+  );
+
+  // Tracks still queued when the failure happened are skipped
+  assert.deepEqual(ttsProvider.calls, texts.slice(0, 2));
+  assert.ok(yoto.uploads.length <= 1);
+  assert.equal(yoto.cards.length, 0);
+});
+
+test("a failed upload stops the tracks still to upload and no card is sent", async () => {
+  yoto = fakeYotoApi({ failUpload: 2 });
+  const texts = Array.from({ length: 5 }, (_, index) => `Upload failure: track ${index + 1}`);
+
+  await assert.rejects(
+    createOrUpdateTTSPlaylist({ title: "F1", chapters: [chapterOf("A", texts)], accessToken: "token", ttsProvider: recordingProvider(), uploadConcurrency: 1 }),
+    /Failed to upload audio/
+  );
+
+  assert.equal(yoto.uploads.length, 2);
+  assert.equal(yoto.cards.length, 0);
+});